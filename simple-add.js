@@ -87,8 +87,10 @@ function detectType(filename) {
   return 'file';
 }
 
-// If run directly
-if (process.argv.length > 2) {
-  const files = process.argv.slice(2);
-  simpleAdd(files);
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv.length > 2) {
+    const files = process.argv.slice(2);
+    simpleAdd(files);
+  }
 }
\ No newline at end of file
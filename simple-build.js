@@ -148,7 +148,9 @@ function getThemeCSS(theme) {
   return themes[theme] || themes.default;
 }
 
-// If run directly
-if (process.argv[2] === 'build') {
-  simpleBuild();
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv[2] === 'build') {
+    simpleBuild();
+  }
 }
\ No newline at end of file
@@ -103,7 +103,9 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-// If run directly
-if (process.argv[2] === 'export') {
-  simpleExport({ name: process.argv[3] });
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv[2] === 'export') {
+    simpleExport({ name: process.argv[3] });
+  }
 }
\ No newline at end of file
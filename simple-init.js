@@ -63,7 +63,9 @@ export async function simpleInit(name, options = {}) {
   }
 }
 
-// If run directly
-if (process.argv[2]) {
-  simpleInit(process.argv[2], { theme: process.argv[3] });
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv[2]) {
+    simpleInit(process.argv[2], { theme: process.argv[3] });
+  }
 }
\ No newline at end of file
@@ -101,7 +101,9 @@ function getContentType(filePath) {
   return types[ext] || 'text/plain';
 }
 
-// If run directly
-if (process.argv[2] === 'preview') {
-  simplePreview({ port: process.argv[3] || 3000 });
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv[2] === 'preview') {
+    simplePreview({ port: process.argv[3] || 3000 });
+  }
 }
\ No newline at end of file
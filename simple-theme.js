@@ -109,13 +109,15 @@ function showThemePreview(themeName) {
   console.log('');
 }
 
-// If run directly
-if (process.argv[2] && THEMES.includes(process.argv[2])) {
-  simpleTheme(process.argv[2], { preview: process.argv[3] === '--preview' });
-} else if (process.argv[2] === 'list') {
-  console.log(chalk.green('🎨 Available themes:'));
-  THEMES.forEach(theme => {
-    console.log(chalk.cyan(`  ${theme}`));
-    showThemePreview(theme);
-  });
+// If run directly (not when imported by working-cli.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv[2] && THEMES.includes(process.argv[2])) {
+    simpleTheme(process.argv[2], { preview: process.argv[3] === '--preview' });
+  } else if (process.argv[2] === 'list') {
+    console.log(chalk.green('🎨 Available themes:'));
+    THEMES.forEach(theme => {
+      console.log(chalk.cyan(`  ${theme}`));
+      showThemePreview(theme);
+    });
+  }
 }
\ No newline at end of file
@@ -11,7 +11,8 @@ import chalk from 'chalk';
 import { createInitCommand } from './commands/init.js';
 import { createAddCommand } from './commands/add.js';
 import { createPreviewCommand } from './commands/preview.js';
-import { createExportCommand } from './commands/export.js';
+import { createBuildCommand } from './commands/build.js';
+import { registerPackagingCommands } from './commands/packaging.js';
 import { createWorkplatesCommand } from './commands/workplates.js';
 import { createPostcardCommand } from './commands/postcard.js';
 import { createThemeCommand } from './commands/theme.js';
@@ -118,22 +119,27 @@ program
 // Preview project
 program
   .command('preview')
-  .description('Preview your project')
+  .description('Preview your project with live reload')
   .option('--ascii', 'Use ASCII preview mode (browsh)')
-  .option('--port <port>', 'Preview port', '4321')
+  .option('--port <port>', 'First port to try; the next free one is used if busy (0 for any)', '4321')
+  .option('--host <host>', 'Host to bind the preview server to', 'localhost')
   .option('--theme <theme>', 'Preview with specific theme')
+  .option('--no-open', 'Don\'t open the preview in a browser')
   .option('--interactive', 'Enable interactive theme switching')
   .action(withContainer(createPreviewCommand));
 
-// Export project
+// Build project
 program
-  .command('export')
-  .description('Export your project as a packaged deliverable')
-  .option('-o, --output <path>', 'Output path')
-  .option('--format <format>', 'Output format (zip, tar, rar, iso, 7z)', 'zip')
-  .option('--name <pattern>', 'Custom naming pattern (e.g., "{name}_{date}", "delivery_{name}_{theme}")')
-  .option('--streaming', 'Use streaming export for large projects')
-  .action(withContainer(createExportCommand));
+  .command('build')
+  .description('Build the project, or write the preview as a static HTML site')
+  .option('--static', 'Write the preview pages as a self-contained HTML site')
+  .option('-o, --output <dir>', 'Directory for the static site (default: dist/site)')
+  .option('--theme <theme>', 'Theme for the static site (default: the project theme)')
+  .option('-d, --debug', 'Show debug information')
+  .action(withContainer(createBuildCommand));
+
+// Export and package commands
+registerPackagingCommands(program, withContainer);
 
 // Work Plates - Interactive canvas
 program
@@ -53,33 +53,32 @@ export async function addContent(files, options = {}) {
     console.log(chalk.green('🚀 Adding content with semantic role detection...'));
     
     // Initialize project manager
-      const projectManager = new ProjectManager();
+    const projectManager = new ProjectManager();
     const smartHandler = new SmartFileHandler();
     const yogaDiffing = new IncrementalYogaDiffing();
     const previewManager = new PreviewManager();
     
-    // Initialize systems with proper error handling
-    try {
-      await Promise.all([
-        projectManager.initializeProject('./').catch(err => {
-          console.error(chalk.red('❌ Failed to initialize project:'), err.message);
-          throw err;
-        }),
-        smartHandler.initialize().catch(err => {
-          console.error(chalk.red('❌ Failed to initialize SmartFileHandler:'), err.message);
-          throw err;
-        }),
-        yogaDiffing.initializeEngine().catch(err => {
-          console.error(chalk.red('❌ Failed to initialize Yoga engine:'), err.message);
-          throw err;
-        }),
-        previewManager.initialize('./').catch(err => {
-          console.error(chalk.red('❌ Failed to initialize PreviewManager:'), err.message);
-          throw err;
-        })
-      ]);
-
-      const config = projectManager.config || {};
+    // Initialize systems, naming the one that failed
+    await Promise.all([
+      projectManager.initializeProject('./').catch(err => {
+        console.error(chalk.red('❌ Failed to initialize project:'), err.message);
+        throw err;
+      }),
+      smartHandler.initialize().catch(err => {
+        console.error(chalk.red('❌ Failed to initialize SmartFileHandler:'), err.message);
+        throw err;
+      }),
+      yogaDiffing.initializeEngine().catch(err => {
+        console.error(chalk.red('❌ Failed to initialize Yoga engine:'), err.message);
+        throw err;
+      }),
+      previewManager.initialize('./').catch(err => {
+        console.error(chalk.red('❌ Failed to initialize PreviewManager:'), err.message);
+        throw err;
+      })
+    ]);
+
+    const config = projectManager.config || {};
     console.log(chalk.cyan(`📋 Project: ${config.name} (${config.theme} theme)`));
     
     // Expand glob patterns
@@ -521,15 +520,11 @@ function getLayoutWidth(role) {
 }
 
 /**
- * @param {any} container
- * @returns {(files: string[], options: AddOptions) => Promise<void>}
- */
-export /**
  * Creates an add command function with dependency injection
  * @param {Object} container - Dependency injection container
  * @returns {(files: string[], options: AddOptions) => Promise<void>} The add command function
  */
-function createAddCommand(container) {
+export function createAddCommand(container) {
   return async function addCommand(files = [], options = {}) {
     if (!Array.isArray(files) || files.length === 0) {
       throw new Error('No files specified to add');
@@ -548,7 +543,4 @@ function createAddCommand(container) {
 }
 
 // Export the command function
-export default createAddCommand({});
-
-// Named exports for testing and other modules
-export { createAddCommand };
\ No newline at end of file
+export default createAddCommand({});
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { DeltaExport } from '../lib/DeltaExport.js';
+
+// Container-style export for DI integration
+/**
+ * Create an apply-delta command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Apply-delta command function
+ */
+export function createApplyDeltaCommand(container) {
+  return async (base, deltas, options) => {
+    return await applyDelta(base, deltas, options);
+  };
+}
+
+/**
+ * @typedef {Object} ApplyDeltaOptions
+ * @property {string} [output] - Directory to rebuild the tree into
+ * @property {boolean} [force] - Skip the parent checks
+ */
+
+/**
+ * Rebuild a full submission tree from a base export and its deltas
+ * @param {string} base - Full export (archive) or a previously rebuilt directory
+ * @param {string[]} deltas - Delta packages, oldest first
+ * @param {ApplyDeltaOptions} options - Apply options
+ */
+export async function applyDelta(base, deltas, options = {}) {
+  try {
+    console.log(chalk.green(`🧩 Applying ${deltas.length} delta(s) to ${base}...`));
+
+    const deltaExport = new DeltaExport();
+    const result = await deltaExport.apply(
+      resolve(base),
+      deltas.map(delta => resolve(delta)),
+      options.output ? resolve(options.output) : null,
+      { force: options.force }
+    );
+
+    for (const { delta, written, deleted } of result.applied) {
+      console.log(chalk.cyan(`   ${delta}: ${written} file(s) written, ${deleted} deleted`));
+    }
+
+    if (result.mismatched.length > 0) {
+      console.error(chalk.red(`❌ ${result.mismatched.length} file(s) do not match the latest manifest:`));
+      result.mismatched.forEach(name => console.error(chalk.red(`   ✗ ${name}`)));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`✅ Rebuilt ${result.files} file(s) in ${result.outputDir}`));
+    return result;
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Apply failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+}
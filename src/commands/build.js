@@ -5,13 +5,78 @@ import NinjaIncrementalEngine from '../lib/NinjaIncrementalEngine.js';
 import IncrementalYogaDiffing from '../ninja/IncrementalYogaDiffing.js';
 import { buildProgressBar, trackFileProgress } from '../ui/buildProgress.js';
 import { readdir, readFile } from 'fs/promises';
-import { join } from 'path';
+import { join, relative, resolve } from 'path';
 import { globalErrorHandler } from '../core/ErrorHandler.js';
 import ProjectManager from '../core/ProjectManager.js';
 import SmartFileHandler from '../ninja/SmartFileHandler.js';
 import PackageManager from '../core/PackageManager.js';
+// The exporter's file list, so the static site shows what a package would contain
+import { PackageManager as ExportPackageManager } from '../lib/PackageManager.js';
+import { PackageFilter } from '../lib/PackageFilter.js';
+import { IMAGE_CACHE_DIR, StaticSiteBuilder } from '../lib/StaticSiteBuilder.js';
 import chalk from 'chalk';
 
+// Container-style export for DI integration
+/**
+ * Create a build command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Build command function; --static builds the static site
+ */
+export function createBuildCommand(container) {
+  return async (options = {}) => {
+    return options.static ? await buildStaticSite(options) : await buildCommand(options);
+  };
+}
+
+/**
+ * @typedef {Object} StaticBuildOptions
+ * @property {string} [output] - Site directory (default: dist/site)
+ * @property {string} [theme] - Theme for the pages (default: the project theme)
+ */
+
+/**
+ * Write the preview pages as plain HTML with relative links, for opening from
+ * disk or hosting anywhere. Content files follow .submitignore like an export.
+ * @param {StaticBuildOptions} options
+ */
+export async function buildStaticSite(options = {}) {
+  try {
+    console.log(chalk.green('🌐 Building static site...'));
+
+    let config;
+    try {
+      config = JSON.parse(await readFile(join(process.cwd(), 'submitit.config.json'), 'utf8'));
+    } catch (error) {
+      console.error(chalk.red('❌ Not in a submitit project directory. Run "submitit init <name>" first.'));
+      process.exit(1);
+    }
+
+    const files = await listSiteFiles(config);
+    const outputDir = resolve(options.output || join('dist', 'site'));
+
+    const site = await new StaticSiteBuilder({ cacheDir: join(process.cwd(), IMAGE_CACHE_DIR) }).build(config, files, outputDir, { theme: options.theme });
+
+    const copied = site.files.filter(file => file.name.startsWith('files/')).length;
+    console.log(chalk.cyan(`📄 ${site.pages.length} page(s), ${copied} content file(s)`));
+    console.log(chalk.green(`✅ Open ${relative(process.cwd(), join(outputDir, 'index.html'))} in a browser`));
+
+    return site;
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Static build failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+}
+
+/**
+ * Files the static site is built from: what an export would package,
+ * following .submitignore
+ * @param {Object} config - submitit.config.json
+ */
+export async function listSiteFiles(config) {
+  const packageFilter = await new PackageFilter().loadIgnoreFiles();
+  return await new ExportPackageManager().listPackageFiles(config, { packageFilter, includePreview: false });
+}
+
 export async function buildCommand(options = {}) {
   const engine = new NinjaIncrementalEngine();
   const yogaDiffing = new IncrementalYogaDiffing();
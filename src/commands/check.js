@@ -0,0 +1,116 @@
+import { readFile, stat, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import chalk from 'chalk';
+import { SubmissionRules } from '../lib/SubmissionRules.js';
+
+// Container-style export for DI integration
+/**
+ * Create a check command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Check command function
+ */
+export function createCheckCommand(container) {
+  return async (options) => {
+    return await checkSubmission(options);
+  };
+}
+
+/**
+ * @typedef {Object} CheckOptions
+ * @property {string} [rules] - Ruleset file (default: submitit.rules.json/.yaml/.yml)
+ * @property {string} [junit] - Write a JUnit XML report here
+ * @property {string} [json] - Write a JSON report here
+ * @property {string} [at] - Evaluate the deadline as of this date instead of now
+ */
+
+const STATUS_ICONS = {
+  pass: chalk.green('✓'),
+  fail: chalk.red('✗'),
+  warn: chalk.yellow('!'),
+  skip: chalk.gray('-')
+};
+
+/**
+ * Check the project's files against its submission ruleset
+ * @param {CheckOptions} options - Check options
+ */
+export async function checkSubmission(options = {}) {
+  let report;
+  try {
+    const configPath = join(process.cwd(), 'submitit.config.json');
+    let config;
+    try {
+      config = JSON.parse(await readFile(configPath, 'utf8'));
+    } catch (error) {
+      console.error(chalk.red('❌ Not in a submitit project directory. Run "submitit init <name>" first.'));
+      process.exit(1);
+    }
+
+    const rules = new SubmissionRules();
+    let ruleset = await rules.load(process.cwd(), options.rules ? resolve(options.rules) : null);
+    if (!ruleset) {
+      console.log(chalk.gray('No submitit.rules.json or submitit.rules.yaml found; checking role limits from submitit.config.json'));
+      ruleset = rules.fromRoles(config.roles);
+    }
+
+    const now = options.at ? new Date(options.at) : new Date();
+    if (Number.isNaN(now.getTime())) {
+      throw new Error(`--at "${options.at}" is not a date`);
+    }
+
+    const files = await collectFiles(config);
+    console.log(chalk.green(`📋 Checking ${files.length} file(s) against ${ruleset.name}...`));
+
+    const started = Date.now();
+    report = await rules.evaluate(files, ruleset, { now });
+    const time = (Date.now() - started) / 1000;
+
+    for (const result of report.results) {
+      const line = `${STATUS_ICONS[result.status]} ${result.title}: ${result.message}`;
+      console.log(result.status === 'pass' ? chalk.gray(line) : line);
+    }
+
+    if (options.junit) {
+      await writeFile(resolve(options.junit), rules.toJUnit(report, { time }));
+      console.log(chalk.cyan(`🧾 JUnit report written to ${options.junit}`));
+    }
+    if (options.json) {
+      await writeFile(resolve(options.json), rules.toJSON(report));
+      console.log(chalk.cyan(`🧾 JSON report written to ${options.json}`));
+    }
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Check failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+
+  const { pass, fail, warn, skip } = report.counts;
+  const summary = `${pass} passed, ${fail} failed, ${warn} warning(s), ${skip} skipped`;
+
+  if (!report.passed) {
+    console.error(chalk.red(`\n❌ Submission does not meet the rules: ${summary}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.green(`\n✅ Submission meets the rules: ${summary}`));
+  return report;
+}
+
+/**
+ * Registered content files, sized from disk so edits since `add` count
+ */
+async function collectFiles(config) {
+  const files = [];
+
+  for (const file of config.files || []) {
+    const path = join(process.cwd(), 'content', file.name);
+    let size = file.size || 0;
+    try {
+      size = (await stat(path)).size;
+    } catch (error) {
+      // Missing files are checked by their recorded size
+    }
+    files.push({ name: file.name, path, size, role: file.role });
+  }
+
+  return files;
+}
@@ -1,9 +1,25 @@
-import { readFile, writeFile } from 'fs/promises';
+import { readFile, writeFile, mkdtemp, rm } from 'fs/promises';
 import { join } from 'path';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import chalk from 'chalk';
 import { PackageManager } from '../lib/PackageManager.js';
+import { StreamingPackageManager } from '../lib/StreamingPackageManager.js';
+import { SubmissionIntegrity } from '../lib/SubmissionIntegrity.js';
+import { DeltaExport } from '../lib/DeltaExport.js';
+import { SplitArchive } from '../lib/SplitArchive.js';
+import { parseSize } from '../lib/FileSizes.js';
+import { PackageEncryption } from '../lib/PackageEncryption.js';
+import { ExportProfiles } from '../lib/ExportProfiles.js';
+import { PackageFilter } from '../lib/PackageFilter.js';
+import { PostCardGenerator } from '../lib/PostCardGenerator.js';
+import { IMAGE_CACHE_DIR, StaticSiteBuilder } from '../lib/StaticSiteBuilder.js';
+import { PrivacyScrubber, PRIVACY_CATEGORIES } from '../lib/PrivacyScrubber.js';
+import { MediaOptimizer } from '../lib/MediaOptimizer.js';
+import { TextNormalizer } from '../lib/TextNormalizer.js';
+import { SecretScanner } from '../lib/SecretScanner.js';
+import { SubmititError } from '../core/ErrorHandler.js';
 import { EnhancedYogaLayoutEngine } from '../lib/EnhancedYogaLayoutEngine.js';
 import { PreviewManager } from '../lib/PreviewManager.js';
 
@@ -11,16 +27,16 @@ import { PreviewManager } from '../lib/PreviewManager.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export function createExportCommand(program) {
-  program
-    .command('export')
-    .description('Export your project as a deliverable package')
-    .option('-o, --output <path>', 'Output path for the export')
-    .option('-f, --format <format>', 'Export format (zip, tar)', 'zip')
-    .option('-n, --name <name>', 'Custom name for the export')
-    .action((options) => {
-      exportProject(options);
-    });
+// Container-style export for DI integration
+/**
+ * Create an export command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Export command function
+ */
+export function createExportCommand(container) {
+  return async (options) => {
+    return await exportProject(options);
+  };
 }
 
 /**
@@ -28,6 +44,27 @@ export function createExportCommand(program) {
  * @property {string} [output]
  * @property {string} [format]
  * @property {string} [name]
+ * @property {boolean} [streaming] - Use the streaming exporter
+ * @property {string} [dedupe] - Duplicate handling: off, store-once, warn or fail (implies streaming)
+ * @property {string} [tarCompression] - TAR codec: gzip or zstd (implies streaming)
+ * @property {boolean} [reproducible] - Byte-identical output (honours SOURCE_DATE_EPOCH)
+ * @property {boolean|string} [sign] - Sign the manifest with Ed25519 (optionally with a specific key file)
+ * @property {string} [since] - Previous manifest.json or package to build a delta against
+ * @property {string} [maxPartSize] - Split a ZIP export into standalone parts of at most this size (e.g. 25MB)
+ * @property {boolean} [encrypt] - Encrypt the package: password for ZIP, recipient keys for TAR
+ * @property {string} [passwordFile] - File holding the ZIP password (default $SUBMITIT_PASSWORD)
+ * @property {string[]} [recipient] - Extra age recipients for TAR, besides config.encryption.recipients
+ * @property {string} [profile] - Export with a named profile from config.exportProfiles
+ * @property {boolean} [allProfiles] - Export every profile in config.exportProfiles
+ * @property {string[]} [include] - Only package content files matching these globs
+ * @property {string[]} [exclude] - Leave out files matching these globs (after .submitignore)
+ * @property {string} [onlyRoles] - Comma-separated roles to package, e.g. "resume,projects"
+ * @property {boolean} [dryRun] - List what would be packaged, and why files are excluded, without writing
+ * @property {boolean} [scrub] - Package copies of content files with GPS, author and revision metadata removed
+ * @property {boolean} [normalize] - Package UTF-8 copies of text files with consistent line endings
+ * @property {boolean} [optimize] - Package recompressed, downscaled and minified copies of content files
+ * @property {boolean} [site] - Bundle the preview as a static HTML site under site/
+ * @property {boolean} [allowSecrets] - Export even if the secret scanner finds credentials
  */
 
 /**
@@ -58,6 +95,18 @@ export async function exportProject(options = {}) {
       process.exit(1);
     }
     
+    // Resolve every profile up front so a typo fails before anything is packaged
+    const packageManager = new PackageManager();
+    const exportProfiles = new ExportProfiles(packageManager);
+    if (options.allProfiles && options.profile) {
+      throw new Error('Use either --profile or --all-profiles, not both');
+    }
+    const profileNames = options.allProfiles ? exportProfiles.list(config) : [options.profile].filter(Boolean);
+    if (options.allProfiles && profileNames.length === 0) {
+      throw new Error('--all-profiles needs "exportProfiles" in submitit.config.json');
+    }
+    const profiles = profileNames.map(name => exportProfiles.resolve(config, name));
+    
     console.log(chalk.blue('⚡ Initializing layout engine for export optimization...'));
     const layoutEngine = new EnhancedYogaLayoutEngine();
     // @ts-ignore - generateLayoutData is defined in the class
@@ -68,66 +117,36 @@ export async function exportProject(options = {}) {
     // @ts-ignore - initialize is defined in the class
     await previewManager.initialize?.(layoutData);
     
-    const packageManager = new PackageManager();
-    
-    const exportOptions = {
-      outputPath: options.output || join(process.cwd(), 'output'),
-      format: options.format || 'zip',
-      customName: options.name,
-      includeSource: true,
-      includePreview: true,
-      layoutData: layoutData,
-      optimizeForDelivery: true
-    };
-    
-    console.log(chalk.yellow('📦 Packaging files...'));
-    
-    // @ts-ignore - exportProject is defined in the class
-    const result = await packageManager.exportProject?.(config, exportOptions, (progress) => {
-      const percent = Math.round(progress.percent);
-      console.log(chalk.blue(`📊 Progress: ${percent}% (${progress.processedBytes}/${progress.totalBytes} bytes)`));
-    });
+    if (profiles.length === 0) {
+      await exportPackage(config, layoutData, options);
+    }
     
-    // Generate manifest with layout optimization data
-    const manifest = {
-      project: config.name,
-      exported: new Date().toISOString(),
-      files: config.files.map(f => ({
-        name: f.name,
-        type: f.type,
-        role: f.role,
-        size: f.size
-      })),
-      theme: config.theme,
-      format: exportOptions.format,
-      packageSize: result.size,
-      packagePath: result.path,
-      layoutOptimization: {
-        strategy: layoutData.strategy,
-        performance: layoutData.performance,
-        responsiveBreakpoints: layoutData.responsiveBreakpoints,
-        optimizedForTerminal: true,
-        yogaEngineVersion: '2.0.1'
-      },
-      deliveryMetrics: {
-        compressionRatio: result.compressionRatio || 1,
-        totalProcessingTime: result.processingTime || 0,
-        filesProcessed: config.files.length
+    const failures = [];
+    for (const profile of profiles) {
+      console.log(chalk.magenta(`\n🗂️  Profile: ${profile.name}${profile.description ? ` - ${profile.description}` : ''}`));
+      
+      try {
+        await exportPackage(config, layoutData, exportProfiles.applyProfile(profile, options), profile);
+      } catch (/** @type {any} */ error) {
+        // One failing profile should not stop the others
+        if (profiles.length === 1) throw error;
+        console.error(chalk.red(`❌ Profile ${profile.name} failed:`), error?.message || 'Unknown error');
+        failures.push(profile.name);
       }
-    };
-    
-    await writeFile(
-      join(exportOptions.outputPath, 'manifest.json'),
-      JSON.stringify(manifest, null, 2)
-    );
+    }
     
-    console.log(chalk.green('🎉 Export complete!'));
-    console.log(chalk.cyan(`📁 Package: ${result.path}`));
-    console.log(chalk.cyan(`📊 Size: ${formatFileSize(result.size)}`));
-    console.log(chalk.cyan(`📝 Manifest: ${join(exportOptions.outputPath, 'manifest.json')}`));
+    if (profiles.length > 1) {
+      console.log(chalk.cyan(`\n🗂️  Profiles: ${profiles.length - failures.length} of ${profiles.length} exported`));
+      if (failures.length > 0) {
+        console.error(chalk.red(`❌ Failed: ${failures.join(', ')}`));
+        process.exit(1);
+      }
+    }
     
-    // Celebration animation
-    console.log(chalk.green('🧘 Submission Complete. You may now step away from the terminal.'));
+    // Celebration animation, once something was actually submitted
+    if (!options.dryRun) {
+      console.log(chalk.green('🧘 Submission Complete. You may now step away from the terminal.'));
+    }
     
   } catch (/** @type {any} */ error) {
     console.error(chalk.red('❌ Export failed:'), error?.message || 'Unknown error');
@@ -137,6 +156,508 @@ export async function exportProject(options = {}) {
   }
 }
 
+/**
+ * Package the project once, with the given options and optional profile
+ * @param {ProjectConfig} config
+ * @param {Object} layoutData
+ * @param {ExportOptions} options
+ * @param {Object} [profile] - Validated export profile
+ */
+async function exportPackage(config, layoutData, options, profile = null) {
+  const packageManager = new PackageManager();
+  
+  const packageFilter = await new PackageFilter({ include: options.include, exclude: options.exclude }).loadIgnoreFiles();
+  if (packageFilter.ignoreFiles.length > 0) {
+    console.log(chalk.blue(`🙈 Ignore rules from ${packageFilter.ignoreFiles.join(', ')}`));
+  }
+  
+  // --only-roles narrows the profile's roles rather than adding to them
+  const roles = options.onlyRoles
+    ? { ...profile?.roles, include: options.onlyRoles.split(',').map(role => role.trim()).filter(Boolean) }
+    : profile?.roles;
+  
+  const exportOptions = {
+    outputPath: options.output || join(process.cwd(), 'output'),
+    format: options.format || 'zip',
+    customName: options.name,
+    includeSource: true,
+    includePreview: profile ? profile.bundle.preview : true,
+    includeManifest: profile ? profile.bundle.manifest : true,
+    layoutData: layoutData,
+    optimizeForDelivery: true,
+    reproducible: Boolean(options.reproducible),
+    dedupe: options.dedupe,
+    tarCompression: options.tarCompression,
+    profile: profile?.name,
+    packageFilter,
+    roleFilter: roles ? packageManager.createRoleFilter(config, roles) : undefined
+  };
+  
+  // Deduplication and zstd live in the streaming exporter, which writes ZIP and TAR
+  const useZstd = options.tarCompression === 'zstd';
+  if (options.tarCompression && !['gzip', 'zstd'].includes(options.tarCompression)) {
+    throw new Error(`Unknown --tar-compression "${options.tarCompression}" (use gzip or zstd)`);
+  }
+  if (useZstd && !['tar', 'tar.gz', 'tgz'].includes(exportOptions.format.toLowerCase())) {
+    throw new Error('--tar-compression zstd needs --format tar');
+  }
+  
+  const useStreaming = Boolean(options.streaming || useZstd || (options.dedupe && options.dedupe !== 'off'));
+  if (useStreaming && !['zip', 'tar', 'tar.gz', 'tgz'].includes(exportOptions.format.toLowerCase())) {
+    throw new Error(`--streaming and --dedupe support zip and tar only, not ${exportOptions.format}`);
+  }
+  
+  const splitArchive = new SplitArchive(packageManager);
+  const maxPartSize = options.maxPartSize ? parseSize(options.maxPartSize, 'part size') : null;
+  if (maxPartSize && (useStreaming || exportOptions.format.toLowerCase() !== 'zip')) {
+    throw new Error('--max-part-size writes ZIP parts and cannot be combined with --streaming, --dedupe or --tar-compression');
+  }
+  if (maxPartSize && !exportOptions.includeManifest) {
+    throw new Error('--max-part-size needs the manifest bundled in every part');
+  }
+  
+  if (options.encrypt && !options.dryRun) {
+    if (useStreaming) {
+      throw new Error('--encrypt cannot be combined with --streaming, --dedupe or --tar-compression');
+    }
+    exportOptions.encryption = await resolveEncryption(options, config, exportOptions.format);
+  }
+  
+  if (exportOptions.reproducible) {
+    const buildDate = packageManager.resolveBuildDate(exportOptions);
+    console.log(chalk.blue(`🔁 Reproducible export pinned to ${buildDate.toISOString()}`));
+    if (exportOptions.encryption) {
+      console.log(chalk.yellow('⚠️  Encryption uses fresh random salts, so encrypted packages differ on every run'));
+    }
+  }
+  
+  // Scrubbed, normalized and optimized copies are made before delta planning so unchanged files hash the same as last time
+  const scrubDir = options.scrub && !options.dryRun ? await mkdtemp(join(tmpdir(), 'submitit-scrub-')) : null;
+  const normalizer = options.normalize ? new TextNormalizer(config.normalize) : null;
+  const normalizeDir = normalizer && !options.dryRun ? await mkdtemp(join(tmpdir(), 'submitit-normalize-')) : null;
+  const optimizer = options.optimize ? new MediaOptimizer(config.optimize) : null;
+  const optimizeDir = optimizer && !options.dryRun ? await mkdtemp(join(tmpdir(), 'submitit-optimize-')) : null;
+  let postcardDir = null;
+  let siteDir = null;
+  let result;
+  
+  try {
+    if (scrubDir) {
+      await scrubPackageFiles(packageManager, config, exportOptions, scrubDir, useStreaming);
+    }
+    
+    if (normalizeDir) {
+      await normalizePackageFiles(packageManager, config, exportOptions, normalizer, normalizeDir, useStreaming);
+    }
+    
+    // Runs on the scrubbed and normalized copies, so a file gets every treatment
+    if (optimizeDir) {
+      await optimizePackageFiles(packageManager, config, exportOptions, optimizer, optimizeDir, useStreaming);
+    }
+    
+    // Credentials block the export unless overridden; a dry run only reports them
+    const secrets = await scanForSecrets(packageManager, config, exportOptions, useStreaming);
+    if (secrets.findings.length > 0 && !options.dryRun) {
+      if (!options.allowSecrets) {
+        throw new SubmititError(
+          `Found ${secrets.findings.length} possible secret(s); export blocked`,
+          'SECRETS_DETECTED',
+          { findings: secrets.findings }
+        );
+      }
+      console.log(chalk.yellow('⚠️  Exporting anyway (--allow-secrets)'));
+    }
+    
+    if (options.since) {
+      console.log(chalk.blue(`🧮 Comparing with previous export: ${options.since}`));
+      exportOptions.delta = await new DeltaExport(packageManager).plan(config, options.since, {
+        ...exportOptions,
+        streaming: useStreaming
+      });
+      
+      const { added, changed, deleted, unchanged } = exportOptions.delta.record;
+      console.log(chalk.cyan(`   ${changed.length} changed, ${added.length} new, ${deleted.length} deleted, ${unchanged} unchanged`));
+    }
+    
+    if (options.dryRun) {
+      const plan = await packageManager.planPackageFiles(config, { ...exportOptions, streaming: useStreaming });
+      printDryRun(plan, exportOptions);
+      return;
+    }
+    
+    // The postcard is generated fresh for the package, outside the project tree
+    postcardDir = profile?.bundle.postcard ? await mkdtemp(join(tmpdir(), 'submitit-postcard-')) : null;
+    if (postcardDir) {
+      const postcard = await new PostCardGenerator().generatePostCard(config, layoutData, { outputDir: postcardDir, format: 'html' });
+      exportOptions.attachments = [{ name: 'postcard.html', sourcePath: postcard.path }];
+    }
+    
+    // Rendered from the files being packaged, so it shows scrubbed, normalized and optimized copies
+    siteDir = options.site || profile?.bundle.site ? await mkdtemp(join(tmpdir(), 'submitit-site-')) : null;
+    if (siteDir) {
+      const candidates = await packageManager.listPackageFiles(config, { ...exportOptions, streaming: useStreaming });
+      const site = await new StaticSiteBuilder({ cacheDir: join(process.cwd(), IMAGE_CACHE_DIR) }).build(config, candidates, siteDir);
+      exportOptions.attachments = [
+        ...(exportOptions.attachments || []),
+        ...site.files.map(file => ({ name: `site/${file.name}`, sourcePath: file.sourcePath }))
+      ];
+      console.log(chalk.blue(`🌐 Bundling static site: ${site.pages.length} page(s) under site/`));
+    }
+    
+    console.log(chalk.yellow('📦 Packaging files...'));
+    result = await writePackage(packageManager, splitArchive, config, exportOptions, { maxPartSize, useStreaming });
+  } finally {
+    if (postcardDir) await rm(postcardDir, { recursive: true, force: true });
+    if (siteDir) await rm(siteDir, { recursive: true, force: true });
+    if (scrubDir) await rm(scrubDir, { recursive: true, force: true });
+    if (normalizeDir) await rm(normalizeDir, { recursive: true, force: true });
+    if (optimizeDir) await rm(optimizeDir, { recursive: true, force: true });
+  }
+  
+  const files = packageManager.selectFiles(config, exportOptions);
+  
+  // Generate manifest with layout optimization data
+  const manifest = {
+    project: config.name,
+    exported: packageManager.resolveBuildDate(exportOptions).toISOString(),
+    files: files.map(f => ({
+      name: f.name,
+      type: f.type,
+      role: f.role,
+      size: f.size
+    })),
+    theme: config.theme,
+    format: exportOptions.format,
+    packageSize: result.size,
+    packagePath: result.path,
+    layoutOptimization: {
+      strategy: layoutData.strategy,
+      performance: layoutData.performance,
+      responsiveBreakpoints: layoutData.responsiveBreakpoints,
+      optimizedForTerminal: true,
+      yogaEngineVersion: '2.0.1'
+    },
+    deliveryMetrics: {
+      compressionRatio: result.compressionRatio || 1,
+      totalProcessingTime: result.processingTime || 0,
+      filesProcessed: files.length
+    }
+  };
+  
+  if (profile) {
+    manifest.profile = profile.name;
+  }
+  
+  if (result.compressionReport) {
+    manifest.deliveryMetrics.compression = result.compression;
+    manifest.deliveryMetrics.compressionByCategory = result.compressionReport;
+  }
+  
+  if (exportOptions.reproducible) {
+    manifest.files.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+  
+  if (exportOptions.delta) {
+    manifest.delta = exportOptions.delta.record;
+  }
+  
+  if (exportOptions.scrubbed) {
+    manifest.scrubbed = exportOptions.scrubbed;
+  }
+  
+  if (exportOptions.normalization) {
+    manifest.normalization = exportOptions.normalization;
+  }
+  
+  if (exportOptions.optimization) {
+    manifest.optimization = exportOptions.optimization;
+  }
+  
+  if (result.dedupe) {
+    manifest.dedupe = result.dedupe;
+  }
+  
+  // Content hashes, archive digest and optional signature for `submitit verify`
+  const submissionIntegrity = new SubmissionIntegrity();
+  if (result.parts) {
+    manifest.parts = { set: result.set, maxPartSize: result.maxPartSize, total: result.parts.length };
+    manifest.integrity = await submissionIntegrity.createPartsIntegrityBlock(result.integrity, result.parts);
+  } else {
+    manifest.integrity = await submissionIntegrity.createIntegrityBlock(result.integrity || {}, result.path);
+  }
+  
+  // The sidecar travels unencrypted, so it must not reveal what is inside
+  const sidecar = exportOptions.encryption ? redactForEncryption(manifest, exportOptions.encryption) : manifest;
+  
+  if (options.sign) {
+    const keyPath = typeof options.sign === 'string' ? options.sign : undefined;
+    sidecar.integrity.signature = await submissionIntegrity.sign(sidecar.integrity, keyPath);
+  }
+  
+  await writeFile(
+    join(exportOptions.outputPath, 'manifest.json'),
+    JSON.stringify(sidecar, null, 2)
+  );
+  
+  console.log(chalk.green('🎉 Export complete!'));
+  if (result.parts) {
+    console.log(chalk.cyan(`📁 Parts: ${result.parts.length} (max ${formatFileSize(result.maxPartSize)} each)`));
+    for (const part of result.parts) {
+      console.log(chalk.cyan(`   ${part.index}. ${part.path} - ${formatFileSize(part.size)}, ${part.files.length} file(s)`));
+    }
+  } else {
+    console.log(chalk.cyan(`📁 Package: ${result.path}`));
+  }
+  console.log(chalk.cyan(`📊 Size: ${formatFileSize(result.size)}`));
+  console.log(chalk.cyan(`📝 Manifest: ${join(exportOptions.outputPath, 'manifest.json')}`));
+  if (manifest.integrity.archive) {
+    console.log(chalk.cyan(`🔒 SHA-256: ${manifest.integrity.archive.sha256}`));
+  }
+  if (result.dedupe?.strategy === 'store-once') {
+    console.log(chalk.cyan(`♻️  Deduplicated: ${result.dedupe.duplicates.length} file(s), ${formatFileSize(result.dedupe.bytesSaved)} saved`));
+  }
+  if (exportOptions.encryption) {
+    console.log(chalk.cyan(`🔐 Encrypted: ${describeEncryption(exportOptions.encryption)}`));
+  }
+  if (sidecar.integrity.signature) {
+    console.log(chalk.cyan(`✍️  Signed with key ${sidecar.integrity.signature.keyId}`));
+  }
+  
+  if (profile) {
+    const exportProfiles = new ExportProfiles(packageManager);
+    if (profile.maxSize) {
+      console.log(chalk.cyan(`📏 Budget: ${formatFileSize(result.size)} of ${formatFileSize(profile.maxSize)}`));
+    }
+    exportProfiles.checkBudget(profile, result);
+    await exportProfiles.runHooks(profile, {
+      path: result.path,
+      size: result.size,
+      manifestPath: join(exportOptions.outputPath, 'manifest.json')
+    });
+  }
+}
+
+/**
+ * Check every file the export would package for credentials
+ * @returns {Promise<{findings: Array<Object>, allowed: number, scanned: number}>}
+ */
+async function scanForSecrets(packageManager, config, exportOptions, useStreaming) {
+  const scanner = new SecretScanner(config.secrets);
+  const files = await packageManager.listPackageFiles(config, { ...exportOptions, streaming: useStreaming });
+  const result = await scanner.scanFiles(files);
+  const allowed = result.allowed > 0 ? ` (${result.allowed} allowlisted)` : '';
+  
+  if (result.findings.length === 0) {
+    console.log(chalk.blue(`🔑 No secrets found in ${result.scanned} file(s)${allowed}`));
+    return result;
+  }
+  
+  console.log(chalk.red(`🔑 Found ${result.findings.length} possible secret(s)${allowed}:`));
+  for (const finding of result.findings) {
+    console.log(chalk.red(`   ${scanner.describe(finding)}`) + chalk.gray(` [${finding.fingerprint}]`));
+  }
+  return result;
+}
+
+/**
+ * Drop personal metadata (GPS, serials, author names, revision history)
+ */
+async function scrubPackageFiles(packageManager, config, exportOptions, scrubDir, useStreaming) {
+  const scrubber = new PrivacyScrubber();
+  const { report } = await substitutePackageFiles(packageManager, config, exportOptions, useStreaming, files => scrubber.scrubFiles(files, scrubDir), {
+    skipped: 'Not scrubbed',
+    none: '🧽 No personal metadata found to scrub',
+    done: report => `🧽 Scrubbed personal metadata from ${report.length} file(s):`,
+    line: ({ name, removed }) => `${name}: ${[...new Set(removed.map(finding => PRIVACY_CATEGORIES[finding.category]))].join(', ')}`
+  });
+  
+  exportOptions.scrubbed = report.map(({ name, removed }) => ({ name, removed: removed.map(finding => finding.field) }));
+}
+
+/**
+ * Convert text files to UTF-8 with the configured BOM and line endings
+ */
+async function normalizePackageFiles(packageManager, config, exportOptions, normalizer, normalizeDir, useStreaming) {
+  const { report, skipped } = await substitutePackageFiles(packageManager, config, exportOptions, useStreaming, files => normalizer.normalizeFiles(files, normalizeDir), {
+    skipped: 'Not normalized',
+    none: '🔤 Text files are already normalized',
+    done: report => `🔤 Normalized ${report.length} text file(s):`,
+    line: ({ name, actions }) => `${name}: ${actions.join(', ')}`
+  });
+  
+  exportOptions.normalization = { settings: { bom: normalizer.options.bom, lineEndings: normalizer.options.lineEndings }, files: report, skipped };
+}
+
+/**
+ * Recompress and downscale images and minify scripts, styles and markup
+ */
+async function optimizePackageFiles(packageManager, config, exportOptions, optimizer, optimizeDir, useStreaming) {
+  const { report, skipped } = await substitutePackageFiles(packageManager, config, exportOptions, useStreaming, files => optimizer.optimizeFiles(files, optimizeDir), {
+    skipped: 'Not optimized',
+    none: '🪶 Nothing to optimize',
+    done: report => {
+      const { before, after } = optimizer.summarize(report);
+      return `🪶 Optimized ${report.length} file(s): ${formatFileSize(before)} → ${formatFileSize(after)}`;
+    },
+    line: ({ name, actions, before, after }) => `${name}: ${actions.join(', ')} (${formatFileSize(before)} → ${formatFileSize(after)})`
+  });
+  
+  exportOptions.optimization = { ...optimizer.summarize(report), settings: optimizer.options, files: report, skipped };
+}
+
+/**
+ * Package the copies `write` makes in place of content files and print what
+ * changed; the project files are never modified
+ * @param {(files: Array<{name: string, sourcePath: string}>) => Promise<{substitutes: Map<string, string>, report: Array<Object>, skipped: Array<{name: string, reason: string}>}>} write
+ * @param {{skipped: string, none: string, done: (report: Array<Object>) => string, line: (entry: Object) => string}} messages
+ */
+async function substitutePackageFiles(packageManager, config, exportOptions, useStreaming, write, messages) {
+  const candidates = (await packageManager.listPackageFiles(config, { ...exportOptions, streaming: useStreaming }))
+    .filter(file => file.name.startsWith('content/'));
+  const result = await write(candidates);
+  
+  exportOptions.substitutes = new Map([...(exportOptions.substitutes || []), ...result.substitutes]);
+  
+  for (const { name, reason } of result.skipped || []) {
+    console.log(chalk.yellow(`⚠️  ${messages.skipped}: ${name} (${reason})`));
+  }
+  if (result.report.length === 0) {
+    console.log(chalk.blue(messages.none));
+    return result;
+  }
+  
+  console.log(chalk.blue(messages.done(result.report)));
+  for (const entry of result.report) {
+    console.log(chalk.gray(`   ${messages.line(entry)}`));
+  }
+  return result;
+}
+
+/**
+ * Print the --dry-run listing: every packaged file, then every exclusion and its rule
+ */
+function printDryRun({ included, excluded }, exportOptions) {
+  const totalSize = included.reduce((sum, file) => sum + file.size, 0);
+  
+  console.log(chalk.green(`🔎 Dry run: ${included.length} file(s), ${formatFileSize(totalSize)} would be packaged`));
+  for (const file of included) {
+    console.log(chalk.cyan(`   + ${file.name}`) + chalk.gray(` (${formatFileSize(file.size)})`));
+  }
+  
+  const generated = ['README.md', ...(exportOptions.includeManifest ? ['manifest.json'] : [])];
+  console.log(chalk.gray(`   + ${generated.join(', ')} (generated)`));
+  
+  if (excluded.length > 0) {
+    console.log(chalk.yellow(`🚫 Excluded: ${excluded.length}`));
+    for (const file of excluded) {
+      console.log(chalk.yellow(`   - ${file.name}`) + chalk.gray(`  ← ${file.rule}`));
+    }
+  }
+  
+  console.log(chalk.gray('   Nothing was written (--dry-run)'));
+}
+
+/**
+ * Write the package with the exporter the options call for
+ */
+async function writePackage(packageManager, splitArchive, config, exportOptions, { maxPartSize, useStreaming }) {
+  if (maxPartSize) {
+    return await exportSplitPackage(packageManager, splitArchive, config, exportOptions, maxPartSize);
+  }
+  
+  if (useStreaming) {
+    const streamingManager = new StreamingPackageManager();
+    try {
+      const result = await streamingManager.exportProjectStreaming(config, exportOptions);
+      result.path = result.outputPath;
+      return result;
+    } finally {
+      await streamingManager.cleanup();
+    }
+  }
+  
+  // @ts-ignore - exportProject is defined in the class
+  return await packageManager.exportProject?.(config, exportOptions, (progress) => {
+    const percent = Math.round(progress.percent);
+    console.log(chalk.blue(`📊 Progress: ${percent}% (${progress.processedBytes}/${progress.totalBytes} bytes)`));
+  });
+}
+
+/**
+ * Encryption settings for --encrypt: a password for ZIP, age recipients for TAR
+ * @returns {Promise<{password: string}|{recipients: string[]}>}
+ */
+async function resolveEncryption(options, config, format) {
+  const encryption = new PackageEncryption();
+  
+  if (format.toLowerCase() === 'zip') {
+    return { password: await encryption.readPassword(options.passwordFile) };
+  }
+  
+  if (['tar', 'tar.gz', 'tgz'].includes(format.toLowerCase())) {
+    const recipients = [...(config.encryption?.recipients || []), ...(options.recipient || [])];
+    if (recipients.length === 0) {
+      throw new Error('--encrypt for TAR needs recipients: add "encryption": { "recipients": ["age1..."] } to submitit.config.json or pass --recipient');
+    }
+    // Fail on a malformed key before packaging anything
+    recipients.forEach(recipient => encryption.parseRecipient(recipient));
+    return { recipients };
+  }
+  
+  throw new Error(`--encrypt supports zip (password) and tar (recipient keys), not ${format}`);
+}
+
+function describeEncryption(encryption) {
+  return encryption.password
+    ? 'AES-256 (WinZip AE-2), password protected'
+    : `age X25519 to ${encryption.recipients.length} recipient(s)`;
+}
+
+/**
+ * Sidecar manifest for an encrypted package: digests and signature only.
+ * File names and content hashes stay inside the encrypted manifest.
+ */
+function redactForEncryption(manifest, encryption) {
+  const { files, ...integrity } = manifest.integrity;
+  
+  return {
+    project: manifest.project,
+    exported: manifest.exported,
+    format: manifest.format,
+    packageSize: manifest.packageSize,
+    packagePath: manifest.packagePath,
+    encryption: encryption.password
+      ? { method: 'winzip-aes-256' }
+      : { method: 'age-x25519', recipients: encryption.recipients },
+    ...(manifest.parts && { parts: manifest.parts }),
+    integrity: {
+      ...integrity,
+      ...(integrity.parts && { parts: integrity.parts.map(({ files: partFiles, ...part }) => part) })
+    }
+  };
+}
+
+/**
+ * Write a split export: standalone ZIP parts, each within maxPartSize
+ * @returns {Promise<Object>} result with the parts, their combined size and all file hashes
+ */
+async function exportSplitPackage(packageManager, splitArchive, config, exportOptions, maxPartSize) {
+  const basePath = await packageManager.resolveOutputPath(config, exportOptions);
+  const split = await splitArchive.write(config, basePath, maxPartSize, exportOptions);
+  
+  const integrity = {};
+  for (const part of split.parts) {
+    Object.assign(integrity, part.integrity);
+  }
+  
+  return {
+    ...split,
+    path: split.parts[0].path,
+    size: split.parts.reduce((sum, part) => sum + part.size, 0),
+    integrity
+  };
+}
+
 /**
  * Format bytes into human-readable string
  * @param {number} bytes - File size in bytes
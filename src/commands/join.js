@@ -0,0 +1,52 @@
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { SplitArchive } from '../lib/SplitArchive.js';
+import { PackageEncryption } from '../lib/PackageEncryption.js';
+
+// Container-style export for DI integration
+/**
+ * Create a join command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Join command function
+ */
+export function createJoinCommand(container) {
+  return async (parts, options) => {
+    return await joinParts(parts, options);
+  };
+}
+
+/**
+ * @typedef {Object} JoinOptions
+ * @property {string} [output] - Path of the recombined ZIP
+ * @property {string} [passwordFile] - Password of encrypted parts (default $SUBMITIT_PASSWORD)
+ */
+
+/**
+ * Recombine the parts of a split export into a single package
+ * @param {string[]} parts - Every part of the set, in any order
+ * @param {JoinOptions} options - Join options
+ */
+export async function joinParts(parts, options = {}) {
+  try {
+    console.log(chalk.green(`🧷 Joining ${parts.length} part(s)...`));
+
+    const splitArchive = new SplitArchive();
+    const partPaths = parts.map(part => resolve(part));
+    const outputPath = options.output ? resolve(options.output) : splitArchive.defaultJoinPath(partPaths[0]);
+
+    if (partPaths.includes(outputPath)) {
+      throw new Error('Pass --output: the joined package would overwrite a part');
+    }
+
+    const keys = await new PackageEncryption().resolveDecryptionKeys({
+      passwordFile: options.passwordFile ? resolve(options.passwordFile) : undefined
+    });
+    const result = await splitArchive.join(partPaths, outputPath, keys);
+
+    console.log(chalk.green(`✅ Joined ${result.parts} part(s), ${result.files} file(s) → ${result.path}`));
+    return result;
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Join failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,36 @@
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { PackageEncryption } from '../lib/PackageEncryption.js';
+
+// Container-style export for DI integration
+/**
+ * Create a keygen command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Keygen command function
+ */
+export function createKeygenCommand(container) {
+  return async (identityPath, options) => {
+    return await generateIdentity(identityPath, options);
+  };
+}
+
+/**
+ * Create an age identity for receiving recipient-encrypted packages
+ * @param {string} [identityPath] - Where to write the identity (default ~/.submitit/age-identity.txt)
+ */
+export async function generateIdentity(identityPath) {
+  try {
+    const encryption = new PackageEncryption();
+    const target = identityPath ? resolve(identityPath) : encryption.options.identityPath;
+    const recipient = await encryption.writeIdentityFile(target);
+
+    console.log(chalk.green(`🔑 Identity written to ${target} (keep it private)`));
+    console.log(chalk.cyan(`📮 Public key: ${recipient}`));
+    console.log(chalk.gray('   Add it to "encryption.recipients" in submitit.config.json to encrypt TAR exports to it'));
+    return { identityPath: target, recipient };
+  } catch (/** @type {any} */ error) {
+    const message = error?.code === 'EEXIST' ? 'an identity file already exists there' : error?.message;
+    console.error(chalk.red('❌ Key generation failed:'), message || 'Unknown error');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,69 @@
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { ArchiveReader } from '../lib/ArchiveReader.js';
+import { PackageEncryption } from '../lib/PackageEncryption.js';
+import { DeltaExport } from '../lib/DeltaExport.js';
+
+// Container-style export for DI integration
+/**
+ * Create an open command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Open command function
+ */
+export function createOpenCommand(container) {
+  return async (archive, options) => {
+    return await openPackage(archive, options);
+  };
+}
+
+/**
+ * @typedef {Object} OpenOptions
+ * @property {string} [passwordFile] - File holding the ZIP password (default $SUBMITIT_PASSWORD)
+ * @property {string} [identity] - age identity file (default ~/.submitit/age-identity.txt)
+ * @property {string} [extract] - Directory to extract the decrypted files into
+ */
+
+/**
+ * Decrypt a package locally and list (or extract) its contents
+ * @param {string} archive - Path to the exported package
+ * @param {OpenOptions} options - Decryption options
+ */
+export async function openPackage(archive, options = {}) {
+  try {
+    const archivePath = resolve(archive);
+    console.log(chalk.green(`🔓 Opening ${archivePath}...`));
+
+    const keys = await new PackageEncryption().resolveDecryptionKeys({
+      passwordFile: options.passwordFile ? resolve(options.passwordFile) : undefined,
+      identity: options.identity ? resolve(options.identity) : undefined
+    });
+
+    if (options.extract) {
+      const outputDir = resolve(options.extract);
+      const written = await new DeltaExport().extractArchive(archivePath, outputDir, keys);
+      console.log(chalk.green(`✅ Extracted ${written.length} file(s) to ${outputDir}`));
+      return { files: written, outputDir };
+    }
+
+    const entries = [];
+    const reader = new ArchiveReader(archivePath, keys);
+
+    // Reading every entry authenticates it, so a listing doubles as a decryption check
+    for await (const entry of reader.entries()) {
+      if (entry.type === 'file') {
+        const size = (await reader.collect(entry.stream)).length;
+        entries.push({ name: entry.name, size });
+        console.log(`   ${String(size).padStart(10)}  ${entry.name}`);
+      } else if (entry.type === 'link') {
+        entries.push({ name: entry.name, linkname: entry.linkname });
+        console.log(`   ${'link'.padStart(10)}  ${entry.name} → ${entry.linkname}`);
+      }
+    }
+
+    console.log(chalk.green(`✅ ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} decrypted and authenticated`));
+    return { files: entries };
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Open failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+}
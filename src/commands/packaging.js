@@ -0,0 +1,111 @@
+/**
+ * Packaging Commands
+ *
+ * Registers export and the commands that open, check and rebuild exported
+ * packages. Shared by src/cli.js and the installed working-cli.js, so both
+ * accept the same flags.
+ */
+import { createExportCommand } from './export.js';
+import { createVerifyCommand } from './verify.js';
+import { createApplyDeltaCommand } from './applyDelta.js';
+import { createJoinCommand } from './join.js';
+import { createOpenCommand } from './open.js';
+import { createKeygenCommand } from './keygen.js';
+import { createScrubCommand } from './scrub.js';
+import { createCheckCommand } from './check.js';
+
+/**
+ * Register the packaging commands with the Commander program
+ * @param {Object} program - The Commander program instance
+ * @param {(createCommand: Function) => Function} withContainer - Turns a command factory into an action handler
+ */
+export function registerPackagingCommands(program, withContainer) {
+  // Export project
+  program
+    .command('export')
+    .description('Export your project as a packaged deliverable')
+    .option('-o, --output <path>', 'Output path')
+    .option('--format <format>', 'Output format (zip, tar, rar, iso, 7z; default: zip)')
+    .option('-n, --name <pattern>', 'Custom naming pattern (e.g., "{name}_{date}", "delivery_{name}_{theme}")')
+    .option('--streaming', 'Use streaming export for large projects')
+    .option('--tar-compression <codec>', 'TAR compression: gzip or zstd (zstd needs Node.js 22.15+, uses the streaming exporter)')
+    .option('--dedupe <strategy>', 'Duplicate files: off (default), store-once, warn or fail (uses the streaming exporter)')
+    .option('--reproducible', 'Produce byte-identical archives (honours SOURCE_DATE_EPOCH)')
+    .option('--sign [keyPath]', 'Sign the manifest with an Ed25519 key (default ~/.submitit/signing-key.pem)')
+    .option('--since <manifest|archive>', 'Only package files changed since a previous export (delta package)')
+    .option('--max-part-size <size>', 'Split a ZIP export into standalone parts no larger than this (e.g. 25MB)')
+    .option('--encrypt', 'Encrypt the package: AES-256 password for ZIP, age recipient keys for TAR')
+    .option('--password-file <path>', 'Read the ZIP password from a file (default: $SUBMITIT_PASSWORD)')
+    .option('--recipient <key...>', 'Extra age recipient(s) for TAR, besides encryption.recipients in the config')
+    .option('--profile <name>', 'Export with a named profile from exportProfiles in submitit.config.json')
+    .option('--all-profiles', 'Export every profile in exportProfiles in one pass')
+    .option('--include <glob...>', 'Only package content files matching these globs')
+    .option('--exclude <glob...>', 'Leave out files matching these globs (on top of .submitignore)')
+    .option('--only-roles <roles>', 'Only package files with these roles (comma-separated, e.g. resume,projects)')
+    .option('--dry-run', 'List the files that would be packaged and the rule excluding each other file')
+    .option('--scrub', 'Package copies of content files with GPS, author and revision metadata removed')
+    .option('--normalize', 'Package UTF-8 copies of text files with consistent line endings')
+    .option('--optimize', 'Package recompressed, downscaled and minified copies of images, HTML, CSS, JS and SVG')
+    .option('--site', 'Bundle the preview as a static HTML site under site/')
+    .option('--allow-secrets', 'Export even if API keys, private keys or credential files are found')
+    .action(withContainer(createExportCommand));
+
+  // Verify an exported package
+  program
+    .command('verify <archive>')
+    .description('Verify a package against its manifest hashes and signature')
+    .option('--manifest <path>', 'Sidecar manifest (defaults to manifest.json next to the archive)')
+    .option('--public-key <path>', 'Require a signature from this Ed25519 public key')
+    .option('--password-file <path>', 'Password for an encrypted ZIP (default: $SUBMITIT_PASSWORD)')
+    .option('--identity <path>', 'age identity for a recipient-encrypted TAR (default: ~/.submitit/age-identity.txt)')
+    .action(withContainer(createVerifyCommand));
+
+  // Rebuild a full tree from delta packages
+  program
+    .command('apply-delta <base> <deltas...>')
+    .description('Rebuild the full submission from a base export and delta packages (oldest first)')
+    .option('-o, --output <path>', 'Output directory (default: <base>-rebuilt)')
+    .option('--force', 'Apply even if a delta does not match its parent')
+    .action(withContainer(createApplyDeltaCommand));
+
+  // Decrypt and inspect an encrypted package
+  program
+    .command('open <archive>')
+    .description('Decrypt a package locally and list its contents')
+    .option('--password-file <path>', 'Password for an encrypted ZIP (default: $SUBMITIT_PASSWORD)')
+    .option('--identity <path>', 'age identity for a recipient-encrypted TAR (default: ~/.submitit/age-identity.txt)')
+    .option('-x, --extract <dir>', 'Extract the decrypted files into a directory')
+    .action(withContainer(createOpenCommand));
+
+  // Create a key pair for recipient encryption
+  program
+    .command('keygen [identityPath]')
+    .description('Create an age identity for receiving encrypted TAR packages')
+    .action(withContainer(createKeygenCommand));
+
+  // Recombine a split export
+  program
+    .command('join <parts...>')
+    .description('Recombine the parts of a --max-part-size export into one package')
+    .option('-o, --output <path>', 'Output package (default: the part name without .partNN)')
+    .option('--password-file <path>', 'Password of encrypted parts (default: $SUBMITIT_PASSWORD)')
+    .action(withContainer(createJoinCommand));
+
+  // Remove personal metadata
+  program
+    .command('scrub [paths...]')
+    .description('Find and remove GPS, device serial, author and revision metadata (originals are not modified)')
+    .option('-o, --output <dir>', 'Directory for the sanitized copies (default: scrubbed/)')
+    .option('--dry-run', 'Only report the metadata found')
+    .action(withContainer(createScrubCommand));
+
+  // Check against submission rules
+  program
+    .command('check')
+    .description('Check files against the assignment or portal rules in submitit.rules.json/.yaml')
+    .option('-r, --rules <path>', 'Ruleset file (default: submitit.rules.json, .yaml or .yml)')
+    .option('--junit <path>', 'Write a JUnit XML report')
+    .option('--json <path>', 'Write a JSON report')
+    .option('--at <date>', 'Evaluate the deadline as of this date instead of now')
+    .action(withContainer(createCheckCommand));
+}
@@ -0,0 +1,99 @@
+import { mkdir, readdir, stat } from 'fs/promises';
+import { basename, dirname, join, relative, resolve } from 'path';
+import chalk from 'chalk';
+import { PrivacyScrubber } from '../lib/PrivacyScrubber.js';
+
+// Container-style export for DI integration
+/**
+ * Create a scrub command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Scrub command function
+ */
+export function createScrubCommand(container) {
+  return async (paths, options) => {
+    return await scrubFiles(paths, options);
+  };
+}
+
+/**
+ * @typedef {Object} ScrubOptions
+ * @property {string} [output] - Directory for the sanitized copies (default: scrubbed/)
+ * @property {boolean} [dryRun] - Report personal metadata without writing anything
+ */
+
+/**
+ * Report and remove GPS, device serial, author and revision metadata. The
+ * originals are left alone; sanitized copies keep their paths under the output directory.
+ * @param {string[]} paths - Files or directories (default: content/)
+ * @param {ScrubOptions} options - Scrub options
+ */
+export async function scrubFiles(paths = [], options = {}) {
+  try {
+    const targets = paths.length > 0 ? paths.map(path => resolve(path)) : [join(process.cwd(), 'content')];
+    const outputDir = resolve(options.output || 'scrubbed');
+    const scrubber = new PrivacyScrubber();
+
+    const files = [];
+    for (const target of targets) {
+      files.push(...await collectFiles(target, outputDir));
+    }
+
+    console.log(chalk.green(`🧽 Checking ${files.length} file(s) for personal metadata...`));
+
+    const results = [];
+    for (const filePath of files) {
+      const { findings } = await scrubber.scan(filePath);
+      if (findings.length === 0) continue;
+
+      const name = relative(process.cwd(), filePath);
+      console.log(chalk.yellow(`\n📄 ${name}`));
+      for (const finding of findings) {
+        const note = finding.scrubbable === false ? chalk.red(' (cannot be removed automatically)') : '';
+        console.log(chalk.gray(`   ${scrubber.describe(finding)}`) + note);
+      }
+
+      if (options.dryRun) {
+        results.push({ path: filePath, findings });
+        continue;
+      }
+
+      // Paths outside the working directory keep only their base name
+      const outputPath = join(outputDir, name.startsWith('..') ? basename(filePath) : name);
+      await mkdir(dirname(outputPath), { recursive: true });
+      const { removed } = await scrubber.scrub(filePath, outputPath);
+      console.log(chalk.cyan(`   → ${relative(process.cwd(), outputPath)} (${removed.length} removed)`));
+      results.push({ path: filePath, outputPath, findings, removed });
+    }
+
+    if (results.length === 0) {
+      console.log(chalk.green('✅ No personal metadata found'));
+    } else if (options.dryRun) {
+      console.log(chalk.yellow(`\n⚠️  ${results.length} file(s) carry personal metadata. Run without --dry-run, or export with --scrub.`));
+    } else {
+      console.log(chalk.green(`\n✅ Wrote ${results.length} sanitized file(s) to ${relative(process.cwd(), outputDir) || '.'}`));
+    }
+
+    return results;
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Scrub failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+}
+
+/**
+ * Files under a path in sorted order, skipping earlier scrub output
+ */
+async function collectFiles(target, outputDir) {
+  if (!(await stat(target)).isDirectory()) return [target];
+  if (target === outputDir) return [];
+
+  const entries = await readdir(target, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    files.push(...await collectFiles(join(target, entry.name), outputDir));
+  }
+  return files;
+}
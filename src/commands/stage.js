@@ -2,8 +2,6 @@ import { join } from 'path';
 import chalk from 'chalk';
 import React from 'react';
 import { render } from 'ink';
-import FileStagingModule from '../modules/FileStagingModule/FileStagingModule.js';
-import { neonTheme } from '../themes/neonTheme.js';
 
 /**
  * Creates the stage command for the CLI
@@ -14,21 +12,25 @@ export function createStageCommand(container) {
   return async (options = {}) => {
     try {
       console.log(chalk.blue('🚀 Launching File Staging Module...'));
+
+      // Loaded on use: the module and theme are TypeScript and only exist as .js in a build
+      const { default: FileStagingModule } = await import('../modules/FileStagingModule/FileStagingModule.js');
+      const { neonTheme } = await import('../themes/neonTheme.js');
       
       // Render the File Staging Module with Ink
       const { waitUntilExit } = render(
-        <FileStagingModule 
-          initialPath={join(process.cwd(), options.path || '.')}
-          theme={neonTheme}
-          onComplete={(files) => {
+        React.createElement(FileStagingModule, {
+          initialPath: join(process.cwd(), options.path || '.'),
+          theme: neonTheme,
+          onComplete: (files) => {
             console.log(chalk.green(`✅ Successfully staged ${files.length} files`));
             process.exit(0);
-          }}
-          onCancel={() => {
+          },
+          onCancel: () => {
             console.log(chalk.yellow('❌ File staging cancelled'));
             process.exit(1);
-          }}
-        />
+          }
+        })
       );
 
       // Wait for the component to unmount
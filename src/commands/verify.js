@@ -0,0 +1,94 @@
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { SubmissionIntegrity } from '../lib/SubmissionIntegrity.js';
+import { PackageEncryption } from '../lib/PackageEncryption.js';
+
+// Container-style export for DI integration
+/**
+ * Create a verify command function
+ * @param {Object} container - Dependency injection container
+ * @returns {Function} Verify command function
+ */
+export function createVerifyCommand(container) {
+  return async (archive, options) => {
+    return await verifyPackage(archive, options);
+  };
+}
+
+/**
+ * @typedef {Object} VerifyOptions
+ * @property {string} [manifest] - Sidecar manifest path
+ * @property {string} [publicKey] - Trusted Ed25519 public key (PEM)
+ * @property {string} [passwordFile] - Password for an encrypted ZIP (default $SUBMITIT_PASSWORD)
+ * @property {string} [identity] - age identity for a recipient-encrypted TAR
+ */
+
+/**
+ * Verify an exported package against its recorded hashes
+ * @param {string} archive - Path to the exported archive
+ * @param {VerifyOptions} options - Verification options
+ */
+export async function verifyPackage(archive, options = {}) {
+  const archivePath = resolve(archive);
+  console.log(chalk.green(`🔍 Verifying ${archivePath}...`));
+
+  let report;
+  try {
+    const integrity = new SubmissionIntegrity();
+    const keys = await new PackageEncryption().resolveDecryptionKeys({
+      passwordFile: options.passwordFile ? resolve(options.passwordFile) : undefined,
+      identity: options.identity ? resolve(options.identity) : undefined
+    });
+    report = await integrity.verifyArchive(archivePath, {
+      manifestPath: options.manifest ? resolve(options.manifest) : null,
+      publicKeyPath: options.publicKey ? resolve(options.publicKey) : null,
+      keys
+    });
+  } catch (/** @type {any} */ error) {
+    console.error(chalk.red('❌ Verification failed:'), error?.message || 'Unknown error');
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`📄 ${report.verified} file(s) match their recorded SHA-256`));
+
+  for (const name of report.missing) {
+    console.log(chalk.red(`   ✗ missing: ${name}`));
+  }
+  for (const name of report.extra) {
+    console.log(chalk.red(`   ✗ extra: ${name}`));
+  }
+  for (const { name, expected, actual } of report.altered) {
+    console.log(chalk.red(`   ✗ altered: ${name}`));
+    console.log(chalk.gray(`       expected ${expected}`));
+    console.log(chalk.gray(`       actual   ${actual}`));
+  }
+
+  if (report.archiveDigest) {
+    const line = `📦 Archive digest ${report.archiveDigest.ok ? 'matches' : 'does not match'} the manifest`;
+    console.log(report.archiveDigest.ok ? chalk.green(line) : chalk.red(line));
+  }
+
+  if (report.signature?.present) {
+    if (!report.signature.valid) {
+      console.log(chalk.red('✍️  Signature is INVALID'));
+    } else if (report.signature.trusted) {
+      console.log(chalk.green(`✍️  Signature valid for trusted key ${report.signature.keyId}`));
+    } else {
+      console.log(chalk.yellow(`✍️  Signature valid for embedded key ${report.signature.keyId} (pass --public-key to pin it)`));
+    }
+  } else if (report.signature) {
+    console.log(chalk.gray('✍️  Package is not signed'));
+  }
+
+  for (const warning of report.warnings) {
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+  }
+
+  if (!report.ok) {
+    console.error(chalk.red('❌ Package verification failed'));
+    process.exit(1);
+  }
+
+  console.log(chalk.green('✅ Package verified'));
+  return report;
+}
@@ -75,6 +75,19 @@ export class ErrorHandler {
       'VALIDATION_ERROR': 'Input Validation Failed',
       'NINJA_BUILD_ERROR': 'Build Process Failed',
       'LAYOUT_ERROR': 'Layout Calculation Failed',
+      'FORMAT_UNAVAILABLE': 'Export Format Unavailable',
+      'DELTA_MISMATCH': 'Delta Does Not Match Its Parent',
+      'DUPLICATE_FILES': 'Duplicate Files Found',
+      'PART_TOO_LARGE': 'File Exceeds Part Size',
+      'SPLIT_INCOMPLETE': 'Split Export Is Incomplete',
+      'ENCRYPTION_KEY_MISSING': 'Encryption Key Needed',
+      'DECRYPTION_FAILED': 'Could Not Decrypt Package',
+      'PROFILE_NOT_FOUND': 'Export Profile Not Found',
+      'SIZE_BUDGET_EXCEEDED': 'Package Over Size Budget',
+      'HOOK_FAILED': 'Post-Export Hook Failed',
+      'SECRETS_DETECTED': 'Possible Secrets in Package',
+      'PDF_UNREADABLE': 'Cannot Read PDF',
+      'PREVIEW_PORT_UNAVAILABLE': 'No Free Port for Preview',
       'UNKNOWN': 'Unexpected Error'
     };
     
@@ -110,6 +123,65 @@ export class ErrorHandler {
         'Simplify your layout configuration',
         'Check for conflicting CSS properties',
         'Run with --debug-layout to see Yoga tree'
+      ],
+      'FORMAT_UNAVAILABLE': [
+        'Choose a built-in format with --format zip, tar, iso or 7z',
+        'Install the required archiver and make sure it is on your PATH'
+      ],
+      'DELTA_MISMATCH': [
+        'Apply deltas in order, starting from the full export they were made against',
+        'Pass --since the manifest.json written next to the previous package',
+        'Use --force only if you know the base was legitimately re-packed'
+      ],
+      'DUPLICATE_FILES': [
+        'Remove the duplicate copies from content/',
+        'Export with --dedupe store-once to store each duplicate only once',
+        'Use --dedupe warn to export anyway and list the duplicates'
+      ],
+      'PART_TOO_LARGE': [
+        'Raise --max-part-size above the size of the largest file',
+        'Compress or shrink the file before adding it to the project'
+      ],
+      'SPLIT_INCOMPLETE': [
+        'Pass every part of the export to "submitit join"',
+        'Make sure all parts come from the same export run',
+        'Run "submitit verify" on each part to find a damaged one'
+      ],
+      'ENCRYPTION_KEY_MISSING': [
+        'Set SUBMITIT_PASSWORD or pass --password-file for encrypted ZIP packages',
+        'Pass --identity (or create ~/.submitit/age-identity.txt with "submitit keygen") for encrypted TAR packages'
+      ],
+      'DECRYPTION_FAILED': [
+        'Check the password, or that the package was encrypted to your public key',
+        'Download the package again; a damaged file fails authentication'
+      ],
+      'PROFILE_NOT_FOUND': [
+        'Check the profile name against "exportProfiles" in submitit.config.json',
+        'Use --all-profiles to export every defined profile'
+      ],
+      'SIZE_BUDGET_EXCEEDED': [
+        'Exclude roles the destination does not need with "roles": { "exclude": [...] }',
+        'Set "bundle": { "preview": false } to leave the preview out',
+        'Raise the profile\'s "maxSize" or split the export with "maxPartSize"'
+      ],
+      'HOOK_FAILED': [
+        'Run the hook command by hand to see why it fails',
+        'Hooks get SUBMITIT_PACKAGE, SUBMITIT_MANIFEST, SUBMITIT_PACKAGE_SIZE and SUBMITIT_PROFILE'
+      ],
+      'SECRETS_DETECTED': [
+        'Remove the credential from the file and rotate it; it may already be exposed',
+        'Leave credential files out with .submitignore or --exclude',
+        'Mark a false positive with a "submitit-allow-secret" comment, or add its fingerprint to "secrets.allowlist" in submitit.config.json',
+        'Pass --allow-secrets to export anyway'
+      ],
+      'PDF_UNREADABLE': [
+        'Open the file in a PDF viewer to check that it is not damaged',
+        'Re-export or "print to PDF" from the original document',
+        'Very large PDFs are not inspected; compress or split the file'
+      ],
+      'PREVIEW_PORT_UNAVAILABLE': [
+        'Stop other previews or dev servers using these ports',
+        'Pick another starting port with --port, or --port 0 for any free port'
       ]
     };
 
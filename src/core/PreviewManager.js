@@ -10,6 +10,134 @@ import { createMemoComponent } from '../ninja/MemoizedInkRenderer.js';
 
 const execAsync = promisify(exec);
 
+// CSS variables per preview theme; other themes get the neutral palette
+const THEME_COLORS = {
+  neon: { bg: '#0d1117', text: '#8fbfff', border: '#6aa9ff', accent: '#4d7dff' },
+  crt: { bg: '#00110a', text: '#35ff6d', border: '#00ff41', accent: '#00ff41' },
+  default: { bg: '#1a1a1a', text: '#ffffff', border: '#333333', accent: '#0066cc' }
+};
+
+const MAIN_PAGE_STYLES = `
+    .preview-header {
+      text-align: center;
+      margin-bottom: 2rem;
+    }
+    
+    .theme-info {
+      color: var(--accent);
+      font-size: 0.9em;
+      margin-top: 0.5rem;
+    }
+    
+    .role-navigation {
+      display: flex;
+      gap: 1rem;
+      margin-bottom: 2rem;
+      flex-wrap: wrap;
+    }
+    
+    .role-link {
+      padding: 0.5rem 1rem;
+      border: 1px solid var(--border);
+      text-decoration: none;
+      color: var(--text);
+      transition: all 0.3s;
+    }
+    
+    .role-link:hover {
+      background: var(--accent);
+      color: var(--bg);
+    }
+    
+    .file-count {
+      opacity: 0.7;
+      font-size: 0.8em;
+    }
+    
+    .content-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+      gap: 1rem;
+    }
+    
+    .role-preview h2 {
+      margin-top: 0;
+    }
+    
+    .content-sample {
+      margin: 1rem 0;
+      opacity: 0.9;
+      max-height: 200px;
+      overflow: hidden;
+    }
+    
+    .view-all {
+      color: var(--accent);
+      text-decoration: none;
+      font-weight: bold;
+    }
+`;
+
+const ROLE_PAGE_STYLES = `
+    .role-header {
+      text-align: center;
+      margin-bottom: 2rem;
+    }
+    
+    .role-meta {
+      color: var(--accent);
+      font-size: 0.9em;
+    }
+    
+    .breadcrumb {
+      margin-bottom: 2rem;
+    }
+    
+    .breadcrumb a {
+      color: var(--accent);
+      text-decoration: none;
+    }
+    
+    .file-content {
+      margin-bottom: 2rem;
+    }
+    
+    .file-header {
+      border-bottom: 1px solid var(--border);
+      padding-bottom: 0.5rem;
+      margin-bottom: 1rem;
+    }
+    
+    .file-header h2 {
+      margin: 0;
+    }
+    
+    .file-meta {
+      font-size: 0.8em;
+      opacity: 0.7;
+      margin-top: 0.5rem;
+    }
+    
+    .file-body {
+      line-height: 1.7;
+    }
+    
+    .file-body pre {
+      background: rgba(0,0,0,0.5);
+      padding: 1rem;
+      overflow-x: auto;
+      border-left: 3px solid var(--accent);
+    }
+    
+    .file-body img {
+      max-width: 100%;
+      height: auto;
+      border: 1px solid var(--border);
+    }
+`;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif'];
+
 export class PreviewManager {
   constructor() {
     this.astroProcess = null;
@@ -17,7 +145,6 @@ export class PreviewManager {
     this.previewPort = 4321;
     this.browshPort = 8080;
     this.isRunning = false;
-    this.hotReloadClients = new Set();
     this.previewCache = new Map();
     this.layoutModes = ['desktop', 'mobile', 'terminal'];
     this.currentMode = 'desktop';
@@ -29,7 +156,6 @@ export class PreviewManager {
   async initialize(projectPath = './') {
     try {
       await this.setupAstroProject(projectPath);
-      await this.setupHotReload();
       return true;
     } catch (error) {
       throw globalErrorHandler.createError(
@@ -119,61 +245,12 @@ const { title, theme = 'neon' } = Astro.props;
 ---
 
 <!DOCTYPE html>
-<html lang="en">
+<html lang="en" data-theme={theme}>
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>{title}</title>
-  <style>
-    :root {
-      --bg: ${theme === 'neon' ? '#0d1117' : theme === 'crt' ? '#00110a' : '#1a1a1a'};
-      --text: ${theme === 'neon' ? '#8fbfff' : theme === 'crt' ? '#35ff6d' : '#ffffff'};
-      --border: ${theme === 'neon' ? '#6aa9ff' : theme === 'crt' ? '#00ff41' : '#333333'};
-      --accent: ${theme === 'neon' ? '#4d7dff' : theme === 'crt' ? '#00ff41' : '#0066cc'};
-    }
-    
-    body {
-      background: var(--bg);
-      color: var(--text);
-      font-family: 'Courier New', monospace;
-      margin: 0;
-      padding: 20px;
-      line-height: 1.6;
-    }
-    
-    .container {
-      max-width: 80ch;
-      margin: 0 auto;
-      border: 2px solid var(--border);
-      border-radius: 8px;
-      padding: 20px;
-      box-shadow: 0 0 20px var(--border);
-    }
-    
-    h1, h2, h3 { color: var(--accent); }
-    a { color: var(--accent); }
-    
-    .retro-frame {
-      border: 1px solid var(--border);
-      padding: 10px;
-      margin: 10px 0;
-      background: rgba(0,0,0,0.3);
-    }
-  </style>
-  <script>
-    // Hot reload client
-    if (import.meta.hot) {
-      import.meta.hot.accept();
-    }
-    
-    // Connect to preview manager
-    const ws = new WebSocket('ws://localhost:8081');
-    ws.onmessage = (event) => {
-      if (event.data === 'reload') {
-        window.location.reload();
-      }
-    };
-  </script>
+  <style is:global>${this.getBaseStyles()}</style>
 </head>
 <body>
   <div class="container">
@@ -200,30 +277,6 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     await writeFile(join(pagesDir, 'index.astro'), indexPage);
   }
 
-  /**
-   * Setup hot reload WebSocket server
-   */
-  async setupHotReload() {
-    try {
-      // Simple WebSocket implementation for hot reload
-      const { WebSocketServer } = await import('ws');
-      
-      this.hotReloadServer = new WebSocketServer({ port: 8081 });
-      
-      this.hotReloadServer.on('connection', (ws) => {
-        this.hotReloadClients.add(ws);
-        
-        ws.on('close', () => {
-          this.hotReloadClients.delete(ws);
-        });
-      });
-      
-    } catch (error) {
-      // Fallback if WebSocket not available
-      console.warn('WebSocket not available, hot reload disabled');
-    }
-  }
-
   /**
    * Start preview server
    */
@@ -272,13 +325,7 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     const astroDir = join('.submitit', 'preview');
     const pagesDir = join(astroDir, 'src', 'pages');
 
-    // Group files by role
-    const filesByRole = {};
-    for (const file of projectFiles) {
-      const role = file.role || 'content';
-      if (!filesByRole[role]) filesByRole[role] = [];
-      filesByRole[role].push(file);
-    }
+    const filesByRole = this.groupFilesByRole(projectFiles);
 
     // Generate main page
     const mainPage = this.generateMainPage(filesByRole, theme, mode);
@@ -294,26 +341,119 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     this.previewCache.set('content', { filesByRole, theme, mode, timestamp: Date.now() });
   }
 
+  /**
+   * Project files grouped by role, in the order roles first appear
+   */
+  groupFilesByRole(projectFiles) {
+    const filesByRole = {};
+    for (const file of projectFiles) {
+      const role = file.role || 'content';
+      if (!filesByRole[role]) filesByRole[role] = [];
+      filesByRole[role].push(file);
+    }
+    return filesByRole;
+  }
+
+  /**
+   * Layout CSS shared by the Astro preview and the static site; the theme
+   * is picked with a data-theme attribute on <html>
+   */
+  getBaseStyles() {
+    const variables = ({ bg, text, border, accent }) =>
+      `--bg: ${bg};\n      --text: ${text};\n      --border: ${border};\n      --accent: ${accent};`;
+
+    return `
+    :root {
+      ${variables(THEME_COLORS.default)}
+    }
+    ${Object.entries(THEME_COLORS).filter(([name]) => name !== 'default').map(([name, colors]) => `
+    [data-theme="${name}"] {
+      ${variables(colors)}
+    }`).join('')}
+    
+    body {
+      background: var(--bg);
+      color: var(--text);
+      font-family: 'Courier New', monospace;
+      margin: 0;
+      padding: 20px;
+      line-height: 1.6;
+    }
+    
+    .container {
+      max-width: 80ch;
+      margin: 0 auto;
+      border: 2px solid var(--border);
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 0 20px var(--border);
+    }
+    
+    h1, h2, h3 { color: var(--accent); }
+    a { color: var(--accent); }
+    
+    .retro-frame {
+      border: 1px solid var(--border);
+      padding: 10px;
+      margin: 10px 0;
+      background: rgba(0,0,0,0.3);
+    }
+    
+    /* Opened by linking to its id, closed by linking anywhere else */
+    .lightbox {
+      display: none;
+      position: fixed;
+      inset: 0;
+      z-index: 100;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0,0,0,0.85);
+    }
+    
+    .lightbox:target, .lightbox.is-open { display: flex; }
+    .lightbox img { max-width: 90vw; max-height: 90vh; }
+`;
+  }
+
+  /**
+   * Styles for the overview page (main) or a role page (role)
+   * @param {'main'|'role'} page
+   */
+  getPageStyles(page) {
+    return page === 'main' ? MAIN_PAGE_STYLES : ROLE_PAGE_STYLES;
+  }
+
   /**
    * Generate main preview page
    */
   generateMainPage(filesByRole, theme, mode) {
-    const roles = Object.keys(filesByRole);
-    
     return `---
 import BaseLayout from '../layouts/BaseLayout.astro';
 ---
 
 <BaseLayout title="Submitit Project" theme="${theme}">
-  <div class="preview-header">
+  ${this.renderMainContent(filesByRole, theme, mode, role => `/${role}`)}
+
+  <style>${MAIN_PAGE_STYLES}</style>
+</BaseLayout>`;
+  }
+
+  /**
+   * Overview markup: role navigation and a sample of the first three roles
+   * @param {(role: string) => string} roleHref - Link to a role's page
+   */
+  renderMainContent(filesByRole, theme, mode, roleHref) {
+    const roles = Object.keys(filesByRole);
+
+    return `<div class="preview-header">
     <h1>✧ Project Preview ✧</h1>
     <div class="theme-info">Theme: ${theme} | Mode: ${mode}</div>
   </div>
 
   <nav class="role-navigation">
     ${roles.map(role => `
-      <a href="/${role}" class="role-link">
-        ${this.getRoleIcon(role)} ${role.charAt(0).toUpperCase() + role.slice(1)}
+      <a href="${roleHref(role)}" class="role-link">
+        ${this.getRoleIcon(role)} ${this.formatRoleName(role)}
         <span class="file-count">(${filesByRole[role].length})</span>
       </a>
     `).join('\n    ')}
@@ -321,77 +461,15 @@ import BaseLayout from '../layouts/BaseLayout.astro';
 
   <main class="content-grid">
     ${roles.slice(0, 3).map(role => `
-      <div class="role-preview retro-frame">
-        <h2>${this.getRoleIcon(role)} ${role.charAt(0).toUpperCase() + role.slice(1)}</h2>
-        <div class="content-sample">
+      <div class="role-preview retro-frame" data-role="${this.escapeHtml(role)}">
+        <h2>${this.getRoleIcon(role)} ${this.formatRoleName(role)}</h2>
+        <div class="content-sample" data-file="${this.escapeHtml(filesByRole[role][0].name)}">
           ${this.generateContentSample(filesByRole[role][0])}
         </div>
-        <a href="/${role}" class="view-all">View all ${role} →</a>
+        <a href="${roleHref(role)}" class="view-all">View all ${role} →</a>
       </div>
     `).join('\n    ')}
-  </main>
-
-  <style>
-    .preview-header {
-      text-align: center;
-      margin-bottom: 2rem;
-    }
-    
-    .theme-info {
-      color: var(--accent);
-      font-size: 0.9em;
-      margin-top: 0.5rem;
-    }
-    
-    .role-navigation {
-      display: flex;
-      gap: 1rem;
-      margin-bottom: 2rem;
-      flex-wrap: wrap;
-    }
-    
-    .role-link {
-      padding: 0.5rem 1rem;
-      border: 1px solid var(--border);
-      text-decoration: none;
-      color: var(--text);
-      transition: all 0.3s;
-    }
-    
-    .role-link:hover {
-      background: var(--accent);
-      color: var(--bg);
-    }
-    
-    .file-count {
-      opacity: 0.7;
-      font-size: 0.8em;
-    }
-    
-    .content-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-      gap: 1rem;
-    }
-    
-    .role-preview h2 {
-      margin-top: 0;
-    }
-    
-    .content-sample {
-      margin: 1rem 0;
-      opacity: 0.9;
-      max-height: 200px;
-      overflow: hidden;
-    }
-    
-    .view-all {
-      color: var(--accent);
-      text-decoration: none;
-      font-weight: bold;
-    }
-  </style>
-</BaseLayout>`;
+  </main>`;
   }
 
   /**
@@ -402,21 +480,33 @@ import BaseLayout from '../layouts/BaseLayout.astro';
 import BaseLayout from '../layouts/BaseLayout.astro';
 ---
 
-<BaseLayout title="${role.charAt(0).toUpperCase() + role.slice(1)} - Submitit" theme="${theme}">
-  <div class="role-header">
-    <h1>${this.getRoleIcon(role)} ${role.charAt(0).toUpperCase() + role.slice(1)}</h1>
+<BaseLayout title="${this.formatRoleName(role)} - Submitit" theme="${theme}">
+  ${this.renderRoleContent(role, files, '/')}
+
+  <style>${ROLE_PAGE_STYLES}</style>
+</BaseLayout>`;
+  }
+
+  /**
+   * Role page markup: one article per file. data-role and data-file mark
+   * what the live preview re-renders when a file changes.
+   * @param {string} indexHref - Link back to the overview
+   */
+  renderRoleContent(role, files, indexHref) {
+    return `<div class="role-header">
+    <h1>${this.getRoleIcon(role)} ${this.formatRoleName(role)}</h1>
     <div class="role-meta">${files.length} file${files.length !== 1 ? 's' : ''}</div>
   </div>
 
   <nav class="breadcrumb">
-    <a href="/">← Back to Overview</a>
+    <a href="${indexHref}">← Back to Overview</a>
   </nav>
 
-  <main class="role-content">
-    ${files.map((file, index) => `
-      <article class="file-content retro-frame">
+  <main class="role-content" data-role="${this.escapeHtml(role)}">
+    ${files.map(file => `
+      <article class="file-content retro-frame" data-file="${this.escapeHtml(file.name)}">
         <header class="file-header">
-          <h2>${file.name}</h2>
+          <h2>${this.escapeHtml(file.name)}</h2>
           <div class="file-meta">
             ${file.size} bytes • ${file.extension} • ${new Date(file.mtime).toLocaleDateString()}
           </div>
@@ -426,72 +516,26 @@ import BaseLayout from '../layouts/BaseLayout.astro';
         </div>
       </article>
     `).join('\n    ')}
-  </main>
+  </main>`;
+  }
 
-  <style>
-    .role-header {
-      text-align: center;
-      margin-bottom: 2rem;
-    }
-    
-    .role-meta {
-      color: var(--accent);
-      font-size: 0.9em;
-    }
-    
-    .breadcrumb {
-      margin-bottom: 2rem;
-    }
-    
-    .breadcrumb a {
-      color: var(--accent);
-      text-decoration: none;
-    }
-    
-    .file-content {
-      margin-bottom: 2rem;
-    }
-    
-    .file-header {
-      border-bottom: 1px solid var(--border);
-      padding-bottom: 0.5rem;
-      margin-bottom: 1rem;
-    }
-    
-    .file-header h2 {
-      margin: 0;
-    }
-    
-    .file-meta {
-      font-size: 0.8em;
-      opacity: 0.7;
-      margin-top: 0.5rem;
-    }
-    
-    .file-body {
-      line-height: 1.7;
-    }
-    
-    .file-body pre {
-      background: rgba(0,0,0,0.5);
-      padding: 1rem;
-      overflow-x: auto;
-      border-left: 3px solid var(--accent);
-    }
-    
-    .file-body img {
-      max-width: 100%;
-      height: auto;
-      border: 1px solid var(--border);
-    }
-  </style>
-</BaseLayout>`;
+  formatRoleName(role) {
+    return role.charAt(0).toUpperCase() + role.slice(1);
   }
 
   /**
    * Format file content for display
    */
   formatFileContent(file) {
+    // Markup from the static site's DocumentRenderer
+    if (typeof file.html === 'string') return file.html;
+
+    // The static site copies binary files next to its pages
+    if (!file.content && file.href) {
+      return IMAGE_EXTENSIONS.includes(file.extension.toLowerCase())
+        ? this.renderLightboxImage(file)
+        : `<p><a href="${this.escapeHtml(file.href)}" download>Download ${this.escapeHtml(file.name)}</a></p>`;
+    }
     if (!file.content) return '<p><em>Binary file or no content available</em></p>';
 
     const content = file.content;
@@ -518,6 +562,34 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     return `<pre>${this.escapeHtml(content)}</pre>`;
   }
 
+  /**
+   * An image that opens full size in a CSS-only lightbox. Gallery pictures
+   * from the static site (file.image) open their largest copy.
+   */
+  renderLightboxImage(file) {
+    const id = `view-${file.name.replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+    const alt = this.escapeHtml(file.image?.caption || file.name);
+    const full = `<img src="${this.escapeHtml(file.image?.src || file.href)}" alt="${alt}" loading="lazy">`;
+    const image = file.image ? this.renderResponsiveImage(file.image, alt) : full;
+    const caption = file.image?.caption ? `
+          <p class="image-caption">${this.escapeHtml(file.image.caption)}</p>` : '';
+
+    return `<a href="#${id}" class="lightbox-open">${image}</a>
+          <a href="#_" id="${id}" class="lightbox">${full}</a>${caption}`;
+  }
+
+  /**
+   * A picture with its modern formats first, sized for its grid slot, over
+   * its blurred placeholder
+   */
+  renderResponsiveImage(image, alt) {
+    const sizes = this.escapeHtml(image.sizes || '100vw');
+    const sources = image.sources.map(source => `<source type="${source.type}" srcset="${this.escapeHtml(source.srcset)}" sizes="${sizes}">`).join('');
+    const placeholder = image.placeholder ? ` style="background-image: url(${image.placeholder})"` : '';
+
+    return `<span class="blur-up"${placeholder}><picture>${sources}<img src="${this.escapeHtml(image.src)}" srcset="${this.escapeHtml(image.srcset)}" sizes="${sizes}" width="${image.width}" height="${image.height}" alt="${alt}" loading="lazy" decoding="async"></picture></span>`;
+  }
+
   /**
    * Get icon for role
    */
@@ -540,10 +612,12 @@ import BaseLayout from '../layouts/BaseLayout.astro';
    * Generate content sample for preview
    */
   generateContentSample(file) {
+    if (typeof file?.sample === 'string') return file.sample;
+    if (file && !file.content && file.href) return this.formatFileContent(file);
     if (!file || !file.content) return '<em>No content</em>';
     
-    const content = file.content.substring(0, 200);
-    return content.length < file.content.length ? content + '...' : content;
+    const content = this.escapeHtml(file.content.substring(0, 200));
+    return file.content.length > 200 ? content + '...' : content;
   }
 
   /**
@@ -615,19 +689,6 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     }
   }
 
-  /**
-   * Trigger hot reload
-   */
-  triggerHotReload() {
-    for (const client of this.hotReloadClients) {
-      try {
-        client.send('reload');
-      } catch (error) {
-        this.hotReloadClients.delete(client);
-      }
-    }
-  }
-
   /**
    * Update preview with new content
    */
@@ -637,8 +698,8 @@ import BaseLayout from '../layouts/BaseLayout.astro';
     }
 
     try {
+      // astro dev reloads open pages when the generated files change
       await this.generatePreviewContent(projectFiles, options);
-      this.triggerHotReload();
       
       return {
         updated: true,
@@ -669,12 +730,7 @@ import BaseLayout from '../layouts/BaseLayout.astro';
         this.browshProcess = null;
       }
 
-      if (this.hotReloadServer) {
-        this.hotReloadServer.close();
-      }
-
       this.isRunning = false;
-      this.hotReloadClients.clear();
 
     } catch (error) {
       globalErrorHandler.handle(error, 'preview-stop');
@@ -690,7 +746,6 @@ import BaseLayout from '../layouts/BaseLayout.astro';
       astroPort: this.previewPort,
       browshPort: this.browshPort,
       mode: this.currentMode,
-      clients: this.hotReloadClients.size,
       cacheSize: this.previewCache.size
     };
   }
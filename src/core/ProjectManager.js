@@ -4,6 +4,8 @@
 import { readFile, writeFile, readdir, stat, mkdir } from 'fs/promises';
 import { join, extname, basename, dirname } from 'path';
 import { globalErrorHandler } from './ErrorHandler.js';
+import { SubmissionRules } from '../lib/SubmissionRules.js';
+import { OfficeReader } from '../lib/OfficeReader.js';
 import { createHash } from 'crypto';
 
 export class ProjectManager {
@@ -13,6 +15,7 @@ export class ProjectManager {
     this.roles = new Map(); // role -> [filePaths]
     this.dependencies = new Map(); // filePath -> [dependencies]
     this.configPath = 'submitit.config.json';
+    this.officeReader = new OfficeReader();
   }
 
   /**
@@ -108,7 +111,11 @@ export class ProjectManager {
   async registerFile(filePath, explicitRole = null) {
     try {
       const stats = await stat(filePath);
-      const content = await readFile(filePath, 'utf8').catch(() => null);
+      // Office documents are ZIP packages; their extracted text stands in for the content
+      const office = this.officeReader.formatOf(filePath)
+        ? await this.officeReader.inspect(filePath).catch(() => null)
+        : null;
+      const content = office ? office.text : await readFile(filePath, 'utf8').catch(() => null);
       
       const fileInfo = {
         path: filePath,
@@ -117,9 +124,11 @@ export class ProjectManager {
         size: stats.size,
         mtime: stats.mtime,
         content,
-        contentHash: content ? createHash('md5').update(content).digest('hex') : null,
+        contentHash: office || content
+          ? createHash('md5').update(office ? await readFile(filePath) : content).digest('hex')
+          : null,
         role: explicitRole || this.inferFileRole(filePath, content),
-        metadata: await this.extractMetadata(filePath, content)
+        metadata: await this.extractMetadata(filePath, content, office)
       };
       
       this.files.set(filePath, fileInfo);
@@ -133,7 +142,7 @@ export class ProjectManager {
       }
       
       // Detect dependencies
-      if (content) {
+      if (content && !office) {
         const deps = this.detectDependencies(content, filePath);
         this.dependencies.set(filePath, deps);
       }
@@ -237,7 +246,7 @@ export class ProjectManager {
   /**
    * Extract metadata from file content
    */
-  async extractMetadata(filePath, content) {
+  async extractMetadata(filePath, content, office = null) {
     const metadata = {
       wordCount: 0,
       lineCount: 0,
@@ -245,6 +254,7 @@ export class ProjectManager {
       links: []
     };
     
+    if (office) return { ...metadata, ...this.officeMetadata(office) };
     if (!content) return metadata;
     
     // Basic stats
@@ -296,6 +306,30 @@ export class ProjectManager {
     return metadata;
   }
 
+  /**
+   * Word counts and document structure from an OfficeReader report
+   */
+  officeMetadata(office) {
+    return {
+      wordCount: office.words,
+      lineCount: office.text ? office.text.split('\n').length : 0,
+      images: office.media.map(item => item.name),
+      document: {
+        format: office.format,
+        pages: office.pages,
+        slides: office.slides,
+        sheets: office.sheets?.map(sheet => sheet.name) ?? null,
+        characters: office.characters,
+        media: office.media.length,
+        embeddedObjects: office.embeddedObjects.length,
+        comments: office.comments.length,
+        trackedChanges: office.trackedChanges,
+        title: office.properties.title,
+        author: office.properties.creator
+      }
+    };
+  }
+
   /**
    * Detect file dependencies
    */
@@ -360,34 +394,26 @@ export class ProjectManager {
    * Validate role constraints
    */
   validateRoleConstraints() {
-    const violations = [];
-    
-    for (const [role, config] of Object.entries(this.config.roles)) {
-      const files = this.getFilesByRole(role);
-      
-      if (files.length > config.maxFiles) {
-        violations.push({
-          role,
-          issue: 'too_many_files',
-          current: files.length,
-          max: config.maxFiles
-        });
-      }
-      
-      for (const file of files) {
-        if (!config.extensions.includes(file.extension)) {
-          violations.push({
-            role,
+    const rules = new SubmissionRules();
+    const files = [...this.files.values()].map(file => ({ name: file.path, size: file.size, role: file.role }));
+    const report = rules.check(files, rules.fromRoles(this.config.roles));
+
+    return report.results
+      .filter(result => result.status === 'fail')
+      .map(result => (result.category === 'format'
+        ? {
+            role: result.role,
             issue: 'invalid_extension',
-            file: file.path,
-            extension: file.extension,
-            allowed: config.extensions
-          });
-        }
-      }
-    }
-    
-    return violations;
+            file: result.file,
+            extension: this.files.get(result.file)?.extension,
+            allowed: this.config.roles[result.role].extensions
+          }
+        : {
+            role: result.role,
+            issue: 'too_many_files',
+            current: result.actual,
+            max: result.limit
+          }));
   }
 
   /**
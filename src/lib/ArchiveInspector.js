@@ -0,0 +1,336 @@
+/**
+ * Archive Inspector - Validation that looks inside submitted archives
+ *
+ * Opens ZIP and TAR(.gz) files in-process, including archives nested inside
+ * them, and lists every entry under a path like `code.zip/lib/vendor.tar.gz/a.js`.
+ * Entries are checked for path traversal, executables and (given a
+ * SecretScanner) secrets. Zip bombs are caught before anything is inflated
+ * where the headers allow it, and by counting bytes where they do not:
+ *
+ *   maxEntries     entries across all levels
+ *   maxTotalSize   uncompressed bytes across all levels
+ *   maxRatio       uncompressed:compressed, per ZIP entry and per gzipped TAR,
+ *                  once the uncompressed size reaches ratioMinSize
+ *   maxDepth       archives inside archives; deeper ones are listed, not opened
+ *   maxNestedSize  nested archives are read into memory up to this size
+ *
+ * Overlapping ZIP entries (several names sharing one compressed stream) and
+ * entries that inflate past their declared size are reported as bombs too.
+ */
+
+import { basename, posix } from 'path';
+import { ArchiveReader } from './ArchiveReader.js';
+import { CONFIDENCE, FileSignatures } from './FileSignatures.js';
+import { MAX_SCAN_BYTES } from './SecretScanner.js';
+import { formatSize, parseSize } from './FileSizes.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+export const ARCHIVE_LIMITS = {
+  maxDepth: 3,
+  maxEntries: 10000,
+  maxTotalSize: 1024 * 1024 * 1024,
+  maxRatio: 100,
+  ratioMinSize: 1024 * 1024,
+  maxNestedSize: 64 * 1024 * 1024
+};
+
+const SIZE_LIMITS = ['maxTotalSize', 'ratioMinSize', 'maxNestedSize'];
+
+// The default limits are powers of 1024, so sizes are shown in KiB, MiB and GiB
+const formatBinary = bytes => formatSize(bytes, { binary: true });
+
+// Formats ArchiveReader can open; other archives are listed as plain entries
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tgz', '.tar.gz'];
+
+// Enough for FileSignatures to recognise an executable
+const SNIFF_BYTES = 4096;
+
+export class ArchiveInspector {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - The "archives" block of submitit.config.json
+   * @param {import('./SecretScanner.js').SecretScanner} [options.secretScanner] - Scans entry names and text
+   */
+  constructor(options = {}) {
+    this.limits = this.validate(options.limits);
+    this.secretScanner = options.secretScanner || null;
+    this.signatures = new FileSignatures();
+  }
+
+  /**
+   * Check the "archives" config block and fill in defaults
+   */
+  validate(limits = {}) {
+    const unknown = Object.keys(limits).filter(key => !(key in ARCHIVE_LIMITS));
+    if (unknown.length > 0) {
+      throw new SubmititError(`archives: unknown setting(s) ${unknown.join(', ')}`, 'VALIDATION_ERROR', { unknown });
+    }
+
+    const result = { ...ARCHIVE_LIMITS, ...limits };
+    for (const key of SIZE_LIMITS) {
+      result[key] = parseSize(result[key], `archives.${key}`);
+    }
+    for (const key of ['maxDepth', 'maxEntries', 'maxRatio']) {
+      if (!Number.isInteger(result[key]) || result[key] < 1) {
+        throw new SubmititError(`archives.${key} must be a positive integer, not ${result[key]}`, 'VALIDATION_ERROR', { value: result[key] });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a file is an archive this inspector opens, by name
+   */
+  isArchive(name) {
+    const lower = name.toLowerCase();
+    return ARCHIVE_EXTENSIONS.some(extension => lower.endsWith(extension));
+  }
+
+  // === INSPECTION ===
+
+  /**
+   * @param {string|Buffer} source - Archive path or bytes
+   * @param {string} [name] - Name used as the prefix of entry paths
+   * @returns {Promise<{name: string, format: string|null, compressedSize: number, size: number, ratio: number|null,
+   *   archives: number, entries: Array<{name: string, size: number, compressedSize: number|null, depth: number}>,
+   *   issues: Array<{type: string, severity: string, entry: string, message: string}>, secrets: Array<Object>, aborted: boolean}>}
+   *   `aborted` is set when a bomb stopped the inspection, leaving `entries` incomplete
+   */
+  async inspect(source, name = Buffer.isBuffer(source) ? 'archive' : basename(source)) {
+    const reader = new ArchiveReader(source, { name });
+    const report = { name, format: null, compressedSize: await reader.size(), size: 0, ratio: null, archives: 0, entries: [], issues: [], secrets: [], aborted: false };
+
+    try {
+      report.format = await reader.detectFormat();
+    } catch {
+      this.flag(report, 'unreadable', 'medium', name, 'is not a ZIP or TAR archive');
+      return report;
+    }
+
+    await this.walk(reader, report.format, `${name}/`, 0, report);
+    report.ratio = report.compressedSize > 0 ? report.size / report.compressedSize : null;
+    return report;
+  }
+
+  /**
+   * List one archive level and descend into nested archives
+   */
+  async walk(reader, format, prefix, depth, report) {
+    if (format === 'age') {
+      this.flag(report, 'unreadable', 'low', prefix.slice(0, -1), 'is encrypted and cannot be inspected');
+      return;
+    }
+
+    const archiveSize = await reader.size();
+    let levelSize = 0;
+
+    try {
+      // ZIP headers are read up front, so a bomb is caught before anything is inflated
+      const directory = format === 'zip' ? await reader.zipDirectory() : null;
+      if (directory && this.checkZipDirectory(directory, archiveSize, prefix, report)) {
+        report.aborted = true;
+        return;
+      }
+
+      for await (const entry of this.levelEntries(reader, directory)) {
+        const name = `${prefix}${entry.name}`;
+
+        const traversal = this.checkPath(entry);
+        if (traversal) this.flag(report, 'traversal', 'high', name, traversal);
+        if (entry.type !== 'file') continue;
+
+        if (report.entries.length >= this.limits.maxEntries) {
+          this.flag(report, 'bomb', 'high', prefix.slice(0, -1), `has more than ${this.limits.maxEntries} entries`);
+          report.aborted = true;
+          return;
+        }
+        if (report.size + entry.size > this.limits.maxTotalSize) {
+          this.flag(report, 'bomb', 'high', name, `takes the uncompressed total past ${formatBinary(this.limits.maxTotalSize)}`);
+          report.aborted = true;
+          return;
+        }
+
+        report.entries.push({ name, size: entry.size, compressedSize: entry.compressedSize ?? null, depth });
+        report.size += entry.size;
+        levelSize += entry.size;
+
+        // gzip hides per-entry sizes, so the stream as a whole is checked as it inflates
+        if (format === 'tar.gz' && levelSize >= this.limits.ratioMinSize && levelSize > archiveSize * this.limits.maxRatio) {
+          this.flag(report, 'bomb', 'high', prefix.slice(0, -1), `inflates more than ${this.limits.maxRatio}:1`);
+          report.aborted = true;
+          return;
+        }
+
+        await this.inspectEntry(entry, name, depth, report);
+        if (report.aborted) return;
+      }
+    } catch (error) {
+      this.flag(report, 'unreadable', 'medium', prefix.slice(0, -1), `could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Entries with an `open()` that returns their content stream. ZIP entries
+   * open only when asked, so encrypted or unread entries cost nothing.
+   */
+  async *levelEntries(reader, directory) {
+    if (directory) {
+      for (const entry of directory) {
+        yield { ...entry, open: () => reader.createZipEntryStream(entry, entry.dataOffset) };
+      }
+      return;
+    }
+
+    for await (const { stream, ...entry } of reader.entries()) {
+      yield { ...entry, open: () => stream };
+    }
+  }
+
+  /**
+   * Entry count, declared sizes, compression ratios and overlapping data, from the central directory alone
+   * @returns {boolean} Whether the archive is a bomb and should not be read
+   */
+  checkZipDirectory(entries, archiveSize, prefix, report) {
+    const archive = prefix.slice(0, -1);
+    const files = entries.filter(entry => entry.type === 'file');
+
+    if (report.entries.length + files.length > this.limits.maxEntries) {
+      this.flag(report, 'bomb', 'high', archive, `has ${files.length} entries, over the limit of ${this.limits.maxEntries}`);
+      return true;
+    }
+
+    const declared = files.reduce((sum, entry) => sum + entry.size, 0);
+    if (report.size + declared > this.limits.maxTotalSize) {
+      this.flag(report, 'bomb', 'high', archive, `declares ${formatBinary(declared)} uncompressed, over the limit of ${formatBinary(this.limits.maxTotalSize)}`);
+      return true;
+    }
+
+    const ratio = entry => entry.size / Math.max(entry.compressedSize, 1);
+    const inflating = files.find(entry => entry.size >= this.limits.ratioMinSize && ratio(entry) > this.limits.maxRatio);
+    if (inflating) {
+      this.flag(report, 'bomb', 'high', `${prefix}${inflating.name}`, `compresses ${Math.round(ratio(inflating))}:1, over the limit of ${this.limits.maxRatio}:1`);
+      return true;
+    }
+
+    // Several entries pointing into the same compressed bytes multiply the output without a high ratio
+    const ranges = files.filter(entry => entry.compressedSize > 0).sort((a, b) => a.dataOffset - b.dataOffset);
+    const overlap = ranges.find((entry, index) => index > 0 && entry.dataOffset < ranges[index - 1].dataOffset + ranges[index - 1].compressedSize);
+    if (overlap || declared > Math.max(archiveSize, 1) * this.limits.maxRatio && declared >= this.limits.ratioMinSize) {
+      this.flag(report, 'bomb', 'high', archive, overlap ? `has entries sharing compressed data (${overlap.name})` : `inflates more than ${this.limits.maxRatio}:1`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Sniff, secret-scan and descend into one file entry, reading no more than those need
+   */
+  async inspectEntry(entry, name, depth, report) {
+    if (entry.encrypted) {
+      this.flag(report, 'unreadable', 'low', name, 'is encrypted and cannot be inspected');
+      return;
+    }
+
+    const nested = this.isArchive(entry.name);
+    const scanText = Boolean(this.secretScanner) && entry.size <= MAX_SCAN_BYTES;
+    const wanted = nested && depth + 1 <= this.limits.maxDepth
+      ? this.limits.maxNestedSize
+      : scanText ? MAX_SCAN_BYTES : SNIFF_BYTES;
+
+    if (this.secretScanner) {
+      report.secrets.push(...this.secretScanner.scanFilename(name).filter(finding => !this.secretScanner.isAllowed(finding)));
+    }
+
+    let content;
+    try {
+      // One byte past the declared size shows whether the entry lies about it
+      content = await this.readUpTo(entry.open(), Math.min(wanted, entry.size + 1));
+    } catch (error) {
+      this.flag(report, 'unreadable', 'medium', name, `could not be read: ${error.message}`);
+      return;
+    }
+
+    if (content.length > entry.size) {
+      this.flag(report, 'bomb', 'high', name, `inflates past its declared size of ${formatBinary(entry.size)}`);
+      report.aborted = true;
+      return;
+    }
+
+    // Windows programs are recognised by their PE header; a bare "MZ" is too common in text to flag
+    const detected = this.signatures.identify(content.subarray(0, SNIFF_BYTES));
+    if (detected && detected.confidence >= CONFIDENCE.MAGIC && this.signatures.familyOf(detected.mimeType) === 'executable') {
+      this.flag(report, 'executable', 'high', name, `is ${this.signatures.describe(detected.mimeType)}`);
+    }
+
+    if (scanText && content.length > 0 && !content.subarray(0, 8000).includes(0)) {
+      const findings = this.secretScanner.scanContent(content.toString('utf8'), name);
+      report.secrets.push(...findings.filter(finding => !this.secretScanner.isAllowed(finding)));
+    }
+
+    if (!nested) return;
+
+    if (depth + 1 > this.limits.maxDepth) {
+      this.flag(report, 'depth', 'medium', name, `is nested more than ${this.limits.maxDepth} archives deep and was not opened`);
+    } else if (entry.size > this.limits.maxNestedSize) {
+      this.flag(report, 'unreadable', 'low', name, `is over ${formatBinary(this.limits.maxNestedSize)} and was not opened`);
+    } else {
+      const reader = new ArchiveReader(content, { name });
+      let format;
+      try {
+        format = await reader.detectFormat();
+      } catch {
+        this.flag(report, 'unreadable', 'medium', name, 'is not a ZIP or TAR archive');
+        return;
+      }
+      report.archives++;
+      await this.walk(reader, format, `${name}/`, depth + 1, report);
+    }
+  }
+
+  /**
+   * Entry paths that would land outside the extraction directory, and links pointing there
+   * @returns {string|null} What is wrong with the path
+   */
+  checkPath(entry) {
+    const unsafe = (path) => {
+      const normalized = path.replace(/\\/g, '/');
+      if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) return 'absolute path';
+      if (normalized.split('/').includes('..')) return 'path leaves the archive (..)';
+      return null;
+    };
+
+    const problem = unsafe(entry.name);
+    if (problem || !entry.linkname) return problem;
+
+    // Symbolic links resolve from their own directory; hard links from the archive root
+    const target = entry.type === 'symlink' ? posix.join(posix.dirname(entry.name.replace(/\\/g, '/')), entry.linkname) : entry.linkname;
+    return unsafe(entry.linkname.startsWith('/') ? entry.linkname : target) && `link to ${entry.linkname} points outside the archive`;
+  }
+
+  // === HELPERS ===
+
+  /**
+   * Read a stream until it ends or `limit` bytes have arrived, then stop it
+   */
+  async readUpTo(stream, limit) {
+    const chunks = [];
+    let length = 0;
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= limit) break;
+    }
+
+    return Buffer.concat(chunks).subarray(0, limit);
+  }
+
+  flag(report, type, severity, entry, message) {
+    report.issues.push({ type, severity, entry, message: `${entry} ${message}` });
+  }
+
+}
+
+export default ArchiveInspector;
@@ -0,0 +1,459 @@
+/**
+ * Archive Reader - In-process ZIP and TAR(.gz) reading
+ *
+ * Walks the entries of a package without extracting it to disk. ZIP archives
+ * are read through their central directory; TAR archives (optionally gzipped)
+ * are streamed sequentially with tar-stream. Encrypted packages are decrypted
+ * on the fly when a password (WinZip AES) or age identities are given.
+ * Archives held in memory, such as one nested inside another, are read from
+ * a Buffer the same way.
+ */
+
+import { createReadStream } from 'fs';
+import { open, stat } from 'fs/promises';
+import { PassThrough, Readable } from 'stream';
+import { createGunzip, createInflateRaw } from 'zlib';
+import tar from 'tar-stream';
+import { PackageEncryption, ZIP_AES_METHOD } from './PackageEncryption.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+export class ArchiveReader {
+  /**
+   * @param {string|Buffer} archivePath - Path, or the archive's bytes
+   * @param {{password?: string, identities?: Array, name?: string}} [options] - Keys for encrypted packages,
+   *   and the name used in messages for in-memory archives
+   */
+  constructor(archivePath, options = {}) {
+    this.archivePath = archivePath;
+    this.options = options;
+    this.label = Buffer.isBuffer(archivePath) ? options.name || 'in-memory archive' : archivePath;
+    this.format = null;
+    this.encryption = new PackageEncryption();
+  }
+
+  // === FORMAT DETECTION ===
+
+  /**
+   * Detect the container format from magic bytes rather than the extension
+   */
+  async detectFormat() {
+    if (this.format) return this.format;
+
+    const handle = await this.openSource();
+    try {
+      const header = Buffer.alloc(512);
+      const { bytesRead } = await handle.read(header, 0, 512, 0);
+      const signature = bytesRead >= 4 ? header.readUInt32LE(0) : 0;
+
+      if (signature === ZIP_LOCAL_HEADER || signature === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        this.format = 'zip';
+      } else if (header[0] === 0x1f && header[1] === 0x8b) {
+        this.format = 'tar.gz';
+      } else if (bytesRead >= 262 && header.toString('ascii', 257, 262) === 'ustar') {
+        this.format = 'tar';
+      } else if (this.encryption.isAgeHeader(header.subarray(0, bytesRead))) {
+        this.format = 'age';
+      } else {
+        throw new Error(`Unsupported archive format: ${this.label}`);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return this.format;
+  }
+
+  // === ENTRY ITERATION ===
+
+  /**
+   * Iterate archive entries. Each entry exposes a `stream` that should be
+   * consumed before advancing; unconsumed streams are drained automatically.
+   */
+  async *entries() {
+    const format = await this.detectFormat();
+
+    if (format === 'zip') {
+      yield* this.zipEntries();
+    } else if (format === 'age') {
+      yield* this.tarEntries(await this.openAgeStream());
+    } else {
+      yield* this.tarEntries(this.openStream(), format === 'tar.gz');
+    }
+  }
+
+  /**
+   * Collect entry metadata without reading file contents (ZIP only reads the
+   * central directory; TAR still has to scan the stream)
+   */
+  async list() {
+    if (await this.detectFormat() === 'zip') {
+      return await this.zipDirectory();
+    }
+
+    const entries = [];
+    for await (const entry of this.entries()) {
+      const { stream, ...metadata } = entry;
+      entries.push(metadata);
+    }
+    return entries;
+  }
+
+  /**
+   * Read one entry fully into memory
+   */
+  async readEntry(name) {
+    for await (const entry of this.entries()) {
+      if (entry.name === name) {
+        return await this.collect(entry.stream);
+      }
+    }
+    return null;
+  }
+
+  async collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // === ZIP ===
+
+  async *zipEntries() {
+    for (const entry of await this.zipDirectory()) {
+      const stream = entry.type === 'file' ? this.createZipEntryStream(entry, entry.dataOffset) : null;
+      yield { ...entry, stream: stream || this.emptyStream() };
+
+      // ZIP entries open their own read streams, so nothing needs draining
+      stream?.destroy();
+    }
+  }
+
+  /**
+   * Central directory records with their data offsets, without opening any
+   * entry; createZipEntryStream(entry, entry.dataOffset) reads one
+   */
+  async zipDirectory() {
+    const handle = await this.openSource();
+
+    try {
+      const entries = [];
+      for (const record of await this.readZipCentralDirectory(handle)) {
+        const { localHeaderOffset, ...entry } = record;
+        entries.push({ ...entry, dataOffset: await this.resolveZipDataOffset(handle, record) });
+      }
+      return entries;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readZipCentralDirectory(handle) {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, MAX_COMMENT_LENGTH + 22 + 20);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    let eocdOffset = -1;
+    for (let index = tailLength - 22; index >= 0; index--) {
+      if (tail.readUInt32LE(index) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        eocdOffset = index;
+        break;
+      }
+    }
+
+    if (eocdOffset === -1) {
+      throw new Error('Not a valid ZIP archive: end of central directory not found');
+    }
+
+    let entryCount = tail.readUInt16LE(eocdOffset + 10);
+    let directorySize = tail.readUInt32LE(eocdOffset + 12);
+    let directoryOffset = tail.readUInt32LE(eocdOffset + 16);
+
+    // ZIP64: the classic record holds 0xFFFF/0xFFFFFFFF placeholders
+    const locatorOffset = eocdOffset - 20;
+    if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_LOCATOR) {
+      const zip64Offset = Number(tail.readBigUInt64LE(locatorOffset + 8));
+      const zip64 = Buffer.alloc(56);
+      await handle.read(zip64, 0, 56, zip64Offset);
+      if (zip64.readUInt32LE(0) === ZIP64_END_OF_CENTRAL_DIRECTORY) {
+        entryCount = Number(zip64.readBigUInt64LE(32));
+        directorySize = Number(zip64.readBigUInt64LE(40));
+        directoryOffset = Number(zip64.readBigUInt64LE(48));
+      }
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    const records = [];
+    let offset = 0;
+
+    for (let index = 0; index < entryCount; index++) {
+      if (directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const flags = directory.readUInt16LE(offset + 8);
+      const method = directory.readUInt16LE(offset + 10);
+      const dosTime = directory.readUInt16LE(offset + 12);
+      const dosDate = directory.readUInt16LE(offset + 14);
+      const crc32 = directory.readUInt32LE(offset + 16);
+      let compressedSize = directory.readUInt32LE(offset + 20);
+      let size = directory.readUInt32LE(offset + 24);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const externalAttributes = directory.readUInt32LE(offset + 38);
+      let localHeaderOffset = directory.readUInt32LE(offset + 42);
+
+      const nameBuffer = directory.subarray(offset + 46, offset + 46 + nameLength);
+      // Bit 11 marks UTF-8 names; everything else is CP437, which is ASCII-compatible for our purposes
+      const name = nameBuffer.toString(flags & 0x0800 ? 'utf8' : 'latin1');
+      const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+
+      const zip64 = this.readZip64Extra(extra, { size, compressedSize, localHeaderOffset });
+      size = zip64.size;
+      compressedSize = zip64.compressedSize;
+      localHeaderOffset = zip64.localHeaderOffset;
+
+      records.push({
+        name,
+        type: name.endsWith('/') ? 'directory' : 'file',
+        size,
+        compressedSize,
+        method,
+        crc32,
+        encrypted: Boolean(flags & 0x0001),
+        flags,
+        extra,
+        mode: (externalAttributes >>> 16) & 0o7777,
+        mtime: this.fromDosDateTime(dosDate, dosTime),
+        localHeaderOffset
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return records;
+  }
+
+  readZip64Extra(extra, values) {
+    const result = { ...values };
+    let offset = 0;
+
+    while (offset + 4 <= extra.length) {
+      const id = extra.readUInt16LE(offset);
+      const length = extra.readUInt16LE(offset + 2);
+
+      if (id === ZIP64_EXTRA_FIELD) {
+        let cursor = offset + 4;
+        for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+          if (values[key] === 0xffffffff && cursor + 8 <= offset + 4 + length) {
+            result[key] = Number(extra.readBigUInt64LE(cursor));
+            cursor += 8;
+          }
+        }
+      }
+
+      offset += 4 + length;
+    }
+
+    return result;
+  }
+
+  async resolveZipDataOffset(handle, record) {
+    const header = Buffer.alloc(30);
+    await handle.read(header, 0, 30, record.localHeaderOffset);
+
+    if (header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+      throw new Error(`Corrupt ZIP local header for ${record.name}`);
+    }
+
+    return record.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+
+  createZipEntryStream(record, dataOffset) {
+    if (record.compressedSize === 0) {
+      return this.emptyStream();
+    }
+
+    const raw = this.openStream({
+      start: dataOffset,
+      end: dataOffset + record.compressedSize - 1
+    });
+
+    let source = raw;
+    let method = record.method;
+
+    if (record.encrypted && method === ZIP_AES_METHOD) {
+      if (!this.options.password) {
+        raw.destroy();
+        throw new SubmititError(`${record.name} is encrypted; a password is needed to read it`, 'ENCRYPTION_KEY_MISSING', { entry: record.name });
+      }
+
+      const decrypt = this.encryption.createZipAesDecryptStream(this.options.password, record.name);
+      raw.on('error', error => decrypt.destroy(error));
+      source = raw.pipe(decrypt);
+      method = this.encryption.readZipAesExtraField(record.extra)?.method ?? 0;
+    } else if (record.encrypted) {
+      // Legacy ZipCrypto: callers that understand the scheme decode the raw stream themselves
+      return raw;
+    }
+
+    if (method === 0) {
+      return source;
+    }
+
+    if (method === 8) {
+      const inflate = createInflateRaw();
+      source.on('error', error => inflate.destroy(error));
+      return source.pipe(inflate);
+    }
+
+    raw.destroy();
+    throw new Error(`Unsupported ZIP compression method ${record.method} for ${record.name}`);
+  }
+
+  fromDosDateTime(date, time) {
+    return new Date(Date.UTC(
+      ((date >> 9) & 0x7f) + 1980,
+      ((date >> 5) & 0x0f) - 1,
+      date & 0x1f,
+      (time >> 11) & 0x1f,
+      (time >> 5) & 0x3f,
+      (time & 0x1f) * 2
+    ));
+  }
+
+  // === TAR ===
+
+  async *tarEntries(source, gzipped) {
+    const extract = tar.extract();
+    // Stopping early must not leave the file open
+    extract.on('close', () => source.destroy());
+
+    if (gzipped) {
+      const gunzip = createGunzip();
+      source.on('error', error => gunzip.destroy(error));
+      gunzip.on('error', error => extract.destroy(error));
+      source.pipe(gunzip).pipe(extract);
+    } else {
+      source.on('error', error => extract.destroy(error));
+      source.pipe(extract);
+    }
+
+    for await (const stream of extract) {
+      const { header } = stream;
+      const type = header.type === 'directory' ? 'directory' : header.type === 'file' ? 'file' : header.type;
+
+      yield {
+        name: header.name,
+        type,
+        size: header.size,
+        mode: header.mode,
+        mtime: header.mtime,
+        uid: header.uid,
+        gid: header.gid,
+        linkname: header.linkname || null,
+        stream
+      };
+
+      // tar is sequential: drain whatever the caller left unread
+      stream.resume();
+    }
+  }
+
+  // === AGE ===
+
+  /**
+   * Decrypt an age package and unwrap the gzip layer if there is one
+   */
+  async openAgeStream() {
+    if (!this.options.identities?.length) {
+      throw new SubmititError(`${this.label} is encrypted to recipient keys; an identity is needed to read it`, 'ENCRYPTION_KEY_MISSING');
+    }
+
+    const source = this.openStream();
+    const decrypt = this.encryption.createAgeDecryptStream(this.options.identities);
+    source.on('error', error => decrypt.destroy(error));
+    source.pipe(decrypt);
+
+    // The gzip magic is only visible after decryption
+    const iterator = decrypt[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const head = first.done ? Buffer.alloc(0) : first.value;
+
+    const decrypted = Readable.from((async function* () {
+      if (!first.done) yield head;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })());
+
+    if (head[0] !== 0x1f || head[1] !== 0x8b) {
+      return decrypted;
+    }
+
+    const gunzip = createGunzip();
+    decrypted.on('error', error => gunzip.destroy(error));
+    return decrypted.pipe(gunzip);
+  }
+
+  // === SOURCES ===
+
+  /**
+   * A file handle, or the same read/stat/close surface over an in-memory archive
+   */
+  async openSource() {
+    if (!Buffer.isBuffer(this.archivePath)) {
+      return await open(this.archivePath, 'r');
+    }
+
+    const data = this.archivePath;
+    return {
+      read: async (buffer, offset, length, position) => ({
+        bytesRead: position >= data.length ? 0 : data.copy(buffer, offset, position, Math.min(position + length, data.length))
+      }),
+      stat: async () => ({ size: data.length }),
+      close: async () => {}
+    };
+  }
+
+  /**
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range, as for createReadStream
+   */
+  openStream(range = {}) {
+    if (!Buffer.isBuffer(this.archivePath)) {
+      return createReadStream(this.archivePath, range);
+    }
+
+    const stream = new PassThrough();
+    stream.end(this.archivePath.subarray(range.start ?? 0, range.end === undefined ? undefined : range.end + 1));
+    return stream;
+  }
+
+  // === UTILITIES ===
+
+  emptyStream() {
+    const stream = new PassThrough();
+    stream.end();
+    return stream;
+  }
+
+  async size() {
+    if (Buffer.isBuffer(this.archivePath)) return this.archivePath.length;
+    return (await stat(this.archivePath)).size;
+  }
+}
+
+export default ArchiveReader;
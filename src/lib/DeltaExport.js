@@ -0,0 +1,297 @@
+/**
+ * Delta Export - Incremental packages against a previous submission
+ *
+ * A delta package holds only the files that are new or changed since its
+ * parent export, the list of paths deleted since then, and a manifest chain
+ * back to the original full export. Applying the chain to the full export
+ * rebuilds the current project tree.
+ */
+
+import { createWriteStream } from 'fs';
+import { copyFile, mkdir, readFile, rm, stat } from 'fs/promises';
+import { basename, dirname, extname, isAbsolute, relative, resolve } from 'path';
+import { pipeline } from 'stream/promises';
+import chalk from 'chalk';
+import { PackageManager } from './PackageManager.js';
+import { StreamingFileOperations } from './StreamingFileOperations.js';
+import { SubmissionIntegrity } from './SubmissionIntegrity.js';
+import { ArchiveReader } from './ArchiveReader.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// Regenerated by every export, so never part of the compared tree
+const GENERATED_ENTRIES = new Set(['manifest.json', 'README.md']);
+const HASH_BATCH_SIZE = 20;
+
+export class DeltaExport {
+  constructor(packageManager = new PackageManager()) {
+    this.packageManager = packageManager;
+    this.streamingOps = new StreamingFileOperations();
+    this.integrity = new SubmissionIntegrity();
+  }
+
+  // === PARENT EXPORT ===
+
+  /**
+   * Load the previous export from its sidecar manifest or the package itself
+   */
+  async loadParent(sincePath) {
+    let manifest;
+    let archive = null;
+
+    if (extname(sincePath).toLowerCase() === '.json') {
+      manifest = JSON.parse(await readFile(sincePath, 'utf8'));
+      archive = manifest.integrity?.archive || null;
+    } else {
+      const embedded = await new ArchiveReader(sincePath).readEntry('manifest.json');
+      if (!embedded) {
+        throw new SubmititError(`${sincePath} has no manifest.json`, 'DELTA_MISMATCH', { sincePath });
+      }
+      manifest = JSON.parse(embedded.toString('utf8'));
+      archive = { name: basename(sincePath), sha256: await this.integrity.hashArchive(sincePath) };
+    }
+
+    // A delta's own integrity block only covers its changed files; its tree covers everything
+    const files = manifest.delta?.tree || manifest.integrity?.files;
+    if (!files) {
+      throw new SubmititError(
+        `${sincePath} has no content hashes; re-export the previous submission with this version of submitit`,
+        'DELTA_MISMATCH',
+        { sincePath }
+      );
+    }
+
+    const reference = {
+      project: manifest.project,
+      exported: manifest.exported,
+      archive: archive?.name || null,
+      sha256: archive?.sha256 || null
+    };
+
+    return {
+      manifest,
+      files,
+      reference,
+      chain: [...(manifest.delta?.chain || []), reference]
+    };
+  }
+
+  // === PLANNING ===
+
+  /**
+   * Compare the current project with the parent export
+   * @returns {Promise<{include: Set<string>, record: Object}>} plan passed to PackageManager as options.delta
+   */
+  async plan(config, sincePath, options = {}) {
+    const parent = await this.loadParent(sincePath);
+    const candidates = await this.packageManager.listPackageFiles(config, options);
+    const tree = await this.hashFiles(candidates);
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [name, hash] of tree) {
+      const previous = parent.files[name];
+      if (previous === undefined) {
+        added.push(name);
+      } else if ((previous.sha256 || previous) !== hash) {
+        changed.push(name);
+      } else {
+        unchanged++;
+      }
+    }
+
+    const deleted = Object.keys(parent.files)
+      .filter(name => !tree.has(name) && !GENERATED_ENTRIES.has(name))
+      .sort();
+
+    return {
+      include: new Set([...added, ...changed]),
+      record: {
+        parent: parent.reference,
+        chain: parent.chain,
+        added,
+        changed,
+        deleted,
+        unchanged,
+        tree: this.packageManager.sortKeys(Object.fromEntries(tree))
+      }
+    };
+  }
+
+  /**
+   * Hash files in bounded batches, as duplicate detection does
+   */
+  async hashFiles(files) {
+    const hashes = new Map();
+
+    for (let i = 0; i < files.length; i += HASH_BATCH_SIZE) {
+      const batch = files.slice(i, i + HASH_BATCH_SIZE);
+
+      const results = await Promise.all(batch.map(async (file) => {
+        try {
+          return [file.name, await this.streamingOps.calculateFileHash(file.sourcePath)];
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️  Could not hash ${file.name}: ${error.message}`));
+          return null;
+        }
+      }));
+
+      // Keep archive order regardless of which hash finished first
+      for (const result of results) {
+        if (result) hashes.set(result[0], result[1]);
+      }
+    }
+
+    return hashes;
+  }
+
+  // === APPLYING ===
+
+  /**
+   * Rebuild the full tree from a base export (archive or extracted directory)
+   * and one or more deltas, applied in order
+   */
+  async apply(basePath, deltaPaths, outputDir, options = {}) {
+    const baseStats = await stat(basePath);
+    let previousDigest = null;
+
+    if (baseStats.isDirectory()) {
+      outputDir = outputDir || basePath;
+      if (resolve(outputDir) !== resolve(basePath)) {
+        throw new SubmititError('An extracted base is patched in place; omit --output', 'DELTA_MISMATCH', { basePath, outputDir });
+      }
+    } else {
+      outputDir = outputDir || basePath.replace(/(\.tar)?\.[^./\\]+$/i, '') + '-rebuilt';
+      previousDigest = await this.integrity.hashArchive(basePath);
+      await this.extractArchive(basePath, outputDir);
+    }
+
+    const applied = [];
+    let record = null;
+
+    for (const deltaPath of deltaPaths) {
+      const reader = new ArchiveReader(deltaPath);
+      const embedded = await reader.readEntry('manifest.json');
+      record = embedded ? JSON.parse(embedded.toString('utf8')).delta : null;
+
+      if (!record) {
+        throw new SubmititError(`${deltaPath} is not a delta package`, 'DELTA_MISMATCH', { deltaPath });
+      }
+
+      if (!options.force) {
+        await this.checkParent(record, previousDigest, outputDir, deltaPath);
+      }
+
+      for (const name of record.deleted) {
+        await rm(this.resolveInside(outputDir, name), { force: true });
+      }
+
+      const written = await this.extractArchive(deltaPath, outputDir);
+      previousDigest = await this.integrity.hashArchive(deltaPath);
+
+      applied.push({ delta: deltaPath, written: written.length, deleted: record.deleted.length });
+    }
+
+    const mismatched = record ? await this.compareTree(outputDir, record.tree) : [];
+
+    return {
+      outputDir,
+      applied,
+      files: record ? Object.keys(record.tree).length : 0,
+      mismatched
+    };
+  }
+
+  /**
+   * A delta applies only on top of its parent: the parent digest must match
+   * when known, and every file the delta did not touch must be as recorded
+   */
+  async checkParent(record, previousDigest, outputDir, deltaPath) {
+    if (previousDigest && record.parent?.sha256 && previousDigest !== record.parent.sha256) {
+      throw new SubmititError(
+        `${basename(deltaPath)} was made against ${record.parent.archive || 'a different export'}, not the package it is being applied to`,
+        'DELTA_MISMATCH',
+        { expected: record.parent.sha256, actual: previousDigest }
+      );
+    }
+
+    const touched = new Set([...record.added, ...record.changed]);
+    const untouched = Object.fromEntries(
+      Object.entries(record.tree).filter(([name]) => !touched.has(name))
+    );
+    const mismatched = await this.compareTree(outputDir, untouched);
+
+    if (mismatched.length > 0) {
+      throw new SubmititError(
+        `${basename(deltaPath)} does not apply cleanly: ${mismatched.length} unchanged file(s) differ from the parent export`,
+        'DELTA_MISMATCH',
+        { mismatched }
+      );
+    }
+  }
+
+  async compareTree(rootDir, tree) {
+    const mismatched = [];
+
+    for (const [name, expected] of Object.entries(tree)) {
+      try {
+        const actual = await this.streamingOps.calculateFileHash(this.resolveInside(rootDir, name));
+        if (actual !== expected) mismatched.push(name);
+      } catch (error) {
+        mismatched.push(name);
+      }
+    }
+
+    return mismatched;
+  }
+
+  async extractArchive(archivePath, outputDir, keys = {}) {
+    const written = [];
+    const aliases = {};
+
+    for await (const entry of new ArchiveReader(archivePath, keys).entries()) {
+      if (entry.type === 'link') {
+        aliases[entry.name] = entry.linkname;
+        continue;
+      }
+      if (entry.type !== 'file') continue;
+
+      const destination = this.resolveInside(outputDir, entry.name);
+      await mkdir(dirname(destination), { recursive: true });
+      await pipeline(entry.stream, createWriteStream(destination));
+      written.push(entry.name);
+    }
+
+    // Deduplicated packages store each copy once: TAR as hardlinks, ZIP via the manifest
+    if (written.includes('manifest.json')) {
+      const manifest = JSON.parse(await readFile(this.resolveInside(outputDir, 'manifest.json'), 'utf8'));
+      Object.assign(aliases, manifest.dedupe?.aliases);
+    }
+
+    for (const [name, original] of Object.entries(aliases)) {
+      const destination = this.resolveInside(outputDir, name);
+      await mkdir(dirname(destination), { recursive: true });
+      await copyFile(this.resolveInside(outputDir, original), destination);
+      written.push(name);
+    }
+
+    return written;
+  }
+
+  /**
+   * Refuse archive paths that would escape the output directory
+   */
+  resolveInside(rootDir, name) {
+    const destination = resolve(rootDir, name);
+    const relativePath = relative(resolve(rootDir), destination);
+
+    if (!relativePath || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      throw new SubmititError(`Unsafe path in package: ${name}`, 'DELTA_MISMATCH', { name });
+    }
+
+    return destination;
+  }
+}
+
+export default DeltaExport;
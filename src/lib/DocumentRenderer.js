@@ -0,0 +1,449 @@
+/**
+ * Document Renderer - Content files as readable pages in the generated site
+ *
+ * Picks a renderer per file and returns its markup, a shorter sample for
+ * the overview and any files the markup links to:
+ *
+ *   markdown   front matter, GFM tables, task lists, footnotes and heading anchors
+ *   code       line-numbered source with Prism syntax highlighting
+ *   pdf        page thumbnails next to the browser's own PDF viewer
+ *   docx       Word documents as semantic HTML
+ *   text       preformatted text
+ *   image      the preview's lightbox image
+ *   download   a download link
+ *
+ * "auto" picks by file extension. The "renderers" block of
+ * submitit.config.json chooses per role, e.g. { "snippets": "code" }; a
+ * renderer that cannot read a file falls back to a download link.
+ */
+
+import { posix } from 'path';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+import rehypeStringify from 'rehype-stringify';
+import GithubSlugger from 'github-slugger';
+import Prism from 'prismjs';
+import loadLanguages from 'prismjs/components/index.js';
+import { parse as parseYaml } from 'yaml';
+import { SubmititError } from '../core/ErrorHandler.js';
+import { DocxConverter } from './DocxConverter.js';
+import { PdfPreview } from './PdfPreview.js';
+
+export const RENDERERS = ['auto', 'markdown', 'code', 'pdf', 'docx', 'text', 'image', 'download'];
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdown', '.mkd'];
+const DOCX_EXTENSIONS = ['.docx', '.docm', '.dotx'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.avif'];
+
+// Prism grammar for each source extension
+const CODE_LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+  '.json': 'json', '.css': 'css', '.scss': 'scss', '.less': 'less',
+  '.html': 'markup', '.htm': 'markup', '.xml': 'markup', '.svg': 'markup', '.vue': 'markup',
+  '.py': 'python', '.rb': 'ruby', '.php': 'php', '.pl': 'perl', '.lua': 'lua', '.r': 'r',
+  '.java': 'java', '.kt': 'kotlin', '.scala': 'scala', '.swift': 'swift', '.dart': 'dart',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+  '.go': 'go', '.rs': 'rust', '.hs': 'haskell', '.ex': 'elixir', '.exs': 'elixir',
+  '.sh': 'bash', '.bash': 'bash', '.zsh': 'bash', '.ps1': 'powershell',
+  '.sql': 'sql', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini',
+  '.graphql': 'graphql', '.dockerfile': 'docker', '.tex': 'latex'
+};
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const SAFE_SCHEME = /^(https?|mailto|tel):/i;
+const SAMPLE_LINES = 12;
+const MAX_CACHED = 500;
+
+loadLanguages.silent = true;
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
+export class DocumentRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.renderers] - The "renderers" config block: role → renderer
+   * @param {(name: string) => string} [options.fileHref] - Site URL of a content file
+   * @param {Map} [options.cache] - Results kept between builds, keyed by file and modification time
+   * @param {PdfPreview} [options.pdfPreview]
+   * @param {DocxConverter} [options.docxConverter]
+   */
+  constructor(options = {}) {
+    this.renderers = this.validate(options.renderers);
+    this.fileHref = options.fileHref || (name => `files/${name.split('/').map(encodeURIComponent).join('/')}`);
+    this.cache = options.cache || new Map();
+    this.pdfPreview = options.pdfPreview || new PdfPreview();
+    this.docxConverter = options.docxConverter || new DocxConverter();
+  }
+
+  /**
+   * Check the "renderers" config block
+   */
+  validate(renderers) {
+    if (renderers === undefined) return {};
+    if (!renderers || typeof renderers !== 'object' || Array.isArray(renderers)) {
+      throw new SubmititError('renderers maps roles to a renderer, e.g. { "resume": "pdf" }', 'VALIDATION_ERROR', { value: renderers });
+    }
+
+    for (const [role, renderer] of Object.entries(renderers)) {
+      if (!RENDERERS.includes(renderer)) {
+        throw new SubmititError(`renderers.${role} must be one of ${RENDERERS.join(', ')}, not ${renderer}`, 'VALIDATION_ERROR', { role, value: renderer });
+      }
+    }
+    return { ...renderers };
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * The renderer for a file: the role's choice, or one picked by extension
+   * @param {{role: string, extension: string, content: string|null}} file
+   */
+  rendererFor(file) {
+    const extension = file.extension.toLowerCase();
+    const choice = this.renderers[file.role] || 'auto';
+    if (choice !== 'auto') return choice;
+
+    if (MARKDOWN_EXTENSIONS.includes(extension)) return 'markdown';
+    if (extension === '.pdf') return 'pdf';
+    if (DOCX_EXTENSIONS.includes(extension)) return 'docx';
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (CODE_LANGUAGES[extension]) return 'code';
+    return file.content !== null && file.content !== undefined ? 'text' : 'download';
+  }
+
+  /**
+   * Markup for a file, or null when the preview's own presentation (the
+   * image lightbox) applies
+   * @param {{name: string, sourcePath: string, role: string, extension: string, size: number, mtime: Date, content: string|null, href: string}} file
+   * @returns {Promise<{renderer: string, html: string, sample: string, assets: Array<{name: string, data: Buffer}>}|null>}
+   */
+  async render(file) {
+    const renderer = this.rendererFor(file);
+    if (renderer === 'image') return null;
+
+    const key = `${renderer}:${file.sourcePath}:${file.size}:${new Date(file.mtime).getTime()}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const result = (await this.renderWith(renderer, file)) || { renderer: 'download', ...this.renderDownload(file) };
+    if (this.cache.size >= MAX_CACHED) this.cache.clear();
+    this.cache.set(key, result);
+    return result;
+  }
+
+  async renderWith(renderer, file) {
+    const text = typeof file.content === 'string';
+    let output = null;
+
+    switch (renderer) {
+      case 'markdown':
+        if (text) output = this.renderMarkdown(file);
+        break;
+      case 'code':
+        if (text) output = this.renderCode(file);
+        break;
+      case 'text':
+        if (text) output = { html: `<pre class="text-block">${escapeHtml(file.content)}</pre>`, sample: this.sampleText(file.content) };
+        break;
+      case 'pdf':
+        output = await this.renderPdf(file);
+        break;
+      case 'docx':
+        output = await this.renderDocx(file);
+        break;
+      case 'download':
+        output = this.renderDownload(file);
+        break;
+      default:
+        break;
+    }
+
+    return output && { renderer, assets: [], ...output };
+  }
+
+  // === MARKDOWN ===
+
+  renderMarkdown(file) {
+    const { data, body } = this.splitFrontMatter(file.content);
+    const prefix = `${this.slug(file.name)}-`;
+
+    const html = unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkRehype, { clobberPrefix: prefix })
+      .use(() => tree => this.transformMarkdown(tree, file.name, prefix, new GithubSlugger()))
+      .use(rehypeStringify)
+      .processSync(body)
+      .toString();
+
+    const markup = `${data ? this.renderFrontMatter(data) : ''}${html}`;
+    return { html: `<div class="rendered markdown-body">${markup}</div>`, sample: `<div class="rendered markdown-body">${html}</div>` };
+  }
+
+  /**
+   * YAML front matter and the Markdown after it; text that does not parse
+   * as a YAML mapping is left in the body
+   */
+  splitFrontMatter(content) {
+    const match = content.match(FRONT_MATTER);
+    if (!match) return { data: null, body: content };
+
+    try {
+      const data = parseYaml(match[1]);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) return { data: null, body: content };
+      return { data, body: content.slice(match[0].length) };
+    } catch (error) {
+      return { data: null, body: content };
+    }
+  }
+
+  renderFrontMatter(data) {
+    const format = value => {
+      if (value instanceof Date) return value.toISOString().slice(0, 10);
+      if (Array.isArray(value)) return value.map(format).join(', ');
+      if (value && typeof value === 'object') return JSON.stringify(value);
+      return String(value ?? '');
+    };
+
+    const entries = Object.entries(data).map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(format(value))}</dd>`);
+    return `<dl class="front-matter">${entries.join('')}</dl>`;
+  }
+
+  /**
+   * Heading ids and anchors, ids scoped to the file (several files share a
+   * role page), safe link schemes and links to other content files
+   */
+  transformMarkdown(node, name, prefix, slugger) {
+    if (node.type === 'element') {
+      const properties = node.properties || (node.properties = {});
+
+      if (/^h[1-6]$/.test(node.tagName) && !properties.id) {
+        properties.id = `${prefix}${slugger.slug(this.textContent(node))}`;
+        node.children.push({
+          type: 'element',
+          tagName: 'a',
+          properties: { href: `#${properties.id}`, className: ['heading-anchor'], ariaHidden: 'true' },
+          children: [{ type: 'text', value: '#' }]
+        });
+      }
+
+      // The GFM footnote heading is the one id the clobber prefix misses
+      if (properties.id === 'footnote-label') properties.id = `${prefix}footnote-label`;
+      if ([].concat(properties.ariaDescribedBy || []).includes('footnote-label')) properties.ariaDescribedBy = [`${prefix}footnote-label`];
+
+      for (const attribute of ['href', 'src']) {
+        if (typeof properties[attribute] !== 'string') continue;
+        const url = this.resolveUrl(properties[attribute], name, prefix);
+        if (url === null) delete properties[attribute];
+        else properties[attribute] = url;
+      }
+    }
+
+    for (const child of node.children || []) this.transformMarkdown(child, name, prefix, slugger);
+  }
+
+  /**
+   * A Markdown link or image URL as the site needs it, or null to drop it
+   */
+  resolveUrl(url, name, prefix) {
+    const trimmed = url.trim();
+    if (trimmed.startsWith('#')) {
+      return trimmed.startsWith(`#${prefix}`) || trimmed === '#' ? trimmed : `#${prefix}${trimmed.slice(1)}`;
+    }
+    if (URL_SCHEME.test(trimmed)) return SAFE_SCHEME.test(trimmed) ? trimmed : null;
+    if (trimmed.startsWith('/')) return trimmed;
+
+    // Relative to the Markdown file under content/
+    const [, path, suffix] = trimmed.match(/^([^?#]*)(.*)$/);
+    let target;
+    try {
+      target = posix.normalize(posix.join(posix.dirname(name), decodeURI(path)));
+    } catch (error) {
+      return trimmed;
+    }
+    if (!path || target === '..' || target.startsWith('../')) return trimmed;
+    return `${this.fileHref(target)}${suffix}`;
+  }
+
+  textContent(node) {
+    if (node.type === 'text') return node.value;
+    return (node.children || []).map(child => this.textContent(child)).join('');
+  }
+
+  // === CODE ===
+
+  renderCode(file) {
+    const language = this.codeLanguage(file.extension);
+    const lines = this.highlightLines(file.content, language);
+    const block = shown => `<pre class="code-block" data-language="${language || 'text'}"><code>${shown.map(line => `<span class="code-line">${line}</span>`).join('\n')}</code></pre>`;
+
+    const sample = lines.length > SAMPLE_LINES ? [...lines.slice(0, SAMPLE_LINES), '…'] : lines;
+    return { html: block(lines), sample: block(sample) };
+  }
+
+  /**
+   * The Prism grammar for an extension, loaded on first use, or null
+   */
+  codeLanguage(extension) {
+    const language = CODE_LANGUAGES[extension.toLowerCase()];
+    if (!language) return null;
+    if (!Prism.languages[language]) loadLanguages([language]);
+    return Prism.languages[language] ? language : null;
+  }
+
+  /**
+   * Highlighted markup per source line. Prism tokens can span lines, so
+   * they are flattened into runs of text with their token classes first.
+   */
+  highlightLines(code, language) {
+    const tokens = language ? Prism.tokenize(code, Prism.languages[language]) : [code];
+    const lines = [''];
+
+    const emit = (text, classes) => {
+      text.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push('');
+        if (!part) return;
+        lines[lines.length - 1] += classes.length > 0 ? `<span class="${classes.join(' ')}">${escapeHtml(part)}</span>` : escapeHtml(part);
+      });
+    };
+    const walk = (token, classes) => {
+      if (typeof token === 'string') return emit(token, classes);
+      const names = [...new Set([...classes, 'token', token.type, ...[].concat(token.alias || [])])];
+      [].concat(token.content).forEach(child => walk(child, names));
+    };
+    tokens.forEach(token => walk(token, []));
+
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  // === PDF ===
+
+  async renderPdf(file) {
+    const preview = await this.pdfPreview.thumbnails(file.sourcePath);
+    if (!preview) return null;
+
+    const slug = this.slug(file.name);
+    const frame = `pdf-${slug}`;
+    const href = escapeHtml(file.href);
+    const assets = [];
+
+    const pages = preview.thumbnails.map(({ page, width, height, image }) => {
+      let picture = `<span class="pdf-page-blank" style="aspect-ratio: ${width} / ${height}"></span>`;
+      if (image) {
+        const name = `assets/pdf/${slug}/page-${page}.${image.extension}`;
+        assets.push({ name, data: image.data });
+        picture = `<img src="${name}" alt="Page ${page}" loading="lazy">`;
+      }
+      return `<a class="pdf-page" href="${href}#page=${page}" target="${frame}">${picture}<span>${page}</span></a>`;
+    });
+    const more = preview.pages - preview.thumbnails.length;
+    const count = `${preview.pages} page${preview.pages !== 1 ? 's' : ''}`;
+    const download = `<p class="pdf-meta">${count} • <a href="${href}" download>Download ${escapeHtml(file.name)}</a></p>`;
+
+    const html = `<div class="pdf-viewer">
+            <nav class="pdf-pages" aria-label="Pages of ${escapeHtml(file.name)}">${pages.join('')}${more > 0 ? `<span class="pdf-more">+${more} more page${more !== 1 ? 's' : ''}</span>` : ''}</nav>
+            <iframe class="pdf-frame" name="${frame}" src="${href}#page=1" title="${escapeHtml(file.name)}"></iframe>
+          </div>
+          ${download}`;
+
+    return { html, sample: `<div class="pdf-sample">${pages[0]}</div>${download}`, assets };
+  }
+
+  // === DOCX ===
+
+  async renderDocx(file) {
+    const slug = this.slug(file.name);
+    const converted = await this.docxConverter.convert(file.sourcePath, {
+      mediaHref: name => `assets/docx/${slug}/${encodeURIComponent(name)}`
+    });
+    if (!converted) return null;
+
+    const assets = converted.media.map(({ name, data }) => ({ name: `assets/docx/${slug}/${name}`, data }));
+    const html = `<div class="rendered docx-body">${converted.html}</div>`;
+    return { html, sample: html, assets };
+  }
+
+  // === FALLBACKS ===
+
+  renderDownload(file) {
+    const html = `<p><a href="${escapeHtml(file.href)}" download>Download ${escapeHtml(file.name)}</a></p>`;
+    return { html, sample: html, assets: [] };
+  }
+
+  sampleText(content) {
+    const sample = escapeHtml(content.substring(0, 200));
+    return content.length > 200 ? `${sample}...` : sample;
+  }
+
+  /**
+   * File name as an id and path fragment
+   */
+  slug(name) {
+    return name.replace(/[^A-Za-z0-9_-]+/g, '-');
+  }
+
+  /**
+   * CSS for rendered documents, added to the site stylesheet
+   */
+  getStyles() {
+    return `
+    .rendered table { border-collapse: collapse; margin: 1rem 0; }
+    .rendered th, .rendered td { border: 1px solid var(--border); padding: 0.3rem 0.6rem; text-align: left; }
+    .rendered img { max-width: 100%; }
+    .rendered blockquote { border-left: 3px solid var(--border); margin: 1rem 0; padding-left: 1rem; }
+    .heading-anchor { margin-left: 0.4em; opacity: 0; text-decoration: none; }
+    :is(h1, h2, h3, h4, h5, h6):hover > .heading-anchor { opacity: 0.6; }
+    .front-matter { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 1rem; margin: 0 0 1rem; opacity: 0.85; }
+    .front-matter dt { font-weight: bold; }
+    .front-matter dd { margin: 0; }
+    .footnotes { border-top: 1px solid var(--border); margin-top: 1.5rem; font-size: 0.85em; }
+    .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+    .contains-task-list { list-style: none; padding-left: 1rem; }
+    .docx-body .subtitle { font-size: 1.1em; opacity: 0.8; }
+
+    /* Line numbers are generated, so copying code leaves them out */
+    .code-block { counter-reset: line; overflow-x: auto; }
+    .code-line::before {
+      counter-increment: line;
+      content: counter(line);
+      display: inline-block;
+      width: 4ch;
+      margin-right: 1.5ch;
+      text-align: right;
+      opacity: 0.4;
+      user-select: none;
+    }
+    .token.comment, .token.prolog, .token.doctype, .token.cdata { opacity: 0.55; font-style: italic; }
+    .token.keyword, .token.atrule, .token.important, .token.rule { color: var(--accent); font-weight: bold; }
+    .token.string, .token.char, .token.attr-value, .token.regex, .token.url { color: #e5c07b; }
+    .token.number, .token.boolean, .token.constant, .token.symbol { color: #d19a66; }
+    .token.function, .token.class-name { color: #61afef; }
+    .token.tag, .token.selector, .token.property, .token.attr-name, .token.key { color: #e06c75; }
+    .token.punctuation, .token.operator { opacity: 0.8; }
+
+    .pdf-viewer { display: grid; grid-template-columns: 7rem 1fr; gap: 1rem; }
+    .pdf-pages { display: flex; flex-direction: column; gap: 0.5rem; max-height: 70vh; overflow-y: auto; }
+    .pdf-page { display: block; text-align: center; font-size: 0.8em; text-decoration: none; }
+    .pdf-page img, .pdf-page-blank { display: block; width: 100%; border: 1px solid var(--border); background: #fff; }
+    .pdf-sample .pdf-page { width: 7rem; }
+    .pdf-more { font-size: 0.8em; opacity: 0.7; text-align: center; }
+    .pdf-frame { width: 100%; height: 70vh; border: 1px solid var(--border); background: #fff; }
+    @media (max-width: 40rem) {
+      .pdf-viewer { grid-template-columns: 1fr; }
+      .pdf-pages { flex-direction: row; overflow-x: auto; }
+      .pdf-page { flex: 0 0 5rem; }
+    }
+`;
+  }
+}
+
+export default DocumentRenderer;
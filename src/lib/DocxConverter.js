@@ -0,0 +1,393 @@
+/**
+ * DOCX Converter - Word documents as semantic HTML
+ *
+ * Reads the package parts directly, like OfficeReader, and maps Word
+ * structure to plain elements for the generated site:
+ *
+ *   Title, Heading 1-6      h1-h6 (by style name, so localized styles work)
+ *   Quote, Intense Quote    blockquote
+ *   numbered and bulleted   nested ol / ul, from numbering.xml
+ *   bold, italic, ...       strong, em, u, s, sub, sup
+ *   hyperlinks              a (http, https and mailto only)
+ *   tables                  table, with header rows as th and merged columns as colspan
+ *   pictures                img, with the picture copied out of the package
+ *
+ * Tracked changes are shown as accepted; comments and field codes are left
+ * out. Styling (fonts, colours, spacing) is not carried over.
+ */
+
+import { posix } from 'path';
+import { ArchiveReader } from './ArchiveReader.js';
+
+// Parts the conversion reads, and the pictures it can show
+const XML_PARTS = new Set(['word/document.xml', 'word/styles.xml', 'word/numbering.xml', 'word/_rels/document.xml.rels']);
+const MEDIA_PART = /^word\/media\/[^/]+\.(png|jpe?g|gif|svg|webp)$/i;
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+const HEADING_STYLE = /^heading\s*([1-6])$/i;
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export class DocxConverter {
+  /**
+   * HTML for a DOCX file and the pictures it shows, or null when the file
+   * is not a Word document
+   * @param {string} filePath
+   * @param {{mediaHref?: (name: string) => string}} [options] - URL for a picture, from its file name
+   * @returns {Promise<{html: string, media: Array<{name: string, data: Buffer}>}|null>}
+   */
+  async convert(filePath, options = {}) {
+    const reader = new ArchiveReader(filePath);
+    try {
+      if (await reader.detectFormat() !== 'zip') return null;
+    } catch (error) {
+      return null;
+    }
+
+    const parts = new Map();
+    const pictures = new Map();
+    for await (const entry of reader.entries()) {
+      if (entry.type !== 'file' || entry.size > MAX_PART_BYTES) continue;
+      if (XML_PARTS.has(entry.name)) {
+        parts.set(entry.name, (await reader.collect(entry.stream)).toString('utf8'));
+      } else if (MEDIA_PART.test(entry.name)) {
+        pictures.set(entry.name, await reader.collect(entry.stream));
+      }
+    }
+    if (!parts.has('word/document.xml')) return null;
+
+    const context = {
+      styles: this.readStyles(parts.get('word/styles.xml')),
+      numbering: this.readNumbering(parts.get('word/numbering.xml')),
+      relationships: this.readRelationships(parts.get('word/_rels/document.xml.rels')),
+      pictures,
+      used: new Map(),
+      mediaHref: options.mediaHref || (name => name)
+    };
+
+    const body = this.find(this.parseXml(parts.get('word/document.xml')), 'w:body');
+    const html = body ? this.renderBlocks(body.children, context) : '';
+    return { html, media: [...context.used].map(([name, data]) => ({ name, data })) };
+  }
+
+  // === XML ===
+
+  /**
+   * Element tree of a well-formed XML part: {name, attributes, children},
+   * with text as strings. Declarations, comments and CDATA are skipped.
+   */
+  parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    const pattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<[?!][^>]*>|([^<]+)/g;
+
+    for (const [, closing, name, attributeText, selfClosing, text] of xml.matchAll(pattern)) {
+      const parent = stack[stack.length - 1];
+      if (text !== undefined) {
+        parent.children.push(this.decode(text));
+      } else if (!name) {
+        continue;
+      } else if (closing) {
+        if (stack.length > 1) stack.pop();
+      } else {
+        const attributes = {};
+        for (const [, key, double, single] of (attributeText || '').matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+          attributes[key] = this.decode(double ?? single);
+        }
+        const element = { name, attributes, children: [] };
+        parent.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+    }
+
+    return root;
+  }
+
+  decode(value) {
+    return value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-fA-F]+);/g, (entity, name) => {
+      if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name];
+    });
+  }
+
+  find(node, name) {
+    for (const child of node?.children || []) {
+      if (typeof child === 'string') continue;
+      if (child.name === name) return child;
+      const found = this.find(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  child(node, name) {
+    return node?.children.find(child => typeof child !== 'string' && child.name === name) || null;
+  }
+
+  elements(node, name) {
+    return (node?.children || []).filter(child => typeof child !== 'string' && child.name === name);
+  }
+
+  text(node) {
+    return (node?.children || []).map(child => (typeof child === 'string' ? child : this.text(child))).join('');
+  }
+
+  // === PACKAGE PARTS ===
+
+  /**
+   * Style id → lower-case style name ("heading 1", "title", "quote")
+   */
+  readStyles(xml) {
+    const styles = new Map();
+    if (!xml) return styles;
+
+    for (const style of this.elements(this.find(this.parseXml(xml), 'w:styles'), 'w:style')) {
+      const name = this.child(style, 'w:name')?.attributes['w:val'];
+      if (name) styles.set(style.attributes['w:styleId'], name.toLowerCase());
+    }
+    return styles;
+  }
+
+  /**
+   * numId → list tag per level ("ul" for bullets, "ol" otherwise)
+   */
+  readNumbering(xml) {
+    const numbering = new Map();
+    if (!xml) return numbering;
+
+    const root = this.find(this.parseXml(xml), 'w:numbering');
+    const abstract = new Map();
+    for (const definition of this.elements(root, 'w:abstractNum')) {
+      const levels = new Map();
+      for (const level of this.elements(definition, 'w:lvl')) {
+        const format = this.child(level, 'w:numFmt')?.attributes['w:val'];
+        levels.set(Number(level.attributes['w:ilvl']), format === 'bullet' || format === 'none' ? 'ul' : 'ol');
+      }
+      abstract.set(definition.attributes['w:abstractNumId'], levels);
+    }
+    for (const num of this.elements(root, 'w:num')) {
+      const abstractId = this.child(num, 'w:abstractNumId')?.attributes['w:val'];
+      numbering.set(num.attributes['w:numId'], abstract.get(abstractId) || new Map());
+    }
+    return numbering;
+  }
+
+  /**
+   * Relationship id → {target, external}
+   */
+  readRelationships(xml) {
+    const relationships = new Map();
+    if (!xml) return relationships;
+
+    for (const relationship of this.elements(this.find(this.parseXml(xml), 'Relationships'), 'Relationship')) {
+      relationships.set(relationship.attributes.Id, {
+        target: relationship.attributes.Target,
+        external: relationship.attributes.TargetMode === 'External'
+      });
+    }
+    return relationships;
+  }
+
+  // === BLOCKS ===
+
+  renderBlocks(nodes, context) {
+    let html = '';
+    // Open lists, innermost last: {level, tag}
+    const lists = [];
+    const closeLists = (level = -1, tag = null) => {
+      while (lists.length > 0) {
+        const top = lists[lists.length - 1];
+        if (top.level < level || (top.level === level && top.tag === tag)) break;
+        html += `</li></${top.tag}>`;
+        lists.pop();
+      }
+    };
+
+    for (const node of nodes) {
+      if (typeof node === 'string') continue;
+
+      if (node.name === 'w:p') {
+        const paragraph = this.renderParagraph(node, context);
+        if (!paragraph) continue;
+
+        if (paragraph.list) {
+          const { level, tag } = paragraph.list;
+          closeLists(level, tag);
+          const top = lists[lists.length - 1];
+          if (top && top.level === level) {
+            html += `</li><li>${paragraph.content}`;
+          } else {
+            html += `<${tag}><li>${paragraph.content}`;
+            lists.push({ level, tag });
+          }
+        } else {
+          closeLists();
+          html += paragraph.html;
+        }
+      } else if (node.name === 'w:tbl') {
+        closeLists();
+        html += this.renderTable(node, context);
+      } else if (node.name === 'w:sdt') {
+        closeLists();
+        html += this.renderBlocks(this.child(node, 'w:sdtContent')?.children || [], context);
+      } else if (['w:ins', 'w:customXml', 'w:smartTag'].includes(node.name)) {
+        closeLists();
+        html += this.renderBlocks(node.children, context);
+      }
+    }
+
+    closeLists();
+    return html;
+  }
+
+  /**
+   * Paragraph markup, list placement for list items, or null when empty
+   */
+  renderParagraph(node, context) {
+    const properties = this.child(node, 'w:pPr');
+    const content = this.renderInline(node.children, context).trim();
+    if (!content) return null;
+
+    const styleId = this.child(properties, 'w:pStyle')?.attributes['w:val'];
+    const style = context.styles.get(styleId) || (styleId || '').toLowerCase();
+
+    const numbering = this.child(properties, 'w:numPr');
+    const numId = this.child(numbering, 'w:numId')?.attributes['w:val'];
+    if (numbering && numId && numId !== '0') {
+      const level = Number(this.child(numbering, 'w:ilvl')?.attributes['w:val'] || 0);
+      const tag = context.numbering.get(numId)?.get(level) || 'ul';
+      return { list: { level, tag }, content };
+    }
+
+    const heading = style.match(HEADING_STYLE);
+    if (style === 'title') return { html: `<h1>${content}</h1>` };
+    if (heading) return { html: `<h${heading[1]}>${content}</h${heading[1]}>` };
+    if (style === 'subtitle') return { html: `<p class="subtitle">${content}</p>` };
+    if (style === 'quote' || style === 'intense quote') return { html: `<blockquote><p>${content}</p></blockquote>` };
+    return { html: `<p>${content}</p>` };
+  }
+
+  renderTable(node, context) {
+    const rows = this.elements(node, 'w:tr').map(row => {
+      const header = Boolean(this.child(this.child(row, 'w:trPr'), 'w:tblHeader'));
+      const cells = this.elements(row, 'w:tc').map(cell => {
+        const properties = this.child(cell, 'w:tcPr');
+        const span = Number(this.child(properties, 'w:gridSpan')?.attributes['w:val'] || 1);
+        const tag = header ? 'th' : 'td';
+        const colspan = span > 1 ? ` colspan="${span}"` : '';
+        return `<${tag}${colspan}>${this.renderBlocks(cell.children, context)}</${tag}>`;
+      });
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table>${rows.join('')}</table>`;
+  }
+
+  // === RUNS ===
+
+  /**
+   * Runs, links and pictures of a paragraph, with neighbouring runs that
+   * share formatting merged
+   */
+  renderInline(nodes, context) {
+    const segments = [];
+    this.collectSegments(nodes, context, segments, null);
+
+    let html = '';
+    let index = 0;
+    while (index < segments.length) {
+      const { marks, link } = segments[index];
+      let content = '';
+      while (index < segments.length && segments[index].marks === marks && segments[index].link === link) {
+        content += segments[index].html;
+        index++;
+      }
+      for (const mark of marks ? marks.split(' ') : []) content = `<${mark}>${content}</${mark}>`;
+      html += link ? `<a href="${escapeHtml(link)}">${content}</a>` : content;
+    }
+    return html;
+  }
+
+  collectSegments(nodes, context, segments, link) {
+    for (const node of nodes) {
+      if (typeof node === 'string') continue;
+
+      switch (node.name) {
+        case 'w:r':
+          this.collectRun(node, context, segments, link);
+          break;
+        case 'w:hyperlink': {
+          const relationship = context.relationships.get(node.attributes['r:id']);
+          const target = relationship?.external && SAFE_LINK.test(relationship.target) ? relationship.target : null;
+          this.collectSegments(node.children, context, segments, target || link);
+          break;
+        }
+        // Accepted view: insertions and moves in, deletions out
+        case 'w:ins':
+        case 'w:moveTo':
+        case 'w:smartTag':
+        case 'w:customXml':
+        case 'w:fldSimple':
+          this.collectSegments(node.children, context, segments, link);
+          break;
+        case 'w:sdt':
+          this.collectSegments(this.child(node, 'w:sdtContent')?.children || [], context, segments, link);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  collectRun(run, context, segments, link) {
+    const properties = this.child(run, 'w:rPr');
+    const on = name => {
+      const element = this.child(properties, name);
+      return Boolean(element) && !['0', 'false', 'off', 'none'].includes(element.attributes['w:val']);
+    };
+    const vertical = this.child(properties, 'w:vertAlign')?.attributes['w:val'];
+    const marks = [
+      on('w:b') && 'strong',
+      on('w:i') && 'em',
+      on('w:u') && 'u',
+      (on('w:strike') || on('w:dstrike')) && 's',
+      vertical === 'superscript' && 'sup',
+      vertical === 'subscript' && 'sub'
+    ].filter(Boolean).join(' ');
+
+    // Field instructions (w:instrText) and deleted text (w:delText) are left out
+    for (const node of run.children) {
+      if (typeof node === 'string') continue;
+      let html = null;
+      if (node.name === 'w:t') html = escapeHtml(this.text(node));
+      else if (node.name === 'w:tab') html = '\t';
+      else if (node.name === 'w:br' || node.name === 'w:cr') html = node.attributes['w:type'] === 'page' ? '' : '<br>';
+      else if (node.name === 'w:noBreakHyphen') html = '‑';
+      else if (node.name === 'w:drawing' || node.name === 'mc:AlternateContent') html = this.renderPicture(node, context);
+      if (html) segments.push({ html, marks, link });
+    }
+  }
+
+  renderPicture(node, context) {
+    const blip = this.find(node, 'a:blip');
+    const relationship = context.relationships.get(blip?.attributes['r:embed']);
+    if (!relationship || relationship.external) return null;
+
+    const part = posix.normalize(posix.join('word', relationship.target));
+    const data = context.pictures.get(part);
+    const description = this.find(node, 'wp:docPr')?.attributes;
+    const alt = description?.descr || description?.title || '';
+    if (!data) return alt ? `<em>[${escapeHtml(alt)}]</em>` : null;
+
+    const name = posix.basename(part);
+    context.used.set(name, data);
+    return `<img src="${escapeHtml(context.mediaHref(name))}" alt="${escapeHtml(alt)}" loading="lazy">`;
+  }
+}
+
+export default DocxConverter;
@@ -307,6 +307,12 @@ export interface Props {
     src: string;
     alt: string;
     caption?: string;
+    srcset?: string;
+    sizes?: string;
+    sources?: Array<{ type: string; srcset: string }>;
+    width?: number;
+    height?: number;
+    placeholder?: string;
   }>;
   columns?: number;
   masonry?: boolean;
@@ -320,13 +326,26 @@ const { images, columns = 3, masonry = false } = Astro.props;
     <div class={masonry ? 'columns-1 gap-8 sm:columns-2 lg:columns-3' : \`grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-\${columns}\`}>
       {images.map((image, index) => (
         <div class={masonry ? 'mb-8 break-inside-avoid' : 'group relative overflow-hidden rounded-lg'}>
-          <div class="aspect-w-3 aspect-h-4 overflow-hidden rounded-lg bg-${theme.colors.primary[100]} dark:bg-${theme.colors.primary[800]}">
-            <img
-              src={image.src}
-              alt={image.alt}
-              class="h-full w-full object-cover object-center group-hover:scale-105 transition-transform duration-300"
-              loading="lazy"
-            />
+          <div
+            class="aspect-w-3 aspect-h-4 overflow-hidden rounded-lg bg-cover bg-center bg-${theme.colors.primary[100]} dark:bg-${theme.colors.primary[800]}"
+            style={image.placeholder ? \`background-image: url(\${image.placeholder})\` : undefined}
+          >
+            <picture>
+              {(image.sources || []).map(source => (
+                <source type={source.type} srcset={source.srcset} sizes={image.sizes} />
+              ))}
+              <img
+                src={image.src}
+                srcset={image.srcset}
+                sizes={image.sizes}
+                width={image.width}
+                height={image.height}
+                alt={image.alt}
+                class="h-full w-full object-cover object-center group-hover:scale-105 transition-transform duration-300"
+                loading="lazy"
+                decoding="async"
+              />
+            </picture>
             <div class="absolute inset-0 bg-gradient-to-t from-black/50 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
           </div>
           
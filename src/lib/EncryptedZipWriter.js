@@ -0,0 +1,232 @@
+/**
+ * Encrypted ZIP Writer - Password-protected ZIP packages (WinZip AES, AE-2)
+ *
+ * archiver cannot encrypt, so encrypted packages are written here: each entry
+ * is deflated (or stored), encrypted by PackageEncryption and written after a
+ * placeholder local header that is patched with the final sizes. Archives
+ * open in 7-Zip, WinZip, macOS Archive Utility and libarchive.
+ */
+
+import { createReadStream } from 'fs';
+import { open } from 'fs/promises';
+import { Readable } from 'stream';
+import { createDeflateRaw } from 'zlib';
+import { PackageEncryption, ZIP_AES_METHOD } from './PackageEncryption.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION_NEEDED = 51; // 5.1: AES encryption
+const VERSION_MADE_BY = (3 << 8) | 63; // Unix, spec 6.3
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const MAX_ZIP32 = 0xffffffff;
+
+export class EncryptedZipWriter {
+  constructor(options = {}) {
+    this.options = {
+      level: 9,
+      date: new Date(),
+      ...options
+    };
+
+    if (!this.options.password) {
+      throw new SubmititError('An encrypted ZIP needs a password', 'ENCRYPTION_KEY_MISSING');
+    }
+
+    this.encryption = new PackageEncryption();
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Write an encrypted ZIP for the given entries
+   * @param {Array<{name: string, sourcePath?: string, content?: Buffer|string, stream?: Readable, mtime?: Date, mode?: number}>} entries
+   * @param {string} outputPath
+   * @param {Function} [onProgress]
+   */
+  async write(entries, outputPath, onProgress) {
+    await this.open(outputPath);
+
+    try {
+      for (let index = 0; index < entries.length; index++) {
+        await this.addEntry(entries[index]);
+
+        onProgress?.({
+          percent: Math.round(((index + 1) / entries.length) * 100),
+          processedBytes: index + 1,
+          totalBytes: entries.length
+        });
+      }
+    } catch (error) {
+      await this.handle.close();
+      throw error;
+    }
+
+    return await this.close();
+  }
+
+  /**
+   * Incremental use: open(), addEntry() for each file, then close()
+   */
+  async open(outputPath) {
+    this.outputPath = outputPath;
+    this.handle = await open(outputPath, 'w');
+    this.records = [];
+    this.position = 0;
+  }
+
+  async addEntry(entry) {
+    const record = {
+      name: Buffer.from(entry.name.replace(/\\/g, '/').replace(/^\/+/, ''), 'utf8'),
+      method: this.options.level > 0 ? 8 : 0,
+      mtime: entry.mtime || this.options.date,
+      mode: entry.mode || 0o644,
+      offset: this.position,
+      size: 0,
+      compressedSize: 0
+    };
+    record.extra = this.encryption.createZipAesExtraField(record.method);
+
+    // Placeholder header; sizes are known only after the data is written
+    const headerLength = 30 + record.name.length + record.extra.length;
+    this.position += headerLength;
+
+    for await (const chunk of this.createEntryStream(entry, record)) {
+      await this.handle.write(chunk, 0, chunk.length, this.position);
+      this.position += chunk.length;
+      record.compressedSize += chunk.length;
+    }
+
+    if (record.compressedSize > MAX_ZIP32 || this.position > MAX_ZIP32) {
+      throw new SubmititError('Encrypted ZIP packages are limited to 4 GB', 'FORMAT_UNAVAILABLE', { format: 'zip' });
+    }
+
+    await this.handle.write(this.localHeader(record), 0, headerLength, record.offset);
+    this.records.push(record);
+  }
+
+  async close() {
+    try {
+      const directoryOffset = this.position;
+      for (const record of this.records) {
+        const header = this.centralHeader(record);
+        await this.handle.write(header, 0, header.length, this.position);
+        this.position += header.length;
+      }
+
+      const end = this.endOfCentralDirectory(this.records.length, this.position - directoryOffset, directoryOffset);
+      await this.handle.write(end, 0, end.length, this.position);
+      this.position += end.length;
+    } finally {
+      await this.handle.close();
+    }
+
+    return {
+      path: this.outputPath,
+      size: this.position,
+      format: 'zip',
+      encrypted: true,
+      files: this.records.length
+    };
+  }
+
+  // === ENTRY DATA ===
+
+  /**
+   * Source → deflate → encrypt, counting the uncompressed size on the way
+   */
+  createEntryStream(entry, record) {
+    const source = entry.stream
+      || (entry.content !== undefined
+        ? Readable.from([Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content)])
+        : createReadStream(entry.sourcePath));
+
+    source.on('data', chunk => { record.size += chunk.length; });
+
+    const encrypt = this.encryption.createZipAesEncryptStream(this.options.password);
+    let stream = source;
+
+    if (record.method === 8) {
+      const deflate = createDeflateRaw({ level: this.options.level });
+      source.on('error', error => deflate.destroy(error));
+      stream = source.pipe(deflate);
+    }
+
+    stream.on('error', error => encrypt.destroy(error));
+    return stream.pipe(encrypt);
+  }
+
+  // === RECORDS ===
+
+  localHeader(record) {
+    const header = Buffer.alloc(30);
+    const { time, date } = this.dosDateTime(record.mtime);
+
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(FLAG_ENCRYPTED | FLAG_UTF8, 6);
+    header.writeUInt16LE(ZIP_AES_METHOD, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(0, 14); // AE-2 leaves the CRC out
+    header.writeUInt32LE(record.compressedSize, 18);
+    header.writeUInt32LE(record.size, 22);
+    header.writeUInt16LE(record.name.length, 26);
+    header.writeUInt16LE(record.extra.length, 28);
+
+    return Buffer.concat([header, record.name, record.extra]);
+  }
+
+  centralHeader(record) {
+    const header = Buffer.alloc(46);
+    const { time, date } = this.dosDateTime(record.mtime);
+
+    header.writeUInt32LE(CENTRAL_HEADER, 0);
+    header.writeUInt16LE(VERSION_MADE_BY, 4);
+    header.writeUInt16LE(VERSION_NEEDED, 6);
+    header.writeUInt16LE(FLAG_ENCRYPTED | FLAG_UTF8, 8);
+    header.writeUInt16LE(ZIP_AES_METHOD, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(0, 16);
+    header.writeUInt32LE(record.compressedSize, 20);
+    header.writeUInt32LE(record.size, 24);
+    header.writeUInt16LE(record.name.length, 28);
+    header.writeUInt16LE(record.extra.length, 30);
+    header.writeUInt32LE(((0o100000 | record.mode) << 16) >>> 0, 38);
+    header.writeUInt32LE(record.offset, 42);
+
+    return Buffer.concat([header, record.name, record.extra]);
+  }
+
+  endOfCentralDirectory(count, directorySize, directoryOffset) {
+    if (count > 0xffff) {
+      throw new SubmititError('Encrypted ZIP packages are limited to 65535 files', 'FORMAT_UNAVAILABLE', { format: 'zip' });
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(count, 8);
+    end.writeUInt16LE(count, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    return end;
+  }
+
+  /**
+   * MS-DOS date and time in UTC, as archiver writes them
+   */
+  dosDateTime(value) {
+    const d = new Date(value);
+    const year = Math.min(Math.max(d.getUTCFullYear(), 1980), 2107);
+
+    return {
+      time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+      date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+    };
+  }
+}
+
+export default EncryptedZipWriter;
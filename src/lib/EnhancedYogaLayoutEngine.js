@@ -5,6 +5,7 @@
  * Provides a clean, type-safe interface for Yoga layout calculations
  */
 
+import React from 'react';
 import Yoga from 'yoga-layout';
 
 /**
@@ -16,8 +17,8 @@ class EnhancedYogaLayoutEngine {
    * @param {Object} [config] - Layout configuration
    */
   constructor(config = {}) {
-    this.root = this.createNode(config);
     this.nodes = new Set();
+    this.root = this.createNode(config);
   }
 
   /**
@@ -325,10 +326,10 @@ function withYogaLayout(Component) {
       return () => window.removeEventListener('resize', updateLayout);
     }, [props.width, props.height, props.style]);
     
-    return (
-      <div ref={containerRef} style={{ width: '100%', height: '100%' }}>
-        <Component {...props} layout={layout} />
-      </div>
+    return React.createElement(
+      'div',
+      { ref: containerRef, style: { width: '100%', height: '100%' } },
+      React.createElement(Component, { ...props, layout })
     );
   };
 }
@@ -0,0 +1,208 @@
+/**
+ * Export Profiles - Named export settings kept in submitit.config.json
+ *
+ * A profile bundles the flags a team would otherwise retype for every
+ * destination (a course portal, a press kit mailer, an archive copy):
+ *
+ *   "exportProfiles": {
+ *     "canvas": {
+ *       "format": "zip",
+ *       "naming": "{name}_{date}",
+ *       "roles": { "exclude": ["draft"] },
+ *       "maxSize": "100MB",
+ *       "bundle": { "preview": false, "postcard": true, "manifest": true },
+ *       "hooks": { "postExport": ["scp \"$SUBMITIT_PACKAGE\" host:/uploads/"] }
+ *     }
+ *   }
+ */
+
+import { isAbsolute, join } from 'path';
+import { execa } from 'execa';
+import chalk from 'chalk';
+import { PackageManager } from './PackageManager.js';
+import { parseSize } from './FileSizes.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+const FORMATS = ['zip', 'tar', 'tar.gz', 'tgz', 'iso', '7z', 'rar'];
+
+// Profile settings that map one-to-one onto export options
+const PASSTHROUGH_OPTIONS = ['format', 'streaming', 'reproducible', 'sign', 'maxPartSize', 'encrypt', 'recipient', 'passwordFile', 'include', 'exclude', 'normalize', 'optimize'];
+const PROFILE_KEYS = new Set([...PASSTHROUGH_OPTIONS, 'description', 'naming', 'output', 'roles', 'maxSize', 'bundle', 'hooks']);
+
+const DEFAULT_BUNDLE = { preview: true, postcard: false, site: false, manifest: true };
+
+export class ExportProfiles {
+  constructor(packageManager = new PackageManager()) {
+    this.packageManager = packageManager;
+  }
+
+  // === LOOKUP ===
+
+  list(config) {
+    return Object.keys(config.exportProfiles || {});
+  }
+
+  /**
+   * Validated profile by name
+   */
+  resolve(config, name) {
+    const profile = config.exportProfiles?.[name];
+
+    if (!profile) {
+      const available = this.list(config);
+      throw new SubmititError(
+        `No export profile "${name}"${available.length ? ` (available: ${available.join(', ')})` : ''}`,
+        'PROFILE_NOT_FOUND',
+        { name, available }
+      );
+    }
+
+    return this.validate(name, profile);
+  }
+
+  // === VALIDATION ===
+
+  /**
+   * Check a profile and fill in defaults, so mistakes surface before anything is packaged
+   */
+  validate(name, profile) {
+    const fail = (message) => {
+      throw new SubmititError(`Export profile "${name}": ${message}`, 'VALIDATION_ERROR', { profile: name });
+    };
+
+    if (typeof profile !== 'object' || Array.isArray(profile)) {
+      fail('must be an object');
+    }
+
+    const unknown = Object.keys(profile).filter(key => !PROFILE_KEYS.has(key));
+    if (unknown.length > 0) {
+      fail(`unknown setting(s) ${unknown.join(', ')}`);
+    }
+
+    if (profile.format && !FORMATS.includes(String(profile.format).toLowerCase())) {
+      fail(`unsupported format "${profile.format}" (use ${FORMATS.join(', ')})`);
+    }
+
+    if (profile.naming !== undefined) {
+      const placeholders = this.getNamingPlaceholders();
+      const unknownPlaceholders = [...String(profile.naming).matchAll(/\{(\w+)\}/g)]
+        .map(match => match[1])
+        .filter(placeholder => !placeholders.includes(placeholder));
+
+      if (unknownPlaceholders.length > 0) {
+        fail(`unknown naming placeholder(s) ${unknownPlaceholders.map(p => `{${p}}`).join(', ')} (use ${placeholders.map(p => `{${p}}`).join(', ')})`);
+      }
+    }
+
+    const roles = profile.roles || {};
+    for (const key of Object.keys(roles)) {
+      if (!['include', 'exclude'].includes(key) || !Array.isArray(roles[key])) {
+        fail('roles takes "include" and "exclude" lists of role names');
+      }
+    }
+
+    const bundle = { ...DEFAULT_BUNDLE, ...profile.bundle };
+    for (const [key, value] of Object.entries(bundle)) {
+      if (!(key in DEFAULT_BUNDLE) || typeof value !== 'boolean') {
+        fail('bundle takes true/false for "preview", "postcard", "site" and "manifest"');
+      }
+    }
+
+    if (profile.maxPartSize && !bundle.manifest) {
+      fail('maxPartSize needs the manifest bundled in every part');
+    }
+
+    const postExport = profile.hooks?.postExport || [];
+    if (!Array.isArray(postExport) || postExport.some(command => typeof command !== 'string')) {
+      fail('hooks.postExport must be a list of shell commands');
+    }
+
+    return {
+      name,
+      description: profile.description,
+      naming: profile.naming,
+      output: profile.output,
+      roles: profile.roles ? { include: roles.include || [], exclude: roles.exclude || [] } : null,
+      maxSize: profile.maxSize ? parseSize(profile.maxSize, 'size budget') : null,
+      bundle,
+      hooks: { postExport },
+      options: Object.fromEntries(PASSTHROUGH_OPTIONS.filter(key => key in profile).map(key => [key, profile[key]]))
+    };
+  }
+
+  /**
+   * Placeholders used by the built-in naming patterns, plus {profile}
+   */
+  getNamingPlaceholders() {
+    const placeholders = this.packageManager.getAvailableNamingPatterns()
+      .flatMap(pattern => [...pattern.matchAll(/\{(\w+)\}/g)].map(match => match[1]));
+
+    return [...new Set([...placeholders, 'profile'])];
+  }
+
+  // === APPLYING ===
+
+  /**
+   * Export options for a profile. Flags given on the command line win.
+   * Profiles without an output directory export to output/<profile>/ so
+   * their manifests do not overwrite each other.
+   */
+  applyProfile(profile, cliOptions = {}) {
+    const explicit = Object.fromEntries(
+      Object.entries(cliOptions).filter(([key, value]) => value !== undefined && !['profile', 'allProfiles'].includes(key))
+    );
+
+    const output = profile.output
+      ? (isAbsolute(profile.output) ? profile.output : join(process.cwd(), profile.output))
+      : join(process.cwd(), 'output', profile.name);
+
+    return {
+      ...profile.options,
+      ...(profile.naming && { name: profile.naming }),
+      output,
+      ...explicit
+    };
+  }
+
+  /**
+   * Fail the profile when its package is over the size budget
+   */
+  checkBudget(profile, result) {
+    if (profile.maxSize && result.size > profile.maxSize) {
+      throw new SubmititError(
+        `Package is ${result.size} bytes, over the ${profile.maxSize}-byte budget of profile "${profile.name}" (left at ${result.path})`,
+        'SIZE_BUDGET_EXCEEDED',
+        { profile: profile.name, size: result.size, budget: profile.maxSize, path: result.path }
+      );
+    }
+  }
+
+  /**
+   * Run post-export hooks in order; the first failure stops the rest
+   * @param {{path: string, size: number, manifestPath: string}} context
+   */
+  async runHooks(profile, context) {
+    const env = {
+      SUBMITIT_PROFILE: profile.name,
+      SUBMITIT_PACKAGE: context.path,
+      SUBMITIT_PACKAGE_SIZE: String(context.size),
+      SUBMITIT_MANIFEST: context.manifestPath
+    };
+
+    for (const command of profile.hooks.postExport) {
+      console.log(chalk.blue(`🪝 ${command}`));
+
+      try {
+        await execa(command, { shell: true, stdio: 'inherit', env });
+      } catch (error) {
+        throw new SubmititError(
+          `Post-export hook failed: ${command}`,
+          'HOOK_FAILED',
+          { profile: profile.name, command, exitCode: error.exitCode }
+        );
+      }
+    }
+  }
+}
+
+export default ExportProfiles;
@@ -0,0 +1,589 @@
+/**
+ * File Signatures - What a file really is, judged by its bytes
+ *
+ * Extensions are easy to get wrong: a .pdf that is a renamed .docx, or an
+ * HTML error page saved as report.pdf. This database identifies content from
+ * magic bytes and container structure (ZIP entry names, ISO-BMFF brands, RIFF
+ * and EBML doc types) and compares it with what the extension promises.
+ *
+ * Confidence is the likelihood that the detected type is right:
+ *   0.99  magic plus verified structure (PNG IHDR, ZIP entries, ftyp brand)
+ *   0.95  distinctive magic of four or more bytes
+ *   0.80  short magic that arbitrary data matches more often (gzip, bzip2, MZ)
+ *   0.60  heuristics (MPEG frame sync, markup sniffing, PDF header past byte 0)
+ *   0.50  no magic, but the bytes read as text
+ *   0.30  nothing in the content; only the file name
+ */
+
+import { extname } from 'path';
+
+export const CONFIDENCE = {
+  STRUCTURE: 0.99,
+  MAGIC: 0.95,
+  SHORT_MAGIC: 0.8,
+  HEURISTIC: 0.6,
+  TEXT: 0.5,
+  EXTENSION: 0.3
+};
+
+export const EXTENSION_TYPES = {
+  // Images
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/vnd.microsoft.icon',
+  '.psd': 'image/vnd.adobe.photoshop',
+  '.svg': 'image/svg+xml',
+  // Video
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.3gp': 'video/3gpp',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  // Audio
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+  // Documents
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.epub': 'application/epub+zip',
+  '.rtf': 'application/rtf',
+  '.ps': 'application/postscript',
+  // Archives
+  '.zip': 'application/zip',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.zst': 'application/zstd',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  // Executables
+  '.exe': 'application/x-msdownload',
+  '.dll': 'application/x-msdownload',
+  // Text
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xml': 'application/xml'
+};
+
+const OOXML = 'application/vnd.openxmlformats-officedocument.';
+
+// Formats that share a container; a generic match is compatible with any member
+const CONTAINERS = {
+  zip: [
+    'application/zip', 'application/epub+zip', 'application/java-archive', 'application/vnd.android.package-archive',
+    `${OOXML}wordprocessingml.document`, `${OOXML}spreadsheetml.sheet`, `${OOXML}presentationml.presentation`,
+    'application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation'
+  ],
+  isobmff: ['video/mp4', 'video/quicktime', 'video/3gpp', 'audio/mp4', 'image/heic', 'image/heif', 'image/avif'],
+  ole: ['application/x-ole-storage', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+  ebml: ['video/webm', 'video/x-matroska']
+};
+
+// Types that most software opens interchangeably, so a swap is only worth a warning
+const INTERCHANGEABLE = [
+  ['video/mp4', 'video/quicktime', 'video/3gpp', 'audio/mp4'],
+  ['image/heic', 'image/heif'],
+  ['video/webm', 'video/x-matroska']
+];
+
+const EXECUTABLE_TYPES = ['application/x-msdownload', 'application/x-executable', 'application/x-mach-binary'];
+
+const ARCHIVE_TYPES = [
+  'application/zip', 'application/gzip', 'application/x-bzip2', 'application/x-xz', 'application/zstd',
+  'application/x-tar', 'application/x-7z-compressed', 'application/vnd.rar',
+  'application/java-archive', 'application/vnd.android.package-archive'
+];
+
+const SNIFFED_FAMILIES = ['image', 'audio', 'video', 'text'];
+
+const TEXT_TYPES = ['application/json', 'application/javascript', 'application/xml', 'image/svg+xml'];
+
+// Fixed magic numbers, most specific first. `offset` is where the magic starts.
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], confidence: CONFIDENCE.MAGIC,
+    verify: buffer => ascii(buffer, 12, 4) === 'IHDR' },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff], confidence: CONFIDENCE.MAGIC,
+    verify: buffer => buffer[3] >= 0xc0 && buffer[3] !== 0xff, required: true },
+  { mimeType: 'image/gif', ascii: 'GIF87a', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'image/gif', ascii: 'GIF89a', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'image/vnd.adobe.photoshop', ascii: '8BPS', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/pdf', ascii: '%PDF-', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], confidence: CONFIDENCE.MAGIC,
+    container: 'ole' },
+  { mimeType: 'application/rtf', ascii: '{\\rtf', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/postscript', ascii: '%!PS', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b, 0x08], confidence: CONFIDENCE.SHORT_MAGIC },
+  { mimeType: 'application/x-bzip2', ascii: 'BZh', confidence: CONFIDENCE.SHORT_MAGIC,
+    verify: buffer => buffer[3] >= 0x31 && buffer[3] <= 0x39 },
+  { mimeType: 'application/x-tar', offset: 257, ascii: 'ustar', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'audio/flac', ascii: 'fLaC', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'audio/mpeg', ascii: 'ID3', confidence: CONFIDENCE.MAGIC,
+    verify: buffer => buffer[3] >= 2 && buffer[3] <= 4 },
+  { mimeType: 'audio/midi', ascii: 'MThd', confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'application/x-mach-binary', bytes: [0xce, 0xfa, 0xed, 0xfe], confidence: CONFIDENCE.MAGIC },
+  { mimeType: 'image/bmp', ascii: 'BM', confidence: CONFIDENCE.SHORT_MAGIC,
+    verify: buffer => [12, 40, 52, 56, 108, 124].includes(buffer.length >= 18 ? buffer.readUInt32LE(14) : 0),
+    required: true },
+  { mimeType: 'image/vnd.microsoft.icon', bytes: [0x00, 0x00, 0x01, 0x00], confidence: CONFIDENCE.HEURISTIC,
+    verify: buffer => buffer.length >= 6 && buffer.readUInt16LE(4) > 0, required: true }
+];
+
+// ISO base media (MP4, MOV, HEIC, AVIF) major and compatible brands
+const ISOBMFF_BRANDS = {
+  'image/avif': ['avif', 'avis'],
+  'image/heic': ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'],
+  'image/heif': ['mif1', 'msf1'],
+  'video/quicktime': ['qt  '],
+  'audio/mp4': ['M4A ', 'M4B ', 'M4P '],
+  'video/3gpp': ['3gp4', '3gp5', '3gp6', '3gp7', '3g2a', '3g2b', '3g2c'],
+  'video/mp4': ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'M4VH', 'M4VP', 'MSNV', 'f4v ']
+};
+
+// Entry names that identify what a ZIP really is
+const ZIP_MARKERS = [
+  { prefix: 'word/', mimeType: `${OOXML}wordprocessingml.document` },
+  { prefix: 'xl/', mimeType: `${OOXML}spreadsheetml.sheet` },
+  { prefix: 'ppt/', mimeType: `${OOXML}presentationml.presentation` },
+  { prefix: 'AndroidManifest.xml', mimeType: 'application/vnd.android.package-archive' },
+  { prefix: 'META-INF/MANIFEST.MF', mimeType: 'application/java-archive' }
+];
+
+// Enough of the end of a ZIP to hold the end-of-central-directory record and its comment
+export const ZIP_TAIL_BYTES = 65536 + 22;
+
+function ascii(buffer, offset, length) {
+  return buffer.length >= offset + length ? buffer.toString('latin1', offset, offset + length) : '';
+}
+
+export class FileSignatures {
+  // === IDENTIFICATION ===
+
+  /**
+   * Identify content from its leading bytes
+   * @param {Buffer} buffer - Start of the file (8 KB is plenty)
+   * @param {Object} [options]
+   * @param {Buffer} [options.tail] - End of the file, to read a ZIP's central directory
+   * @returns {{mimeType: string, confidence: number, container?: string, generic?: boolean}|null}
+   */
+  identify(buffer, options = {}) {
+    if (!buffer || buffer.length === 0) {
+      return null;
+    }
+
+    return this.identifyContainer(buffer, options)
+      || this.identifyMagic(buffer)
+      || this.identifyHeuristic(buffer)
+      || this.identifyText(buffer);
+  }
+
+  identifyMagic(buffer) {
+    for (const signature of SIGNATURES) {
+      const offset = signature.offset || 0;
+      const bytes = signature.bytes || [...Buffer.from(signature.ascii, 'latin1')];
+
+      if (buffer.length < offset + bytes.length || !bytes.every((byte, index) => buffer[offset + index] === byte)) {
+        continue;
+      }
+
+      const verified = signature.verify ? signature.verify(buffer) : false;
+      if (signature.required && !verified) {
+        continue;
+      }
+
+      return {
+        mimeType: signature.mimeType,
+        // A structural check that passes turns a plain magic match into near-certainty
+        confidence: verified && !signature.required ? CONFIDENCE.STRUCTURE : signature.confidence,
+        ...(signature.container && { container: signature.container, generic: true })
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Formats whose magic is a container: ZIP, ISO-BMFF, RIFF, EBML, Ogg, IFF, PE
+   */
+  identifyContainer(buffer, options = {}) {
+    if (ascii(buffer, 0, 4) === 'PK\x03\x04') {
+      return this.identifyZip(buffer, options.tail);
+    }
+
+    if (ascii(buffer, 4, 4) === 'ftyp') {
+      return this.identifyIsoBmff(buffer);
+    }
+
+    // QuickTime files that predate ftyp start straight with a movie atom
+    if (['moov', 'mdat', 'wide', 'pnot'].includes(ascii(buffer, 4, 4))) {
+      return { mimeType: 'video/quicktime', confidence: CONFIDENCE.SHORT_MAGIC, container: 'isobmff' };
+    }
+
+    if (ascii(buffer, 0, 4) === 'RIFF') {
+      const form = ascii(buffer, 8, 4);
+      const mimeType = { WEBP: 'image/webp', WAVE: 'audio/wav', 'AVI ': 'video/x-msvideo' }[form];
+      return mimeType ? { mimeType, confidence: CONFIDENCE.STRUCTURE } : null;
+    }
+
+    if (ascii(buffer, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(buffer, 8, 4))) {
+      return { mimeType: 'audio/aiff', confidence: CONFIDENCE.STRUCTURE };
+    }
+
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+      const header = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+      if (header.includes('webm')) return { mimeType: 'video/webm', confidence: CONFIDENCE.STRUCTURE, container: 'ebml' };
+      if (header.includes('matroska')) return { mimeType: 'video/x-matroska', confidence: CONFIDENCE.STRUCTURE, container: 'ebml' };
+      return { mimeType: 'video/webm', confidence: CONFIDENCE.MAGIC, container: 'ebml', generic: true };
+    }
+
+    if (ascii(buffer, 0, 4) === 'OggS') {
+      const header = buffer.toString('latin1', 0, Math.min(buffer.length, 128));
+      return { mimeType: header.includes('theora') ? 'video/ogg' : 'audio/ogg', confidence: CONFIDENCE.MAGIC };
+    }
+
+    if (ascii(buffer, 0, 2) === 'MZ') {
+      // The PE header offset lives at 0x3c; finding "PE\0\0" there confirms a Windows executable
+      const peOffset = buffer.length >= 0x40 ? buffer.readUInt32LE(0x3c) : -1;
+      const isPE = peOffset > 0 && ascii(buffer, peOffset, 4) === 'PE\x00\x00';
+      return { mimeType: 'application/x-msdownload', confidence: isPE ? CONFIDENCE.STRUCTURE : CONFIDENCE.SHORT_MAGIC };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tell DOCX, XLSX, PPTX, EPUB, ODF, JAR and APK apart from a plain ZIP
+   */
+  identifyZip(buffer, tail = null) {
+    // EPUB and OpenDocument store their type uncompressed in a leading "mimetype" entry
+    const nameLength = buffer.length >= 30 ? buffer.readUInt16LE(26) : 0;
+    if (nameLength === 8 && ascii(buffer, 30, 8) === 'mimetype') {
+      const dataStart = 30 + nameLength + buffer.readUInt16LE(28);
+      const declared = buffer.toString('latin1', dataStart, Math.min(buffer.length, dataStart + 80)).match(/^[\w.+\/-]+/)?.[0];
+      if (declared === 'application/epub+zip' || declared?.startsWith('application/vnd.oasis.opendocument.')) {
+        return { mimeType: declared, confidence: CONFIDENCE.STRUCTURE, container: 'zip' };
+      }
+    }
+
+    // A head that ends in the end-of-central-directory record is the whole file
+    const directory = tail || (this.findEndOfCentralDirectory(buffer) >= 0 ? buffer : null);
+    const names = this.listZipEntries(buffer, directory);
+    for (const marker of ZIP_MARKERS) {
+      if (names.some(name => name.startsWith(marker.prefix))) {
+        return { mimeType: marker.mimeType, confidence: CONFIDENCE.STRUCTURE, container: 'zip' };
+      }
+    }
+
+    // Without the central directory the entries that decide the subtype may be out of reach
+    return { mimeType: 'application/zip', confidence: CONFIDENCE.MAGIC, container: 'zip', generic: !directory };
+  }
+
+  /**
+   * Offset of the end-of-central-directory record when it closes the buffer,
+   * or -1
+   */
+  findEndOfCentralDirectory(buffer) {
+    const eocd = buffer.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1'));
+    return eocd >= 0 && eocd + 22 <= buffer.length && eocd + 22 + buffer.readUInt16LE(eocd + 20) === buffer.length
+      ? eocd
+      : -1;
+  }
+
+  /**
+   * Entry names from the central directory in the tail, or else from the
+   * local headers that fit in the head
+   */
+  listZipEntries(buffer, tail = null) {
+    const names = [];
+
+    const eocd = tail ? this.findEndOfCentralDirectory(tail) : -1;
+    if (eocd >= 0) {
+      const directorySize = tail.readUInt32LE(eocd + 12);
+      let offset = eocd - directorySize;
+
+      while (offset >= 0 && offset + 46 <= eocd && tail.readUInt32LE(offset) === 0x02014b50) {
+        const nameLength = tail.readUInt16LE(offset + 28);
+        names.push(tail.toString('utf8', offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + tail.readUInt16LE(offset + 30) + tail.readUInt16LE(offset + 32);
+      }
+
+      if (names.length > 0) {
+        return names;
+      }
+    }
+
+    let offset = 0;
+    while (offset + 30 <= buffer.length && buffer.readUInt32LE(offset) === 0x04034b50) {
+      const flags = buffer.readUInt16LE(offset + 6);
+      const compressedSize = buffer.readUInt32LE(offset + 18);
+      const nameLength = buffer.readUInt16LE(offset + 26);
+      names.push(buffer.toString('utf8', offset + 30, Math.min(buffer.length, offset + 30 + nameLength)));
+
+      // Sizes trail the data when bit 3 is set, so the next header cannot be located
+      if (flags & 0x08) break;
+      offset += 30 + nameLength + buffer.readUInt16LE(offset + 28) + compressedSize;
+    }
+
+    return names;
+  }
+
+  identifyIsoBmff(buffer) {
+    const boxSize = buffer.readUInt32BE(0);
+    const brands = [ascii(buffer, 8, 4)];
+    for (let offset = 16; offset + 4 <= Math.min(boxSize, buffer.length); offset += 4) {
+      brands.push(ascii(buffer, offset, 4));
+    }
+
+    const match = candidates => Object.keys(ISOBMFF_BRANDS)
+      .find(mimeType => candidates.some(brand => ISOBMFF_BRANDS[mimeType].includes(brand)));
+
+    // The major brand decides, except that plain HEIF (mif1) defers to a listed AVIF or HEIC brand
+    let mimeType = match(brands.slice(0, 1)) || match(brands.slice(1));
+    if (mimeType === 'image/heif') {
+      mimeType = match(brands.filter(brand => [...ISOBMFF_BRANDS['image/avif'], ...ISOBMFF_BRANDS['image/heic']].includes(brand))) || mimeType;
+    }
+
+    if (mimeType) {
+      return { mimeType, confidence: CONFIDENCE.STRUCTURE, container: 'isobmff' };
+    }
+
+    return { mimeType: 'video/mp4', confidence: CONFIDENCE.MAGIC, container: 'isobmff', generic: true };
+  }
+
+  /**
+   * Formats without a fixed magic number
+   */
+  identifyHeuristic(buffer) {
+    // PDF allows junk before the header, as long as it falls in the first 1024 bytes
+    const pdfHeader = buffer.subarray(0, 1024).indexOf('%PDF-', 0, 'latin1');
+    if (pdfHeader > 0) {
+      return { mimeType: 'application/pdf', confidence: CONFIDENCE.HEURISTIC };
+    }
+
+    // MPEG audio frame sync; layer bits 00 mean an AAC ADTS stream instead
+    if (buffer.length >= 3 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+      const isAdts = (buffer[1] & 0xf6) === 0xf0;
+      if (isAdts || ((buffer[1] & 0x06) !== 0 && (buffer[2] & 0xf0) !== 0xf0)) {
+        return { mimeType: isAdts ? 'audio/aac' : 'audio/mpeg', confidence: CONFIDENCE.HEURISTIC };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Text has no magic, but markup announces itself in the first few hundred bytes
+   */
+  identifyText(buffer) {
+    const hasUtf16Bom = (buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff);
+    if (!hasUtf16Bom && !this.looksLikeText(buffer)) {
+      return null;
+    }
+
+    const start = buffer.toString(hasUtf16Bom ? 'utf16le' : 'utf8', 0, Math.min(buffer.length, 1024))
+      .replace(/^﻿/, '')
+      .trimStart()
+      .toLowerCase();
+
+    if (start.startsWith('<!doctype html') || start.startsWith('<html') || /^(<!--[\s\S]*?-->\s*)*<(head|body)[\s>]/.test(start)) {
+      return { mimeType: 'text/html', confidence: CONFIDENCE.HEURISTIC };
+    }
+    if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) {
+      return { mimeType: 'image/svg+xml', confidence: CONFIDENCE.HEURISTIC };
+    }
+    if (start.startsWith('<?xml')) {
+      return { mimeType: 'application/xml', confidence: CONFIDENCE.HEURISTIC };
+    }
+
+    return { mimeType: 'text/plain', confidence: CONFIDENCE.TEXT, generic: true };
+  }
+
+  looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 4096);
+    if (sample.length === 0 || sample.includes(0x00)) {
+      return false;
+    }
+
+    let control = 0;
+    for (const byte of sample) {
+      if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) control++;
+    }
+
+    return control / sample.length < 0.02;
+  }
+
+  // === VERIFICATION ===
+
+  /**
+   * Compare the content with the type the extension declares
+   * @returns {{isValid: boolean, confidence: number, detected: string|null, expected: string,
+   *   detectedExtension: string|null, extension: string, match: string, severity: 'warning'|'error'|null, code: string|null, message: string|null}}
+   */
+  verify(buffer, filePath, options = {}) {
+    const extension = extname(filePath).toLowerCase();
+    const expected = this.typeForExtension(filePath);
+    const detection = this.identify(buffer, options);
+    const result = {
+      isValid: true,
+      confidence: detection ? detection.confidence : CONFIDENCE.EXTENSION,
+      detected: detection?.mimeType || null,
+      detectedExtension: detection ? this.extensionFor(detection.mimeType) : null,
+      expected,
+      extension,
+      match: 'exact',
+      severity: null,
+      code: null,
+      message: null
+    };
+
+    const flag = (match, severity, message) =>
+      Object.assign(result, { match, severity, code: 'MALFORMED_FILE', isValid: severity !== 'error', message });
+
+    if (!detection) {
+      if (this.expectsSignature(expected)) {
+        return flag('unknown', 'error', `Content is not recognisable as ${this.describe(expected)}; the file may be corrupt or truncated`);
+      }
+      result.match = 'unverified';
+      return result;
+    }
+
+    if (EXECUTABLE_TYPES.includes(detection.mimeType) && !EXECUTABLE_TYPES.includes(expected)) {
+      return flag('mismatch', 'error', `${extension || 'File'} is actually ${this.describe(detection.mimeType)}`);
+    }
+
+    if (expected === 'application/octet-stream') {
+      result.match = 'unknown';
+      return result;
+    }
+
+    const compatibility = this.compare(expected, detection);
+    if (compatibility === 'exact' || compatibility === 'compatible') {
+      result.match = compatibility;
+      return result;
+    }
+
+    // Browsers and players sniff media and text, so those swaps still open; document viewers do not
+    const family = this.familyOf(expected);
+    const tolerated = family === this.familyOf(detection.mimeType) && SNIFFED_FAMILIES.includes(family);
+    return flag(
+      'mismatch',
+      tolerated ? 'warning' : 'error',
+      `${extension} declares ${this.describe(expected)} but the content is ${this.describe(detection.mimeType)}`
+    );
+  }
+
+  /**
+   * exact, compatible (same container or interchangeable) or mismatch
+   */
+  compare(expected, detection) {
+    const detected = detection.mimeType;
+
+    if (expected === detected) {
+      return 'exact';
+    }
+
+    // Text formats are told apart by name, not content
+    if (this.isTextual(expected) && this.isTextual(detected)) {
+      return 'compatible';
+    }
+
+    // A generic match only proves the container; any member of it fits
+    if (detection.container && CONTAINERS[detection.container].includes(expected) && (detection.generic || expected === 'application/zip')) {
+      return 'compatible';
+    }
+
+    if (INTERCHANGEABLE.some(group => group.includes(expected) && group.includes(detected))) {
+      return 'compatible';
+    }
+
+    return 'mismatch';
+  }
+
+  // === TYPE HELPERS ===
+
+  typeForExtension(filePath) {
+    return EXTENSION_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Binary formats always carry a signature; text formats and unknown types do not
+   */
+  expectsSignature(mimeType) {
+    return mimeType !== 'application/octet-stream' && !this.isTextual(mimeType);
+  }
+
+  isTextual(mimeType) {
+    return mimeType.startsWith('text/') || TEXT_TYPES.includes(mimeType);
+  }
+
+  familyOf(mimeType) {
+    if (EXECUTABLE_TYPES.includes(mimeType)) return 'executable';
+    if (ARCHIVE_TYPES.includes(mimeType)) return 'archive';
+    if (this.isTextual(mimeType) && mimeType !== 'image/svg+xml') return 'text';
+
+    const [type] = mimeType.split('/');
+    return ['image', 'audio', 'video'].includes(type) ? type : 'document';
+  }
+
+  extensionFor(mimeType) {
+    return Object.keys(EXTENSION_TYPES).find(ext => EXTENSION_TYPES[ext] === mimeType) || null;
+  }
+
+  describe(mimeType) {
+    const extension = this.extensionFor(mimeType);
+    if (mimeType === 'application/x-ole-storage') return 'a legacy Office (OLE) document';
+    if (EXECUTABLE_TYPES.includes(mimeType)) return 'an executable program';
+    if (!extension) return mimeType;
+
+    // Acronyms take "an" when their first letter is spoken with a vowel sound (an HTML, an MP4)
+    const name = extension.slice(1).toUpperCase();
+    return `${/^[AEFHILMNORSX]/.test(name) ? 'an' : 'a'} ${name} file`;
+  }
+}
+
+export default FileSignatures;
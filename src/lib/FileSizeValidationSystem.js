@@ -8,8 +8,11 @@
 import { EventEmitter } from 'events';
 import { stat, access } from 'fs/promises';
 import { extname, basename, dirname } from 'path';
-import { spawn, exec } from 'child_process';
 import chalk from 'chalk';
+import { MediaDimensions } from './MediaDimensions.js';
+import { PdfReader } from './PdfReader.js';
+import { ArchiveInspector } from './ArchiveInspector.js';
+import { SecretScanner } from './SecretScanner.js';
 
 export class FileSizeValidationSystem extends EventEmitter {
   constructor(options = {}) {
@@ -128,7 +131,7 @@ export class FileSizeValidationSystem extends EventEmitter {
     
     // Archive validation
     this.fileTypeValidators.set('archive', {
-      extensions: ['.zip', '.rar', '.7z', '.tar', '.gz', '.bz2'],
+      extensions: ['.zip', '.rar', '.7z', '.tar', '.tgz', '.gz', '.bz2'],
       maxSize: 100 * 1024 * 1024, // 100MB
       validate: this.validateArchiveFile.bind(this),
       getDimensions: this.getArchiveDimensions.bind(this),
@@ -152,8 +155,7 @@ export class FileSizeValidationSystem extends EventEmitter {
       description: 'Reduce image file sizes through lossless/lossy compression',
       applicableTypes: ['image'],
       estimatedSaving: 0.3, // 30% average
-      tools: ['imagemagick', 'optipng', 'jpegoptim'],
-      apply: this.applyImageCompression.bind(this)
+      tools: ['imagemagick', 'optipng', 'jpegoptim']
     });
     
     // Video optimization strategies
@@ -162,8 +164,7 @@ export class FileSizeValidationSystem extends EventEmitter {
       description: 'Optimize video files with efficient codecs and bitrates',
       applicableTypes: ['video'],
       estimatedSaving: 0.5, // 50% average
-      tools: ['ffmpeg'],
-      apply: this.applyVideoCompression.bind(this)
+      tools: ['ffmpeg']
     });
     
     // Format conversion strategies
@@ -172,8 +173,7 @@ export class FileSizeValidationSystem extends EventEmitter {
       description: 'Convert files to more efficient formats',
       applicableTypes: ['image', 'video', 'audio'],
       estimatedSaving: 0.4, // 40% average
-      tools: ['imagemagick', 'ffmpeg'],
-      apply: this.applyFormatConversion.bind(this)
+      tools: ['imagemagick', 'ffmpeg']
     });
     
     // Dimension optimization
@@ -182,24 +182,41 @@ export class FileSizeValidationSystem extends EventEmitter {
       description: 'Resize images and videos to optimal dimensions',
       applicableTypes: ['image', 'video'],
       estimatedSaving: 0.6, // 60% average for oversized content
-      tools: ['imagemagick', 'ffmpeg'],
-      apply: this.applyDimensionOptimization.bind(this)
+      tools: ['imagemagick', 'ffmpeg']
     });
   }
   
   setupDimensionReaders() {
-    // Image dimension readers
+    // Header parsers, so dimension checks work without ImageMagick or ffprobe installed
+    const mediaDimensions = new MediaDimensions();
+
     this.dimensionReaders.set('image', {
-      command: 'identify',
-      args: ['-format', '%wx%h', '{file}'],
-      parser: this.parseImageDimensions.bind(this)
+      formats: ['png', 'jpeg', 'gif', 'webp', 'bmp', 'tiff', 'svg'],
+      read: filePath => mediaDimensions.readImage(filePath)
     });
-    
-    // Video dimension readers
+
     this.dimensionReaders.set('video', {
-      command: 'ffprobe',
-      args: ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', '{file}'],
-      parser: this.parseVideoDimensions.bind(this)
+      formats: ['mp4', 'mov', 'webm', 'mkv', 'avi'],
+      read: filePath => mediaDimensions.readVideo(filePath)
+    });
+
+    this.dimensionReaders.set('audio', {
+      formats: ['wav', 'mp3', 'flac', 'm4a'],
+      read: filePath => mediaDimensions.readAudio(filePath)
+    });
+
+    const pdfReader = new PdfReader();
+    this.dimensionReaders.set('pdf', {
+      formats: ['pdf'],
+      read: filePath => pdfReader.inspect(filePath)
+    });
+
+    // `archives` takes the limits of the "archives" block of submitit.config.json
+    const archiveInspector = new ArchiveInspector({ limits: this.options.archives, secretScanner: new SecretScanner() });
+    this.dimensionReaders.set('archive', {
+      formats: ['zip', 'tar', 'tar.gz'],
+      canRead: filePath => archiveInspector.isArchive(filePath),
+      read: filePath => archiveInspector.inspect(filePath)
     });
   }
   
@@ -502,6 +519,49 @@ export class FileSizeValidationSystem extends EventEmitter {
       });
     }
     
+    // PDF structure checks
+    if (dimensions?.format === 'PDF') {
+      if (dimensions.hasText === false) {
+        issues.push({
+          type: 'text-layer',
+          severity: 'medium',
+          message: 'PDF has no text layer (scanned or image-only) - portals may reject it'
+        });
+      } else if (dimensions.imageOnlyPages.length > 0) {
+        issues.push({
+          type: 'text-layer',
+          severity: 'low',
+          message: `Pages without text: ${dimensions.imageOnlyPages.join(', ')}`
+        });
+      }
+      
+      if (dimensions.unembeddedFonts.length > 0) {
+        issues.push({
+          type: 'fonts',
+          severity: 'medium',
+          message: `Fonts not embedded: ${dimensions.unembeddedFonts.join(', ')}`
+        });
+      }
+      
+      if (dimensions.encryption.encrypted) {
+        issues.push({
+          type: 'encryption',
+          severity: dimensions.encryption.opensWithoutPassword ? 'medium' : 'high',
+          message: dimensions.encryption.opensWithoutPassword
+            ? 'PDF is encrypted with usage restrictions'
+            : 'PDF needs a password to open'
+        });
+      }
+      
+      for (const issue of dimensions.pdfa.issues) {
+        issues.push({
+          type: 'pdfa',
+          severity: 'low',
+          message: `Claims PDF/A-${dimensions.pdfa.part}${dimensions.pdfa.conformance || ''}: ${issue}`
+        });
+      }
+    }
+    
     return issues;
   }
   
@@ -518,6 +578,32 @@ export class FileSizeValidationSystem extends EventEmitter {
       });
     }
     
+    // Traversal, bombs, executables and unreadable parts, at any nesting level
+    for (const issue of dimensions?.issues || []) {
+      issues.push({ type: issue.type, severity: issue.severity, message: issue.message });
+    }
+    
+    for (const secret of dimensions?.secrets || []) {
+      issues.push({
+        type: 'secret',
+        severity: 'high',
+        message: `${secret.line ? `${secret.file}:${secret.line}` : secret.file} - ${secret.title}: ${secret.preview}`
+      });
+    }
+    
+    // Files inside are held to the size limit of their own type
+    for (const entry of dimensions?.contents || []) {
+      const entryType = this.determineFileType(entry.name);
+      const validator = this.fileTypeValidators.get(entryType);
+      if (validator && entry.size > validator.maxSize) {
+        issues.push({
+          type: 'size',
+          severity: 'medium',
+          message: `${entry.name} is ${this.formatFileSize(entry.size)}, over the ${this.formatFileSize(validator.maxSize)} limit for ${entryType} files`
+        });
+      }
+    }
+    
     return issues;
   }
   
@@ -555,54 +641,15 @@ export class FileSizeValidationSystem extends EventEmitter {
   }
   
   async getImageDimensions(filePath) {
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      const { stdout } = await execAsync(`identify -format "%wx%h" "${filePath}"`);
-      return this.parseImageDimensions(stdout.trim());
-      
-    } catch (error) {
-      // Fallback to basic file analysis
-      return await this.getBasicImageDimensions(filePath);
-    }
+    return await this.dimensionReaders.get('image').read(filePath);
   }
   
   async getVideoDimensions(filePath) {
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      const { stdout } = await execAsync(`ffprobe -v quiet -print_format json -show_format -show_streams "${filePath}"`);
-      return this.parseVideoDimensions(stdout);
-      
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️  Could not get video dimensions:`, error.message));
-      return null;
-    }
+    return await this.dimensionReaders.get('video').read(filePath);
   }
   
   async getAudioDimensions(filePath) {
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      const { stdout } = await execAsync(`ffprobe -v quiet -print_format json -show_format "${filePath}"`);
-      const data = JSON.parse(stdout);
-      
-      return {
-        duration: parseFloat(data.format.duration) || 0,
-        bitrate: parseInt(data.format.bit_rate) || 0,
-        format: data.format.format_name
-      };
-      
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️  Could not get audio dimensions:`, error.message));
-      return null;
-    }
+    return await this.dimensionReaders.get('audio').read(filePath);
   }
   
   async getDocumentDimensions(filePath) {
@@ -626,13 +673,44 @@ export class FileSizeValidationSystem extends EventEmitter {
     }
   }
   
+  async getPDFDimensions(filePath) {
+    const pdf = await this.dimensionReaders.get('pdf').read(filePath);
+    if (!pdf) return null;
+
+    return {
+      type: 'document',
+      format: 'PDF',
+      version: pdf.version,
+      pages: pdf.pages,
+      pageSizes: pdf.pageSizes,
+      hasText: pdf.text.present,
+      imageOnlyPages: pdf.text.imageOnlyPages,
+      fonts: pdf.fonts,
+      unembeddedFonts: pdf.unembeddedFonts,
+      encryption: pdf.encryption,
+      pdfa: pdf.pdfa
+    };
+  }
+
   async getArchiveDimensions(filePath) {
-    // For archives, return compressed/uncompressed sizes
+    // ZIP and TAR(.gz) contents are listed in-process, nested archives included
     try {
       const ext = extname(filePath).toLowerCase();
+      const reader = this.dimensionReaders.get('archive');
       
-      if (ext === '.zip') {
-        return await this.getZipDimensions(filePath);
+      if (reader.canRead(filePath)) {
+        const inspection = await reader.read(filePath);
+        return {
+          type: 'archive',
+          format: (inspection.format || ext.substring(1)).toUpperCase(),
+          entries: inspection.entries.length,
+          nestedArchives: inspection.archives,
+          uncompressedSize: inspection.size,
+          compressionRatio: inspection.ratio,
+          contents: inspection.entries,
+          issues: inspection.issues,
+          secrets: inspection.secrets
+        };
       }
       
       return {
@@ -663,43 +741,6 @@ export class FileSizeValidationSystem extends EventEmitter {
     }
   }
   
-  // === DIMENSION PARSERS ===
-  
-  parseImageDimensions(output) {
-    const match = output.match(/(\d+)x(\d+)/);
-    if (match) {
-      return {
-        width: parseInt(match[1]),
-        height: parseInt(match[2]),
-        type: 'image'
-      };
-    }
-    return null;
-  }
-  
-  parseVideoDimensions(jsonOutput) {
-    try {
-      const data = JSON.parse(jsonOutput);
-      const videoStream = data.streams.find(s => s.codec_type === 'video');
-      
-      if (videoStream) {
-        return {
-          width: videoStream.width || 0,
-          height: videoStream.height || 0,
-          duration: parseFloat(data.format.duration) || 0,
-          bitrate: parseInt(data.format.bit_rate) || 0,
-          format: data.format.format_name,
-          codec: videoStream.codec_name,
-          type: 'video'
-        };
-      }
-      
-      return null;
-    } catch (error) {
-      return null;
-    }
-  }
-  
   // === OPTIMIZATION SUGGESTION METHODS ===
   
   async generateOptimizationSuggestions(filePath, stats, dimensions, fileType, validationResult) {
@@ -0,0 +1,56 @@
+/**
+ * File Sizes - Size limits as written in config files and CLI flags
+ *
+ * "25MB", "100 MiB" or a plain byte count. Portal limits are usually decimal
+ * megabytes, so plain units are powers of 1000 and the binary ones are
+ * spelled KiB, MiB and GiB.
+ */
+
+import { SubmititError } from '../core/ErrorHandler.js';
+
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1000,
+  MB: 1000 ** 2,
+  GB: 1000 ** 3,
+  KIB: 1024,
+  MIB: 1024 ** 2,
+  GIB: 1024 ** 3
+};
+
+/**
+ * Bytes for a size setting; numbers are taken as bytes already
+ * @param {string|number} value
+ * @param {string} [label] - What the setting is, for the error message
+ * @returns {number}
+ */
+export function parseSize(value, label = 'size') {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const multiplier = match && SIZE_UNITS[(match[2] || 'B').toUpperCase()];
+
+  if (!multiplier) {
+    throw new SubmititError(`Invalid ${label} "${value}" (use e.g. 25MB or 100MiB)`, 'VALIDATION_ERROR', { value });
+  }
+
+  return Math.floor(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * "2.5 MB", to one decimal place, in the units parseSize reads back
+ * @param {number} bytes
+ * @param {{binary?: boolean}} [options] - KiB, MiB and GiB for limits set in powers of 1024
+ * @returns {string}
+ */
+export function formatSize(bytes, { binary = false } = {}) {
+  const base = binary ? 1024 : 1000;
+  const units = binary ? ['B', 'KiB', 'MiB', 'GiB'] : ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= base && unit < units.length - 1) {
+    value /= base;
+    unit++;
+  }
+  return `${Number(value.toFixed(1))} ${units[unit]}`;
+}
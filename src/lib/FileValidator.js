@@ -11,6 +11,12 @@ import { extname, basename } from 'path';
 import { createHash } from 'crypto';
 import chalk from 'chalk';
 import { getLazyModule } from '../config/lazyModules.js';
+import { FileSignatures, ZIP_TAIL_BYTES } from './FileSignatures.js';
+import { PrivacyScrubber } from './PrivacyScrubber.js';
+import { SecretScanner } from './SecretScanner.js';
+import { PdfReader } from './PdfReader.js';
+import { OfficeReader } from './OfficeReader.js';
+import { TextNormalizer } from './TextNormalizer.js';
 
 export class FileValidator {
   constructor(options = {}) {
@@ -25,6 +31,12 @@ export class FileValidator {
     this.mimeDetector = new MimeTypeDetector();
     this.metadataExtractor = new MetadataExtractor();
     this.securityScanner = new SecurityScanner();
+    this.privacyScrubber = new PrivacyScrubber();
+    this.secretScanner = new SecretScanner(this.options.secrets);
+    this.pdfReader = new PdfReader();
+    this.pdfReports = new Map();
+    this.officeReader = new OfficeReader();
+    this.textNormalizer = new TextNormalizer(this.options.normalize);
     this.qualityAnalyzer = new QualityAnalyzer();
     this.celebrationRitualManager = new CelebrationRitualManager(this.options);
     this.ceremonialValidationEngine = new CeremonialValidationEngine(this.options);
@@ -58,6 +70,13 @@ export class FileValidator {
 
       // Deep content analysis
       const contentAnalysis = await this.analyzeFileContent(filePath, stats);
+
+      // Content that contradicts its extension stops here; same-family swaps only warn
+      const signatureFailure = this.checkSignatureFailure(contentAnalysis.signatureValidation);
+      if (signatureFailure) {
+        await this.ceremonialValidationEngine.handleValidationFailure(fileName, signatureFailure);
+        return { ...signatureFailure, filePath, contentAnalysis };
+      }
       
       // Security scanning
       const securityScan = await this.scanForSecurityIssues(filePath, contentAnalysis);
@@ -161,10 +180,11 @@ export class FileValidator {
     }
 
     // File name validation
-    if (this.containsInvalidCharacters(fileName)) {
+    const fileNameProblem = this.describeFileNameProblem(fileName);
+    if (fileNameProblem) {
       return {
         isValid: false,
-        reason: 'File name contains invalid characters',
+        reason: `File name ${fileNameProblem}`,
         code: 'INVALID_FILENAME',
         suggestions: [
           'Remove special characters from filename',
@@ -176,6 +196,32 @@ export class FileValidator {
     return { isValid: true };
   }
 
+  checkSignatureFailure(signature) {
+    if (signature.severity !== 'error') {
+      return null;
+    }
+
+    return {
+      isValid: false,
+      reason: signature.message,
+      code: 'MALFORMED_FILE',
+      confidence: signature.confidence,
+      detected: signature.detected,
+      expected: signature.expected,
+      suggestions: signature.match === 'unknown'
+        ? [
+          'Check whether the file was truncated or corrupted during transfer',
+          'Open it in its original application and save it again'
+        ]
+        : [
+          signature.detectedExtension
+            ? `Rename the file with a ${signature.detectedExtension} extension to match its content`
+            : `Check where the file came from; its content is ${signature.detected}`,
+          `Or re-export it from the original application as ${signature.extension}`
+        ]
+    };
+  }
+
   // === DEEP CONTENT ANALYSIS ===
 
   async analyzeFileContent(filePath, stats) {
@@ -184,8 +230,11 @@ export class FileValidator {
     // MIME type detection
     const mimeType = await this.mimeDetector.detectMimeType(buffer, filePath);
     
-    // File signature validation
-    const signatureValidation = this.validateFileSignature(buffer, mimeType);
+    // File signature validation; a ZIP's central directory tells DOCX from XLSX from EPUB
+    const tail = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 && stats.size > buffer.length
+      ? await this.readFileBuffer(filePath, ZIP_TAIL_BYTES, Math.max(0, stats.size - ZIP_TAIL_BYTES))
+      : null;
+    const signatureValidation = this.validateFileSignature(buffer, mimeType, filePath, tail);
     
     // Content structure analysis
     const structureAnalysis = await this.analyzeContentStructure(filePath, mimeType);
@@ -198,18 +247,19 @@ export class FileValidator {
       signatureValidation,
       structureAnalysis,
       encoding,
+      fileNameForm: this.textNormalizer.checkFilename(basename(filePath)),
       buffer: buffer.slice(0, 256), // Keep small sample for further analysis
       fileSize: stats.size,
       lastModified: stats.mtime
     };
   }
 
-  async readFileBuffer(filePath, size = 8192) {
+  async readFileBuffer(filePath, size = 8192, position = 0) {
     const buffer = Buffer.alloc(size);
     const fd = await import('fs').then(fs => fs.promises.open(filePath, 'r'));
     
     try {
-      const { bytesRead } = await fd.read(buffer, 0, size, 0);
+      const { bytesRead } = await fd.read(buffer, 0, size, position);
       return buffer.slice(0, bytesRead);
     } finally {
       await fd.close();
@@ -237,12 +287,14 @@ export class FileValidator {
     threats.push(...suspiciousPatterns);
 
     // Check for malformed files
-    if (!contentAnalysis.signatureValidation.isValid) {
+    const signature = contentAnalysis.signatureValidation;
+    if (signature.severity === 'warning') {
       warnings.push({
         type: 'MALFORMED_FILE',
         severity: 'MEDIUM',
-        description: 'File signature does not match expected format',
-        recommendation: 'Verify file integrity and re-save if necessary'
+        description: signature.message,
+        confidence: signature.confidence,
+        recommendation: `Re-export the file as ${signature.extension} or rename it to match its content`
       });
     }
 
@@ -268,6 +320,11 @@ export class FileValidator {
       recommendations: []
     };
 
+    // JSON, JavaScript, XML and the like are text whatever their MIME type says
+    if (contentAnalysis.mimeType.startsWith('application/') && this.textNormalizer.isText(filePath)) {
+      return await this.assessTextQuality(filePath, contentAnalysis);
+    }
+
     switch (contentAnalysis.mimeType.split('/')[0]) {
       case 'image':
         return await this.assessImageQuality(filePath, contentAnalysis);
@@ -328,6 +385,26 @@ export class FileValidator {
 
     // PDF-specific checks
     if (contentAnalysis.mimeType === 'application/pdf') {
+      const pdf = await this.inspectPdf(filePath);
+      if (pdf) {
+        quality.dimensions.pages = pdf.pages;
+        quality.dimensions.fonts = pdf.fonts.length;
+
+        if (pdf.unembeddedFonts.length > 0) {
+          quality.issues.push(`Fonts not embedded: ${pdf.unembeddedFonts.join(', ')}`);
+          quality.recommendations.push('Embed all fonts when exporting (PDF/A export always does)');
+          quality.overall -= 10;
+        }
+        if (pdf.encryption.encrypted) {
+          quality.issues.push(pdf.encryption.opensWithoutPassword
+            ? 'PDF is encrypted with usage restrictions'
+            : 'PDF needs a password to open');
+          quality.recommendations.push('Remove the password and restrictions; many portals reject protected PDFs');
+          quality.overall -= pdf.encryption.opensWithoutPassword ? 10 : 30;
+        }
+        quality.issues.push(...pdf.pdfa.issues.map(issue => `Claims PDF/A-${pdf.pdfa.part}${pdf.pdfa.conformance || ''}: ${issue}`));
+      }
+
       // Check for text extractability
       const hasText = await this.checkPDFTextContent(filePath);
       if (!hasText) {
@@ -419,7 +496,7 @@ export class FileValidator {
   }
 
   async extractDocumentMetadata(filePath) {
-    return {
+    const metadata = {
       title: 'unknown',
       author: 'unknown',
       subject: 'unknown',
@@ -430,6 +507,54 @@ export class FileValidator {
       pages: 'unknown',
       wordCount: 'unknown'
     };
+
+    if (this.officeReader.formatOf(filePath)) {
+      const office = await this.officeReader.inspect(filePath).catch(() => null);
+      if (!office) return metadata;
+
+      const { properties } = office;
+      return {
+        ...metadata,
+        title: properties.title ?? metadata.title,
+        author: properties.creator ?? metadata.author,
+        creator: properties.application ?? metadata.creator,
+        creationDate: properties.created ?? metadata.creationDate,
+        modificationDate: properties.modified ?? metadata.modificationDate,
+        pages: office.pages ?? metadata.pages,
+        wordCount: office.words,
+        slides: office.slides,
+        sheets: office.sheets,
+        media: office.media,
+        embeddedObjects: office.embeddedObjects,
+        comments: office.comments,
+        trackedChanges: office.trackedChanges
+      };
+    }
+
+    const pdf = extname(filePath).toLowerCase() === '.pdf' ? await this.inspectPdf(filePath) : null;
+    if (!pdf) return metadata;
+
+    const { info } = pdf;
+    return {
+      ...metadata,
+      title: info.title ?? metadata.title,
+      author: info.author ?? metadata.author,
+      subject: info.subject ?? metadata.subject,
+      creator: info.creator ?? metadata.creator,
+      producer: info.producer ?? metadata.producer,
+      creationDate: info.created ?? metadata.creationDate,
+      modificationDate: info.modified ?? metadata.modificationDate,
+      pages: pdf.pages,
+      pdfVersion: pdf.version,
+      pageSizes: pdf.pageSizes,
+      hasText: pdf.text.present,
+      imageOnlyPages: pdf.text.imageOnlyPages,
+      fonts: pdf.fonts,
+      unembeddedFonts: pdf.unembeddedFonts,
+      encryption: pdf.encryption,
+      pdfa: pdf.pdfa,
+      tagged: pdf.tagged
+    };
   }
 
   async extractTextMetadata(filePath) {
@@ -641,10 +766,30 @@ export class FileValidator {
   }
 
   containsInvalidCharacters(fileName) {
-    const invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
+    const invalidChars = /[<>:"/\\|?*\x00-\x1f\x7f-\x9f]/;
     return invalidChars.test(fileName);
   }
 
+  /**
+   * Why a file name fails on some platform or misleads a reader, or null
+   */
+  describeFileNameProblem(fileName) {
+    if (this.containsInvalidCharacters(fileName)) {
+      return 'contains invalid characters';
+    }
+    // Right-to-left overrides can make "exe.pdf" display as "fdp.exe"
+    if (/[\u202a-\u202e\u2066-\u2069]/.test(fileName)) {
+      return 'contains text direction control characters';
+    }
+    if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(fileName)) {
+      return `uses ${fileName.split('.')[0].toUpperCase()}, a reserved device name on Windows`;
+    }
+    if (/[. ]$/.test(fileName)) {
+      return 'ends with a dot or space, which Windows drops';
+    }
+    return null;
+  }
+
   isExecutableFile(mimeType, filePath) {
     const executableTypes = [
       'application/x-executable',
@@ -696,6 +841,10 @@ export class FileValidator {
     if (contentAnalysis.mimeType === 'application/pdf') {
       recommendations.push('Ensure PDF is text-searchable for better accessibility');
     }
+
+    if (contentAnalysis.fileNameForm) {
+      recommendations.push(`Rename the file to "${contentAnalysis.fileNameForm.normalized}" (composed Unicode); the current name may not match on Windows or Linux`);
+    }
     
     return recommendations;
   }
@@ -721,24 +870,76 @@ export class FileValidator {
     return { isValid: true, structure: 'unknown' };
   }
 
+  /**
+   * Encoding of the first bytes of a file; see TextNormalizer.detectEncoding
+   */
   async detectEncoding(buffer, mimeType) {
-    return 'utf-8';
+    return this.textNormalizer.detectEncoding(buffer, { partial: true });
   }
 
-  validateFileSignature(buffer, mimeType) {
-    return { isValid: true, confidence: 0.9 };
+  /**
+   * Compare magic bytes with the type the extension declares. Same-family
+   * swaps (a PNG named .jpg) are warnings; anything else is an error.
+   */
+  validateFileSignature(buffer, mimeType, filePath, tail = null) {
+    return this.mimeDetector.signatures.verify(buffer, filePath, { tail });
   }
 
+  /**
+   * Credentials in text files and files that hold credentials by name
+   */
   async scanForSuspiciousPatterns(filePath, contentAnalysis) {
-    return [];
+    const findings = await this.secretScanner.scanFile(filePath);
+
+    return findings.map(finding => ({
+      type: 'SECRET_DETECTED',
+      severity: finding.severity === 'high' ? 'HIGH' : 'MEDIUM',
+      description: this.secretScanner.describe(finding),
+      rule: finding.rule,
+      line: finding.line,
+      fingerprint: finding.fingerprint,
+      recommendation: 'Remove the secret and rotate it, or allowlist it if it is not a real credential'
+    }));
   }
 
+  /**
+   * Personal metadata (GPS, serial numbers, author names, revision history)
+   * reported as warnings; location is the most sensitive
+   */
   async scanForPrivacyIssues(filePath, contentAnalysis) {
-    return [];
+    const { findings } = await this.privacyScrubber.scan(filePath);
+
+    return findings.map(finding => ({
+      type: 'PRIVACY_METADATA',
+      severity: finding.category === 'location' ? 'MEDIUM' : 'LOW',
+      description: this.privacyScrubber.describe(finding),
+      category: finding.category,
+      recommendation: finding.scrubbable === false
+        ? 'Remove the metadata in the authoring application before submitting'
+        : 'Run submitit scrub, or export with --scrub to package sanitized copies'
+    }));
   }
 
   async checkPDFTextContent(filePath) {
-    return true; // Placeholder
+    const pdf = await this.inspectPdf(filePath);
+    // Encrypted or undecodable content is not reported as image-only
+    return pdf?.text.present !== false;
+  }
+
+  /**
+   * PdfReader report, shared by the quality and metadata passes; null when unreadable.
+   * Only the latest report per path is kept, so an edited file replaces its old one.
+   */
+  async inspectPdf(filePath) {
+    const { size, mtimeMs } = await stat(filePath);
+    const version = `${size}:${mtimeMs}`;
+
+    let cached = this.pdfReports.get(filePath);
+    if (cached?.version !== version) {
+      cached = { version, report: this.pdfReader.inspect(filePath).catch(() => null) };
+      this.pdfReports.set(filePath, cached);
+    }
+    return await cached.report;
   }
 
   async suggestFormatOptimizations(contentAnalysis) {
@@ -758,44 +959,68 @@ export class FileValidator {
   }
 
   async assessTextQuality(filePath, contentAnalysis) {
-    return { overall: 90, dimensions: {}, issues: [], recommendations: [] };
+    const quality = { overall: 90, dimensions: {}, issues: [], recommendations: [] };
+
+    const text = await this.textNormalizer.analyze(filePath);
+    if (!text) return quality;
+
+    quality.dimensions.encoding = text.encoding;
+    quality.dimensions.lineEndings = text.lineEndings.style;
+    quality.issues.push(...text.issues.map(issue => `File ${issue}`));
+    quality.overall -= 5 * text.issues.length;
+    if (text.issues.length > 0) {
+      quality.recommendations.push('Save the file as UTF-8 with one line ending style, or export with --normalize');
+    }
+
+    return quality;
   }
 }
 
 // === SUPPORTING CLASSES ===
 
-class MimeTypeDetector {
+export class MimeTypeDetector {
+  constructor() {
+    this.signatures = new FileSignatures();
+  }
+
   async detectMimeType(buffer, filePath) {
-    // This would use file-type or similar library
-    // For now, fall back to extension-based detection
-    const ext = extname(filePath).toLowerCase();
-    
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-      '.svg': 'image/svg+xml',
-      '.mp4': 'video/mp4',
-      '.webm': 'video/webm',
-      '.mov': 'video/quicktime',
-      '.mp3': 'audio/mpeg',
-      '.wav': 'audio/wav',
-      '.ogg': 'audio/ogg',
-      '.pdf': 'application/pdf',
-      '.doc': 'application/msword',
-      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      '.txt': 'text/plain',
-      '.md': 'text/markdown',
-      '.csv': 'text/csv',
-      '.json': 'application/json',
-      '.js': 'application/javascript',
-      '.css': 'text/css',
-      '.html': 'text/html'
-    };
-    
-    return mimeTypes[ext] || 'application/octet-stream';
+    const byExtension = this.detectFromExtension(filePath);
+    const detection = this.signatures.identify(buffer);
+
+    if (!detection) {
+      return byExtension;
+    }
+
+    // Plain text carries no magic; only overrule an extension that promised binary content
+    if (detection.mimeType === 'text/plain') {
+      return this.isTextual(byExtension) ? byExtension : detection.mimeType;
+    }
+
+    // Keep the extension when it names a more specific member of the same container
+    if (this.signatures.compare(byExtension, detection) === 'compatible') {
+      return byExtension;
+    }
+
+    return detection.mimeType;
+  }
+
+  /**
+   * Identify content from its leading bytes, or null when nothing matches
+   */
+  sniffMimeType(buffer) {
+    return this.signatures.identify(buffer)?.mimeType || null;
+  }
+
+  looksLikeText(buffer) {
+    return this.signatures.looksLikeText(buffer);
+  }
+
+  isTextual(mimeType) {
+    return this.signatures.isTextual(mimeType);
+  }
+
+  detectFromExtension(filePath) {
+    return this.signatures.typeForExtension(filePath);
   }
 }
 
@@ -8,7 +8,7 @@
 import { EventEmitter } from 'events';
 import { watch, stat } from 'fs/promises';
 import { existsSync, statSync } from 'fs';
-import { join, dirname, basename, extname } from 'path';
+import { join, dirname, basename, extname, relative, sep } from 'path';
 import chalk from 'chalk';
 
 export class HotReloadPreviewSystem extends EventEmitter {
@@ -38,6 +38,7 @@ export class HotReloadPreviewSystem extends EventEmitter {
     
     // Hot reload state
     this.isWatching = false;
+    this.projectPath = null;
     this.previewServer = null;
     this.activeConnections = new Set();
     this.reloadQueue = [];
@@ -112,6 +113,7 @@ export class HotReloadPreviewSystem extends EventEmitter {
     };
     
     console.log(chalk.blue(`👁️  Starting file watching for ${projectPath}`));
+    this.projectPath = projectPath;
     
     try {
       // Set up main project watcher
@@ -142,17 +144,28 @@ export class HotReloadPreviewSystem extends EventEmitter {
   }
   
   async setupProjectWatcher(projectPath, config) {
-    const watcher = watch(projectPath, { recursive: true });
-    this.watchers.set(projectPath, watcher);
+    const controller = new AbortController();
+    const watcher = watch(projectPath, { recursive: true, signal: controller.signal });
+    this.watchers.set(projectPath, controller);
     
-    // Handle file changes
-    for await (const event of watcher) {
-      if (this.shouldIgnoreFile(event.filename, config.excludePatterns)) {
-        continue;
+    // Events are consumed in the background so startWatching can return;
+    // stopWatching aborts the loop
+    (async () => {
+      try {
+        for await (const event of watcher) {
+          if (!event.filename || this.shouldIgnoreFile(event.filename, config.excludePatterns)) {
+            continue;
+          }
+          
+          await this.handleFileChange(event, projectPath);
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error(chalk.red(`❌ Stopped watching ${projectPath}:`), error.message);
+          this.emit('watching-failed', { projectPath, error: error.message });
+        }
       }
-      
-      await this.handleFileChange(event, projectPath);
-    }
+    })();
   }
   
   async performInitialScan(projectPath, config) {
@@ -289,10 +302,12 @@ export class HotReloadPreviewSystem extends EventEmitter {
           grouped.modified.add(change.filePath);
           break;
         case 'rename':
-          // Handle renames (simplified)
+          // Editors that save through a temporary file report a rename for a
+          // file that was already there, and for temporary files that are
+          // gone again by the time the batch runs
           if (existsSync(change.filePath)) {
-            grouped.added.add(change.filePath);
-          } else {
+            (this.watchedFiles.has(change.filePath) ? grouped.modified : grouped.added).add(change.filePath);
+          } else if (this.watchedFiles.has(change.filePath)) {
             grouped.removed.add(change.filePath);
           }
           break;
@@ -333,9 +348,19 @@ export class HotReloadPreviewSystem extends EventEmitter {
       }
     }
     
-    // Analyze added/removed files
+    // Added and removed files change role navigation and file counts
+    for (const filePath of groupedChanges.added) {
+      impact.affectedFiles.add(filePath);
+      this.watchedFiles.add(filePath);
+    }
+    for (const filePath of groupedChanges.removed) {
+      impact.affectedFiles.add(filePath);
+      this.watchedFiles.delete(filePath);
+    }
     if (groupedChanges.added.size > 0 || groupedChanges.removed.size > 0) {
       impact.requiresPartialReload = true;
+      impact.canHotReload = false;
+      impact.requiresFullReload = true;
     }
     
     return impact;
@@ -457,11 +482,14 @@ export class HotReloadPreviewSystem extends EventEmitter {
     return fullPreview;
   }
   
+  // Updates name files relative to the watched directory, which is how a
+  // preview page refers to them: stylesheets are swapped in place, assets
+  // reloaded and content re-rendered
   async generateStyleUpdate(filePath) {
     return {
       type: 'style-update',
       filePath,
-      content: `/* Hot-reloaded: ${filePath} */`,
+      name: this.relativeName(filePath),
       timestamp: Date.now()
     };
   }
@@ -470,7 +498,7 @@ export class HotReloadPreviewSystem extends EventEmitter {
     return {
       type: 'asset-update',
       filePath,
-      url: `/assets/${basename(filePath)}`,
+      name: this.relativeName(filePath),
       timestamp: Date.now()
     };
   }
@@ -479,7 +507,7 @@ export class HotReloadPreviewSystem extends EventEmitter {
     return {
       type: 'content-update',
       filePath,
-      content: 'Updated content placeholder',
+      name: this.relativeName(filePath),
       timestamp: Date.now()
     };
   }
@@ -710,6 +738,13 @@ export class HotReloadPreviewSystem extends EventEmitter {
     });
   }
   
+  /**
+   * Path relative to the watched directory, with / separators
+   */
+  relativeName(filePath) {
+    return relative(this.projectPath || '', filePath).split(sep).join('/');
+  }
+  
   async calculateFileChecksum(filePath) {
     try {
       const fs = await import('fs/promises');
@@ -836,12 +871,8 @@ export class HotReloadPreviewSystem extends EventEmitter {
     console.log(chalk.yellow('⏹️  Stopping file watching...'));
     
     // Close all watchers
-    for (const [path, watcher] of this.watchers) {
-      try {
-        await watcher.return();
-      } catch (error) {
-        console.warn(chalk.yellow(`⚠️  Error closing watcher for ${path}:`, error.message));
-      }
+    for (const controller of this.watchers.values()) {
+      controller.abort();
     }
     
     this.watchers.clear();
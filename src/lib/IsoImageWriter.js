@@ -0,0 +1,561 @@
+/**
+ * ISO Image Writer - In-process ISO 9660 images with Joliet names
+ *
+ * Builds an ISO 9660 (level 2) primary tree alongside a Joliet supplementary
+ * tree so long and Unicode file names survive on Windows, macOS and Linux.
+ * File data is streamed straight from disk into the image; nothing is staged
+ * in a temporary directory and no external mkisofs/genisoimage is needed.
+ */
+
+import { createReadStream, createWriteStream } from 'fs';
+import { stat } from 'fs/promises';
+import { once } from 'events';
+
+const SECTOR_SIZE = 2048;
+const SYSTEM_AREA_SECTORS = 16;
+const MAX_EXTENT_SIZE = 0xffffffff;
+
+export class IsoImageWriter {
+  constructor(options = {}) {
+    this.options = {
+      volumeId: 'SUBMITIT',
+      systemId: '',
+      publisherId: '',
+      applicationId: 'SUBMITIT',
+      date: new Date(),
+      ...options
+    };
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Write an ISO image for the given entries
+   * @param {Array<{name: string, sourcePath?: string, content?: Buffer|string, size?: number}>} entries
+   * @param {string} outputPath
+   * @param {Function} [onProgress]
+   */
+  async write(entries, outputPath, onProgress) {
+    const files = await this.resolveEntries(entries);
+    const root = this.buildTree(files);
+    this.assignIdentifiers(root);
+    const directories = {
+      primary: this.orderDirectories(root, false),
+      joliet: this.orderDirectories(root, true)
+    };
+    const layout = this.layoutImage(directories, files);
+
+    const output = createWriteStream(outputPath);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let processedBytes = 0;
+    let position = 0;
+
+    const writeBuffer = async (buffer) => {
+      if (!output.write(buffer)) {
+        await once(output, 'drain');
+      }
+      position += buffer.length;
+    };
+
+    try {
+      await writeBuffer(Buffer.alloc(SYSTEM_AREA_SECTORS * SECTOR_SIZE));
+      await writeBuffer(this.createVolumeDescriptor(layout, false));
+      await writeBuffer(this.createVolumeDescriptor(layout, true));
+      await writeBuffer(this.createTerminator());
+
+      for (const table of layout.pathTables) {
+        await writeBuffer(this.padToSector(table));
+      }
+
+      for (const directory of directories.primary) {
+        await writeBuffer(this.createDirectoryExtent(directory, false));
+      }
+      for (const directory of directories.joliet) {
+        await writeBuffer(this.createDirectoryExtent(directory, true));
+      }
+
+      for (const file of files) {
+        if (file.size === 0) continue;
+
+        if (position !== file.extent * SECTOR_SIZE) {
+          throw new Error(`ISO layout mismatch while writing ${file.name}`);
+        }
+
+        if (file.content) {
+          await writeBuffer(file.content);
+        } else {
+          let written = 0;
+          for await (const chunk of createReadStream(file.sourcePath)) {
+            await writeBuffer(chunk);
+            written += chunk.length;
+            processedBytes += chunk.length;
+            onProgress?.({
+              percent: totalBytes > 0 ? Math.round((processedBytes / totalBytes) * 100) : 100,
+              processedBytes,
+              totalBytes
+            });
+          }
+          if (written !== file.size) {
+            throw new Error(`File changed while writing ISO image: ${file.name}`);
+          }
+        }
+
+        const remainder = file.size % SECTOR_SIZE;
+        if (remainder > 0) {
+          await writeBuffer(Buffer.alloc(SECTOR_SIZE - remainder));
+        }
+      }
+
+      output.end();
+      await once(output, 'close');
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    return {
+      path: outputPath,
+      size: position,
+      format: 'iso',
+      files: files.length
+    };
+  }
+
+  // === TREE CONSTRUCTION ===
+
+  /**
+   * Normalise entries and read sizes for on-disk sources
+   */
+  async resolveEntries(entries) {
+    const files = [];
+
+    for (const entry of entries) {
+      const name = entry.name.replace(/\\/g, '/').replace(/^\/+/, '');
+      let content = null;
+      let size;
+
+      if (entry.content !== undefined) {
+        content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content);
+        size = content.length;
+      } else {
+        size = entry.size ?? (await stat(entry.sourcePath)).size;
+      }
+
+      if (size > MAX_EXTENT_SIZE) {
+        throw new Error(`File too large for a single ISO 9660 extent: ${name}`);
+      }
+
+      files.push({
+        name,
+        sourcePath: entry.sourcePath,
+        content,
+        size,
+        date: entry.mtime || this.options.date,
+        extent: 0
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Build a directory tree keyed by path segment
+   */
+  buildTree(files) {
+    const root = this.createDirectoryNode('', null);
+
+    for (const file of files) {
+      const segments = file.name.split('/').filter(Boolean);
+      const fileName = segments.pop();
+      let node = root;
+
+      for (const segment of segments) {
+        if (!node.directories.has(segment)) {
+          node.directories.set(segment, this.createDirectoryNode(segment, node));
+        }
+        node = node.directories.get(segment);
+      }
+
+      if (node.files.has(fileName)) {
+        throw new Error(`Duplicate path in ISO image: ${file.name}`);
+      }
+      node.files.set(fileName, file);
+    }
+
+    return root;
+  }
+
+  createDirectoryNode(name, parent) {
+    return {
+      name,
+      parent,
+      directories: new Map(),
+      files: new Map(),
+      number: { primary: 0, joliet: 0 },
+      extent: { primary: 0, joliet: 0 },
+      size: { primary: 0, joliet: 0 }
+    };
+  }
+
+  /**
+   * Order directories breadth-first by identifier, which is path table order
+   */
+  orderDirectories(root, joliet) {
+    const key = joliet ? 'joliet' : 'primary';
+    const ordered = [];
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      node.number[key] = ordered.length + 1;
+      ordered.push(node);
+
+      const children = Array.from(node.directories.values()).sort((a, b) => Buffer.compare(
+        this.encodeIdentifier(joliet ? a.jolietName : a.isoName, joliet),
+        this.encodeIdentifier(joliet ? b.jolietName : b.isoName, joliet)
+      ));
+      queue.push(...children);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Give every child a unique ISO 9660 and Joliet identifier
+   */
+  assignIdentifiers(node) {
+    for (const child of node.directories.values()) {
+      this.assignIdentifiers(child);
+    }
+
+    const usedIso = new Set();
+    const usedJoliet = new Set();
+
+    const children = [
+      ...Array.from(node.directories.entries()).map(([name, child]) => ({ name, child, isDirectory: true })),
+      ...Array.from(node.files.entries()).map(([name, child]) => ({ name, child, isDirectory: false }))
+    ].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const { name, child, isDirectory } of children) {
+      child.isoName = this.uniqueName(this.toIsoName(name, isDirectory), usedIso, isDirectory);
+      child.jolietName = this.uniqueName(this.toJolietName(name), usedJoliet, true, 64);
+    }
+  }
+
+  /**
+   * Convert a name to ISO 9660 level 2 d-characters
+   */
+  toIsoName(name, isDirectory) {
+    const clean = (value) => value.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+
+    if (isDirectory) {
+      return clean(name).substring(0, 31) || '_';
+    }
+
+    const dot = name.lastIndexOf('.');
+    const base = clean(dot > 0 ? name.substring(0, dot) : name).substring(0, 24) || '_';
+    const extension = dot > 0 ? clean(name.substring(dot + 1)).substring(0, 4) : '';
+
+    return extension ? `${base}.${extension}` : base;
+  }
+
+  /**
+   * Joliet allows up to 64 UCS-2 characters, minus a few reserved ones
+   */
+  toJolietName(name) {
+    return Array.from(name.replace(/[*/:;?\\]/g, '_')).slice(0, 64).join('') || '_';
+  }
+
+  uniqueName(candidate, used, isDirectory, maxLength = 31) {
+    let name = candidate;
+    let counter = 1;
+
+    while (used.has(name)) {
+      const suffix = `~${counter++}`;
+      const dot = isDirectory ? -1 : candidate.lastIndexOf('.');
+      name = dot > 0
+        ? `${candidate.substring(0, Math.min(dot, 24 - suffix.length))}${suffix}${candidate.substring(dot)}`
+        : `${candidate.substring(0, maxLength - suffix.length)}${suffix}`;
+    }
+
+    used.add(name);
+    return name;
+  }
+
+  // === LAYOUT ===
+
+  /**
+   * Assign sector locations to path tables, directories and file data
+   */
+  layoutImage(directories, files) {
+    const primaryTable = this.createPathTable(directories.primary, false);
+    const jolietTable = this.createPathTable(directories.joliet, true);
+    const tableSectors = (table) => Math.ceil(table.length / SECTOR_SIZE);
+
+    let sector = SYSTEM_AREA_SECTORS + 3;
+
+    const pathTableLocations = {};
+    const pathTables = [];
+    for (const [key, table] of [['primary', primaryTable], ['joliet', jolietTable]]) {
+      pathTableLocations[key] = { little: sector, big: sector + tableSectors(table.little) };
+      sector += tableSectors(table.little) + tableSectors(table.big);
+      pathTables.push(table.little, table.big);
+    }
+
+    for (const joliet of [false, true]) {
+      const key = joliet ? 'joliet' : 'primary';
+      for (const directory of directories[key]) {
+        directory.size[key] = this.measureDirectory(directory, joliet);
+        directory.extent[key] = sector;
+        sector += directory.size[key] / SECTOR_SIZE;
+      }
+    }
+
+    for (const file of files) {
+      if (file.size === 0) continue;
+      file.extent = sector;
+      sector += Math.ceil(file.size / SECTOR_SIZE);
+    }
+
+    // Path tables need final directory extents, so rebuild them now
+    const finalPrimary = this.createPathTable(directories.primary, false);
+    const finalJoliet = this.createPathTable(directories.joliet, true);
+
+    return {
+      totalSectors: sector,
+      pathTableSize: { primary: finalPrimary.little.length, joliet: finalJoliet.little.length },
+      pathTableLocations,
+      pathTables: [finalPrimary.little, finalPrimary.big, finalJoliet.little, finalJoliet.big],
+      root: directories.primary[0]
+    };
+  }
+
+  createPathTable(directories, joliet) {
+    const key = joliet ? 'joliet' : 'primary';
+    const build = (littleEndian) => {
+      const parts = directories.map((directory) => {
+        const identifier = directory.parent
+          ? this.encodeIdentifier(joliet ? directory.jolietName : directory.isoName, joliet)
+          : Buffer.from([0]);
+        const record = Buffer.alloc(8 + identifier.length + (identifier.length % 2));
+        record.writeUInt8(identifier.length, 0);
+        if (littleEndian) {
+          record.writeUInt32LE(directory.extent[key], 2);
+          record.writeUInt16LE(directory.parent ? directory.parent.number[key] : 1, 6);
+        } else {
+          record.writeUInt32BE(directory.extent[key], 2);
+          record.writeUInt16BE(directory.parent ? directory.parent.number[key] : 1, 6);
+        }
+        identifier.copy(record, 8);
+        return record;
+      });
+      return Buffer.concat(parts);
+    };
+
+    return { little: build(true), big: build(false) };
+  }
+
+  /**
+   * Directory records may not straddle sectors, so size is sector-aligned
+   */
+  measureDirectory(directory, joliet) {
+    const records = this.directoryChildren(directory, joliet)
+      .map(child => 33 + child.identifier.length + ((child.identifier.length + 1) % 2));
+    records.unshift(34, 34);
+
+    let size = 0;
+    for (const length of records) {
+      const offsetInSector = size % SECTOR_SIZE;
+      if (offsetInSector + length > SECTOR_SIZE) {
+        size += SECTOR_SIZE - offsetInSector;
+      }
+      size += length;
+    }
+
+    return Math.ceil(size / SECTOR_SIZE) * SECTOR_SIZE;
+  }
+
+  directoryChildren(directory, joliet) {
+    const children = [
+      ...Array.from(directory.directories.values()).map(node => ({ node, isDirectory: true })),
+      ...Array.from(directory.files.values()).map(node => ({ node, isDirectory: false }))
+    ].map(child => {
+      const name = joliet ? child.node.jolietName : child.node.isoName;
+      const identifier = this.encodeIdentifier(child.isDirectory || joliet ? name : `${name};1`, joliet);
+      return { ...child, identifier };
+    });
+
+    return children.sort((a, b) => Buffer.compare(a.identifier, b.identifier));
+  }
+
+  encodeIdentifier(name, joliet) {
+    if (!joliet) {
+      return Buffer.from(name, 'ascii');
+    }
+    return Buffer.from(name, 'utf16le').swap16();
+  }
+
+  // === RECORD ENCODING ===
+
+  createDirectoryExtent(directory, joliet) {
+    const key = joliet ? 'joliet' : 'primary';
+    const extent = Buffer.alloc(directory.size[key]);
+    const parent = directory.parent || directory;
+    let offset = 0;
+
+    const place = (record) => {
+      if ((offset % SECTOR_SIZE) + record.length > SECTOR_SIZE) {
+        offset += SECTOR_SIZE - (offset % SECTOR_SIZE);
+      }
+      record.copy(extent, offset);
+      offset += record.length;
+    };
+
+    place(this.createDirectoryRecord(Buffer.from([0]), directory.extent[key], directory.size[key], true, this.options.date));
+    place(this.createDirectoryRecord(Buffer.from([1]), parent.extent[key], parent.size[key], true, this.options.date));
+
+    for (const child of this.directoryChildren(directory, joliet)) {
+      if (child.isDirectory) {
+        place(this.createDirectoryRecord(child.identifier, child.node.extent[key], child.node.size[key], true, this.options.date));
+      } else {
+        place(this.createDirectoryRecord(child.identifier, child.node.extent, child.node.size, false, child.node.date));
+      }
+    }
+
+    return extent;
+  }
+
+  createDirectoryRecord(identifier, extent, size, isDirectory, date) {
+    const length = 33 + identifier.length + ((identifier.length + 1) % 2);
+    const record = Buffer.alloc(length);
+
+    record.writeUInt8(length, 0);
+    this.writeBothEndian32(record, 2, extent);
+    this.writeBothEndian32(record, 10, size);
+    this.writeRecordingDate(record, 18, date);
+    record.writeUInt8(isDirectory ? 0x02 : 0x00, 25);
+    this.writeBothEndian16(record, 28, 1);
+    record.writeUInt8(identifier.length, 32);
+    identifier.copy(record, 33);
+
+    return record;
+  }
+
+  createVolumeDescriptor(layout, joliet) {
+    const key = joliet ? 'joliet' : 'primary';
+    const descriptor = Buffer.alloc(SECTOR_SIZE);
+
+    descriptor.writeUInt8(joliet ? 2 : 1, 0);
+    descriptor.write('CD001', 1, 'ascii');
+    descriptor.writeUInt8(1, 6);
+
+    this.writeTextField(descriptor, 8, 32, this.options.systemId, joliet);
+    this.writeTextField(descriptor, 40, 32, this.volumeIdentifier(joliet), joliet);
+    this.writeBothEndian32(descriptor, 80, layout.totalSectors);
+
+    if (joliet) {
+      // UCS-2 level 3 escape sequence
+      descriptor.write('%/E', 88, 'ascii');
+    }
+
+    this.writeBothEndian16(descriptor, 120, 1);
+    this.writeBothEndian16(descriptor, 124, 1);
+    this.writeBothEndian16(descriptor, 128, SECTOR_SIZE);
+    this.writeBothEndian32(descriptor, 132, layout.pathTableSize[key]);
+    descriptor.writeUInt32LE(layout.pathTableLocations[key].little, 140);
+    descriptor.writeUInt32BE(layout.pathTableLocations[key].big, 148);
+
+    this.createDirectoryRecord(Buffer.from([0]), layout.root.extent[key], layout.root.size[key], true, this.options.date)
+      .copy(descriptor, 156);
+
+    this.writeTextField(descriptor, 190, 128, '', joliet);
+    this.writeTextField(descriptor, 318, 128, this.options.publisherId, joliet);
+    this.writeTextField(descriptor, 446, 128, '', joliet);
+    this.writeTextField(descriptor, 574, 128, this.options.applicationId, joliet);
+    this.writeTextField(descriptor, 702, 37, '', joliet);
+    this.writeTextField(descriptor, 739, 37, '', joliet);
+    this.writeTextField(descriptor, 776, 37, '', joliet);
+
+    this.writeVolumeDate(descriptor, 813, this.options.date);
+    this.writeVolumeDate(descriptor, 830, this.options.date);
+    this.writeVolumeDate(descriptor, 847, null);
+    this.writeVolumeDate(descriptor, 864, this.options.date);
+    descriptor.writeUInt8(1, 881);
+
+    return descriptor;
+  }
+
+  createTerminator() {
+    const descriptor = Buffer.alloc(SECTOR_SIZE);
+    descriptor.writeUInt8(255, 0);
+    descriptor.write('CD001', 1, 'ascii');
+    descriptor.writeUInt8(1, 6);
+    return descriptor;
+  }
+
+  volumeIdentifier(joliet) {
+    const volumeId = this.options.volumeId || 'SUBMITIT';
+    return joliet
+      ? volumeId.substring(0, 16)
+      : volumeId.toUpperCase().replace(/[^A-Z0-9_]/g, '_').substring(0, 32);
+  }
+
+  // === FIELD HELPERS ===
+
+  writeBothEndian16(buffer, offset, value) {
+    buffer.writeUInt16LE(value, offset);
+    buffer.writeUInt16BE(value, offset + 2);
+  }
+
+  writeBothEndian32(buffer, offset, value) {
+    buffer.writeUInt32LE(value, offset);
+    buffer.writeUInt32BE(value, offset + 4);
+  }
+
+  writeTextField(buffer, offset, length, value, joliet) {
+    if (joliet) {
+      const padded = Array.from(value || '').slice(0, Math.floor(length / 2)).join('')
+        .padEnd(Math.floor(length / 2), ' ');
+      Buffer.from(padded, 'utf16le').swap16().copy(buffer, offset);
+      if (length % 2 === 1) buffer.writeUInt8(0x20, offset + length - 1);
+    } else {
+      buffer.write((value || '').substring(0, length).padEnd(length, ' '), offset, length, 'ascii');
+    }
+  }
+
+  writeRecordingDate(buffer, offset, date) {
+    const value = new Date(date);
+    buffer.writeUInt8(value.getUTCFullYear() - 1900, offset);
+    buffer.writeUInt8(value.getUTCMonth() + 1, offset + 1);
+    buffer.writeUInt8(value.getUTCDate(), offset + 2);
+    buffer.writeUInt8(value.getUTCHours(), offset + 3);
+    buffer.writeUInt8(value.getUTCMinutes(), offset + 4);
+    buffer.writeUInt8(value.getUTCSeconds(), offset + 5);
+    buffer.writeInt8(0, offset + 6);
+  }
+
+  writeVolumeDate(buffer, offset, date) {
+    if (!date) {
+      buffer.write('0000000000000000', offset, 'ascii');
+      buffer.writeUInt8(0, offset + 16);
+      return;
+    }
+
+    const value = new Date(date);
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const text = `${pad(value.getUTCFullYear(), 4)}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+      `${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}` +
+      `${pad(Math.floor(value.getUTCMilliseconds() / 10))}`;
+    buffer.write(text, offset, 'ascii');
+    buffer.writeUInt8(0, offset + 16);
+  }
+
+  padToSector(buffer) {
+    const size = Math.ceil(buffer.length / SECTOR_SIZE) * SECTOR_SIZE;
+    const padded = Buffer.alloc(size);
+    buffer.copy(padded);
+    return padded;
+  }
+}
+
+export default IsoImageWriter;
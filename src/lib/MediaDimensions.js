@@ -0,0 +1,627 @@
+/**
+ * Media Dimensions - Size, duration and bitrate read straight from file headers
+ *
+ * Replaces calls to ImageMagick's `identify` and `ffprobe`, which were missing
+ * on most machines and took file paths through a shell. Only the bytes that
+ * hold the answer are read: an image header, an MP4 `moov` box, the start of
+ * a WebM segment, a WAV `fmt ` chunk, an MP3 Xing/VBRI frame.
+ *
+ *   image → { width, height, format }            PNG, JPEG, GIF, WebP, BMP, TIFF, SVG
+ *   video → { width, height, duration, bitrate }  MP4, MOV, WebM, MKV, AVI
+ *   audio → { duration, bitrate, sampleRate }     WAV, MP3, FLAC, M4A, WebM
+ *
+ * Durations are in seconds and bitrates in bits per second. Formats that
+ * cannot be read return null.
+ */
+
+import { open } from 'fs/promises';
+import { extname } from 'path';
+import { FileSignatures } from './FileSignatures.js';
+
+const HEADER_BYTES = 64 * 1024;
+
+// WebM keeps Info and Tracks ahead of the first cluster, well within this
+const EBML_HEADER_BYTES = 256 * 1024;
+
+// Tracks and sample tables of long recordings stay far below this
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+const SVG_UNITS = { px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+const EBML = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  CLUSTER: 0x1f43b675
+};
+
+// kbit/s by MPEG version and layer; index 0 is "free format"
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+export class MediaDimensions {
+  constructor() {
+    this.signatures = new FileSignatures();
+  }
+
+  // === PUBLIC API ===
+
+  async readImage(filePath) {
+    return this.withFile(filePath, async (file, head, mimeType) => {
+      const extension = extname(filePath).toLowerCase();
+      let size = null;
+
+      if (mimeType === 'image/png') size = this.parsePng(head);
+      else if (mimeType === 'image/gif') size = { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+      else if (mimeType === 'image/webp') size = this.parseWebp(head);
+      else if (mimeType === 'image/bmp') size = { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+      else if (mimeType === 'image/jpeg') size = await this.readJpeg(file);
+      else if (mimeType === 'image/tiff') size = await this.readTiff(file, head);
+      else if (mimeType === 'image/svg+xml' || extension === '.svg') size = this.parseSvg(head.toString('utf8'));
+
+      return size && { ...size, format: extension.slice(1) || mimeType.split('/')[1], type: 'image' };
+    });
+  }
+
+  async readVideo(filePath) {
+    return this.withFile(filePath, async (file, head, mimeType, detection) => {
+      let info = null;
+
+      if (detection?.container === 'isobmff') info = await this.readIsoBmff(file);
+      else if (detection?.container === 'ebml') info = await this.readEbml(file);
+      else if (mimeType === 'video/x-msvideo') info = this.parseAvi(head);
+
+      return info && {
+        width: info.width || 0,
+        height: info.height || 0,
+        duration: info.duration || 0,
+        bitrate: this.averageBitrate(file.size, info.duration),
+        codec: info.codec,
+        format: extname(filePath).toLowerCase().slice(1),
+        type: 'video'
+      };
+    });
+  }
+
+  async readAudio(filePath) {
+    return this.withFile(filePath, async (file, head, mimeType, detection) => {
+      let info = null;
+
+      if (mimeType === 'audio/wav') info = await this.readWav(file);
+      else if (mimeType === 'audio/flac') info = this.parseFlac(file, head);
+      else if (mimeType === 'audio/mpeg') info = await this.readMp3(file, head);
+      else if (detection?.container === 'isobmff') info = await this.readIsoBmff(file);
+      else if (detection?.container === 'ebml') info = await this.readEbml(file);
+
+      return info && {
+        duration: info.duration || 0,
+        bitrate: info.bitrate || this.averageBitrate(file.size, info.duration),
+        sampleRate: info.sampleRate || 0,
+        channels: info.channels || 0,
+        codec: info.codec,
+        format: extname(filePath).toLowerCase().slice(1),
+        type: 'audio'
+      };
+    });
+  }
+
+  /**
+   * Open the file, read its head and identify it, then hand over to a parser
+   */
+  async withFile(filePath, parse) {
+    const handle = await open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const file = {
+        size,
+        read: async (position, length) => {
+          const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+          const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+          return buffer.subarray(0, bytesRead);
+        }
+      };
+
+      const head = await file.read(0, HEADER_BYTES);
+      const detection = this.signatures.identify(head);
+      return await parse(file, head, detection?.mimeType || null, detection);
+    } catch (error) {
+      // A header cut short reads past the end of its buffer; that is a file we cannot read, not a bug
+      if (error instanceof RangeError) return null;
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  averageBitrate(size, duration) {
+    return duration > 0 ? Math.round((size * 8) / duration) : 0;
+  }
+
+  // === IMAGES ===
+
+  parsePng(head) {
+    return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+  }
+
+  parseWebp(head) {
+    const chunk = head.toString('latin1', 12, 16);
+
+    if (chunk === 'VP8 ') {
+      return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+    }
+
+    if (chunk === 'VP8L') {
+      const bits = head.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+
+    if (chunk === 'VP8X') {
+      return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk JPEG segments to the start-of-frame marker; EXIF and ICC segments
+   * before it can be large, so each segment header is read on its own
+   */
+  async readJpeg(file) {
+    let position = 2;
+
+    while (position + 4 <= file.size) {
+      const header = await file.read(position, 9);
+      if (header[0] !== 0xff) return null;
+
+      const marker = header[1];
+      if (marker === 0xff) {
+        position += 1;
+        continue;
+      }
+
+      // Standalone markers carry no length
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+        position += 2;
+        continue;
+      }
+
+      // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: header.readUInt16BE(7), height: header.readUInt16BE(5) };
+      }
+
+      if (marker === 0xd9 || marker === 0xda) return null;
+      position += 2 + header.readUInt16BE(2);
+    }
+
+    return null;
+  }
+
+  async readTiff(file, head) {
+    const littleEndian = head[0] === 0x49;
+    const u16 = (buffer, offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = (buffer, offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    const ifdOffset = u32(head, 4);
+    const count = u16(await file.read(ifdOffset, 2), 0);
+    const ifd = await file.read(ifdOffset + 2, count * 12);
+    const size = {};
+
+    for (let entry = 0; entry + 12 <= ifd.length; entry += 12) {
+      const tag = u16(ifd, entry);
+      if (tag !== 256 && tag !== 257) continue;
+
+      // SHORT (3) values sit in the first two bytes of the value field, LONG (4) fill it
+      const value = u16(ifd, entry + 2) === 3 ? u16(ifd, entry + 8) : u32(ifd, entry + 8);
+      size[tag === 256 ? 'width' : 'height'] = value;
+    }
+
+    return size.width && size.height ? size : null;
+  }
+
+  /**
+   * Width and height attributes in absolute units, else the viewBox
+   */
+  parseSvg(text) {
+    const tag = text.match(/<svg\b[^>]*>/i)?.[0];
+    if (!tag) return null;
+
+    const attribute = name => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+    const toPixels = value => {
+      const match = value?.trim().match(/^([\d.]+)\s*(px|pt|pc|mm|cm|in)?$/i);
+      return match ? Math.round(parseFloat(match[1]) * SVG_UNITS[(match[2] || 'px').toLowerCase()]) : null;
+    };
+
+    const viewBox = attribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+    const width = toPixels(attribute('width')) ?? (viewBox?.length === 4 ? Math.round(viewBox[2]) : null);
+    const height = toPixels(attribute('height')) ?? (viewBox?.length === 4 ? Math.round(viewBox[3]) : null);
+
+    return width && height ? { width, height } : null;
+  }
+
+  // === ISO BASE MEDIA (MP4, MOV, M4A) ===
+
+  /**
+   * Find the moov box, which may sit after the media data, and read the
+   * movie header plus the first video and audio tracks
+   */
+  async readIsoBmff(file) {
+    let position = 0;
+
+    while (position + 8 <= file.size) {
+      const header = await file.read(position, 16);
+      let size = header.readUInt32BE(0);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = file.size - position;
+      }
+
+      if (size < headerSize) return null;
+
+      if (header.toString('latin1', 4, 8) === 'moov') {
+        if (size > MAX_MOOV_BYTES) return null;
+        return this.parseMoov(await file.read(position + headerSize, size - headerSize));
+      }
+
+      position += size;
+    }
+
+    return null;
+  }
+
+  parseMoov(moov) {
+    const info = {};
+    const mvhd = this.findBox(moov, ['mvhd']);
+
+    if (mvhd) {
+      const { timescale, duration } = this.readMediaHeader(moov, mvhd);
+      info.duration = timescale ? duration / timescale : 0;
+    }
+
+    for (const trak of this.childBoxes(moov, 0, moov.length).filter(box => box.type === 'trak')) {
+      const handler = this.findBox(moov, ['mdia', 'hdlr'], trak);
+      const handlerType = handler ? moov.toString('latin1', handler.start + 8, handler.start + 12) : null;
+      const stsd = this.findBox(moov, ['mdia', 'minf', 'stbl', 'stsd'], trak);
+      const entry = stsd ? stsd.start + 8 : null;
+
+      const tkhd = this.findBox(moov, ['tkhd'], trak);
+      if (handlerType === 'vide' && info.width === undefined && tkhd) {
+        const offset = tkhd.start + (moov[tkhd.start] === 1 ? 88 : 76);
+        info.width = moov.readUInt32BE(offset) >>> 16;
+        info.height = moov.readUInt32BE(offset + 4) >>> 16;
+        info.codec = entry ? moov.toString('latin1', entry + 4, entry + 8) : undefined;
+      }
+
+      if (handlerType === 'soun' && info.sampleRate === undefined && entry) {
+        info.channels = moov.readUInt16BE(entry + 24);
+        info.sampleRate = moov.readUInt32BE(entry + 32) >>> 16;
+        info.codec ??= moov.toString('latin1', entry + 4, entry + 8);
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Timescale and duration from an mvhd or mdhd box (version 0 or 1)
+   */
+  readMediaHeader(buffer, box) {
+    if (buffer[box.start] === 1) {
+      return { timescale: buffer.readUInt32BE(box.start + 20), duration: Number(buffer.readBigUInt64BE(box.start + 24)) };
+    }
+
+    return { timescale: buffer.readUInt32BE(box.start + 12), duration: buffer.readUInt32BE(box.start + 16) };
+  }
+
+  childBoxes(buffer, start, end) {
+    const boxes = [];
+    let position = start;
+
+    while (position + 8 <= end) {
+      const size = buffer.readUInt32BE(position);
+      if (size < 8 || position + size > end) break;
+
+      boxes.push({ type: buffer.toString('latin1', position + 4, position + 8), start: position + 8, end: position + size });
+      position += size;
+    }
+
+    return boxes;
+  }
+
+  findBox(buffer, path, parent = { start: 0, end: buffer.length }) {
+    let box = parent;
+
+    for (const type of path) {
+      box = this.childBoxes(buffer, box.start, box.end).find(child => child.type === type);
+      if (!box) return null;
+    }
+
+    return box;
+  }
+
+  // === MATROSKA / WEBM ===
+
+  async readEbml(file) {
+    const buffer = await file.read(0, EBML_HEADER_BYTES);
+    const info = { timecodeScale: 1000000 };
+
+    const walk = (start, end) => {
+      let position = start;
+
+      while (position < end) {
+        const id = this.readVint(buffer, position, true);
+        if (!id) return false;
+        const size = this.readVint(buffer, position + id.length, false);
+        if (!size) return false;
+
+        const dataStart = position + id.length + size.length;
+        const dataEnd = size.value < 0 ? end : Math.min(dataStart + size.value, end);
+
+        switch (id.value) {
+          case EBML.CLUSTER:
+            return false;
+          case EBML.SEGMENT:
+          case EBML.INFO:
+          case EBML.TRACKS:
+            if (walk(dataStart, dataEnd) === false) return false;
+            break;
+          case EBML.TRACK_ENTRY:
+            info.track = {};
+            walk(dataStart, dataEnd);
+            if (info.track.type === 1 && info.width === undefined) {
+              Object.assign(info, { width: info.track.width, height: info.track.height, codec: info.track.codec });
+            }
+            if (info.track.type === 2 && info.sampleRate === undefined) {
+              Object.assign(info, { sampleRate: info.track.sampleRate, channels: info.track.channels });
+              info.codec ??= info.track.codec;
+            }
+            break;
+          case EBML.VIDEO:
+          case EBML.AUDIO:
+            walk(dataStart, dataEnd);
+            break;
+          case EBML.TIMECODE_SCALE:
+            info.timecodeScale = buffer.readUIntBE(dataStart, dataEnd - dataStart);
+            break;
+          case EBML.DURATION:
+            info.rawDuration = dataEnd - dataStart === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart);
+            break;
+          case EBML.TRACK_TYPE:
+            info.track.type = buffer[dataStart];
+            break;
+          case EBML.CODEC_ID:
+            info.track.codec = buffer.toString('latin1', dataStart, dataEnd);
+            break;
+          case EBML.PIXEL_WIDTH:
+            info.track.width = buffer.readUIntBE(dataStart, dataEnd - dataStart);
+            break;
+          case EBML.PIXEL_HEIGHT:
+            info.track.height = buffer.readUIntBE(dataStart, dataEnd - dataStart);
+            break;
+          case EBML.SAMPLING_FREQUENCY:
+            info.track.sampleRate = dataEnd - dataStart === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart);
+            break;
+          case EBML.CHANNELS:
+            info.track.channels = buffer[dataStart];
+            break;
+        }
+
+        position = dataEnd;
+      }
+
+      return true;
+    };
+
+    // Skip the EBML header element, then walk the segment
+    const headerId = this.readVint(buffer, 0, true);
+    const headerSize = headerId && this.readVint(buffer, headerId.length, false);
+    if (!headerSize) return null;
+    walk(headerId.length + headerSize.length + headerSize.value, buffer.length);
+
+    return {
+      width: info.width,
+      height: info.height,
+      codec: info.codec,
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      duration: info.rawDuration ? (info.rawDuration * info.timecodeScale) / 1e9 : 0
+    };
+  }
+
+  /**
+   * EBML variable-length integer. IDs keep their length marker bit; sizes
+   * drop it, and an all-ones size means "unknown" (-1).
+   */
+  readVint(buffer, position, keepMarker) {
+    if (position >= buffer.length) return null;
+
+    const first = buffer[position];
+    const length = first ? 8 - Math.floor(Math.log2(first)) : 0;
+    if (length === 0 || position + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let index = 1; index < length; index++) {
+      value = value * 256 + buffer[position + index];
+      allOnes = allOnes && buffer[position + index] === 0xff;
+    }
+
+    return { length, value: !keepMarker && allOnes ? -1 : value };
+  }
+
+  // === AVI ===
+
+  parseAvi(head) {
+    const avih = head.indexOf('avih', 12, 'latin1');
+    if (avih < 0 || avih + 48 > head.length) return null;
+
+    const data = avih + 8;
+    const microsecondsPerFrame = head.readUInt32LE(data);
+    const frames = head.readUInt32LE(data + 16);
+
+    return {
+      width: head.readUInt32LE(data + 32),
+      height: head.readUInt32LE(data + 36),
+      duration: (frames * microsecondsPerFrame) / 1e6
+    };
+  }
+
+  // === AUDIO ===
+
+  /**
+   * Walk RIFF chunks for `fmt ` and `data`; a large LIST chunk may sit between them
+   */
+  async readWav(file) {
+    const info = {};
+    let position = 12;
+
+    while (position + 8 <= file.size && (!info.sampleRate || info.dataSize === undefined)) {
+      const header = await file.read(position, 8);
+      const id = header.toString('latin1', 0, 4);
+      const size = header.readUInt32LE(4);
+
+      if (id === 'fmt ') {
+        const fmt = await file.read(position + 8, 16);
+        info.channels = fmt.readUInt16LE(2);
+        info.sampleRate = fmt.readUInt32LE(4);
+        info.byteRate = fmt.readUInt32LE(8);
+      } else if (id === 'data') {
+        // Streaming writers leave the size at 0 or 0xffffffff; the rest of the file is the data
+        info.dataSize = size === 0 || size === 0xffffffff ? file.size - position - 8 : size;
+      }
+
+      position += 8 + size + (size % 2);
+    }
+
+    if (!info.byteRate) return null;
+
+    return {
+      channels: info.channels,
+      sampleRate: info.sampleRate,
+      bitrate: info.byteRate * 8,
+      duration: (info.dataSize || 0) / info.byteRate
+    };
+  }
+
+  /**
+   * FLAC STREAMINFO, always the first metadata block
+   */
+  parseFlac(file, head) {
+    if ((head[4] & 0x7f) !== 0) return null;
+
+    const data = 8;
+    const sampleRate = (head[data + 10] << 12) | (head[data + 11] << 4) | (head[data + 12] >> 4);
+    const totalSamples = (head[data + 13] & 0x0f) * 2 ** 32 + head.readUInt32BE(data + 14);
+    const duration = sampleRate ? totalSamples / sampleRate : 0;
+
+    return {
+      sampleRate,
+      channels: ((head[data + 12] >> 1) & 0x07) + 1,
+      duration,
+      bitrate: this.averageBitrate(file.size, duration)
+    };
+  }
+
+  /**
+   * First MPEG frame after any ID3v2 tag. VBR files carry a frame count in a
+   * Xing/Info or VBRI header; otherwise the stream is constant bitrate.
+   */
+  async readMp3(file, head) {
+    let start = 0;
+    if (head.toString('latin1', 0, 3) === 'ID3') {
+      const tagSize = (head[6] << 21) | (head[7] << 14) | (head[8] << 7) | head[9];
+      start = 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+    }
+
+    const window = await file.read(start, HEADER_BYTES);
+    for (let offset = 0; offset + 4 <= window.length; offset++) {
+      const frame = this.parseMpegHeader(window, offset);
+      if (!frame) continue;
+
+      const audioBytes = file.size - start - offset;
+      const frames = this.readVbrFrameCount(window, offset, frame);
+      const duration = frames
+        ? (frames * frame.samplesPerFrame) / frame.sampleRate
+        : (audioBytes * 8) / (frame.bitrate * 1000);
+
+      return {
+        sampleRate: frame.sampleRate,
+        channels: frame.channels,
+        duration,
+        bitrate: frames ? this.averageBitrate(audioBytes, duration) : frame.bitrate * 1000
+      };
+    }
+
+    return null;
+  }
+
+  parseMpegHeader(buffer, offset) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+    const version = [2.5, null, 2, 1][(buffer[offset + 1] >> 3) & 0x03];
+    const layer = [null, 3, 2, 1][(buffer[offset + 1] >> 1) & 0x03];
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+
+    if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    return {
+      version,
+      layer,
+      bitrate: MPEG_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex],
+      sampleRate: MPEG_SAMPLE_RATES[version][sampleRateIndex],
+      channels: buffer[offset + 3] >> 6 === 3 ? 1 : 2,
+      samplesPerFrame: layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152
+    };
+  }
+
+  readVbrFrameCount(buffer, offset, frame) {
+    // Xing/Info follows the side information, whose size depends on version and channels
+    const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    const tag = buffer.toString('latin1', xing, xing + 4);
+
+    if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= buffer.length && buffer.readUInt32BE(xing + 4) & 0x01) {
+      return buffer.readUInt32BE(xing + 8);
+    }
+
+    const vbri = offset + 4 + 32;
+    if (buffer.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buffer.length) {
+      return buffer.readUInt32BE(vbri + 14);
+    }
+
+    return null;
+  }
+}
+
+export default MediaDimensions;
@@ -0,0 +1,495 @@
+/**
+ * Media Optimizer - Smaller copies of images and web assets for the package
+ *
+ * `export --optimize` runs content files through JS-only codecs and minifiers
+ * and packages the results. Project files are never modified.
+ *
+ *   PNG                  recompressed losslessly; re-encoded when that is smaller
+ *   JPEG                 re-encoded at `jpegQuality` when larger than `recompressAbove`
+ *   PNG, JPEG            downscaled to fit `maxImageDimensions`; metadata stripped,
+ *                        keeping what changes how the image looks (ICC profile,
+ *                        orientation, gamma, resolution)
+ *   HTML, CSS, JS, SVG   minified
+ *
+ * Apart from downscaling, a result is only used when it is smaller than the input.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { deflateSync, inflateSync } from 'zlib';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import CRC32 from 'crc-32';
+import { minify as minifyJs } from 'terser';
+import { minify as minifyCss } from 'csso';
+import { minify as minifyHtml } from 'html-minifier-terser';
+import { optimize as optimizeSvg } from 'svgo';
+import { FileSignatures } from './FileSignatures.js';
+import { parseSize } from './FileSizes.js';
+import { writeSubstitutes } from './SubstituteFiles.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// The resize target, quality and threshold of FileSizeValidationSystem's suggestions
+export const OPTIMIZE_DEFAULTS = {
+  maxImageDimensions: { width: 2048, height: 2048 },
+  jpegQuality: 85,
+  recompressAbove: 1024 * 1024,
+  minify: ['html', 'css', 'js', 'svg']
+};
+
+const MINIFY_TYPES = {
+  '.html': 'html',
+  '.htm': 'html',
+  '.css': 'css',
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.svg': 'svg'
+};
+
+// PNG chunks that affect rendering; text, EXIF, time stamps and private chunks are dropped
+const PNG_CRITICAL = new Set(['IHDR', 'PLTE', 'IDAT', 'IEND']);
+const PNG_VISUAL = new Set(['tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT', 'bKGD', 'pHYs']);
+// Kept when pixels are re-encoded: colour interpretation and physical size
+const PNG_COLOUR = new Set(['gAMA', 'cHRM', 'sRGB', 'iCCP', 'pHYs']);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const JPEG_SOS = 0xda;
+const JPEG_EOI = 0xd9;
+const JPEG_APP0 = 0xe0;
+const JPEG_APP1 = 0xe1;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP14 = 0xee;
+const JPEG_COM = 0xfe;
+const EXIF_ORIENTATION = 0x0112;
+
+export class MediaOptimizer {
+  /**
+   * @param {Object} [options] - The "optimize" block of submitit.config.json
+   */
+  constructor(options = {}) {
+    this.options = this.validate(options);
+    this.signatures = new FileSignatures();
+  }
+
+  /**
+   * Check the "optimize" config block and fill in defaults
+   */
+  validate(options = {}) {
+    const unknown = Object.keys(options).filter(key => !(key in OPTIMIZE_DEFAULTS));
+    if (unknown.length > 0) {
+      throw new SubmititError(`optimize: unknown setting(s) ${unknown.join(', ')}`, 'VALIDATION_ERROR', { unknown });
+    }
+
+    const result = { ...OPTIMIZE_DEFAULTS, ...options };
+    const { width, height } = result.maxImageDimensions || {};
+    if (![width, height].every(value => Number.isInteger(value) && value > 0)) {
+      throw new SubmititError('optimize.maxImageDimensions needs a positive integer width and height', 'VALIDATION_ERROR', { value: result.maxImageDimensions });
+    }
+    if (!Number.isInteger(result.jpegQuality) || result.jpegQuality < 1 || result.jpegQuality > 100) {
+      throw new SubmititError(`optimize.jpegQuality must be 1-100, not ${result.jpegQuality}`, 'VALIDATION_ERROR', { value: result.jpegQuality });
+    }
+    result.recompressAbove = parseSize(result.recompressAbove, 'optimize.recompressAbove');
+    const types = new Set(Object.values(MINIFY_TYPES));
+    const badTypes = [].concat(result.minify).filter(type => !types.has(type));
+    if (!Array.isArray(result.minify) || badTypes.length > 0) {
+      throw new SubmititError(`optimize.minify takes a list of ${[...types].join(', ')}`, 'VALIDATION_ERROR', { value: result.minify });
+    }
+
+    return result;
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Write optimized copies of the files that got smaller into outputDir
+   * @param {Array<{name: string, sourcePath: string}>} files
+   * @returns {Promise<{substitutes: Map<string, string>, report: Array<{name: string, actions: string[], before: number, after: number}>, skipped: Array<{name: string, reason: string}>}>}
+   */
+  async optimizeFiles(files, outputDir) {
+    // Undecodable images and scripts that do not parse are packaged as they are
+    return writeSubstitutes(files, outputDir, async (file, outputPath) => {
+      const result = await this.optimize(file.sourcePath);
+      if (!result) return null;
+
+      await writeFile(outputPath, result.buffer);
+      return { actions: result.actions, before: result.before, after: result.buffer.length };
+    }, { skipFailures: true });
+  }
+
+  /**
+   * Totals for the manifest
+   */
+  summarize(report) {
+    const before = report.reduce((sum, file) => sum + file.before, 0);
+    const after = report.reduce((sum, file) => sum + file.after, 0);
+    return { files: report.length, before, after, saved: before - after };
+  }
+
+  /**
+   * Optimized bytes and what was done, or null when nothing helped
+   * @returns {Promise<{buffer: Buffer, actions: string[], before: number}|null>}
+   */
+  async optimize(filePath) {
+    const buffer = await readFile(filePath);
+    const mimeType = this.signatures.identifyMagic(buffer.subarray(0, 64))?.mimeType;
+    let result = null;
+
+    if (mimeType === 'image/png') {
+      result = this.optimizePng(buffer);
+    } else if (mimeType === 'image/jpeg') {
+      result = this.optimizeJpeg(buffer);
+    } else {
+      const type = MINIFY_TYPES[extname(filePath).toLowerCase()];
+      if (type && this.options.minify.includes(type) && !/\.min\.\w+$/i.test(filePath)) {
+        result = await this.minify(buffer.toString('utf8'), type);
+      }
+    }
+
+    if (!result || (result.buffer.length >= buffer.length && !result.resized)) return null;
+    return { buffer: result.buffer, actions: result.actions, before: buffer.length };
+  }
+
+  // === PNG ===
+
+  optimizePng(buffer) {
+    const chunks = this.pngChunks(buffer);
+    const header = chunks[0]?.type === 'IHDR' ? chunks[0].data : null;
+    if (!header) throw new Error('PNG has no IHDR chunk');
+
+    // Animation chunks would be dropped, leaving only the first frame
+    if (chunks.some(chunk => chunk.type === 'acTL')) return null;
+
+    const width = header.readUInt32BE(0);
+    const height = header.readUInt32BE(4);
+    const bitDepth = header[8];
+    const stripped = chunks.filter(chunk => PNG_CRITICAL.has(chunk.type) || PNG_VISUAL.has(chunk.type));
+    const metadata = stripped.length < chunks.length ? ['metadata stripped'] : [];
+    const colour = chunks.filter(chunk => PNG_COLOUR.has(chunk.type));
+    const target = this.fitWithin(width, height);
+
+    if (target) {
+      const image = PNG.sync.read(buffer);
+      const pixels = this.resize(image.data, width, height, target.width, target.height);
+      return {
+        buffer: this.encodePng(pixels, target.width, target.height, colour),
+        actions: [`resized ${width}x${height} → ${target.width}x${target.height}`, ...metadata],
+        resized: true
+      };
+    }
+
+    // The same filtered scanlines, deflated harder
+    const idat = Buffer.concat(stripped.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    const redeflated = deflateSync(inflateSync(idat), { level: 9, memLevel: 9 });
+    const firstIdat = stripped.findIndex(chunk => chunk.type === 'IDAT');
+    const lossless = this.writePng([
+      ...stripped.slice(0, firstIdat),
+      { type: 'IDAT', data: redeflated },
+      ...stripped.filter((chunk, index) => index > firstIdat && chunk.type !== 'IDAT')
+    ]);
+
+    // Re-encoding can pick better filters and a smaller colour type; 16-bit images would lose depth
+    if (bitDepth <= 8) {
+      const image = PNG.sync.read(buffer);
+      const encoded = this.encodePng(image.data, width, height, colour);
+      if (encoded.length < lossless.length) return { buffer: encoded, actions: ['re-encoded', ...metadata] };
+    }
+
+    return { buffer: lossless, actions: ['recompressed', ...metadata] };
+  }
+
+  /**
+   * 8-bit PNG in the smallest colour type that holds the pixels
+   */
+  encodePng(rgba, width, height, extraChunks = []) {
+    let opaque = true;
+    let grey = true;
+    for (let index = 0; index < rgba.length && (opaque || grey); index += 4) {
+      if (rgba[index + 3] !== 255) opaque = false;
+      if (rgba[index] !== rgba[index + 1] || rgba[index] !== rgba[index + 2]) grey = false;
+    }
+    const colorType = (grey ? 0 : 2) | (opaque ? 0 : 4);
+
+    const encoded = PNG.sync.write({ width, height, data: Buffer.from(rgba.buffer, rgba.byteOffset, rgba.length) }, {
+      colorType,
+      inputColorType: 6,
+      bitDepth: 8,
+      deflateLevel: 9,
+      deflateStrategy: 1,
+      filterType: -1
+    });
+
+    if (extraChunks.length === 0) return encoded;
+    const chunks = this.pngChunks(encoded);
+    return this.writePng([chunks[0], ...extraChunks, ...chunks.slice(1)]);
+  }
+
+  pngChunks(buffer) {
+    const chunks = [];
+    let position = PNG_SIGNATURE.length;
+
+    while (position + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(position);
+      const type = buffer.toString('latin1', position + 4, position + 8);
+      chunks.push({ type, data: buffer.subarray(position + 8, position + 8 + length) });
+      position += 12 + length;
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
+  }
+
+  writePng(chunks) {
+    const parts = [PNG_SIGNATURE];
+
+    for (const { type, data } of chunks) {
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(data.length, 0);
+      header.write(type, 4, 'latin1');
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE(CRC32.buf(Buffer.concat([header.subarray(4), data])) >>> 0, 0);
+      parts.push(header, data, crc);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  // === JPEG ===
+
+  optimizeJpeg(buffer) {
+    const { segments, scan, frame } = this.jpegSegments(buffer);
+    if (!frame) throw new Error('JPEG has no frame header');
+
+    const orientation = this.jpegOrientation(segments);
+    const icc = segments.filter(({ marker, data }) => marker === JPEG_APP2 && data.toString('latin1', 0, 12) === 'ICC_PROFILE\0');
+    // Orientation survives as a minimal EXIF block, since dropping it would turn photos sideways
+    const kept = [...icc, ...(orientation > 1 ? [{ marker: JPEG_APP1, data: this.exifOrientation(orientation) }] : [])];
+    // Adobe's colour transform flag only describes the original encoding
+    const adobe = segments.filter(({ marker }) => marker === JPEG_APP14);
+
+    const structural = segments.filter(({ marker }) => !(marker >= JPEG_APP0 && marker <= 0xef) && marker !== JPEG_COM);
+    const jfif = segments.filter(({ marker, data }) => marker === JPEG_APP0 && data.toString('latin1', 0, 5) === 'JFIF\0');
+    const stripped = Buffer.concat([Buffer.from([0xff, 0xd8]), this.writeSegments([...jfif, ...kept, ...adobe, ...structural]), scan]);
+    const metadata = stripped.length < buffer.length ? ['metadata stripped'] : [];
+
+    // Re-encoding converts CMYK to RGB, which shifts colours; those are only stripped
+    const { width, height, components } = frame;
+    const target = components === 4 ? null : this.fitWithin(width, height, orientation >= 5);
+    if (!target && (components === 4 || buffer.length <= this.options.recompressAbove)) {
+      return { buffer: stripped, actions: metadata };
+    }
+
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+    const pixels = target ? this.resize(image.data, width, height, target.width, target.height) : image.data;
+    const encoded = jpeg.encode({ data: pixels, width: target?.width ?? width, height: target?.height ?? height }, this.options.jpegQuality).data;
+
+    // The encoder writes SOI and a JFIF APP0; colour and orientation segments go after them
+    const app0End = 4 + encoded.readUInt16BE(4);
+    const reencoded = Buffer.concat([encoded.subarray(0, app0End), this.writeSegments(kept), encoded.subarray(app0End)]);
+    const actions = [`re-encoded at quality ${this.options.jpegQuality}`, ...metadata];
+
+    if (target) {
+      return { buffer: reencoded, actions: [`resized ${width}x${height} → ${target.width}x${target.height}`, ...actions], resized: true };
+    }
+    return reencoded.length < stripped.length ? { buffer: reencoded, actions } : { buffer: stripped, actions: metadata };
+  }
+
+  /**
+   * Marker segments up to the first scan, and the entropy-coded data up to EOI
+   * (anything after it, such as MPF preview images, is dropped)
+   */
+  jpegSegments(buffer) {
+    const segments = [];
+    let frame = null;
+    let position = 2;
+
+    while (position + 4 <= buffer.length && buffer[position] === 0xff) {
+      const marker = buffer[position + 1];
+      if (marker === 0xff) {
+        position++;
+        continue;
+      }
+      if (marker === JPEG_SOS) break;
+
+      const length = buffer.readUInt16BE(position + 2);
+      const data = buffer.subarray(position + 4, position + 2 + length);
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        frame = { height: data.readUInt16BE(1), width: data.readUInt16BE(3), components: data[5] };
+      }
+      segments.push({ marker, data });
+      position += 2 + length;
+    }
+
+    let end = position;
+    while (end + 1 < buffer.length && !(buffer[end] === 0xff && buffer[end + 1] === JPEG_EOI)) end++;
+
+    return { segments, frame, scan: buffer.subarray(position, Math.min(end + 2, buffer.length)) };
+  }
+
+  writeSegments(segments) {
+    return Buffer.concat(segments.map(({ marker, data }) => {
+      const header = Buffer.from([0xff, marker, 0, 0]);
+      header.writeUInt16BE(data.length + 2, 2);
+      return Buffer.concat([header, data]);
+    }));
+  }
+
+  jpegOrientation(segments) {
+    const exif = segments.find(({ marker, data }) => marker === JPEG_APP1 && data.toString('latin1', 0, 6) === 'Exif\0\0');
+    if (!exif || exif.data.length < 14) return 1;
+
+    const tiff = exif.data.subarray(6);
+    const little = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return 1;
+    for (let entry = 0; entry < u16(ifd); entry++) {
+      const offset = ifd + 2 + entry * 12;
+      if (offset + 12 > tiff.length) break;
+      if (u16(offset) === EXIF_ORIENTATION) {
+        const value = u16(offset + 8);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * APP1 payload with a single IFD0 entry: Orientation
+   */
+  exifOrientation(orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('II', 0, 'latin1');
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(1, 8);
+    tiff.writeUInt16LE(EXIF_ORIENTATION, 10);
+    tiff.writeUInt16LE(3, 12); // SHORT
+    tiff.writeUInt32LE(1, 14);
+    tiff.writeUInt16LE(orientation, 18);
+    return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  }
+
+  // === RESIZING ===
+
+  /**
+   * Size that fits maxImageDimensions with the aspect ratio kept, or null when
+   * the image already fits. `rotated` swaps the box for sideways-stored JPEGs.
+   */
+  fitWithin(width, height, rotated = false) {
+    const box = this.options.maxImageDimensions;
+    const [maxWidth, maxHeight] = rotated ? [box.height, box.width] : [box.width, box.height];
+    const scale = Math.min(maxWidth / width, maxHeight / height);
+    if (scale >= 1) return null;
+
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+  }
+
+  /**
+   * Area-averaging downscale of RGBA pixels, with premultiplied alpha so
+   * transparent pixels do not darken their neighbours
+   */
+  resize(rgba, width, height, newWidth, newHeight) {
+    const columns = this.resampleWeights(width, newWidth);
+    const rows = this.resampleWeights(height, newHeight);
+
+    // Horizontal pass into premultiplied floats
+    const horizontal = new Float32Array(newWidth * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < newWidth; x++) {
+        const { start, weights } = columns[x];
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let k = 0; k < weights.length; k++) {
+          const source = (y * width + start + k) * 4;
+          const alpha = rgba[source + 3] * weights[k];
+          r += rgba[source] * alpha;
+          g += rgba[source + 1] * alpha;
+          b += rgba[source + 2] * alpha;
+          a += alpha;
+        }
+        const target = (y * newWidth + x) * 4;
+        horizontal[target] = r;
+        horizontal[target + 1] = g;
+        horizontal[target + 2] = b;
+        horizontal[target + 3] = a;
+      }
+    }
+
+    // Vertical pass, back to straight alpha
+    const output = Buffer.alloc(newWidth * newHeight * 4);
+    for (let y = 0; y < newHeight; y++) {
+      const { start, weights } = rows[y];
+      for (let x = 0; x < newWidth; x++) {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let k = 0; k < weights.length; k++) {
+          const source = ((start + k) * newWidth + x) * 4;
+          r += horizontal[source] * weights[k];
+          g += horizontal[source + 1] * weights[k];
+          b += horizontal[source + 2] * weights[k];
+          a += horizontal[source + 3] * weights[k];
+        }
+        const target = (y * newWidth + x) * 4;
+        if (a > 0) {
+          output[target] = Math.round(r / a);
+          output[target + 1] = Math.round(g / a);
+          output[target + 2] = Math.round(b / a);
+        }
+        output[target + 3] = Math.round(a);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * For each output pixel, the first source pixel it covers and the share of
+   * each covered source pixel (shares sum to 1)
+   */
+  resampleWeights(size, newSize) {
+    const scale = size / newSize;
+
+    return Array.from({ length: newSize }, (_, index) => {
+      const from = index * scale;
+      const to = Math.min(size, from + scale);
+      const start = Math.floor(from);
+      const weights = [];
+      for (let pixel = start; pixel < to; pixel++) {
+        weights.push((Math.min(to, pixel + 1) - Math.max(from, pixel)) / scale);
+      }
+      return { start, weights };
+    });
+  }
+
+  // === MINIFICATION ===
+
+  async minify(source, type) {
+    let output;
+
+    if (type === 'html') {
+      output = await minifyHtml(source, {
+        collapseWhitespace: true,
+        conservativeCollapse: true,
+        removeComments: true,
+        minifyCSS: true,
+        minifyJS: true
+      });
+    } else if (type === 'css') {
+      output = minifyCss(source).css;
+    } else if (type === 'js') {
+      output = (await minifyJs(source, { compress: true, mangle: true })).code;
+    } else {
+      // Keeping viewBox lets the SVG scale as before
+      output = optimizeSvg(source, {
+        multipass: true,
+        plugins: [{ name: 'preset-default', params: { overrides: { removeViewBox: false } } }]
+      }).data;
+    }
+
+    return { buffer: Buffer.from(output, 'utf8'), actions: ['minified'] };
+  }
+}
+
+export default MediaOptimizer;
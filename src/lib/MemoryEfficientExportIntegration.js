@@ -7,6 +7,7 @@
 
 import { StreamingPackageManager } from './StreamingPackageManager.js';
 import { PackageManager } from './PackageManager.js';
+import { PackageFilter } from './PackageFilter.js';
 import { getLazyModule, isModuleAvailable } from '../config/lazyModules.js';
 import chalk from 'chalk';
 import { promises as fs } from 'fs';
@@ -25,6 +26,7 @@ export class MemoryEfficientExportIntegration {
     this.streamingManager = null;
     this.standardManager = null;
     this.currentOperation = null;
+    this.packageFilter = this.options.packageFilter || new PackageFilter();
   }
 
   // === ADAPTIVE EXPORT SELECTION ===
@@ -35,6 +37,11 @@ export class MemoryEfficientExportIntegration {
   async exportProject(config, options = {}) {
     console.log(chalk.blue('🎯 Analyzing project for optimal export method...'));
     
+    // The size estimate should only count files the export will package
+    if (options.packageFilter) {
+      this.packageFilter = options.packageFilter;
+    }
+
     // Analyze project to determine best approach
     const analysis = await this.analyzeProjectForExport(config);
     
@@ -116,8 +123,8 @@ export class MemoryEfficientExportIntegration {
       for (const entry of entries) {
         const fullPath = `${dirPath}/${entry.name}`;
         
-        // Skip common excludes
-        if (this.shouldQuickExclude(entry.name)) {
+        // Skip files the export filter leaves out
+        if (this.shouldQuickExclude(fullPath, entry.isDirectory())) {
           continue;
         }
         
@@ -461,15 +468,10 @@ export class MemoryEfficientExportIntegration {
   // === UTILITIES ===
 
   /**
-   * Quick exclude check for common patterns
+   * Quick exclude check, shared with the exporters (.submitignore, --include/--exclude)
    */
-  shouldQuickExclude(name) {
-    const excludePatterns = [
-      'node_modules', '.git', '.DS_Store', 'Thumbs.db',
-      '.tmp', '.cache', '__pycache__', '.vscode'
-    ];
-    
-    return excludePatterns.some(pattern => name.includes(pattern));
+  shouldQuickExclude(path, isDirectory = false) {
+    return this.packageFilter.excludes(path, isDirectory);
   }
 
   /**
@@ -0,0 +1,313 @@
+/**
+ * Office Reader - Text and structure of OOXML documents (DOCX, PPTX, XLSX)
+ *
+ * Reads the package parts directly, without an Office library, to report:
+ *
+ *   text, words, characters   body text of the document, slides or cells
+ *   pages, slides, sheets     pages as last saved, slide count, sheet names
+ *   media, embeddedObjects    pictures and OLE objects stored in the package
+ *   comments                  review comments with their author and date
+ *   trackedChanges            unaccepted insertions, deletions and formatting changes
+ *   properties                title, author, dates and application from docProps
+ *
+ * Words are counted the way Word does: whitespace-separated runs that
+ * contain a letter or digit.
+ */
+
+import { extname } from 'path';
+import { ArchiveReader } from './ArchiveReader.js';
+
+export const OFFICE_EXTENSIONS = {
+  '.docx': 'docx',
+  '.docm': 'docx',
+  '.dotx': 'docx',
+  '.pptx': 'pptx',
+  '.pptm': 'pptx',
+  '.ppsx': 'pptx',
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx'
+};
+
+const MAIN_PARTS = {
+  'word/document.xml': 'docx',
+  'ppt/presentation.xml': 'pptx',
+  'xl/workbook.xml': 'xlsx'
+};
+
+// XML parts that are read; media and embedded objects are only listed
+const XML_PARTS = /^(docProps\/(core|app)\.xml|word\/(document|comments)\.xml|ppt\/(presentation|commentAuthors|authors)\.xml|ppt\/slides\/slide\d+\.xml|ppt\/comments\/\w+\.xml|xl\/(workbook|sharedStrings)\.xml|xl\/worksheets\/sheet\d+\.xml|xl\/comments\d*\.xml|xl\/threadedComments\/\w+\.xml|xl\/persons\/person\.xml)$/;
+const MEDIA_PART = /^(word|ppt|xl)\/media\//;
+const EMBEDDED_PART = /^(word|ppt|xl)\/embeddings\//;
+
+// Larger parts are skipped rather than held in memory
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+
+const FORMATTING_CHANGES = /<w:(rPr|pPr|sectPr|tblPr|trPr|tcPr|numbering)Change\b/g;
+
+export class OfficeReader {
+  /**
+   * Report for an OOXML document, or null when the file is not one
+   * @param {string} filePath
+   */
+  async inspect(filePath) {
+    const reader = new ArchiveReader(filePath);
+    try {
+      if (await reader.detectFormat() !== 'zip') return null;
+    } catch (error) {
+      return null;
+    }
+
+    const parts = new Map();
+    const media = [];
+    const embeddedObjects = [];
+    let format = null;
+
+    for await (const entry of reader.entries()) {
+      if (entry.type !== 'file') continue;
+
+      format ||= MAIN_PARTS[entry.name] || null;
+      if (MEDIA_PART.test(entry.name)) {
+        media.push({ name: entry.name, size: entry.size });
+      } else if (EMBEDDED_PART.test(entry.name)) {
+        embeddedObjects.push({ name: entry.name, size: entry.size });
+      } else if (XML_PARTS.test(entry.name) && entry.size <= MAX_PART_BYTES) {
+        parts.set(entry.name, (await reader.collect(entry.stream)).toString('utf8'));
+      }
+    }
+
+    if (!format) return null;
+
+    const body = { docx: () => this.readDocument(parts), pptx: () => this.readPresentation(parts), xlsx: () => this.readWorkbook(parts) }[format]();
+    const app = parts.get('docProps/app.xml') || '';
+    const saved = app.match(/<Pages>(\d+)<\/Pages>/);
+
+    return {
+      format,
+      text: body.text,
+      words: this.countWords(body.text),
+      characters: body.text.replace(/\s/g, '').length,
+      pages: format === 'docx' ? (saved ? Number(saved[1]) : null) : format === 'pptx' ? body.slides : null,
+      slides: body.slides ?? null,
+      hiddenSlides: body.hiddenSlides ?? null,
+      sheets: body.sheets ?? null,
+      media,
+      embeddedObjects,
+      comments: body.comments,
+      trackedChanges: body.trackedChanges ?? null,
+      properties: this.readProperties(parts.get('docProps/core.xml') || '', app)
+    };
+  }
+
+  /**
+   * Infer the format from the extension, for callers deciding whether to inspect
+   */
+  formatOf(filePath) {
+    return OFFICE_EXTENSIONS[extname(filePath).toLowerCase()] || null;
+  }
+
+  countWords(text) {
+    return text.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+  }
+
+  // === WORD ===
+
+  readDocument(parts) {
+    const xml = this.stripFallbacks(parts.get('word/document.xml') || '');
+    const authors = new Set();
+
+    const count = pattern => [...xml.matchAll(pattern)].length;
+    for (const match of xml.matchAll(/<w:(?:ins|del|moveFrom|moveTo|\w+PrChange|numberingChange)\b[^>]*\sw:author="([^"]*)"/g)) {
+      authors.add(this.decode(match[1]));
+    }
+
+    const comments = [...(parts.get('word/comments.xml') || '').matchAll(/<w:comment\b([^>]*)>([\s\S]*?)<\/w:comment>/g)]
+      .map(([, attributes, content]) => ({
+        author: this.attribute(attributes, 'w:author'),
+        date: this.attribute(attributes, 'w:date'),
+        text: this.wordText(content).trim()
+      }));
+
+    return {
+      text: this.wordText(xml),
+      comments,
+      trackedChanges: {
+        insertions: count(/<w:ins\b/g),
+        deletions: count(/<w:del\b/g),
+        moves: count(/<w:moveTo\b(?!Range)/g),
+        formatting: count(FORMATTING_CHANGES),
+        authors: [...authors]
+      }
+    };
+  }
+
+  /**
+   * Runs of text in document order; deleted text and field codes are left out
+   */
+  wordText(xml) {
+    let text = '';
+    for (const match of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g)) {
+      if (match[1] !== undefined) text += this.decode(match[1]);
+      else if (match[0] === '<w:tab/>') text += '\t';
+      else text += '\n';
+    }
+    return text;
+  }
+
+  // === POWERPOINT ===
+
+  readPresentation(parts) {
+    const slides = [...parts.keys()]
+      .map(name => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+      .filter(Boolean)
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+      .map(match => parts.get(match[0]));
+
+    return {
+      text: slides.map(xml => this.drawingText(this.stripFallbacks(xml))).join('\n'),
+      slides: slides.length,
+      hiddenSlides: slides.filter(xml => /<p:sld\b[^>]*\sshow="(0|false)"/.test(xml)).length,
+      comments: this.presentationComments(parts)
+    };
+  }
+
+  /**
+   * Legacy comments name authors by index in commentAuthors.xml; modern
+   * comments by id in authors.xml
+   */
+  presentationComments(parts) {
+    const authors = new Map();
+    for (const name of ['ppt/commentAuthors.xml', 'ppt/authors.xml']) {
+      for (const [, attributes] of (parts.get(name) || '').matchAll(/<\w+:(?:cmAuthor|author)\b([^>]*)>/g)) {
+        authors.set(this.attribute(attributes, 'id'), this.attribute(attributes, 'name'));
+      }
+    }
+
+    const comments = [];
+    for (const [name, xml] of parts) {
+      if (!name.startsWith('ppt/comments/')) continue;
+      for (const [, attributes, content] of xml.matchAll(/<\w+:cm\b([^>]*)>([\s\S]*?)<\/\w+:cm>/g)) {
+        const legacy = content.match(/<p:text>([^<]*)<\/p:text>/);
+        comments.push({
+          author: authors.get(this.attribute(attributes, 'authorId')) ?? null,
+          date: this.attribute(attributes, 'dt') ?? this.attribute(attributes, 'created'),
+          text: legacy ? this.decode(legacy[1]) : this.drawingText(content).trim()
+        });
+      }
+    }
+    return comments;
+  }
+
+  drawingText(xml) {
+    let text = '';
+    for (const match of xml.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\b[^>]*\/>|<\/a:p>/g)) {
+      text += match[1] !== undefined ? this.decode(match[1]) : '\n';
+    }
+    return text;
+  }
+
+  // === EXCEL ===
+
+  readWorkbook(parts) {
+    const sheets = [...(parts.get('xl/workbook.xml') || '').matchAll(/<sheet\b([^>]*)\/?>/g)]
+      .map(([, attributes]) => ({
+        name: this.attribute(attributes, 'name'),
+        hidden: ['hidden', 'veryHidden'].includes(this.attribute(attributes, 'state'))
+      }));
+
+    const strings = [...(parts.get('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map(([, item]) => this.cellText(item));
+    for (const [name, xml] of parts) {
+      if (!name.startsWith('xl/worksheets/')) continue;
+      for (const [, item] of xml.matchAll(/<is>([\s\S]*?)<\/is>/g)) strings.push(this.cellText(item));
+    }
+
+    return {
+      text: strings.filter(Boolean).join('\n'),
+      sheets,
+      comments: this.workbookComments(parts)
+    };
+  }
+
+  /**
+   * Excel keeps a legacy copy of each threaded comment; only the threaded one is reported
+   */
+  workbookComments(parts) {
+    const persons = new Map();
+    for (const [, attributes] of (parts.get('xl/persons/person.xml') || '').matchAll(/<person\b([^>]*)>/g)) {
+      persons.set(this.attribute(attributes, 'id'), this.attribute(attributes, 'displayName'));
+    }
+
+    const comments = [];
+    let threaded = false;
+    for (const [name, xml] of parts) {
+      if (!name.startsWith('xl/threadedComments/')) continue;
+      threaded = true;
+      for (const [, attributes, content] of xml.matchAll(/<threadedComment\b([^>]*)>([\s\S]*?)<\/threadedComment>/g)) {
+        const text = content.match(/<text>([^<]*)<\/text>/);
+        comments.push({
+          author: persons.get(this.attribute(attributes, 'personId')) ?? null,
+          date: this.attribute(attributes, 'dT'),
+          text: text ? this.decode(text[1]) : ''
+        });
+      }
+    }
+
+    for (const [name, xml] of parts) {
+      if (!/^xl\/comments\d*\.xml$/.test(name)) continue;
+      const authors = [...xml.matchAll(/<author>([^<]*)<\/author>/g)].map(([, author]) => this.decode(author));
+      for (const [, attributes, content] of xml.matchAll(/<comment\b([^>]*)>([\s\S]*?)<\/comment>/g)) {
+        const text = this.cellText(content).trim();
+        if (threaded && text.startsWith('[Threaded comment]')) continue;
+        comments.push({ author: authors[Number(this.attribute(attributes, 'authorId'))] ?? null, date: null, text });
+      }
+    }
+
+    return comments;
+  }
+
+  cellText(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, text]) => this.decode(text)).join('');
+  }
+
+  // === PROPERTIES ===
+
+  readProperties(core, app) {
+    const element = (xml, name) => {
+      const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([^<]*)</${name}>`));
+      return match ? this.decode(match[1]).trim() || null : null;
+    };
+
+    return {
+      title: element(core, 'dc:title'),
+      creator: element(core, 'dc:creator'),
+      lastModifiedBy: element(core, 'cp:lastModifiedBy'),
+      created: element(core, 'dcterms:created'),
+      modified: element(core, 'dcterms:modified'),
+      revision: element(core, 'cp:revision'),
+      application: element(app, 'Application')
+    };
+  }
+
+  // === XML HELPERS ===
+
+  /**
+   * Drop fallback renderings of text boxes and shapes, which repeat their text
+   */
+  stripFallbacks(xml) {
+    return xml.replace(/<mc:Fallback\b[\s\S]*?<\/mc:Fallback>/g, '');
+  }
+
+  attribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? this.decode(match[1]) : null;
+  }
+
+  decode(value) {
+    return value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-fA-F]+);/g, (entity, name) => {
+      if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name];
+    });
+  }
+}
+
+export default OfficeReader;
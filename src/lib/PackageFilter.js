@@ -0,0 +1,160 @@
+/**
+ * Package Filter - Which project files an export packages
+ *
+ * Rules come from three places, later ones winning as in git:
+ *   1. built-in defaults (node_modules, .git, .DS_Store, ...)
+ *   2. .submitignore files at the project root and in subdirectories,
+ *      with gitignore semantics relative to the directory they sit in
+ *   3. --exclude globs from the command line
+ * --include globs then narrow content/ to the files they match.
+ *
+ * Every exporter asks the same filter, and explain() names the rule behind
+ * each decision so `submitit export --dry-run` can show it.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { isAbsolute, join, relative, sep } from 'path';
+import ignore from 'ignore';
+
+export const IGNORE_FILE = '.submitignore';
+
+export const DEFAULT_IGNORE_RULES = [
+  'node_modules',
+  '.git',
+  '.DS_Store',
+  'Thumbs.db',
+  '*.tmp',
+  '.tmp',
+  '.cache',
+  '__pycache__',
+  '.vscode',
+  IGNORE_FILE
+];
+
+export class PackageFilter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root] - Project root that rule paths are relative to
+   * @param {string[]} [options.include] - Globs content files must match
+   * @param {string[]} [options.exclude] - Extra exclude globs (highest precedence)
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.rules = DEFAULT_IGNORE_RULES.map(pattern => this.createRule(pattern, '', 'built-in'));
+    this.cliRules = (options.exclude || []).map(pattern => this.createRule(pattern, '', '--exclude'));
+    this.include = options.include || [];
+    this.includeMatcher = ignore().add(this.include);
+    this.ignoreFiles = [];
+  }
+
+  // === LOADING ===
+
+  /**
+   * Read every .submitignore in the project. Directories that are already
+   * excluded are not searched, so their ignore files have no effect (as in git).
+   */
+  async loadIgnoreFiles(dirPath = this.root) {
+    const ignoreFile = join(dirPath, IGNORE_FILE);
+
+    try {
+      const content = await readFile(ignoreFile, 'utf8');
+      const base = this.toRelative(dirPath);
+      const source = base ? `${base}/${IGNORE_FILE}` : IGNORE_FILE;
+
+      content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.startsWith('#')) return;
+        this.rules.push(this.createRule(line, base, `${source}:${index + 1}`));
+      });
+      this.ignoreFiles.push(source);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let entries = [];
+    try {
+      entries = await readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return this;
+    }
+
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      const entryPath = join(dirPath, entry.name);
+      if (entry.isDirectory() && !this.excludes(entryPath, true)) {
+        await this.loadIgnoreFiles(entryPath);
+      }
+    }
+
+    return this;
+  }
+
+  createRule(line, base, source) {
+    const negate = line.startsWith('!');
+    const pattern = negate ? line.slice(1) : line;
+
+    return {
+      pattern: line,
+      negate,
+      base,
+      source,
+      matcher: ignore().add(pattern)
+    };
+  }
+
+  // === MATCHING ===
+
+  /**
+   * Decide whether a path is packaged, and by which rule
+   * @param {string} filePath - Absolute or project-relative path
+   * @param {boolean} [isDirectory]
+   * @returns {{excluded: boolean, rule: string|null}}
+   */
+  explain(filePath, isDirectory = false) {
+    const path = this.toRelative(filePath);
+    if (!path) {
+      return { excluded: false, rule: null };
+    }
+
+    let match = null;
+    for (const rule of [...this.rules, ...this.cliRules]) {
+      if (rule.base && !path.startsWith(`${rule.base}/`)) continue;
+
+      const local = rule.base ? path.slice(rule.base.length + 1) : path;
+      if (rule.matcher.ignores(isDirectory ? `${local}/` : local)) {
+        match = rule;
+      }
+    }
+
+    if (match && !match.negate) {
+      return { excluded: true, rule: `${match.source}: ${match.pattern}` };
+    }
+
+    if (!isDirectory && this.include.length > 0 && path.startsWith('content/') &&
+        !this.includeMatcher.ignores(path) && !this.includeMatcher.ignores(path.slice('content/'.length))) {
+      return { excluded: true, rule: `--include: matches none of ${this.include.join(', ')}` };
+    }
+
+    return { excluded: false, rule: match ? `${match.source}: ${match.pattern}` : null };
+  }
+
+  excludes(filePath, isDirectory = false) {
+    return this.explain(filePath, isDirectory).excluded;
+  }
+
+  /**
+   * Project-relative path with forward slashes; paths outside the project are
+   * matched by name only
+   */
+  toRelative(filePath) {
+    const path = isAbsolute(filePath) ? relative(this.root, filePath) : filePath;
+    const segments = path.split(sep).join('/').split('/').filter(segment => segment && segment !== '.');
+
+    if (segments[0] === '..') {
+      return segments[segments.length - 1] || '';
+    }
+
+    return segments.join('/');
+  }
+}
+
+export default PackageFilter;
@@ -1,85 +1,145 @@
 import { createWriteStream, createReadStream } from 'fs';
+import { createHash } from 'crypto';
 import { readdir, stat, mkdir, writeFile } from 'fs/promises';
 import { join, basename } from 'path';
 import archiver from 'archiver';
 import { execa } from 'execa';
 import chalk from 'chalk';
+import { IsoImageWriter } from './IsoImageWriter.js';
+import { SevenZipWriter } from './SevenZipWriter.js';
+import { EncryptedZipWriter } from './EncryptedZipWriter.js';
+import { PackageEncryption } from './PackageEncryption.js';
+import { PackageFilter } from './PackageFilter.js';
+import { StreamingFileOperations } from './StreamingFileOperations.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// 1980-01-01T00:00:00Z, the earliest timestamp a ZIP entry can hold
+const DEFAULT_SOURCE_DATE_EPOCH = 315532800;
 
 export class PackageManager {
   constructor() {
-    this.excludePatterns = [
-      /node_modules/,
-      /\.git/,
-      /\.DS_Store/,
-      /Thumbs\.db/,
-      /\.tmp/,
-      /\.cache/
-    ];
+    // Built-in excludes only; exports pass a filter with .submitignore rules as options.packageFilter
+    this.packageFilter = new PackageFilter();
+    this.streamingOps = new StreamingFileOperations();
+    this.encryption = new PackageEncryption();
   }
 
   async exportProject(config, options, onProgress) {
+    const outputPath = await this.resolveOutputPath(config, options);
+    const format = options.format || 'zip';
+
+    // Support multiple formats
+    switch (format.toLowerCase()) {
+      case 'zip':
+        return await this.createZipPackage(config, outputPath, onProgress, options);
+      case 'tar':
+      case 'tar.gz':
+      case 'tgz':
+        return await this.createTarPackage(config, outputPath, onProgress, options);
+      case 'rar':
+        return await this.createRarPackage(config, outputPath, onProgress);
+      case 'iso':
+        return await this.createIsoPackage(config, outputPath, onProgress, options);
+      case '7z':
+        return await this.create7zPackage(config, outputPath, onProgress, options);
+      default:
+        throw new Error(`Unsupported format: ${format}. Supported formats: zip, tar, rar, iso, 7z`);
+    }
+  }
+
+  /**
+   * Package path from the naming pattern; creates the output directory
+   */
+  async resolveOutputPath(config, options = {}) {
     const outputDir = options.outputPath || join(process.cwd(), 'output');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
     // Support custom naming patterns
     const customName = options.customName || options.name;
-    let filename;
-    
-    if (customName) {
-      // Replace placeholders in custom name
-      filename = customName
-        .replace('{name}', config.name)
-        .replace('{timestamp}', timestamp)
-        .replace('{date}', new Date().toISOString().split('T')[0])
-        .replace('{time}', new Date().toTimeString().split(' ')[0].replace(/:/g, '-'))
-        .replace('{theme}', config.theme)
-        .replace('{files}', config.files.length);
-    } else {
-      filename = `${config.name}_${timestamp}`;
-    }
+    let filename = customName
+      ? this.expandNamingPattern(customName, config, options)
+      : `${config.name}_${this.resolveBuildDate(options).toISOString().replace(/[:.]/g, '-')}`;
     
     // Add extension if not provided
     const format = options.format || 'zip';
     if (!filename.includes('.')) {
       filename += `.${format}`;
     }
+
+    // Recipient-encrypted TAR packages are age files
+    if (options.encryption?.recipients && !filename.endsWith('.age')) {
+      filename += '.age';
+    }
     
     const outputPath = join(outputDir, filename);
 
     // Ensure output directory exists
     await mkdir(outputDir, { recursive: true });
 
-    // Support multiple formats
-    switch (format.toLowerCase()) {
-      case 'zip':
-        return await this.createZipPackage(config, outputPath, onProgress);
-      case 'tar':
-      case 'tar.gz':
-      case 'tgz':
-        return await this.createTarPackage(config, outputPath, onProgress);
-      case 'rar':
-        return await this.createRarPackage(config, outputPath, onProgress);
-      case 'iso':
-        return await this.createIsoPackage(config, outputPath, onProgress);
-      case '7z':
-        return await this.create7zPackage(config, outputPath, onProgress);
-      default:
-        throw new Error(`Unsupported format: ${format}. Supported formats: zip, tar, rar, iso, 7z`);
+    return outputPath;
+  }
+
+  /**
+   * Replace the placeholders of a naming pattern (see getAvailableNamingPatterns)
+   */
+  expandNamingPattern(pattern, config, options = {}) {
+    const buildDate = this.resolveBuildDate(options);
+
+    return pattern
+      .replace('{name}', config.name)
+      .replace('{timestamp}', buildDate.toISOString().replace(/[:.]/g, '-'))
+      .replace('{date}', buildDate.toISOString().split('T')[0])
+      .replace('{time}', buildDate.toTimeString().split(' ')[0].replace(/:/g, '-'))
+      .replace('{theme}', config.theme)
+      .replace('{files}', config.files.length)
+      .replace('{profile}', options.profile || 'default');
+  }
+
+  async createZipPackage(config, outputPath, onProgress, options = {}) {
+    if (options.encryption?.password) {
+      return await this.createEncryptedZipPackage(config, outputPath, onProgress, options);
     }
+    return await this.createArchivePackage('zip', config, outputPath, onProgress, options);
+  }
+
+  /**
+   * Password-protected ZIP (WinZip AES-256) with the same contents as a plain one
+   */
+  async createEncryptedZipPackage(config, outputPath, onProgress, options = {}) {
+    const integrity = new Map();
+    const sources = await this.collectArchiveSources(config, options);
+    const entries = await this.collectPackageEntries(config, options, integrity, sources);
+    const writer = new EncryptedZipWriter({
+      password: options.encryption.password,
+      date: this.resolveBuildDate(options)
+    });
+
+    const result = await writer.write(entries, outputPath, onProgress);
+    return { ...result, integrity: this.sortKeys(Object.fromEntries(integrity)) };
   }
 
-  async createZipPackage(config, outputPath, onProgress) {
+  async createTarPackage(config, outputPath, onProgress, options = {}) {
+    return await this.createArchivePackage('tar', config, outputPath, onProgress, options);
+  }
+
+  /**
+   * Build a ZIP or gzipped TAR package with archiver
+   */
+  async createArchivePackage(format, config, outputPath, onProgress, options = {}) {
+    const recipients = format === 'tar' ? options.encryption?.recipients : null;
+
     return new Promise((resolve, reject) => {
       const output = createWriteStream(outputPath);
-      const archive = archiver('zip', {
-        zlib: { level: 9 } // Maximum compression
-      });
+      const integrity = new Map();
+      const archive = format === 'zip'
+        ? archiver('zip', { zlib: { level: 9 } }) // Maximum compression
+        : archiver('tar', { gzip: true, gzipOptions: { level: 9 } });
 
       let totalSize = 0;
       let processedSize = 0;
 
       archive.on('progress', (progress) => {
         processedSize = progress.fs.processedBytes;
+        totalSize = progress.fs.totalBytes;
         if (onProgress) {
           onProgress({
             percent: totalSize > 0 ? Math.round((processedSize / totalSize) * 100) : 0,
@@ -96,33 +156,54 @@ export class PackageManager {
       output.on('close', () => {
         resolve({
           path: outputPath,
-          size: archive.pointer(),
-          format: 'zip'
+          size: recipients ? output.bytesWritten : archive.pointer(),
+          format,
+          encrypted: Boolean(recipients),
+          integrity: this.sortKeys(Object.fromEntries(integrity))
         });
       });
 
-      archive.pipe(output);
+      if (recipients) {
+        const encrypt = this.encryption.createAgeEncryptStream(recipients);
+        encrypt.on('error', reject);
+        archive.pipe(encrypt).pipe(output);
+      } else {
+        archive.pipe(output);
+      }
 
       // Add content directory
       const contentDir = join(process.cwd(), 'content');
-      this.addDirectoryToArchive(archive, contentDir, 'content/')
-        .then(() => {
+      const archiveOptions = { ...options, integrity };
+      this.addDirectoryToArchive(archive, contentDir, 'content/', false, archiveOptions)
+        .then(async () => {
           // Add configuration files
-          archive.file(join(process.cwd(), 'submitit.config.json'), { name: 'submitit.config.json' });
-          archive.file(join(process.cwd(), 'layout.json'), { name: 'layout.json' });
+          for (const file of await this.listProjectFiles()) {
+            await this.appendFile(archive, file.sourcePath, file.name, archiveOptions);
+          }
+
+          for (const attachment of options.attachments || []) {
+            await this.appendFile(archive, attachment.sourcePath, attachment.name, archiveOptions);
+          }
 
           // Add generated preview (if exists)
-          const astroDir = join(process.cwd(), 'astro');
-          return this.addDirectoryToArchive(archive, astroDir, 'preview/', true);
+          if (options.includePreview !== false) {
+            const astroDir = join(process.cwd(), 'astro');
+            await this.addDirectoryToArchive(archive, astroDir, 'preview/', true, archiveOptions);
+          }
         })
         .then(() => {
+          // README follows the manifest, so hash it up front
+          const readme = this.generateReadme(config, options);
+          integrity.set('README.md', this.hashContent(readme));
+
           // Add manifest
-          const manifest = this.generateManifest(config);
-          archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+          if (options.includeManifest !== false) {
+            const manifest = this.generateManifest(config, archiveOptions);
+            archive.append(JSON.stringify(manifest, null, 2), this.createEntryData('manifest.json', options));
+          }
 
           // Add README
-          const readme = this.generateReadme(config);
-          archive.append(readme, { name: 'README.md' });
+          archive.append(readme, this.createEntryData('README.md', options));
 
           archive.finalize();
         })
@@ -130,51 +211,96 @@ export class PackageManager {
     });
   }
 
-  async createTarPackage(config, outputPath, onProgress) {
-    // For simplicity, we'll use the system tar command
-    // In a production environment, you might want to use a Node.js tar library
-    
-    const tempDir = join(process.cwd(), '.tmp-package');
-    await mkdir(tempDir, { recursive: true });
+  // === REPRODUCIBLE BUILDS ===
 
-    try {
-      // Copy files to temp directory
-      await this.copyProjectFiles(config, tempDir);
+  /**
+   * Resolve the timestamp stamped into a package. An explicit buildDate wins;
+   * reproducible builds honour SOURCE_DATE_EPOCH
+   * (https://reproducible-builds.org/specs/source-date-epoch/)
+   */
+  resolveBuildDate(options = {}) {
+    if (options.buildDate) {
+      return new Date(options.buildDate);
+    }
 
-      // Create tar archive
-      await execa('tar', ['-czf', outputPath, '-C', tempDir, '.']);
+    if (!options.reproducible) {
+      return new Date();
+    }
 
-      // Get file size
-      const stats = await stat(outputPath);
+    const epoch = Number.parseInt(process.env.SOURCE_DATE_EPOCH ?? '', 10);
+    return new Date((Number.isFinite(epoch) && epoch >= 0 ? epoch : DEFAULT_SOURCE_DATE_EPOCH) * 1000);
+  }
 
-      return {
-        path: outputPath,
-        size: stats.size,
-        format: 'tar'
-      };
+  /**
+   * Archiver entry data; reproducible builds pin time, permissions and owner
+   */
+  createEntryData(name, options = {}) {
+    if (!options.reproducible) {
+      return { name };
+    }
 
-    } finally {
-      // Clean up temp directory
-      await execa('rm', ['-rf', tempDir]);
+    return {
+      name,
+      date: this.resolveBuildDate(options),
+      mode: 0o644,
+      uid: 0,
+      gid: 0,
+      uname: '',
+      gname: ''
+    };
+  }
+
+  /**
+   * Recursively sort object keys so serialised JSON is byte-stable
+   */
+  sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.sortKeys(item));
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.keys(value).sort().map(key => [key, this.sortKeys(value[key])])
+      );
+    }
+
+    return value;
+  }
+
+  async addDirectoryToArchive(archive, dirPath, archivePath, optional = false, options = {}) {
+    const files = [];
+    await this.collectDirectoryFiles(dirPath, archivePath, files, optional, options);
+
+    for (const file of files) {
+      await this.appendFile(archive, file.sourcePath, file.name, options);
     }
   }
 
-  async addDirectoryToArchive(archive, dirPath, archivePath, optional = false) {
+  /**
+   * Walk a directory in sorted order, collecting {name, sourcePath} pairs.
+   * Excluded entries are reported to options.skipped when it is given, and
+   * options.substitutes (archive name → path) swaps in scrubbed copies.
+   */
+  async collectDirectoryFiles(dirPath, archivePath, files, optional = false, options = {}) {
     try {
-      const files = await readdir(dirPath, { withFileTypes: true });
+      const entries = await readdir(dirPath, { withFileTypes: true });
+      // Directory listing order is filesystem-dependent
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
       
-      for (const file of files) {
-        const filePath = join(dirPath, file.name);
-        const archiveFilePath = join(archivePath, file.name);
+      for (const entry of entries) {
+        const filePath = join(dirPath, entry.name);
+        const archiveFilePath = join(archivePath, entry.name);
 
-        if (this.shouldExclude(filePath)) {
+        const { excluded, rule } = this.explainExclusion(filePath, options, entry.isDirectory());
+        if (excluded) {
+          options.skipped?.push({ name: entry.isDirectory() ? `${archiveFilePath}/` : archiveFilePath, rule });
           continue;
         }
 
-        if (file.isDirectory()) {
-          await this.addDirectoryToArchive(archive, filePath, archiveFilePath);
+        if (entry.isDirectory()) {
+          await this.collectDirectoryFiles(filePath, archiveFilePath, files, false, options);
         } else {
-          archive.file(filePath, { name: archiveFilePath });
+          files.push({ name: archiveFilePath, sourcePath: options.substitutes?.get(archiveFilePath) || filePath });
         }
       }
     } catch (error) {
@@ -182,10 +308,146 @@ export class PackageManager {
         throw error;
       }
     }
+
+    return files;
   }
 
-  shouldExclude(filePath) {
-    return this.excludePatterns.some(pattern => pattern.test(filePath));
+  /**
+   * Every project file a full export in the given format would package
+   */
+  async listPackageFiles(config, options = {}) {
+    if (['iso', '7z'].includes((options.format || '').toLowerCase())) {
+      return await this.collectSourceEntries(config, options);
+    }
+
+    const files = [];
+    await this.collectDirectoryFiles(join(process.cwd(), 'content'), 'content/', files, false, options);
+
+    files.push(...await this.listProjectFiles());
+    files.push(...(options.attachments || []));
+
+    // The streaming exporter does not bundle the preview
+    if (!options.streaming && options.includePreview !== false) {
+      await this.collectDirectoryFiles(join(process.cwd(), 'astro'), 'preview/', files, true, options);
+    }
+
+    return files.filter(file => !this.isOutsideRoles(file.name, options));
+  }
+
+  /**
+   * What an export would package and, for everything left out, the rule that
+   * excluded it. Used by `submitit export --dry-run`.
+   * @returns {Promise<{included: Array<{name: string, sourcePath: string, size: number}>, excluded: Array<{name: string, rule: string}>}>}
+   */
+  async planPackageFiles(config, options = {}) {
+    const excluded = [];
+    const candidates = await this.listPackageFiles(config, { ...options, roleFilter: undefined, skipped: excluded });
+    const included = [];
+
+    for (const file of candidates) {
+      if (this.isOutsideRoles(file.name, options)) {
+        const role = options.roleFilter.assigned.get(file.name) || 'other';
+        excluded.push({ name: file.name, rule: `role: "${role}" is not selected` });
+      } else if (this.isUnchangedInDelta(file.name, options)) {
+        excluded.push({ name: file.name, rule: 'delta: unchanged since the parent export' });
+      } else {
+        try {
+          included.push({ ...file, size: (await stat(file.sourcePath)).size });
+        } catch (error) {
+          // Optional project file (layout.json) that does not exist
+        }
+      }
+    }
+
+    return { included, excluded };
+  }
+
+  /**
+   * Queue a file in insertion order. Passing stats skips archiver's stat queue,
+   * so entries never overtake each other, and the file is opened lazily.
+   * Hashing up front keeps the manifest complete before it is appended.
+   */
+  async appendFile(archive, filePath, name, options = {}) {
+    if (this.isUnchangedInDelta(name, options) || this.isOutsidePart(name, options) || this.isOutsideRoles(name, options)) {
+      return;
+    }
+
+    const stats = await stat(filePath);
+
+    if (options.integrity) {
+      options.integrity.set(name, await this.streamingOps.calculateFileHash(filePath, 'sha256'));
+    }
+
+    archive.file(filePath, { ...this.createEntryData(name, options), stats });
+  }
+
+  // === DELTA AND SPLIT EXPORTS ===
+
+  /**
+   * Delta exports only package files that are new or changed since the parent
+   */
+  isUnchangedInDelta(name, options = {}) {
+    return Boolean(options.delta) && !options.delta.include.has(name);
+  }
+
+  /**
+   * Split exports write each part with only the files planned for it
+   */
+  isOutsidePart(name, options = {}) {
+    return Boolean(options.part) && !options.part.files.has(name);
+  }
+
+  // === ROLE FILTERS ===
+
+  /**
+   * Role filter for options.roleFilter. Content files take their role from
+   * config.files; files in content/ that the config does not list are "other".
+   * @param {{include?: string[], exclude?: string[]}} roles
+   */
+  createRoleFilter(config, roles = {}) {
+    return {
+      include: roles.include?.length ? new Set(roles.include) : null,
+      exclude: new Set(roles.exclude || []),
+      assigned: new Map((config.files || []).map(file => [`content/${file.name}`, file.role]))
+    };
+  }
+
+  /**
+   * Only content files are filtered; project files, the preview and the
+   * manifest are controlled by the bundle options
+   */
+  isOutsideRoles(name, options = {}) {
+    const filter = options.roleFilter;
+    if (!filter || !name.startsWith('content/')) {
+      return false;
+    }
+
+    const role = filter.assigned.get(name) || 'other';
+    return (filter.include !== null && !filter.include.has(role)) || filter.exclude.has(role);
+  }
+
+  /**
+   * config.files narrowed to the roles being packaged
+   */
+  selectFiles(config, options = {}) {
+    return (config.files || []).filter(file => !this.isOutsideRoles(`content/${file.name}`, options));
+  }
+
+  // === INTEGRITY ===
+
+  hashContent(content) {
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  shouldExclude(filePath, options = {}, isDirectory = false) {
+    return this.explainExclusion(filePath, options, isDirectory).excluded;
+  }
+
+  /**
+   * Ask the export's filter (.submitignore, --include/--exclude) or the built-in one
+   */
+  explainExclusion(filePath, options = {}, isDirectory = false) {
+    return (options.packageFilter || this.packageFilter).explain(filePath, isDirectory);
   }
 
   async copyProjectFiles(config, destDir) {
@@ -216,20 +478,22 @@ export class PackageManager {
     await writeFile(join(destDir, 'README.md'), readme);
   }
 
-  generateManifest(config) {
-    return {
+  generateManifest(config, options = {}) {
+    const files = this.selectFiles(config, options).map(file => ({
+      name: file.name,
+      type: file.type,
+      role: file.role,
+      size: file.size,
+      added: file.added
+    }));
+
+    const manifest = {
       project: config.name,
       version: '1.0.0',
-      exported: new Date().toISOString(),
+      exported: this.resolveBuildDate(options).toISOString(),
       theme: config.theme,
       metadata: config.metadata,
-      files: config.files.map(file => ({
-        name: file.name,
-        type: file.type,
-        role: file.role,
-        size: file.size,
-        added: file.added
-      })),
+      files,
       layout: config.layout,
       generator: {
         name: 'submitit',
@@ -237,10 +501,41 @@ export class PackageManager {
         url: 'https://github.com/cameronbrooks/submitit'
       }
     };
+
+    if (options.delta) {
+      manifest.delta = options.delta.record;
+    }
+
+    if (options.dedupeReport) {
+      manifest.dedupe = options.dedupeReport;
+    }
+
+    if (options.part) {
+      manifest.parts = options.part.record;
+    }
+
+    if (options.integrity) {
+      manifest.integrity = {
+        algorithm: 'sha256',
+        files: this.sortKeys(Object.fromEntries(options.integrity))
+      };
+    }
+
+    if (!options.reproducible) {
+      return manifest;
+    }
+
+    files.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    return { ...this.sortKeys(manifest), reproducible: true };
   }
 
-  generateReadme(config) {
-    const files = config.files || [];
+  generateReadme(config, options = {}) {
+    const files = this.selectFiles(config, options);
+    const created = new Date(config.created);
+    // Locale formatting differs between machines, so reproducible builds use ISO dates
+    const createdLabel = options.reproducible
+      ? (isNaN(created.getTime()) ? 'Unknown' : created.toISOString().split('T')[0])
+      : created.toLocaleDateString();
     
     return `# ${config.name}
 
@@ -248,7 +543,7 @@ ${config.metadata?.description || 'Created with submitit'}
 
 ## Project Information
 
-- **Created**: ${new Date(config.created).toLocaleDateString()}
+- **Created**: ${createdLabel}
 - **Theme**: ${config.theme}
 - **Files**: ${files.length}
 - **Author**: ${config.metadata?.author || 'Unknown'}
@@ -274,7 +569,7 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
 
 ---
 
-*Generated on ${new Date().toISOString()}*
+*Generated on ${this.resolveBuildDate(options).toISOString()}*
 `;
   }
 
@@ -287,7 +582,7 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
       for (const file of files) {
         const filePath = join(directory, file.name);
         
-        if (this.shouldExclude(filePath)) {
+        if (this.shouldExclude(filePath, {}, file.isDirectory())) {
           continue;
         }
         
@@ -306,7 +601,11 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
   }
 
   async createRarPackage(config, outputPath, onProgress) {
-    // RAR packaging using system command
+    // RAR is a proprietary format, so it can only be produced by the rar binary
+    if (!(await this.isCommandAvailable('rar'))) {
+      throw this.createFormatUnavailableError('rar', 'the "rar" command is not installed');
+    }
+
     const tempDir = join(process.cwd(), '.tmp-rar-package');
     await mkdir(tempDir, { recursive: true });
 
@@ -314,16 +613,7 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
       // Copy files to temp directory
       await this.copyProjectFiles(config, tempDir);
 
-      // Create RAR archive - requires WinRAR/rar command
-      try {
-        await execa('rar', ['a', '-r', outputPath, '.'], { cwd: tempDir });
-      } catch (error) {
-        // Fallback: create zip and rename (not ideal but functional)
-        console.log('RAR command not available, creating ZIP instead...');
-        const zipPath = outputPath.replace('.rar', '.zip');
-        const result = await this.createZipPackage(config, zipPath, onProgress);
-        return { ...result, format: 'zip (rar unavailable)' };
-      }
+      await execa('rar', ['a', '-r', outputPath, '.'], { cwd: tempDir });
 
       // Get file size
       const stats = await stat(outputPath);
@@ -340,85 +630,158 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
     }
   }
 
-  async createIsoPackage(config, outputPath, onProgress) {
-    // ISO packaging using system command
-    const tempDir = join(process.cwd(), '.tmp-iso-package');
-    await mkdir(tempDir, { recursive: true });
+  async createIsoPackage(config, outputPath, onProgress, options = {}) {
+    const integrity = new Map();
+    const entries = await this.collectPackageEntries(config, options, integrity);
+    const writer = new IsoImageWriter({
+      volumeId: config.name,
+      applicationId: 'SUBMITIT',
+      date: this.resolveBuildDate(options)
+    });
 
-    try {
-      // Copy files to temp directory
-      await this.copyProjectFiles(config, tempDir);
+    const result = await writer.write(entries, outputPath, onProgress);
+    return { ...result, integrity: this.sortKeys(Object.fromEntries(integrity)) };
+  }
 
-      // Create ISO archive - requires mkisofs or genisoimage
+  async create7zPackage(config, outputPath, onProgress, options = {}) {
+    const integrity = new Map();
+    const entries = await this.collectPackageEntries(config, options, integrity);
+    const writer = new SevenZipWriter({ date: this.resolveBuildDate(options) });
+
+    const result = await writer.write(entries, outputPath, onProgress);
+    return { ...result, integrity: this.sortKeys(Object.fromEntries(integrity)) };
+  }
+
+  /**
+   * Project config files next to content/. layout.json is optional: projects
+   * created by the simple init have none.
+   */
+  async listProjectFiles() {
+    const files = [];
+
+    for (const name of ['submitit.config.json', 'layout.json']) {
+      const sourcePath = join(process.cwd(), name);
       try {
-        await execa('mkisofs', [
-          '-o', outputPath,
-          '-J', '-r', '-V', config.name.substring(0, 16),
-          tempDir
-        ]);
+        await stat(sourcePath);
+        files.push({ name, sourcePath });
       } catch (error) {
-        try {
-          await execa('genisoimage', [
-            '-o', outputPath,
-            '-J', '-r', '-V', config.name.substring(0, 16),
-            tempDir
-          ]);
-        } catch (error2) {
-          // Fallback: create zip
-          console.log('ISO tools not available, creating ZIP instead...');
-          const zipPath = outputPath.replace('.iso', '.zip');
-          const result = await this.createZipPackage(config, zipPath, onProgress);
-          return { ...result, format: 'zip (iso unavailable)' };
-        }
+        // Optional project file that does not exist
       }
+    }
 
-      // Get file size
-      const stats = await stat(outputPath);
+    return files;
+  }
 
-      return {
-        path: outputPath,
-        size: stats.size,
-        format: 'iso'
-      };
+  /**
+   * Resolve package entries straight from config.files for the in-process writers
+   */
+  async collectPackageEntries(config, options = {}, integrity = new Map(), sources = null) {
+    const entries = (sources || await this.collectSourceEntries(config, options))
+      .filter(entry => !this.isUnchangedInDelta(entry.name, options)
+        && !this.isOutsidePart(entry.name, options)
+        && !this.isOutsideRoles(entry.name, options));
+
+    for (const entry of entries) {
+      integrity.set(entry.name, await this.streamingOps.calculateFileHash(entry.sourcePath, 'sha256'));
+    }
 
-    } finally {
-      // Clean up temp directory
-      await execa('rm', ['-rf', tempDir]).catch(() => {});
+    const readme = Buffer.from(this.generateReadme(config, options));
+    integrity.set('README.md', this.hashContent(readme));
+
+    if (options.includeManifest !== false) {
+      entries.push({
+        name: 'manifest.json',
+        content: Buffer.from(JSON.stringify(this.generateManifest(config, { ...options, integrity }), null, 2))
+      });
     }
+    entries.push({ name: 'README.md', content: readme });
+
+    if (!options.reproducible) {
+      return entries;
+    }
+
+    // Writers fall back to the build date when an entry has no mtime
+    return entries
+      .map(entry => ({ ...entry, mtime: undefined }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
   }
 
-  async create7zPackage(config, outputPath, onProgress) {
-    // 7z packaging using system command
-    const tempDir = join(process.cwd(), '.tmp-7z-package');
-    await mkdir(tempDir, { recursive: true });
+  /**
+   * The files a ZIP/TAR export packages, with stats, for writers that take an entry list
+   */
+  async collectArchiveSources(config, options = {}) {
+    const sources = [];
 
-    try {
-      // Copy files to temp directory
-      await this.copyProjectFiles(config, tempDir);
+    for (const file of await this.listPackageFiles(config, options)) {
+      try {
+        const stats = await stat(file.sourcePath);
+        sources.push({ ...file, size: stats.size, mtime: stats.mtime });
+      } catch (error) {
+        // Optional project file (layout.json) that does not exist
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Project files packaged by the in-process writers: config.files plus project config
+   */
+  async collectSourceEntries(config, options = {}) {
+    const entries = [];
+    const contentDir = join(process.cwd(), 'content');
+
+    for (const file of config.files || []) {
+      const originalPath = join(contentDir, file.name);
+      const sourcePath = options.substitutes?.get(`content/${file.name}`) || originalPath;
+
+      const { excluded, rule } = this.explainExclusion(originalPath, options);
+      if (excluded) {
+        options.skipped?.push({ name: `content/${file.name}`, rule });
+        continue;
+      }
 
-      // Create 7z archive - requires 7z command
       try {
-        await execa('7z', ['a', '-r', outputPath, '.'], { cwd: tempDir });
+        const stats = await stat(sourcePath);
+        entries.push({ name: `content/${file.name}`, sourcePath, size: stats.size, mtime: stats.mtime });
       } catch (error) {
-        // Fallback: create zip
-        console.log('7z command not available, creating ZIP instead...');
-        const zipPath = outputPath.replace('.7z', '.zip');
-        const result = await this.createZipPackage(config, zipPath, onProgress);
-        return { ...result, format: 'zip (7z unavailable)' };
+        console.warn(chalk.yellow(`⚠️  Skipping ${file.name}: not found in content/`));
       }
+    }
 
-      // Get file size
-      const stats = await stat(outputPath);
+    for (const name of ['submitit.config.json', 'layout.json']) {
+      const sourcePath = join(process.cwd(), name);
 
-      return {
-        path: outputPath,
-        size: stats.size,
-        format: '7z'
-      };
+      try {
+        const stats = await stat(sourcePath);
+        entries.push({ name, sourcePath, size: stats.size, mtime: stats.mtime });
+      } catch (error) {
+        // Optional project file
+      }
+    }
 
-    } finally {
-      // Clean up temp directory
-      await execa('rm', ['-rf', tempDir]).catch(() => {});
+    for (const attachment of options.attachments || []) {
+      const stats = await stat(attachment.sourcePath);
+      entries.push({ ...attachment, size: stats.size, mtime: stats.mtime });
+    }
+
+    return entries;
+  }
+
+  createFormatUnavailableError(format, reason) {
+    return new SubmititError(
+      `Cannot create a ${format.toUpperCase()} package: ${reason}`,
+      'FORMAT_UNAVAILABLE',
+      { format }
+    );
+  }
+
+  async isCommandAvailable(command) {
+    try {
+      await execa(command, ['--version'], { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
     }
   }
 
@@ -438,41 +801,12 @@ This package was created using [submitit](https://github.com/cameronbrooks/submi
 
   // Format availability check
   async checkFormatAvailability() {
-    const formats = {
+    return {
       zip: true, // Always available (built-in)
       tar: true, // Always available (built-in)
-      rar: false,
-      iso: false,
-      '7z': false
+      iso: true, // In-process ISO 9660 + Joliet writer
+      '7z': true, // In-process LZMA writer
+      rar: await this.isCommandAvailable('rar')
     };
-
-    // Check for external tools
-    try {
-      await execa('rar', ['--version'], { stdio: 'ignore' });
-      formats.rar = true;
-    } catch (error) {
-      // RAR not available
-    }
-
-    try {
-      await execa('mkisofs', ['--version'], { stdio: 'ignore' });
-      formats.iso = true;
-    } catch (error) {
-      try {
-        await execa('genisoimage', ['--version'], { stdio: 'ignore' });
-        formats.iso = true;
-      } catch (error2) {
-        // ISO tools not available
-      }
-    }
-
-    try {
-      await execa('7z', ['--version'], { stdio: 'ignore' });
-      formats['7z'] = true;
-    } catch (error) {
-      // 7z not available
-    }
-
-    return formats;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,215 @@
+/**
+ * PDF Preview - Page thumbnails for the generated site
+ *
+ * Thumbnails come from, in order:
+ *
+ *   1. the page's own /Thumb image, which many producers embed
+ *   2. for scanned pages (images but no text), the largest image on the page
+ *   3. a rendering of the page, when the optional pdfjs-dist package (with
+ *      its @napi-rs/canvas backend) is installed for this platform
+ *
+ * Pages left without an image show as a blank page in the right proportions
+ * with its number instead. JPEG images are scaled with MediaOptimizer; 8-bit
+ * RGB and grey images are decoded and written as PNG.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { MAX_PDF_BYTES, PdfDocument, PdfStream } from './PdfReader.js';
+import { MediaOptimizer } from './MediaOptimizer.js';
+
+export const THUMBNAIL_SIZE = { width: 200, height: 280 };
+
+// Decoded images above this many pixels are not scaled down into thumbnails
+const MAX_THUMBNAIL_SOURCE_PIXELS = 40 * 1024 * 1024;
+
+let pdfRenderer = null;
+
+/**
+ * Page renderer from pdfjs-dist, or null when it is not installed or its
+ * canvas backend does not load on this platform
+ * @returns {Promise<((buffer: Buffer, pageNumbers: number[]) => Promise<Map<number, {data: Buffer, extension: string}>>)|null>}
+ */
+export function loadPdfRenderer() {
+  pdfRenderer ??= import('pdfjs-dist/legacy/build/pdf.mjs').then(pdfjs => {
+    const packageDir = dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json'));
+    const standardFontDataUrl = `${join(packageDir, 'standard_fonts')}/`;
+
+    return async (buffer, pageNumbers) => {
+      const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, standardFontDataUrl, verbosity: 0 }).promise;
+      const images = new Map();
+
+      try {
+        for (const number of pageNumbers) {
+          const page = await pdf.getPage(number);
+          const { width, height } = page.getViewport({ scale: 1 });
+          const viewport = page.getViewport({ scale: Math.min(THUMBNAIL_SIZE.width / width, THUMBNAIL_SIZE.height / height) });
+          const { canvas, context } = pdf.canvasFactory.create(Math.max(1, Math.round(viewport.width)), Math.max(1, Math.round(viewport.height)));
+
+          await page.render({ canvas, canvasContext: context, viewport }).promise;
+          images.set(number, { data: canvas.toBuffer('image/png'), extension: 'png' });
+          page.cleanup();
+        }
+      } finally {
+        await pdf.destroy();
+      }
+      return images;
+    };
+  }).catch(() => null);
+
+  return pdfRenderer;
+}
+
+export class PdfPreview {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - Pages with thumbnails (default: 24)
+   * @param {Function|null} [options.renderer] - Renders pages with no picture of their own (default: loadPdfRenderer; null for none)
+   */
+  constructor(options = {}) {
+    this.maxPages = options.maxPages ?? 24;
+    this.renderer = options.renderer;
+    this.optimizer = new MediaOptimizer({ maxImageDimensions: THUMBNAIL_SIZE, jpegQuality: 75, recompressAbove: 0 });
+  }
+
+  /**
+   * Page count and a thumbnail for each of the first pages, or null when
+   * the file is not a readable PDF
+   * @param {string} filePath
+   * @returns {Promise<{pages: number, thumbnails: Array<{page: number, width: number, height: number, image: {data: Buffer, extension: string}|null}>}|null>}
+   */
+  async thumbnails(filePath) {
+    try {
+      const { size } = await stat(filePath);
+      if (size > MAX_PDF_BYTES) return null;
+
+      const buffer = await readFile(filePath);
+      if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) return null;
+
+      const document = new PdfDocument(buffer);
+      const pages = document.pages();
+      if (pages.length === 0) return null;
+
+      const fonts = new Map();
+      const formCache = new Map();
+      const thumbnails = pages.slice(0, this.maxPages).map((page, index) => ({
+        page: index + 1,
+        ...document.pageSize(page),
+        image: this.pageImage(document, page, fonts, formCache)
+      }));
+
+      await this.renderMissing(buffer, thumbnails);
+      return { pages: pages.length, thumbnails };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fill in pages that carry no picture by rendering them. A PDF the
+   * renderer cannot read keeps its blank pages.
+   */
+  async renderMissing(buffer, thumbnails) {
+    const missing = thumbnails.filter(thumbnail => !thumbnail.image);
+    if (missing.length === 0) return;
+
+    const render = this.renderer === undefined ? await loadPdfRenderer() : this.renderer;
+    if (!render) return;
+
+    try {
+      const images = await render(buffer, missing.map(thumbnail => thumbnail.page));
+      for (const thumbnail of missing) {
+        thumbnail.image = images.get(thumbnail.page) ?? null;
+      }
+    } catch (error) {
+      // Leave the pages blank
+    }
+  }
+
+  /**
+   * The picture that stands in for a page, or null
+   */
+  pageImage(document, page, fonts, formCache) {
+    const thumb = document.resolve(page.node.Thumb);
+    if (thumb instanceof PdfStream) {
+      const image = this.decodeImage(document, thumb);
+      if (image) return image;
+    }
+
+    const content = document.scanContent(page.node.Contents, page.Resources, fonts, formCache);
+    if (content.text || !content.images) return null;
+
+    const xobjects = Object.values(document.resolve(document.resolve(page.Resources)?.XObject) || {})
+      .map(xobject => document.resolve(xobject))
+      .filter(xobject => xobject instanceof PdfStream && xobject.dict.Subtype === 'Image');
+    const pixels = xobject => (document.resolve(xobject.dict.Width) || 0) * (document.resolve(xobject.dict.Height) || 0);
+    const largest = xobjects.sort((a, b) => pixels(b) - pixels(a))[0];
+
+    return largest ? this.decodeImage(document, largest) : null;
+  }
+
+  /**
+   * A thumbnail-sized JPEG or PNG from an image stream, or null for
+   * encodings it cannot read (JPX, CCITT, JBIG2, indexed, CMYK, 16-bit)
+   */
+  decodeImage(document, stream) {
+    const { dict } = stream;
+    const filters = [].concat(document.resolve(dict.Filter) || []).map(filter => document.resolve(filter));
+
+    try {
+      if (filters.length === 1 && ['DCTDecode', 'DCT'].includes(filters[0])) {
+        const data = document.streamBytes(stream);
+        return data ? { data: this.optimizer.optimizeJpeg(data).buffer, extension: 'jpg' } : null;
+      }
+
+      const width = document.resolve(dict.Width);
+      const height = document.resolve(dict.Height);
+      const components = this.colorComponents(document, dict.ColorSpace);
+      if (!components || document.resolve(dict.BitsPerComponent) !== 8 || document.resolve(dict.ImageMask)) return null;
+      if (!(width > 0 && height > 0) || width * height > MAX_THUMBNAIL_SOURCE_PIXELS) return null;
+
+      const data = document.decodeStream(stream);
+      if (!data || data.length < width * height * components) return null;
+
+      const grey = components === 1;
+      const rgba = Buffer.alloc(width * height * 4);
+      for (let pixel = 0; pixel < width * height; pixel++) {
+        const source = pixel * components;
+        rgba[pixel * 4] = data[source];
+        rgba[pixel * 4 + 1] = data[grey ? source : source + 1];
+        rgba[pixel * 4 + 2] = data[grey ? source : source + 2];
+        rgba[pixel * 4 + 3] = 255;
+      }
+
+      const target = this.optimizer.fitWithin(width, height);
+      const pixels = target ? this.optimizer.resize(rgba, width, height, target.width, target.height) : rgba;
+      return { data: this.optimizer.encodePng(pixels, target?.width ?? width, target?.height ?? height), extension: 'png' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Components per pixel for grey and RGB colour spaces, or null
+   */
+  colorComponents(document, value) {
+    const space = document.resolve(value);
+    if (space === 'DeviceRGB' || space === 'CalRGB') return 3;
+    if (space === 'DeviceGray' || space === 'CalGray') return 1;
+
+    if (Array.isArray(space)) {
+      const family = document.resolve(space[0]);
+      if (family === 'CalRGB') return 3;
+      if (family === 'CalGray') return 1;
+      if (family === 'ICCBased') {
+        const profile = document.resolve(space[1]);
+        const components = document.resolve(profile?.dict?.N);
+        return components === 1 || components === 3 ? components : null;
+      }
+    }
+    return null;
+  }
+}
+
+export default PdfPreview;
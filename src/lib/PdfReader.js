@@ -0,0 +1,1205 @@
+/**
+ * PDF Reader - Document structure read without a PDF library
+ *
+ * Follows the cross-reference table (or xref streams and object streams in
+ * PDF 1.5+, rebuilding it by scanning when it is damaged) to report what
+ * portals check before accepting a PDF:
+ *
+ *   version, pages, pageSizes      page count and distinct page sizes in points
+ *   text                           whether pages draw text, and which only hold images
+ *   fonts                          each font and whether it is embedded
+ *   encryption                     security handler and permission flags
+ *   pdfa                           PDF/A identification and basic conformance issues
+ *   info                           title, author, producer and dates
+ *
+ * Encrypted files that open without a password (permission-restricted PDFs)
+ * are decrypted with the empty user password; otherwise page content cannot
+ * be read and `text.present` is null.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { createDecipheriv, createCipheriv, createHash } from 'crypto';
+import { inflateSync, constants as zlibConstants } from 'zlib';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// Whole files are read for random access; larger ones are not inspected
+export const MAX_PDF_BYTES = 256 * 1024 * 1024;
+
+// Named sizes in points, portrait
+export const PAGE_SIZES = {
+  A3: [841.89, 1190.55],
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+  Tabloid: [792, 1224]
+};
+const PAGE_SIZE_TOLERANCE = 2;
+
+// Bit positions (1-based) in the /P entry of the encryption dictionary
+const PERMISSION_BITS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  accessibility: 10,
+  assemble: 11,
+  printHighQuality: 12
+};
+
+// Fixed padding from ISO 32000, not a credential (submitit-allow-secret)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const MAX_TREE_DEPTH = 64;
+const MAX_FORM_DEPTH = 8;
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+const TEXT_OPERATOR = /(?:^|[\s)\]>])(?:Tj|TJ|'|")(?=[\s/[(<%]|$)/;
+const INLINE_IMAGE = /(?:^|\s)BI\s/;
+const XOBJECT_USE = /\/([^\s/[\]()<>{}%]+)\s*Do(?=[\s/[(<%]|$)/g;
+
+export class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+export class PdfStream {
+  constructor(dict, start, end, num, gen) {
+    this.dict = dict;
+    this.start = start;
+    this.end = end;
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// === LEXER ===
+
+/**
+ * Parses PDF objects from a buffer. Names become strings (without the
+ * slash), strings become Buffers, dictionaries become null-prototype objects.
+ */
+class PdfLexer {
+  constructor(buffer, document) {
+    this.buffer = buffer;
+    this.text = buffer.toString('latin1');
+    this.document = document;
+  }
+
+  skipSpace(pos) {
+    const { text } = this;
+    while (pos < text.length) {
+      const code = text.charCodeAt(pos);
+      if (WHITESPACE.has(code)) {
+        pos++;
+      } else if (code === 0x25) {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+      } else {
+        break;
+      }
+    }
+    return pos;
+  }
+
+  readRegular(pos) {
+    const { text } = this;
+    let end = pos;
+    while (end < text.length) {
+      const code = text.charCodeAt(end);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      end++;
+    }
+    return end;
+  }
+
+  /**
+   * @returns {[any, number]} The value and the position after it
+   */
+  parse(pos, context = {}) {
+    const { text } = this;
+    pos = this.skipSpace(pos);
+    const char = text[pos];
+
+    if (char === '<' && text[pos + 1] === '<') return this.parseDictionary(pos + 2, context);
+    if (char === '<') return this.parseHexString(pos + 1);
+    if (char === '(') return this.parseLiteralString(pos + 1);
+    if (char === '[') return this.parseArray(pos + 1, context);
+    if (char === '/') {
+      const end = this.readRegular(pos + 1);
+      return [text.slice(pos + 1, end).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), end];
+    }
+
+    const end = this.readRegular(pos);
+    if (end === pos) return [null, pos + 1];
+    const token = text.slice(pos, end);
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // "12 0 R" is a reference
+      if (/^\d+$/.test(token)) {
+        const genStart = this.skipSpace(end);
+        const genEnd = this.readRegular(genStart);
+        const rPos = this.skipSpace(genEnd);
+        if (genEnd > genStart && /^\d+$/.test(text.slice(genStart, genEnd)) && text[rPos] === 'R' && this.readRegular(rPos) === rPos + 1) {
+          return [new PdfRef(Number(token), Number(text.slice(genStart, genEnd))), rPos + 1];
+        }
+      }
+      return [Number(token), end];
+    }
+
+    if (token === 'true') return [true, end];
+    if (token === 'false') return [false, end];
+    return [null, end];
+  }
+
+  parseDictionary(pos, context) {
+    const { text } = this;
+    const dict = Object.create(null);
+
+    while (pos < text.length) {
+      pos = this.skipSpace(pos);
+      if (text.startsWith('>>', pos)) {
+        pos += 2;
+        break;
+      }
+
+      const [key, keyEnd] = this.parse(pos, context);
+      if (keyEnd <= pos) break;
+      if (typeof key !== 'string') {
+        pos = keyEnd;
+        continue;
+      }
+      const [value, valueEnd] = this.parse(keyEnd, context);
+      dict[key] = value;
+      pos = valueEnd;
+    }
+
+    const streamPos = this.skipSpace(pos);
+    if (text.startsWith('stream', streamPos)) {
+      return this.parseStream(dict, streamPos + 6, context);
+    }
+
+    return [dict, pos];
+  }
+
+  parseStream(dict, pos, context) {
+    const { text } = this;
+    if (text[pos] === '\r') pos++;
+    if (text[pos] === '\n') pos++;
+
+    const length = this.document ? this.document.resolve(dict.Length) : dict.Length;
+    let end = Number.isInteger(length) ? pos + length : -1;
+
+    // Trust /Length only when endstream follows it
+    if (end < 0 || end > text.length || !/^\s*endstream/.test(text.slice(end, end + 32))) {
+      end = text.indexOf('endstream', pos);
+      if (end < 0) end = text.length;
+      if (text[end - 1] === '\n') end--;
+      if (text[end - 1] === '\r') end--;
+    }
+
+    const after = text.indexOf('endstream', end);
+    return [new PdfStream(dict, pos, end, context.num, context.gen), after < 0 ? text.length : after + 9];
+  }
+
+  parseArray(pos, context) {
+    const { text } = this;
+    const array = [];
+
+    while (pos < text.length) {
+      pos = this.skipSpace(pos);
+      if (text[pos] === ']') return [array, pos + 1];
+      const [value, end] = this.parse(pos, context);
+      if (end <= pos) break;
+      array.push(value);
+      pos = end;
+    }
+
+    return [array, pos];
+  }
+
+  parseHexString(pos) {
+    const end = this.text.indexOf('>', pos);
+    const close = end < 0 ? this.text.length : end;
+    let hex = this.text.slice(pos, close).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2) hex += '0';
+    return [Buffer.from(hex, 'hex'), close + 1];
+  }
+
+  parseLiteralString(pos) {
+    const { text } = this;
+    const bytes = [];
+    let depth = 1;
+
+    while (pos < text.length) {
+      const code = text.charCodeAt(pos++);
+
+      if (code === 0x5c) {
+        const next = text[pos++];
+        const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+        if (next in escapes) {
+          bytes.push(escapes[next]);
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && text[pos] >= '0' && text[pos] <= '7') octal += text[pos++];
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (text[pos] === '\n') pos++;
+        } else if (next !== '\n' && next !== undefined) {
+          bytes.push(next.charCodeAt(0));
+        }
+      } else if (code === 0x28) {
+        depth++;
+        bytes.push(code);
+      } else if (code === 0x29) {
+        if (--depth === 0) break;
+        bytes.push(code);
+      } else {
+        bytes.push(code);
+      }
+    }
+
+    return [Buffer.from(bytes), pos];
+  }
+}
+
+// === ENCRYPTION ===
+
+function rc4(key, data) {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) state[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[k] = data[k] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+function md5(...parts) {
+  const hash = createHash('md5');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+function aesDecrypt(algorithm, key, data, iv = null, padding = true) {
+  const vector = iv || data.subarray(0, 16);
+  const body = iv ? data : data.subarray(16);
+  const decipher = createDecipheriv(algorithm, key, vector);
+  decipher.setAutoPadding(padding);
+  try {
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  } catch (error) {
+    return body.length % 16 === 0 ? aesDecrypt(algorithm, key, body, vector, false) : Buffer.alloc(0);
+  }
+}
+
+/**
+ * The Standard security handler, opened with the empty user password
+ */
+class StandardSecurityHandler {
+  constructor(dict, fileId, resolve) {
+    const bytes = value => (Buffer.isBuffer(value) ? value : Buffer.alloc(0));
+
+    this.filter = dict.Filter;
+    this.version = resolve(dict.V) || 0;
+    this.revision = resolve(dict.R) || 0;
+    this.keyLength = (resolve(dict.Length) || 40) / 8;
+    this.encryptMetadata = resolve(dict.EncryptMetadata) !== false;
+    this.permissionValue = resolve(dict.P) | 0;
+    this.key = null;
+
+    const owner = bytes(resolve(dict.O));
+    const user = bytes(resolve(dict.U));
+    const filters = resolve(dict.CF) || {};
+    const method = name => {
+      if (this.version < 4) return 'rc4';
+      if (this.version >= 5) return 'aes256';
+      if (!name || name === 'Identity') return 'none';
+      const cfm = resolve(resolve(filters[name])?.CFM);
+      return cfm === 'AESV2' ? 'aes128' : cfm === 'V2' ? 'rc4' : cfm === 'AESV3' ? 'aes256' : 'none';
+    };
+    this.streamMethod = method(resolve(dict.StmF));
+    this.stringMethod = method(resolve(dict.StrF));
+
+    if (this.filter !== 'Standard') return;
+
+    if (this.revision >= 5) {
+      this.key = this.openAes256(user, bytes(resolve(dict.UE)));
+    } else {
+      if (this.version === 4 && this.streamMethod === 'aes128') this.keyLength = 16;
+      this.key = this.openRc4Era(owner, user, fileId);
+    }
+  }
+
+  get readable() {
+    return this.key !== null;
+  }
+
+  get permissions() {
+    return Object.fromEntries(Object.entries(PERMISSION_BITS).map(([name, bit]) => [
+      name,
+      // Revision 2 only defines bits 3 to 6
+      this.revision < 3 && bit > 6 ? true : Boolean(this.permissionValue & (1 << (bit - 1)))
+    ]));
+  }
+
+  openRc4Era(owner, user, fileId) {
+    const length = this.version === 1 ? 5 : this.keyLength;
+    const permissions = Buffer.alloc(4);
+    permissions.writeInt32LE(this.permissionValue);
+
+    let hash = md5(PASSWORD_PADDING, owner, permissions, fileId, this.revision >= 4 && !this.encryptMetadata ? Buffer.from([0xff, 0xff, 0xff, 0xff]) : Buffer.alloc(0));
+    if (this.revision >= 3) {
+      for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, length));
+    }
+    const key = hash.subarray(0, length);
+
+    let check;
+    if (this.revision === 2) {
+      check = rc4(key, PASSWORD_PADDING);
+      return check.equals(user.subarray(0, 32)) ? key : null;
+    }
+
+    check = rc4(key, md5(PASSWORD_PADDING, fileId));
+    for (let i = 1; i <= 19; i++) {
+      check = rc4(Buffer.from(key.map(byte => byte ^ i)), check);
+    }
+    return check.equals(user.subarray(0, 16)) ? key : null;
+  }
+
+  openAes256(user, userKey) {
+    const password = Buffer.alloc(0);
+    const hash = (salt) => (this.revision === 5
+      ? createHash('sha256').update(password).update(salt).digest()
+      : this.hardenedHash(password, salt));
+
+    if (!hash(user.subarray(32, 40)).equals(user.subarray(0, 32))) return null;
+    return aesDecrypt('aes-256-cbc', hash(user.subarray(40, 48)), userKey, Buffer.alloc(16), false);
+  }
+
+  // Algorithm 2.B of ISO 32000-2, for the user password (no user key data)
+  hardenedHash(password, salt) {
+    let key = createHash('sha256').update(password).update(salt).digest();
+
+    for (let round = 0; ; round++) {
+      const block = Buffer.concat([password, key]);
+      const repeated = Buffer.concat(Array(64).fill(block));
+      const cipher = createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+      cipher.setAutoPadding(false);
+      const encrypted = Buffer.concat([cipher.update(repeated), cipher.final()]);
+
+      const selector = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+      key = createHash(['sha256', 'sha384', 'sha512'][selector]).update(encrypted).digest();
+
+      if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+    }
+
+    return key.subarray(0, 32);
+  }
+
+  decrypt(data, num, gen, kind) {
+    const method = kind === 'string' ? this.stringMethod : this.streamMethod;
+    if (!this.key || method === 'none') return data;
+    if (method === 'aes256') return aesDecrypt('aes-256-cbc', this.key, data);
+
+    const suffix = Buffer.from([num & 0xff, (num >> 8) & 0xff, (num >> 16) & 0xff, gen & 0xff, (gen >> 8) & 0xff]);
+    const objectKey = md5(this.key, suffix, method === 'aes128' ? Buffer.from('sAlT') : Buffer.alloc(0))
+      .subarray(0, Math.min(this.key.length + 5, 16));
+
+    return method === 'aes128' ? aesDecrypt('aes-128-cbc', objectKey, data) : rc4(objectKey, data);
+  }
+}
+
+// === FILTERS ===
+
+function inflate(data) {
+  try {
+    return inflateSync(data);
+  } catch (error) {
+    // Truncated streams still yield what was written
+    return inflateSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+  }
+}
+
+function lzwDecode(data, earlyChange = 1) {
+  const output = [];
+  let dictionary = [];
+  let codeLength = 9;
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const reset = () => {
+    dictionary = Array.from({ length: 258 }, (_, i) => (i < 256 ? [i] : null));
+    codeLength = 9;
+    previous = null;
+  };
+  reset();
+
+  for (const byte of data) {
+    bitBuffer = (bitBuffer << 8) | byte;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+      bitBuffer &= (1 << bitCount) - 1;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return Buffer.from(output);
+
+      const entry = dictionary[code] || (previous ? [...previous, previous[0]] : null);
+      if (!entry) return Buffer.from(output);
+      output.push(...entry);
+      if (previous) dictionary.push([...previous, entry[0]]);
+      previous = entry;
+
+      if (dictionary.length + earlyChange >= 1 << codeLength && codeLength < 12) codeLength++;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+function asciiHexDecode(data) {
+  let hex = data.toString('latin1').split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+function ascii85Decode(data) {
+  const text = data.toString('latin1').replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const output = [];
+  let group = [];
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+      output.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+
+  if (group.length > 1) {
+    const count = group.length - 1;
+    while (group.length < 5) group.push(84);
+    const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+    output.push(...[(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].slice(0, count));
+  }
+
+  return Buffer.from(output);
+}
+
+function runLengthDecode(data) {
+  const output = [];
+  for (let i = 0; i < data.length;) {
+    const length = data[i++];
+    if (length === 128) break;
+    if (length < 128) {
+      output.push(...data.subarray(i, i + length + 1));
+      i += length + 1;
+    } else {
+      output.push(...Array(257 - length).fill(data[i++]));
+    }
+  }
+  return Buffer.from(output);
+}
+
+function applyPredictor(data, params) {
+  const predictor = params?.Predictor || 1;
+  if (predictor < 2) return data;
+
+  const colors = params.Colors || 1;
+  const bitsPerComponent = params.BitsPerComponent || 8;
+  const columns = params.Columns || 1;
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+
+  if (predictor === 2) {
+    const output = Buffer.from(data);
+    for (let row = 0; row < output.length; row += rowLength) {
+      for (let i = row + bytesPerPixel; i < Math.min(row + rowLength, output.length); i++) {
+        output[i] = (output[i] + output[i - bytesPerPixel]) & 0xff;
+      }
+    }
+    return output;
+  }
+
+  // PNG predictors: every row starts with its filter type
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const out = row * rowLength;
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? output[out + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[out + i - rowLength] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[out + i - rowLength - bytesPerPixel] : 0;
+      let value = data[input + i];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += a <= b && a <= c ? left : b <= c ? up : upLeft;
+      }
+      output[out + i] = value & 0xff;
+    }
+  }
+  return output;
+}
+
+// === DOCUMENT ===
+
+/**
+ * One parsed PDF: cross-reference, object access and stream decoding
+ */
+export class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.lexer = new PdfLexer(buffer, this);
+    this.entries = new Map();
+    this.cache = new Map();
+    this.loading = new Set();
+    this.objectStreams = new Map();
+    this.trailer = Object.create(null);
+    this.security = null;
+    this.repaired = false;
+
+    const header = this.lexer.text.slice(0, 1024).match(/%PDF-(\d\.\d)/);
+    this.version = header ? header[1] : null;
+
+    this.loadCrossReference();
+
+    const encrypt = this.trailer.Encrypt;
+    if (encrypt) {
+      this.encryptNum = encrypt instanceof PdfRef ? encrypt.num : null;
+      const id = this.resolve(this.trailer.ID);
+      this.security = new StandardSecurityHandler(this.resolve(encrypt) || {}, Array.isArray(id) && Buffer.isBuffer(id[0]) ? id[0] : Buffer.alloc(0), value => this.resolve(value));
+      // Cached objects were parsed before the key was known
+      this.cache.clear();
+      this.objectStreams.clear();
+    }
+
+    this.catalog = this.resolve(this.trailer.Root);
+    const catalogVersion = this.resolve(this.catalog?.Version);
+    if (typeof catalogVersion === 'string' && catalogVersion > (this.version || '')) this.version = catalogVersion;
+  }
+
+  // === CROSS-REFERENCE ===
+
+  loadCrossReference() {
+    const { text } = this.lexer;
+    const startxref = text.lastIndexOf('startxref');
+    const offset = startxref >= 0 ? parseInt(text.slice(startxref + 9, startxref + 40).trim(), 10) : NaN;
+
+    try {
+      if (!Number.isInteger(offset)) throw new Error('no startxref');
+      this.readSections(offset);
+      if (!this.hasCatalog()) throw new Error('no catalog');
+    } catch (error) {
+      this.rebuildCrossReference();
+    }
+  }
+
+  readSections(offset) {
+    const { text } = this.lexer;
+    const queue = [offset];
+    const seen = new Set();
+
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (!Number.isInteger(next) || seen.has(next) || next >= text.length) continue;
+      seen.add(next);
+
+      const pos = this.lexer.skipSpace(next);
+      const dict = text.startsWith('xref', pos) ? this.readTable(pos + 4) : this.readStreamSection(pos);
+
+      for (const [key, value] of Object.entries(dict)) {
+        if (!(key in this.trailer)) this.trailer[key] = value;
+      }
+      // Hybrid files: the xref stream of this update comes before older sections
+      queue.unshift(...[dict.XRefStm, dict.Prev].filter(value => value !== undefined));
+    }
+  }
+
+  readTable(pos) {
+    const { text } = this.lexer;
+    const subsection = /\s*(\d+)\s+(\d+)/y;
+    const entry = /\s*(\d+)\s+(\d+)\s+([nf])/y;
+
+    for (;;) {
+      subsection.lastIndex = pos;
+      const match = subsection.exec(text);
+      if (!match) break;
+      const [start, count] = [Number(match[1]), Number(match[2])];
+      pos = subsection.lastIndex;
+
+      for (let i = 0; i < count; i++) {
+        entry.lastIndex = pos;
+        const row = entry.exec(text);
+        if (!row) throw new Error('bad xref entry');
+        pos = entry.lastIndex;
+        if (!this.entries.has(start + i)) {
+          this.entries.set(start + i, row[3] === 'n' ? { offset: Number(row[1]), gen: Number(row[2]) } : { free: true });
+        }
+      }
+    }
+
+    pos = this.lexer.skipSpace(pos);
+    if (!text.startsWith('trailer', pos)) throw new Error('no trailer');
+    const [dict] = this.lexer.parse(pos + 7);
+    return dict || {};
+  }
+
+  readStreamSection(pos) {
+    const header = /(\d+)\s+(\d+)\s+obj/y;
+    header.lastIndex = pos;
+    const match = header.exec(this.lexer.text);
+    if (!match) throw new Error('no xref stream');
+
+    const [stream] = this.lexer.parse(header.lastIndex, { num: Number(match[1]), gen: Number(match[2]) });
+    if (!(stream instanceof PdfStream) || stream.dict.Type !== 'XRef') throw new Error('no xref stream');
+    this.addStreamEntries(stream);
+    return stream.dict;
+  }
+
+  addStreamEntries(stream) {
+    const data = this.decodeStream(stream);
+    const widths = this.resolve(stream.dict.W) || [1, 2, 1];
+    const index = this.resolve(stream.dict.Index) || [0, this.resolve(stream.dict.Size) || 0];
+    const rowLength = widths.reduce((sum, width) => sum + width, 0);
+    const field = (offset, width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let i = 0; i < width; i++) value = value * 256 + data[offset + i];
+      return value;
+    };
+
+    let offset = 0;
+    for (let section = 0; section < index.length; section += 2) {
+      for (let i = 0; i < index[section + 1] && offset + rowLength <= data.length; i++, offset += rowLength) {
+        const num = index[section] + i;
+        const type = field(offset, widths[0], 1);
+        const second = field(offset + widths[0], widths[1], 0);
+        const third = field(offset + widths[0] + widths[1], widths[2], 0);
+
+        if (this.entries.has(num)) continue;
+        if (type === 1) this.entries.set(num, { offset: second, gen: third });
+        else if (type === 2) this.entries.set(num, { stream: second, index: third });
+        else this.entries.set(num, { free: true });
+      }
+    }
+  }
+
+  /**
+   * Damaged or missing xref: find every "N G obj" and take the last definition
+   */
+  rebuildCrossReference() {
+    const { text } = this.lexer;
+    this.repaired = true;
+    this.entries.clear();
+    this.cache.clear();
+    this.trailer = Object.create(null);
+
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = objectPattern.exec(text)) !== null) {
+      const previous = text.charCodeAt(match.index - 1);
+      if (match.index > 0 && !WHITESPACE.has(previous) && previous !== 0x3e) continue;
+      this.entries.set(Number(match[1]), { offset: match.index, gen: Number(match[2]) });
+    }
+
+    // Objects inside object streams, and trailer keys kept in xref streams
+    for (const [num] of [...this.entries]) {
+      const object = this.getObject(num);
+      if (!(object instanceof PdfStream)) continue;
+
+      if (object.dict.Type === 'ObjStm') {
+        this.readObjectStream(num).numbers.forEach((objectNum, index) => {
+          if (!this.entries.has(objectNum)) this.entries.set(objectNum, { stream: num, index });
+        });
+      } else if (object.dict.Type === 'XRef') {
+        for (const key of ['Root', 'Info', 'Encrypt', 'ID']) {
+          if (object.dict[key] !== undefined) this.trailer[key] = object.dict[key];
+        }
+      }
+    }
+
+    let trailerPos = text.lastIndexOf('trailer');
+    while (trailerPos >= 0) {
+      const [dict] = this.lexer.parse(trailerPos + 7);
+      for (const [key, value] of Object.entries(dict || {})) {
+        if (!(key in this.trailer)) this.trailer[key] = value;
+      }
+      trailerPos = text.lastIndexOf('trailer', trailerPos - 1);
+    }
+
+    if (!this.hasCatalog()) {
+      for (const [num] of this.entries) {
+        if (this.getObject(num)?.Type === 'Catalog') {
+          this.trailer.Root = new PdfRef(num, 0);
+          break;
+        }
+      }
+    }
+  }
+
+  hasCatalog() {
+    const root = this.resolve(this.trailer.Root);
+    return typeof root === 'object' && root !== null && !Array.isArray(root);
+  }
+
+  // === OBJECTS ===
+
+  resolve(value, depth = 0) {
+    if (value instanceof PdfRef && depth < 16) return this.resolve(this.getObject(value.num), depth + 1);
+    return value;
+  }
+
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+    const entry = this.entries.get(num);
+    if (!entry || entry.free || this.loading.has(num)) return null;
+
+    this.loading.add(num);
+    let value = null;
+    try {
+      if (entry.offset !== undefined) {
+        const header = /(\d+)\s+(\d+)\s+obj/y;
+        header.lastIndex = this.lexer.skipSpace(entry.offset);
+        const match = header.exec(this.lexer.text);
+        if (match && Number(match[1]) === num) {
+          [value] = this.lexer.parse(header.lastIndex, { num, gen: Number(match[2]) });
+          if (this.security && num !== this.encryptNum) value = this.decryptStrings(value, num, Number(match[2]));
+        }
+      } else {
+        // Objects in object streams are covered by the stream's own encryption
+        const objectStream = this.readObjectStream(entry.stream);
+        const offset = objectStream.offsets[entry.index];
+        if (offset !== undefined) [value] = objectStream.lexer.parse(objectStream.first + offset, { num, gen: 0 });
+      }
+    } catch (error) {
+      value = null;
+    } finally {
+      this.loading.delete(num);
+    }
+
+    this.cache.set(num, value);
+    return value;
+  }
+
+  readObjectStream(num) {
+    if (this.objectStreams.has(num)) return this.objectStreams.get(num);
+
+    const stream = this.getObject(num);
+    const result = { numbers: [], offsets: [], first: 0, lexer: null };
+    const data = stream instanceof PdfStream ? this.decodeStream(stream) : null;
+
+    if (data) {
+      result.lexer = new PdfLexer(data, this);
+      result.first = this.resolve(stream.dict.First) || 0;
+      const pairs = data.subarray(0, result.first).toString('latin1').trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < pairs.length; i += 2) {
+        result.numbers.push(pairs[i]);
+        result.offsets.push(pairs[i + 1]);
+      }
+    }
+
+    this.objectStreams.set(num, result);
+    return result;
+  }
+
+  decryptStrings(value, num, gen) {
+    if (Buffer.isBuffer(value)) return this.security.decrypt(value, num, gen, 'string');
+    if (Array.isArray(value)) return value.map(item => this.decryptStrings(item, num, gen));
+    if (value instanceof PdfStream) {
+      value.dict = this.decryptStrings(value.dict, num, gen);
+      return value;
+    }
+    if (value && typeof value === 'object' && !(value instanceof PdfRef)) {
+      for (const key of Object.keys(value)) value[key] = this.decryptStrings(value[key], num, gen);
+    }
+    return value;
+  }
+
+  /**
+   * Stream data as stored, decrypted but not decoded, or null when it
+   * cannot be decrypted
+   */
+  streamBytes(stream) {
+    const data = this.buffer.subarray(stream.start, stream.end);
+    const { dict } = stream;
+
+    const skipDecryption = dict.Type === 'XRef' || (dict.Type === 'Metadata' && this.security && !this.security.encryptMetadata);
+    if (this.security && stream.num !== undefined && !skipDecryption) {
+      if (!this.security.readable) return null;
+      return this.security.decrypt(data, stream.num, stream.gen, 'stream');
+    }
+    return data;
+  }
+
+  /**
+   * Decoded stream data, or null for image codecs (DCT, JPX, CCITT, JBIG2)
+   * and streams that cannot be decrypted
+   */
+  decodeStream(stream) {
+    let data = this.streamBytes(stream);
+    if (data === null) return null;
+    const { dict } = stream;
+
+    const filters = [].concat(this.resolve(dict.Filter) || []).map(filter => this.resolve(filter));
+    const params = [].concat(this.resolve(dict.DecodeParms) || []).map(param => this.resolve(param));
+
+    try {
+      filters.forEach((filter, index) => {
+        if (data === null) return;
+        switch (filter) {
+          case 'FlateDecode':
+          case 'Fl':
+            data = applyPredictor(inflate(data), params[index]);
+            break;
+          case 'LZWDecode':
+          case 'LZW':
+            data = applyPredictor(lzwDecode(data, params[index]?.EarlyChange ?? 1), params[index]);
+            break;
+          case 'ASCIIHexDecode':
+          case 'AHx':
+            data = asciiHexDecode(data);
+            break;
+          case 'ASCII85Decode':
+          case 'A85':
+            data = ascii85Decode(data);
+            break;
+          case 'RunLengthDecode':
+          case 'RL':
+            data = runLengthDecode(data);
+            break;
+          case 'Crypt':
+            break;
+          default:
+            data = null;
+        }
+      });
+    } catch (error) {
+      return null;
+    }
+
+    return data;
+  }
+
+  // === PAGES ===
+
+  /**
+   * Page dictionaries in order, with inherited attributes filled in
+   */
+  pages() {
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (ref, inherited, depth) => {
+      if (depth > MAX_TREE_DEPTH) return;
+      if (ref instanceof PdfRef) {
+        if (visited.has(ref.num)) return;
+        visited.add(ref.num);
+      }
+
+      const node = this.resolve(ref);
+      if (!node || typeof node !== 'object') return;
+
+      const attributes = { ...inherited };
+      for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+        if (node[key] !== undefined) attributes[key] = node[key];
+      }
+
+      const kids = this.resolve(node.Kids);
+      if (node.Type === 'Pages' || (Array.isArray(kids) && node.Type !== 'Page')) {
+        (kids || []).forEach(kid => walk(kid, attributes, depth + 1));
+      } else {
+        pages.push({ node, ...attributes });
+      }
+    };
+
+    walk(this.catalog?.Pages, {}, 0);
+    return pages;
+  }
+
+  pageSize(page) {
+    const box = (this.resolve(page.CropBox) || this.resolve(page.MediaBox) || [0, 0, 612, 792]).map(value => this.resolve(value));
+    const unit = this.resolve(page.node.UserUnit) || 1;
+    let width = Math.abs(box[2] - box[0]) * unit;
+    let height = Math.abs(box[3] - box[1]) * unit;
+    if (Math.abs(this.resolve(page.Rotate) || 0) % 180 === 90) [width, height] = [height, width];
+
+    return { width: Math.round(width * 100) / 100, height: Math.round(height * 100) / 100 };
+  }
+
+  /**
+   * Whether a content stream (and the forms it draws) shows text or images
+   */
+  scanContent(contents, resources, fonts, formCache, depth = 0) {
+    const result = { text: false, images: false, readable: true };
+    const streams = [].concat(this.resolve(contents) || []).map(content => this.resolve(content)).filter(content => content instanceof PdfStream);
+
+    const decoded = streams.map(stream => this.decodeStream(stream));
+    if (decoded.some(data => data === null)) result.readable = false;
+    const content = decoded.filter(Boolean).map(data => data.toString('latin1')).join('\n');
+
+    const resourceDict = this.resolve(resources) || {};
+    this.collectFonts(resourceDict, fonts);
+
+    if (TEXT_OPERATOR.test(content)) result.text = true;
+    if (INLINE_IMAGE.test(content)) result.images = true;
+
+    const xobjects = this.resolve(resourceDict.XObject) || {};
+    for (const [, name] of content.matchAll(XOBJECT_USE)) {
+      const ref = xobjects[name];
+      const xobject = this.resolve(ref);
+      if (!(xobject instanceof PdfStream)) continue;
+
+      if (xobject.dict.Subtype === 'Image') {
+        result.images = true;
+      } else if (xobject.dict.Subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+        const key = ref instanceof PdfRef ? ref.num : null;
+        let form = key !== null ? formCache.get(key) : undefined;
+        if (!form) {
+          form = this.scanContent(xobject, xobject.dict.Resources || resources, fonts, formCache, depth + 1);
+          if (key !== null) formCache.set(key, form);
+        }
+        result.text ||= form.text;
+        result.images ||= form.images;
+        result.readable &&= form.readable;
+      }
+    }
+
+    return result;
+  }
+
+  collectFonts(resources, fonts) {
+    const fontDict = this.resolve(resources.Font) || {};
+
+    for (const [resourceName, ref] of Object.entries(fontDict)) {
+      const key = ref instanceof PdfRef ? `ref:${ref.num}` : `name:${resourceName}`;
+      if (fonts.has(key)) continue;
+
+      const font = this.resolve(ref);
+      if (!font || typeof font !== 'object') continue;
+
+      const descendant = font.Subtype === 'Type0' ? this.resolve((this.resolve(font.DescendantFonts) || [])[0]) : null;
+      const descriptor = this.resolve((descendant || font).FontDescriptor);
+      const baseFont = String(this.resolve(font.BaseFont) || this.resolve(descriptor?.FontName) || resourceName);
+
+      fonts.set(key, {
+        name: baseFont.replace(/^[A-Z]{6}\+/, ''),
+        type: font.Subtype || 'Unknown',
+        // Type 3 glyphs are drawn by content streams inside the file
+        embedded: font.Subtype === 'Type3' || Boolean(descriptor && (descriptor.FontFile || descriptor.FontFile2 || descriptor.FontFile3)),
+        subset: /^[A-Z]{6}\+/.test(baseFont)
+      });
+    }
+  }
+
+  // === METADATA ===
+
+  decodeText(value) {
+    const resolved = this.resolve(value);
+    if (!Buffer.isBuffer(resolved)) return typeof resolved === 'string' ? resolved : null;
+
+    if (resolved[0] === 0xfe && resolved[1] === 0xff) {
+      const body = Buffer.from(resolved.subarray(2, resolved.length - (resolved.length % 2)));
+      return body.swap16().toString('utf16le');
+    }
+    if (resolved[0] === 0xef && resolved[1] === 0xbb && resolved[2] === 0xbf) return resolved.subarray(3).toString('utf8');
+    return resolved.toString('latin1');
+  }
+
+  /**
+   * "D:20240115093000+01'00'" → ISO 8601
+   */
+  decodeDate(value) {
+    const text = this.decodeText(value);
+    const match = text?.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+    if (!match) return text;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+    const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(3).replace(/'/g, '') || '00'}`;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString();
+  }
+
+  metadataXml() {
+    const metadata = this.resolve(this.catalog?.Metadata);
+    if (!(metadata instanceof PdfStream)) return null;
+    return this.decodeStream(metadata)?.toString('utf8') || null;
+  }
+}
+
+// === READER ===
+
+export class PdfReader {
+  /**
+   * Structure report for a PDF, or null when the file is not a PDF
+   * @param {string} filePath
+   */
+  async inspect(filePath) {
+    const { size } = await stat(filePath);
+    if (size > MAX_PDF_BYTES) {
+      throw new SubmititError(`${filePath} is too large to inspect (${Math.round(size / 1024 / 1024)}MB)`, 'PDF_UNREADABLE', { filePath, size });
+    }
+
+    const buffer = await readFile(filePath);
+    return this.inspectBuffer(buffer, filePath);
+  }
+
+  inspectBuffer(buffer, label = 'PDF') {
+    if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) return null;
+
+    const document = new PdfDocument(buffer);
+    if (!document.catalog || typeof document.catalog !== 'object') {
+      throw new SubmititError(`Cannot read the structure of ${label}: no document catalog`, 'PDF_UNREADABLE', { label });
+    }
+
+    const pages = document.pages();
+    const fonts = new Map();
+    const formCache = new Map();
+    const pagesWithText = [];
+    const imageOnlyPages = [];
+    let readable = true;
+
+    pages.forEach((page, index) => {
+      const content = document.scanContent(page.node.Contents, page.Resources, fonts, formCache);
+      readable &&= content.readable;
+      if (content.text) pagesWithText.push(index + 1);
+      else if (content.images) imageOnlyPages.push(index + 1);
+    });
+
+    const fontList = [...fonts.values()];
+    const encryption = this.describeEncryption(document);
+    const report = {
+      version: document.version,
+      pages: pages.length,
+      pageSizes: this.groupPageSizes(pages.map(page => document.pageSize(page))),
+      text: {
+        // Unknown when the page content could not be decrypted or decoded
+        present: pagesWithText.length > 0 ? true : readable ? false : null,
+        pagesWithText: pagesWithText.length,
+        imageOnlyPages
+      },
+      fonts: fontList,
+      unembeddedFonts: [...new Set(fontList.filter(font => !font.embedded).map(font => font.name))],
+      encryption,
+      tagged: document.resolve(document.resolve(document.catalog.MarkInfo)?.Marked) === true,
+      info: this.describeInfo(document),
+      repaired: document.repaired
+    };
+
+    report.pdfa = this.describePdfA(document, report);
+    return report;
+  }
+
+  groupPageSizes(sizes) {
+    const groups = new Map();
+
+    for (const { width, height } of sizes) {
+      const key = `${width}x${height}`;
+      if (!groups.has(key)) {
+        groups.set(key, { width, height, name: this.pageSizeName(width, height), orientation: width > height ? 'landscape' : 'portrait', count: 0 });
+      }
+      groups.get(key).count++;
+    }
+
+    return [...groups.values()];
+  }
+
+  pageSizeName(width, height) {
+    const [short, long] = [Math.min(width, height), Math.max(width, height)];
+    const match = Object.entries(PAGE_SIZES).find(([, [w, h]]) => Math.abs(short - w) <= PAGE_SIZE_TOLERANCE && Math.abs(long - h) <= PAGE_SIZE_TOLERANCE);
+    return match ? match[0] : null;
+  }
+
+  describeEncryption(document) {
+    const { security } = document;
+    if (!security) return { encrypted: false, permissions: null };
+
+    return {
+      encrypted: true,
+      handler: security.filter,
+      version: security.version,
+      revision: security.revision,
+      algorithm: { rc4: `RC4 ${security.keyLength * 8}-bit`, aes128: 'AES-128', aes256: 'AES-256', none: 'none' }[security.streamMethod],
+      // False when a password is needed to open the file
+      opensWithoutPassword: security.readable,
+      permissions: security.permissions
+    };
+  }
+
+  describeInfo(document) {
+    // Strings of a password-protected file cannot be decrypted
+    const locked = document.security && !document.security.readable;
+    const info = (!locked && document.resolve(document.trailer.Info)) || {};
+    return {
+      title: document.decodeText(info.Title),
+      author: document.decodeText(info.Author),
+      subject: document.decodeText(info.Subject),
+      keywords: document.decodeText(info.Keywords),
+      creator: document.decodeText(info.Creator),
+      producer: document.decodeText(info.Producer),
+      created: info.CreationDate ? document.decodeDate(info.CreationDate) : null,
+      modified: info.ModDate ? document.decodeDate(info.ModDate) : null
+    };
+  }
+
+  /**
+   * PDF/A identification from the XMP metadata, and the requirements a
+   * structure read can check. Not a substitute for a full validator such as veraPDF.
+   */
+  describePdfA(document, report) {
+    const xml = document.metadataXml() || '';
+    const field = name => xml.match(new RegExp(`pdfaid:${name}\\s*=\\s*["']([^"']+)["']|<pdfaid:${name}>([^<]+)</pdfaid:${name}>`));
+    const part = field('part');
+    const conformance = field('conformance');
+
+    const outputIntents = (document.resolve(document.catalog.OutputIntents) || []).map(intent => document.resolve(document.resolve(intent)?.S));
+    const result = {
+      claimed: Boolean(part),
+      part: part ? Number(part[1] || part[2]) : null,
+      conformance: conformance ? (conformance[1] || conformance[2]).trim().toUpperCase() : null,
+      outputIntent: outputIntents.includes('GTS_PDFA1'),
+      issues: []
+    };
+
+    if (!result.claimed) return result;
+
+    if (report.encryption.encrypted) result.issues.push('PDF/A files must not be encrypted');
+    if (report.unembeddedFonts.length > 0) result.issues.push(`Fonts not embedded: ${report.unembeddedFonts.join(', ')}`);
+    if (!result.outputIntent) result.issues.push('No PDF/A output intent (ICC colour profile)');
+    if (result.conformance === 'A' && !report.tagged) result.issues.push('Level A conformance requires a tagged PDF');
+    if (result.part === 1 && document.version > '1.4') result.issues.push(`PDF/A-1 is based on PDF 1.4, but the file is PDF ${document.version}`);
+
+    return result;
+  }
+}
+
+export default PdfReader;
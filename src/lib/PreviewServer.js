@@ -0,0 +1,371 @@
+/**
+ * Preview Server - In-process HTTP server for the generated site
+ *
+ * Serves a StaticSiteBuilder directory with Node's http module, so previews
+ * work offline without Astro or any other CLI. HTML pages get a small
+ * live-reload client that listens for Server-Sent Events; connect a
+ * HotReloadPreviewSystem with watch() and every batch of file changes
+ * rebuilds the site and reloads open pages.
+ *
+ * Endpoints under /__submitit/ are reserved for the client and its events.
+ *
+ * Events:
+ *   update  {version, styles, assets, content} - names under content/; the
+ *           page swaps matching stylesheets, cache-busts matching assets
+ *           and re-renders the role sections showing changed files
+ *   reload  {files} - anything else; the page reloads at the same scroll
+ *           position
+ */
+
+import { createServer } from 'http';
+import { readFile, stat } from 'fs/promises';
+import { extname, join, normalize, resolve, sep } from 'path';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+export const LIVE_RELOAD_PATH = '/__submitit/live-reload.js';
+export const EVENTS_PATH = '/__submitit/events';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg'
+};
+
+// EventSource reconnects on its own, so the client only has to act on events.
+// A lightbox is open while its id is the URL fragment; a re-rendered one no
+// longer matches :target, so it is marked open until the fragment changes.
+const LIVE_RELOAD_CLIENT = `(() => {
+  const scrollKey = 'submitit-scroll:' + location.pathname;
+  const fileUrl = name => 'files/' + name.split('/').map(encodeURIComponent).join('/');
+  const isFile = (value, name) => value !== null && value.split('?')[0] === fileUrl(name);
+  const versioned = (value, version) => value.split('?')[0] + '?v=' + version;
+
+  const reload = () => {
+    sessionStorage.setItem(scrollKey, JSON.stringify([scrollX, scrollY]));
+    location.reload();
+  };
+
+  const saved = sessionStorage.getItem(scrollKey);
+  if (saved) {
+    sessionStorage.removeItem(scrollKey);
+    addEventListener('load', () => scrollTo(...JSON.parse(saved)));
+  }
+
+  const reopenLightbox = () => {
+    const lightbox = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+    if (lightbox && lightbox.classList.contains('lightbox')) lightbox.classList.add('is-open');
+  };
+  addEventListener('hashchange', () => {
+    for (const lightbox of document.querySelectorAll('.lightbox.is-open')) lightbox.classList.remove('is-open');
+  });
+
+  // The old stylesheet stays until the new one loads, so nothing flashes
+  const swapStylesheets = (names, version) => {
+    for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+      if (!names.some(name => isFile(link.getAttribute('href'), name))) continue;
+      const next = link.cloneNode();
+      next.setAttribute('href', versioned(link.getAttribute('href'), version));
+      next.addEventListener('load', () => link.remove());
+      next.addEventListener('error', () => link.remove());
+      link.after(next);
+    }
+  };
+
+  const bustAssets = (names, version) => {
+    for (const element of document.querySelectorAll('[src], a[href]')) {
+      const attribute = element.hasAttribute('src') ? 'src' : 'href';
+      if (names.some(name => isFile(element.getAttribute(attribute), name))) {
+        element.setAttribute(attribute, versioned(element.getAttribute(attribute), version));
+      }
+    }
+  };
+
+  const renderSections = async names => {
+    const sections = new Set();
+    for (const element of document.querySelectorAll('[data-file]')) {
+      const section = names.includes(element.dataset.file) && element.closest('[data-role]');
+      if (section) sections.add(section);
+    }
+    if (sections.size === 0) return;
+
+    const response = await fetch(location.pathname, { cache: 'no-store' });
+    if (!response.ok) return reload();
+    const fresh = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const replacements = [...sections].map(section =>
+      [section, fresh.querySelector('[data-role="' + CSS.escape(section.dataset.role) + '"]')]);
+    if (replacements.some(([, replacement]) => !replacement)) return reload();
+
+    const [x, y] = [scrollX, scrollY];
+    for (const [section, replacement] of replacements) section.replaceWith(document.adoptNode(replacement));
+    scrollTo(x, y);
+    reopenLightbox();
+  };
+
+  const events = new EventSource('${EVENTS_PATH}');
+  events.addEventListener('reload', reload);
+  events.addEventListener('update', async event => {
+    const { version, styles, assets, content } = JSON.parse(event.data);
+    // Responsive pictures get new copies at new URLs, so their sections are rendered again
+    const pictures = assets.filter(name => document.querySelector('[data-file="' + CSS.escape(name) + '"] picture'));
+    try {
+      swapStylesheets(styles, version);
+      await renderSections([...styles, ...content, ...pictures]);
+      bustAssets(assets, version);
+    } catch (error) {
+      reload();
+    }
+  });
+})();
+`;
+
+// Comment lines keep idle event streams open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+export class PreviewServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory to serve
+   * @param {string} [options.host] - Interface to bind (default: localhost)
+   * @param {number} [options.port] - First port to try (default: 4321; 0 picks any free port)
+   * @param {number} [options.portAttempts] - How many ports to try, counting up (default: 20)
+   */
+  constructor(options = {}) {
+    this.root = resolve(options.root);
+    this.host = options.host || 'localhost';
+    this.port = options.port ?? 4321;
+    this.portAttempts = options.portAttempts || 20;
+    this.server = null;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.unwatch = null;
+  }
+
+  // === LIFECYCLE ===
+
+  /**
+   * Listen on the first free port from options.port upwards
+   * @returns {Promise<{url: string, host: string, port: number}>}
+   */
+  async start() {
+    if (this.server) {
+      return this.address();
+    }
+
+    const lastPort = this.port === 0 ? 0 : this.port + this.portAttempts - 1;
+    for (let port = this.port; port <= lastPort; port++) {
+      const server = createServer((request, response) => this.handle(request, response));
+      try {
+        await new Promise((resolvePromise, reject) => {
+          server.once('error', reject);
+          server.listen(port, this.host, () => {
+            server.off('error', reject);
+            resolvePromise();
+          });
+        });
+        this.server = server;
+        break;
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE') throw error;
+      }
+    }
+
+    if (!this.server) {
+      throw new SubmititError(
+        `No free port for the preview between ${this.port} and ${lastPort}`,
+        'PREVIEW_PORT_UNAVAILABLE',
+        { host: this.host, port: this.port, attempts: this.portAttempts }
+      );
+    }
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) client.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+
+    return this.address();
+  }
+
+  address() {
+    const { port } = this.server.address();
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return { url: `http://${host}:${port}/`, host: this.host, port };
+  }
+
+  /**
+   * Close event streams and open connections, then the server
+   */
+  async stop() {
+    this.unwatch?.();
+    this.unwatch = null;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    for (const client of this.clients) client.end();
+    this.clients.clear();
+
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolvePromise => {
+      server.close(() => resolvePromise());
+      server.closeAllConnections();
+    });
+  }
+
+  // === LIVE RELOAD ===
+
+  /**
+   * Send an event to every open page
+   * @param {string} event - Event name the client listens for
+   * @param {Object} [data]
+   */
+  broadcast(event, data = {}) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of this.clients) client.write(message);
+  }
+
+  /**
+   * Rebuild after each batch of changes HotReloadPreviewSystem reports, then
+   * update open pages. A failed rebuild leaves the pages as they are.
+   * @param {import('./HotReloadPreviewSystem.js').HotReloadPreviewSystem} hotReload
+   * @param {(changes: Object) => Promise<unknown>} rebuild - Receives the batch's preview updates
+   * @param {{onError?: (error: Error) => void}} [options]
+   */
+  watch(hotReload, rebuild, options = {}) {
+    let pending = Promise.resolve();
+
+    const onBatch = ({ previewUpdates }) => {
+      if (!previewUpdates?.affectedFiles?.length) return;
+
+      // Batches are applied in order, one rebuild at a time
+      pending = pending.then(async () => {
+        try {
+          await rebuild(previewUpdates);
+          const { event, data } = this.describeUpdate(previewUpdates);
+          this.broadcast(event, data);
+        } catch (error) {
+          options.onError?.(error);
+        }
+      });
+    };
+
+    hotReload.on('hot-reload-complete', onBatch);
+    this.unwatch = () => hotReload.off('hot-reload-complete', onBatch);
+  }
+
+  /**
+   * Client event for a batch: an in-place update when HotReloadPreviewSystem
+   * could hot reload every change, otherwise a full reload
+   * @param {Object} previewUpdates - From a 'hot-reload-complete' event
+   * @returns {{event: string, data: Object}}
+   */
+  describeUpdate(previewUpdates) {
+    if (previewUpdates.type !== 'hot-reload') {
+      return { event: 'reload', data: { files: previewUpdates.affectedFiles } };
+    }
+
+    const data = { version: previewUpdates.timestamp || Date.now(), styles: [], assets: [], content: [] };
+    const lists = { 'style-update': data.styles, 'asset-update': data.assets, 'content-update': data.content };
+    for (const change of previewUpdates.previewData?.changes || []) {
+      lists[change.type]?.push(change.name);
+    }
+    return { event: 'update', data };
+  }
+
+  // === REQUESTS ===
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://preview');
+
+    if (url.pathname === EVENTS_PATH) {
+      return this.openEventStream(request, response);
+    }
+    if (url.pathname === LIVE_RELOAD_PATH) {
+      return this.send(response, 200, CONTENT_TYPES['.js'], LIVE_RELOAD_CLIENT);
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return this.send(response, 405, CONTENT_TYPES['.txt'], 'Method not allowed');
+    }
+
+    const filePath = this.resolvePath(url.pathname);
+    if (!filePath) {
+      return this.send(response, 403, CONTENT_TYPES['.txt'], 'Forbidden');
+    }
+
+    let body;
+    try {
+      const target = (await stat(filePath)).isDirectory() ? join(filePath, 'index.html') : filePath;
+      body = await readFile(target);
+      if (extname(target) === '.html') {
+        body = this.injectClient(body.toString('utf8'));
+      }
+      const type = CONTENT_TYPES[extname(target).toLowerCase()] || 'application/octet-stream';
+      return this.send(response, 200, type, request.method === 'HEAD' ? null : body, Buffer.byteLength(body));
+    } catch (error) {
+      return this.send(response, 404, CONTENT_TYPES['.txt'], 'Not found');
+    }
+  }
+
+  /**
+   * File for a URL path, or null when it would leave the site directory
+   */
+  resolvePath(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      return null;
+    }
+    if (decoded.includes('\0')) return null;
+
+    const filePath = normalize(join(this.root, decoded));
+    return filePath === this.root || filePath.startsWith(this.root + sep) ? filePath : null;
+  }
+
+  /**
+   * Add the live-reload client before </body>, or at the end without one
+   */
+  injectClient(html) {
+    const tag = `<script src="${LIVE_RELOAD_PATH}"></script>`;
+    const index = html.lastIndexOf('</body>');
+    return index === -1 ? html + tag : `${html.slice(0, index)}${tag}\n${html.slice(index)}`;
+  }
+
+  openEventStream(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    response.write(': connected\n\n');
+
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+
+  send(response, status, type, body, length = body === null ? 0 : Buffer.byteLength(body)) {
+    // Pages change on every rebuild, so nothing is cached
+    response.writeHead(status, { 'Content-Type': type, 'Content-Length': length, 'Cache-Control': 'no-store' });
+    response.end(body ?? undefined);
+  }
+}
+
+export default PreviewServer;
@@ -0,0 +1,779 @@
+/**
+ * Privacy Scrubber - Personal metadata found and removed before files leave the project
+ *
+ * Photos carry GPS coordinates, camera serial numbers and owner names in EXIF,
+ * XMP and IPTC; PDFs and Office documents name their authors and keep revision
+ * counts and tracked-change authors. scan() reports what a file gives away;
+ * scrub() writes a sanitized copy and never modifies the original.
+ *
+ * JPEG, HEIC and PDF are redacted in place: values are overwritten with blanks
+ * of the same length, so every offset in the file stays valid and nothing else
+ * changes (orientation, colour profiles, fonts). PNG chunks and Office
+ * document entries are rewritten.
+ */
+
+import { open, readFile, writeFile } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { deflateSync, inflateSync } from 'zlib';
+import archiver from 'archiver';
+import CRC32 from 'crc-32';
+import { ArchiveReader } from './ArchiveReader.js';
+import { FileSignatures, ZIP_TAIL_BYTES } from './FileSignatures.js';
+import { writeSubstitutes } from './SubstituteFiles.js';
+
+export const PRIVACY_CATEGORIES = {
+  location: 'Location',
+  device: 'Device serial',
+  identity: 'Personal name',
+  history: 'Revision history'
+};
+
+// EXIF tags by IFD: [category, name], or the sub-IFD a pointer leads to
+const EXIF_TAGS = {
+  ifd0: {
+    0x013b: ['identity', 'Artist'],
+    0x9c9d: ['identity', 'XPAuthor'],
+    0x8769: 'exif',
+    0x8825: 'gps'
+  },
+  exif: {
+    0xa430: ['identity', 'CameraOwnerName'],
+    0xa431: ['device', 'BodySerialNumber'],
+    0xa435: ['device', 'LensSerialNumber'],
+    0x927c: ['device', 'MakerNote']
+  }
+};
+
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const XMP_PROPERTIES = [
+  ['location', 'exif:GPSLatitude'],
+  ['location', 'exif:GPSLongitude'],
+  ['location', 'exif:GPSAltitude'],
+  ['device', 'aux:SerialNumber'],
+  ['device', 'aux:LensSerialNumber'],
+  ['device', 'exifEX:BodySerialNumber'],
+  ['device', 'exifEX:LensSerialNumber'],
+  ['identity', 'aux:OwnerName'],
+  ['identity', 'exifEX:CameraOwnerName'],
+  ['identity', 'dc:creator'],
+  ['identity', 'pdf:Author'],
+  ['identity', 'xmpRights:Owner'],
+  ['identity', 'photoshop:AuthorsPosition'],
+  ['identity', 'Iptc4xmpCore:CreatorContactInfo'],
+  ['history', 'xmpMM:History']
+];
+
+// IPTC datasets in record 2 that name people
+const IPTC_DATASETS = { 80: 'By-line', 85: 'By-line Title', 122: 'Writer-Editor' };
+
+// What scrubbed Office documents name comment and revision authors
+const ANONYMOUS_AUTHOR = 'Author';
+
+// Office XML: elements whose text, and attributes whose values, identify people
+const OFFICE_ELEMENTS = [
+  ['identity', 'dc:creator', ''],
+  ['identity', 'cp:lastModifiedBy', ''],
+  ['identity', 'Company', ''],
+  ['identity', 'Manager', ''],
+  ['identity', 'author', ANONYMOUS_AUTHOR],
+  ['history', 'cp:revision', '1']
+];
+const OFFICE_ATTRIBUTES = [
+  ['w:author', ANONYMOUS_AUTHOR],
+  ['w15:author', ANONYMOUS_AUTHOR],
+  ['w:initials', 'A'],
+  ['w15:userId', ''],
+  ['w15:providerId', 'None']
+];
+// Comment author lists (PowerPoint, Excel persons) name people in plain attributes
+const AUTHOR_LIST_ATTRIBUTES = [
+  ['name', ANONYMOUS_AUTHOR],
+  ['displayName', ANONYMOUS_AUTHOR],
+  ['initials', 'A'],
+  ['userId', ''],
+  ['providerId', 'None']
+];
+const AUTHOR_LISTS = /(commentAuthors|authors|persons\/person)\.xml$/;
+const OFFICE_XML_ENTRY = /^(docProps\/(core|app)\.xml|word\/(document|comments\w*|people|footnotes|endnotes|header\d*|footer\d*)\.xml|xl\/(comments\d*\.xml|persons\/person\.xml|threadedComments\/\w+\.xml)|ppt\/(commentAuthors\.xml|comments\/\w+\.xml|authors\.xml))$/;
+
+export class PrivacyScrubber {
+  constructor() {
+    this.signatures = new FileSignatures();
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Report the personal metadata a file carries
+   * @returns {Promise<{format: string|null, findings: Array<{category: string, field: string, value: string}>}>}
+   */
+  async scan(filePath) {
+    const { format, findings } = await this.inspect(filePath);
+    return { format, findings: findings.map(({ redactions, ...finding }) => finding) };
+  }
+
+  /**
+   * Write a sanitized copy of filePath to outputPath
+   * @returns {Promise<{format: string|null, path: string, removed: Array<Object>}>}
+   */
+  async scrub(filePath, outputPath) {
+    const inspection = await this.inspect(filePath);
+    const removed = inspection.findings
+      .filter(finding => finding.scrubbable !== false)
+      .map(({ redactions, ...finding }) => finding);
+
+    if (inspection.format === 'office') {
+      await this.rewriteOffice(filePath, outputPath);
+    } else if (inspection.format === 'png') {
+      await writeFile(outputPath, this.rewritePng(inspection.buffer));
+    } else {
+      const output = Buffer.from(inspection.buffer || await readFile(filePath));
+      for (const finding of inspection.findings) {
+        for (const { offset, data } of finding.redactions || []) {
+          data.copy(output, offset);
+        }
+      }
+      await writeFile(outputPath, output);
+    }
+
+    return { format: inspection.format, path: outputPath, removed };
+  }
+
+  /**
+   * Sanitized copies of the files that need them, for an export
+   * @param {Array<{name: string, sourcePath: string}>} files
+   * @param {string} outputDir - Where the copies go (a temporary directory)
+   * @returns {Promise<{substitutes: Map<string, string>, report: Array<{name: string, removed: Array<Object>}>}>}
+   */
+  async scrubFiles(files, outputDir) {
+    // A file that cannot be scrubbed fails the export rather than being packaged with its metadata
+    const { substitutes, report } = await writeSubstitutes(files, outputDir, async (file, outputPath) => {
+      const { findings } = await this.scan(file.sourcePath);
+      if (findings.length === 0) return null;
+
+      const { removed } = await this.scrub(file.sourcePath, outputPath);
+      return { removed };
+    });
+
+    return { substitutes, report };
+  }
+
+  describe(finding) {
+    return `${PRIVACY_CATEGORIES[finding.category]}: ${finding.field}${finding.value ? ` = ${finding.value}` : ''}`;
+  }
+
+  // === DETECTION ===
+
+  /**
+   * Identify the format from the head (and ZIP tail) before reading the whole
+   * file, so videos and archives are never loaded into memory
+   */
+  async inspect(filePath) {
+    const mimeType = await this.identify(filePath);
+    const format = this.formatFor(mimeType);
+
+    if (format === 'office') return { format, findings: await this.scanOffice(filePath) };
+    if (!format) return { format, findings: [] };
+
+    const buffer = await readFile(filePath);
+    const scanners = { jpeg: this.scanJpeg, png: this.scanPng, heic: this.scanHeic, pdf: this.scanPdf };
+    return { format, buffer, findings: scanners[format].call(this, buffer) };
+  }
+
+  async identify(filePath) {
+    const handle = await open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const head = Buffer.alloc(Math.min(size, 8192));
+      await handle.read(head, 0, head.length, 0);
+
+      const tailLength = Math.min(size, ZIP_TAIL_BYTES);
+      const tail = Buffer.alloc(tailLength);
+      await handle.read(tail, 0, tailLength, size - tailLength);
+
+      return this.signatures.identify(head, { tail })?.mimeType || null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  formatFor(mimeType) {
+    if (mimeType === 'image/jpeg') return 'jpeg';
+    if (mimeType === 'image/png') return 'png';
+    if (['image/heic', 'image/heif', 'image/avif'].includes(mimeType)) return 'heic';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType?.startsWith('application/vnd.openxmlformats-officedocument.')) return 'office';
+    return null;
+  }
+
+  scanJpeg(buffer) {
+    const findings = [];
+    let position = 2;
+
+    while (position + 4 <= buffer.length && buffer[position] === 0xff) {
+      const marker = buffer[position + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8) || marker === 0xff) {
+        position += marker === 0xff ? 1 : 2;
+        continue;
+      }
+
+      const length = buffer.readUInt16BE(position + 2);
+      const start = position + 4;
+      const end = Math.min(position + 2 + length, buffer.length);
+
+      if (marker === 0xe1 && buffer.toString('latin1', start, start + 6) === 'Exif\x00\x00') {
+        findings.push(...this.scanExif(buffer, start + 6, end));
+      } else if (marker === 0xe1 && buffer.toString('latin1', start, start + 29) === 'http://ns.adobe.com/xap/1.0/\x00') {
+        findings.push(...this.scanXmp(buffer, start + 29, end));
+      } else if (marker === 0xed) {
+        findings.push(...this.scanIptc(buffer, start, end));
+      }
+
+      position += 2 + length;
+    }
+
+    return findings;
+  }
+
+  scanPng(buffer) {
+    const findings = [];
+
+    for (const chunk of this.pngChunks(buffer)) {
+      if (chunk.type === 'eXIf') {
+        findings.push(...this.scanExif(buffer, chunk.start, chunk.end));
+      } else if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) {
+        const { keyword, text } = this.readPngText(buffer.subarray(chunk.start, chunk.end), chunk.type);
+        if (keyword === 'XML:com.adobe.xmp') {
+          findings.push(...this.scanXmp(Buffer.from(text, 'utf8'), 0, Buffer.byteLength(text)).map(this.withoutRedactions));
+        } else if (/^(Author|Artist|Owner|Creator)$/i.test(keyword)) {
+          findings.push({ category: 'identity', field: `PNG ${keyword}`, value: this.summarize(text) });
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * HEIC and AVIF keep EXIF and XMP as items in the meta box, located through iloc
+   */
+  scanHeic(buffer) {
+    const findings = [];
+    const meta = this.isoBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta');
+    if (!meta) return findings;
+
+    // meta is a full box: version and flags come before its children
+    const children = this.isoBoxes(buffer, meta.start + 4, meta.end);
+    const items = this.readHeifItems(buffer, children.find(box => box.type === 'iinf'));
+    const locations = this.readHeifLocations(buffer, children.find(box => box.type === 'iloc'));
+
+    for (const item of items) {
+      const location = locations.get(item.id);
+      if (!location) continue;
+
+      if (item.type === 'Exif') {
+        const tiffStart = location.offset + 4 + buffer.readUInt32BE(location.offset);
+        findings.push(...this.scanExif(buffer, tiffStart, location.offset + location.length));
+      } else if (item.type === 'mime' && /rdf\+xml|xmp/i.test(item.contentType || '')) {
+        findings.push(...this.scanXmp(buffer, location.offset, location.offset + location.length));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Info dictionary /Author entries (including those left by incremental
+   * updates) and XMP metadata, plain or inside Flate-compressed metadata and
+   * object streams
+   */
+  scanPdf(buffer) {
+    const findings = [];
+    const text = buffer.toString('latin1');
+
+    for (const match of text.matchAll(/\/Author\s*([(<])/g)) {
+      const start = match.index + match[0].length - 1;
+      const end = this.pdfStringEnd(text, start);
+      if (end < 0) continue;
+
+      const value = this.decodePdfString(text.slice(start, end + 1)).trim();
+      if (!value) continue;
+      findings.push({
+        category: 'identity',
+        field: 'PDF Author',
+        value: this.summarize(value),
+        redactions: [{ offset: start + 1, data: this.blankPdfString(text.slice(start + 1, end), match[1]) }]
+      });
+    }
+
+    for (const match of text.matchAll(/<x:xmpmeta[\s\S]*?<\/x:xmpmeta>/g)) {
+      findings.push(...this.scanXmp(buffer, match.index, match.index + match[0].length));
+    }
+
+    // Compressed streams: blank the inflated content, recompress and pad to the original length
+    for (const match of text.matchAll(/\bobj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g)) {
+      const [, dictionary] = match;
+      const kind = dictionary.match(/\/Type\s*\/(Metadata|ObjStm)\b/)?.[1];
+      if (!kind || !/\/FlateDecode/.test(dictionary)) continue;
+
+      const dataStart = match.index + match[0].length;
+      const dataEnd = text.indexOf('endstream', dataStart);
+      if (dataEnd < 0) continue;
+
+      const inflated = this.inflateSafely(buffer.subarray(dataStart, dataEnd));
+      const inner = kind === 'Metadata' ? this.scanXmp(inflated, 0, inflated.length) : this.scanPdf(inflated);
+      if (inner.length === 0) continue;
+
+      const blanked = Buffer.from(inflated);
+      inner.forEach(finding => finding.redactions.forEach(({ offset, data }) => data.copy(blanked, offset)));
+      const recompressed = deflateSync(blanked, { level: 9 });
+
+      // Readers stop at the end of the zlib stream, so zero padding after it is ignored
+      const fits = recompressed.length <= dataEnd - dataStart;
+      const redaction = { offset: dataStart, data: Buffer.concat([recompressed, Buffer.alloc(Math.max(0, dataEnd - dataStart - recompressed.length))]) };
+      findings.push(...inner.map(({ redactions, ...finding }, index) => (fits
+        ? { ...finding, redactions: index === 0 ? [redaction] : [] }
+        : { ...finding, redactions: [], scrubbable: false })));
+    }
+
+    return findings;
+  }
+
+  async scanOffice(filePath) {
+    const findings = [];
+
+    const reader = new ArchiveReader(filePath);
+
+    for await (const entry of reader.entries()) {
+      if (entry.type !== 'file' || !OFFICE_XML_ENTRY.test(entry.name)) continue;
+
+      const xml = (await reader.collect(entry.stream)).toString('utf8');
+      findings.push(...this.scanOfficeXml(entry.name, xml));
+    }
+
+    return findings;
+  }
+
+  scanOfficeXml(name, xml) {
+    const findings = [];
+
+    for (const [category, element] of OFFICE_ELEMENTS) {
+      for (const match of xml.matchAll(new RegExp(`<${element}(?:\\s[^>]*)?>([^<]+)</${element}>`, 'g'))) {
+        if (element === 'cp:revision' && Number(match[1]) <= 1) continue;
+        findings.push({ category, field: `${element} (${name})`, value: this.summarize(match[1]) });
+      }
+    }
+
+    // Tracked changes and comments repeat their author on every element; report each person once
+    const names = new Map();
+    const attributes = AUTHOR_LISTS.test(name) ? ['name', 'displayName'] : ['w:author', 'w15:author'];
+    for (const attribute of attributes) {
+      for (const match of xml.matchAll(new RegExp(`\\s${attribute}="([^"]+)"`, 'g'))) {
+        if (match[1] === ANONYMOUS_AUTHOR) continue;
+        names.set(match[1], (names.get(match[1]) || 0) + 1);
+      }
+    }
+
+    // In the document body an author attribute belongs to a tracked change; elsewhere to a comment
+    const tracked = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/.test(name);
+    for (const [person, count] of names) {
+      findings.push({
+        category: tracked ? 'history' : 'identity',
+        field: `${tracked ? 'Tracked change author' : 'Comment author'} (${name})`,
+        value: `${this.summarize(person)}${count > 1 ? ` ×${count}` : ''}`
+      });
+    }
+
+    return findings;
+  }
+
+  // === EXIF, XMP AND IPTC ===
+
+  /**
+   * Walk IFD0, the EXIF sub-IFD and the GPS IFD of a TIFF structure
+   */
+  scanExif(buffer, start, end) {
+    const findings = [];
+    if (end - start < 8) return findings;
+
+    const little = buffer.toString('latin1', start, start + 2) === 'II';
+    const u16 = offset => (little ? buffer.readUInt16LE(start + offset) : buffer.readUInt16BE(start + offset));
+    const u32 = offset => (little ? buffer.readUInt32LE(start + offset) : buffer.readUInt32BE(start + offset));
+
+    const readIfd = offset => {
+      if (offset < 8 || start + offset + 2 > end) return [];
+      const count = u16(offset);
+      if (start + offset + 2 + count * 12 > end) return [];
+
+      return Array.from({ length: count }, (_, index) => {
+        const entry = offset + 2 + index * 12;
+        const size = (EXIF_TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+        const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+        return { tag: u16(entry), type: u16(entry + 2), count: u32(entry + 4), size, entry, valueOffset };
+      }).filter(field => start + field.valueOffset + field.size <= end);
+    };
+
+    const readValue = field => {
+      const bytes = buffer.subarray(start + field.valueOffset, start + field.valueOffset + field.size);
+      if (field.tag === 0x9c9d) return bytes.toString('utf16le').replace(/\0+$/, '');
+      if (field.type === 2) return bytes.toString('utf8').replace(/\0+$/, '').trim();
+      return `${field.size} bytes`;
+    };
+
+    const blank = (offset, length) => ({ offset: start + offset, data: Buffer.alloc(length) });
+
+    const visit = (offset, tags) => {
+      for (const field of readIfd(offset)) {
+        const rule = tags[field.tag];
+        if (rule === 'exif') {
+          visit(u32(field.entry + 8), EXIF_TAGS.exif);
+        } else if (rule === 'gps') {
+          findings.push(...this.scanGps(u32(field.entry + 8), readIfd, u16, u32, blank, buffer, start));
+        } else if (rule) {
+          const value = readValue(field);
+          if (!value) continue;
+          findings.push({ category: rule[0], field: `EXIF ${rule[1]}`, value: this.summarize(value), redactions: [blank(field.valueOffset, field.size)] });
+        }
+      }
+    };
+
+    visit(u32(4), EXIF_TAGS.ifd0);
+    return findings;
+  }
+
+  /**
+   * The whole GPS IFD is emptied: entry count zero, entries and values blanked
+   */
+  scanGps(offset, readIfd, u16, u32, blank, buffer, start) {
+    const fields = readIfd(offset);
+    if (fields.length === 0) return [];
+
+    const coordinate = (valueTag, refTag) => {
+      const field = fields.find(f => f.tag === valueTag && f.type === 5 && f.count === 3);
+      const ref = fields.find(f => f.tag === refTag);
+      if (!field) return null;
+
+      const [degrees, minutes, seconds] = [0, 1, 2].map(index => {
+        const denominator = u32(field.valueOffset + index * 8 + 4);
+        return denominator ? u32(field.valueOffset + index * 8) / denominator : 0;
+      });
+      const sign = ref && /[SW]/.test(String.fromCharCode(buffer[start + ref.valueOffset])) ? -1 : 1;
+      return sign * (degrees + minutes / 60 + seconds / 3600);
+    };
+
+    const latitude = coordinate(2, 1);
+    const longitude = coordinate(4, 3);
+
+    return [{
+      category: 'location',
+      field: 'EXIF GPS',
+      value: latitude !== null && longitude !== null
+        ? `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`
+        : `${fields.length} GPS tag(s)`,
+      redactions: [
+        blank(offset, 2 + fields.length * 12 + 4),
+        ...fields.filter(field => field.size > 4).map(field => blank(field.valueOffset, field.size))
+      ]
+    }];
+  }
+
+  /**
+   * XMP properties in attribute (prop="…") or element (<prop>…</prop>) form;
+   * values are blanked with spaces, which keeps the packet well-formed
+   */
+  scanXmp(buffer, start, end) {
+    const findings = [];
+    const text = buffer.toString('latin1', start, end);
+
+    for (const [category, property] of XMP_PROPERTIES) {
+      const patterns = [
+        new RegExp(`\\s${property}="([^"]*)"`, 'g'),
+        new RegExp(`<${property}(?:\\s[^>]*)?>([\\s\\S]*?)</${property}>`, 'g')
+      ];
+
+      for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+          const valueStart = match.index + match[0].indexOf(match[1], match[0].indexOf(property) + property.length);
+          const raw = Buffer.from(match[1], 'latin1').toString('utf8');
+          const value = property === 'xmpMM:History'
+            ? `${(raw.match(/<rdf:li/g) || []).length} edit event(s)`
+            : this.summarize(raw.replace(/<[^>]+>/g, ' '));
+
+          if (!value) continue;
+          findings.push({
+            category,
+            field: `XMP ${property}`,
+            value,
+            redactions: [{ offset: start + valueStart, data: Buffer.alloc(match[1].length, 0x20) }]
+          });
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * IPTC datasets inside a Photoshop APP13 segment (0x1C, record, dataset, length)
+   */
+  scanIptc(buffer, start, end) {
+    const findings = [];
+
+    for (let position = start; position + 5 <= end; position++) {
+      if (buffer[position] !== 0x1c || buffer[position + 1] !== 0x02) continue;
+
+      const dataset = IPTC_DATASETS[buffer[position + 2]];
+      const length = buffer.readUInt16BE(position + 3);
+      if (!dataset || position + 5 + length > end) continue;
+
+      const value = this.summarize(buffer.toString('utf8', position + 5, position + 5 + length));
+      if (!value) continue;
+      findings.push({
+        category: 'identity',
+        field: `IPTC ${dataset}`,
+        value,
+        redactions: [{ offset: position + 5, data: Buffer.alloc(length, 0x20) }]
+      });
+      position += 4 + length;
+    }
+
+    return findings;
+  }
+
+  withoutRedactions({ redactions, ...finding }) {
+    return finding;
+  }
+
+  summarize(value) {
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+
+  // === CONTAINERS ===
+
+  pngChunks(buffer) {
+    const chunks = [];
+    let position = 8;
+
+    while (position + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(position);
+      const type = buffer.toString('latin1', position + 4, position + 8);
+      chunks.push({ type, offset: position, start: position + 8, end: position + 8 + length });
+      position += 12 + length;
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
+  }
+
+  readPngText(data, type) {
+    const separator = data.indexOf(0);
+    const keyword = data.toString('latin1', 0, separator);
+
+    if (type === 'tEXt') return { keyword, text: data.toString('latin1', separator + 1) };
+    if (type === 'zTXt') return { keyword, text: this.inflateSafely(data.subarray(separator + 2)).toString('latin1') };
+
+    // iTXt: compression flag and method, then language and translated keyword
+    const compressed = data[separator + 1] === 1;
+    const language = data.indexOf(0, separator + 3);
+    const translated = data.indexOf(0, language + 1);
+    const body = data.subarray(translated + 1);
+    return { keyword, text: (compressed ? this.inflateSafely(body) : body).toString('utf8') };
+  }
+
+  inflateSafely(data) {
+    try {
+      return inflateSync(data);
+    } catch (error) {
+      return Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * PNG has no internal offsets, so chunks are rebuilt: EXIF redacted, personal
+   * text chunks dropped, XMP blanked
+   */
+  rewritePng(buffer) {
+    const parts = [buffer.subarray(0, 8)];
+
+    for (const chunk of this.pngChunks(buffer)) {
+      let data = buffer.subarray(chunk.start, chunk.end);
+
+      if (chunk.type === 'eXIf') {
+        data = Buffer.from(data);
+        this.scanExif(data, 0, data.length).forEach(finding => finding.redactions.forEach(r => r.data.copy(data, r.offset)));
+      } else if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) {
+        const { keyword, text } = this.readPngText(data, chunk.type);
+        if (/^(Author|Artist|Owner|Creator)$/i.test(keyword)) continue;
+
+        if (keyword === 'XML:com.adobe.xmp') {
+          const xmp = Buffer.from(text, 'utf8');
+          this.scanXmp(xmp, 0, xmp.length).forEach(finding => finding.redactions.forEach(r => r.data.copy(xmp, r.offset)));
+          data = Buffer.concat([Buffer.from('XML:com.adobe.xmp\x00\x00\x00\x00\x00', 'latin1'), xmp]);
+        }
+      }
+
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(data.length, 0);
+      header.write(chunk.type, 4, 'latin1');
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE(CRC32.buf(Buffer.concat([header.subarray(4), data])) >>> 0, 0);
+      parts.push(header, data, crc);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  isoBoxes(buffer, start, end) {
+    const boxes = [];
+    let position = start;
+
+    while (position + 8 <= end) {
+      const size = buffer.readUInt32BE(position);
+      if (size < 8 || position + size > end) break;
+      boxes.push({ type: buffer.toString('latin1', position + 4, position + 8), start: position + 8, end: position + size });
+      position += size;
+    }
+
+    return boxes;
+  }
+
+  readHeifItems(buffer, iinf) {
+    if (!iinf) return [];
+
+    const version = buffer[iinf.start];
+    const first = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+    return this.isoBoxes(buffer, first, iinf.end).filter(box => box.type === 'infe').map(infe => {
+      const infeVersion = buffer[infe.start];
+      const idSize = infeVersion >= 3 ? 4 : 2;
+      const id = idSize === 4 ? buffer.readUInt32BE(infe.start + 4) : buffer.readUInt16BE(infe.start + 4);
+      const typeOffset = infe.start + 4 + idSize + 2;
+      const type = buffer.toString('latin1', typeOffset, typeOffset + 4);
+      const [, contentType] = buffer.toString('latin1', typeOffset + 4, infe.end).split('\x00');
+      return { id, type, contentType };
+    });
+  }
+
+  readHeifLocations(buffer, iloc) {
+    const locations = new Map();
+    if (!iloc) return locations;
+
+    const version = buffer[iloc.start];
+    const sizes = buffer.readUInt16BE(iloc.start + 4);
+    const [offsetSize, lengthSize, baseOffsetSize, indexSize] = [sizes >> 12, (sizes >> 8) & 0xf, (sizes >> 4) & 0xf, version > 0 ? sizes & 0xf : 0];
+    const readSized = (position, size) => (size === 0 ? 0 : size === 4 ? buffer.readUInt32BE(position) : Number(buffer.readBigUInt64BE(position)));
+
+    let position = iloc.start + 6;
+    const count = version < 2 ? buffer.readUInt16BE(position) : buffer.readUInt32BE(position);
+    position += version < 2 ? 2 : 4;
+
+    for (let index = 0; index < count && position < iloc.end; index++) {
+      const id = version < 2 ? buffer.readUInt16BE(position) : buffer.readUInt32BE(position);
+      position += version < 2 ? 2 : 4;
+      const construction = version > 0 ? buffer.readUInt16BE(position) & 0xf : 0;
+      position += (version > 0 ? 2 : 0) + 2;
+      const baseOffset = readSized(position, baseOffsetSize);
+      position += baseOffsetSize;
+      const extents = buffer.readUInt16BE(position);
+      position += 2;
+
+      for (let extent = 0; extent < extents; extent++) {
+        position += indexSize;
+        const offset = readSized(position, offsetSize);
+        const length = readSized(position + offsetSize, lengthSize);
+        position += offsetSize + lengthSize;
+
+        // Only single-extent items stored in the file itself can be redacted in place
+        if (extent === 0 && extents === 1 && construction === 0) {
+          locations.set(id, { offset: baseOffset + offset, length });
+        }
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Index of the character that closes a PDF string starting at start
+   */
+  pdfStringEnd(text, start) {
+    if (text[start] === '<') return text.indexOf('>', start);
+
+    let depth = 0;
+    for (let index = start; index < text.length; index++) {
+      const char = text[index];
+      if (char === '\\') index++;
+      else if (char === '(') depth++;
+      else if (char === ')' && --depth === 0) return index;
+    }
+
+    return -1;
+  }
+
+  decodePdfString(literal) {
+    if (literal.startsWith('<')) {
+      const bytes = Buffer.from(literal.slice(1, -1).replace(/\s/g, ''), 'hex');
+      return bytes[0] === 0xfe && bytes[1] === 0xff ? bytes.subarray(2).swap16().toString('utf16le') : bytes.toString('latin1');
+    }
+
+    const raw = literal.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, escape) =>
+      (/^[0-7]/.test(escape) ? String.fromCharCode(parseInt(escape, 8)) : { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[escape] || escape));
+    return raw.startsWith('\xfe\xff') ? Buffer.from(raw.slice(2), 'latin1').swap16().toString('utf16le') : raw;
+  }
+
+  /**
+   * Same-length blank: spaces inside (…), hex spaces inside <…>
+   */
+  blankPdfString(inner, delimiter) {
+    if (delimiter === '(') return Buffer.alloc(inner.length, 0x20);
+    return Buffer.from(inner.replace(/[0-9a-f]{2}/gi, '20'), 'latin1');
+  }
+
+  // === OFFICE DOCUMENTS ===
+
+  /**
+   * Copy every ZIP entry, replacing personal values in the metadata and comment parts
+   */
+  async rewriteOffice(filePath, outputPath) {
+    const reader = new ArchiveReader(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const output = createWriteStream(outputPath);
+    const done = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    for await (const entry of reader.entries()) {
+      if (entry.type !== 'file') continue;
+
+      let data = await reader.collect(entry.stream);
+      if (OFFICE_XML_ENTRY.test(entry.name)) {
+        data = Buffer.from(this.scrubOfficeXml(entry.name, data.toString('utf8')), 'utf8');
+      }
+      archive.append(data, { name: entry.name, date: entry.mtime, store: entry.method === 0 });
+    }
+
+    await archive.finalize();
+    await done;
+  }
+
+  scrubOfficeXml(name, xml) {
+    let result = xml;
+
+    for (const [, element, replacement] of OFFICE_ELEMENTS) {
+      result = result.replace(new RegExp(`(<${element}(?:\\s[^>]*)?>)[^<]+(</${element}>)`, 'g'), `$1${replacement}$2`);
+    }
+
+    for (const [attribute, replacement] of AUTHOR_LISTS.test(name) ? AUTHOR_LIST_ATTRIBUTES : OFFICE_ATTRIBUTES) {
+      result = result.replace(new RegExp(`(\\s${attribute}=")[^"]*(")`, 'g'), `$1${replacement}$2`);
+    }
+
+    return result;
+  }
+}
+
+export default PrivacyScrubber;
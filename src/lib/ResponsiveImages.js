@@ -0,0 +1,492 @@
+/**
+ * Responsive Images - Gallery pictures at the sizes a browser asks for
+ *
+ * For JPEG and PNG files in the gallery roles, the static site gets:
+ *
+ *   widths        downscaled copies at each configured width, up to the original's
+ *   formats       AVIF and WebP copies as well, from the WebAssembly builds of
+ *                 libavif and libwebp, so nothing native needs to install
+ *   sizes         the slot each picture fills in the role page grid, from a Yoga
+ *                 model of that grid at viewport widths from phone to desktop
+ *   placeholder   a tiny inline copy, shown (blurred by upscaling) while the picture loads
+ *   captions      optionally the EXIF ImageDescription or Windows title, or a PNG Description
+ *
+ * Pictures are turned upright from their EXIF orientation, since the copies
+ * carry no metadata. Results are cached under the hash of the picture and the
+ * settings, so rebuilds only encode pictures that changed.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { join } from 'path';
+import { inflateSync } from 'zlib';
+import Yoga, { Direction, FlexDirection, Gutter, Wrap } from 'yoga-layout';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { MediaOptimizer } from './MediaOptimizer.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+export const IMAGE_DEFAULTS = {
+  roles: ['gallery'],
+  widths: [320, 640, 960, 1600],
+  formats: ['avif', 'webp'],
+  quality: 80,
+  placeholder: true,
+  captions: 'none'
+};
+
+const SOURCE_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png' };
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', avif: 'image/avif' };
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+const CAPTION_SOURCES = ['none', 'exif'];
+
+// Bump when the output for the same picture and settings changes
+const CACHE_VERSION = 1;
+const PLACEHOLDER_WIDTH = 16;
+const MAX_SOURCE_PIXELS = 100 * 1000 * 1000;
+
+const JPEG_APP1 = 0xe1;
+const EXIF_DESCRIPTION = 0x010e;
+const EXIF_XP_TITLE = 0x9c9b;
+const EXIF_XP_COMMENT = 0x9c9c;
+
+// The role page around the grid (PreviewManager styles): body padding and
+// container border and padding, with content up to 80ch of 16px Courier New
+const PAGE_CHROME = 84;
+const MAX_CONTENT_WIDTH = 768;
+// Grid items (getStyles): flex basis and gap, then frame padding and borders
+// and the image border inside each item
+const COLUMN_BASIS = 220;
+const COLUMN_GAP = 16;
+const ITEM_CHROME = 24;
+// Viewport widths the sizes attribute tells apart, and how finely they are sampled
+const BREAKPOINTS = [360, 480, 600, 720];
+const SMALLEST_VIEWPORT = 320;
+const VIEWPORT_STEP = 8;
+
+// @jsquash encoder and the WebAssembly binary its Node glue code runs
+// (Node always gets the single-threaded AVIF build, and has WebAssembly SIMD)
+const WASM_ENCODERS = {
+  avif: { module: '@jsquash/avif/encode.js', wasm: '@jsquash/avif/codec/enc/avif_enc.wasm' },
+  webp: { module: '@jsquash/webp/encode.js', wasm: '@jsquash/webp/codec/enc/webp_enc_simd.wasm' }
+};
+
+const require = createRequire(import.meta.url);
+let modernEncoders = null;
+
+/**
+ * AVIF and WebP encoders from the @jsquash WebAssembly codecs; a format whose
+ * codec does not load is left out
+ * @returns {Promise<Object<string, (rgba: Uint8Array, width: number, height: number, quality: number) => Promise<Buffer>>>}
+ */
+export function loadModernEncoders() {
+  modernEncoders ??= Promise.all(Object.entries(WASM_ENCODERS).map(async ([format, codec]) => {
+    try {
+      const { default: encode, init } = await import(codec.module);
+      // The codecs fetch their binary by URL, which Node cannot, so they get it compiled
+      await init(await WebAssembly.compile(await readFile(require.resolve(codec.wasm))));
+      return [format, async (rgba, width, height, quality) => {
+        const data = new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length);
+        return Buffer.from(await encode({ data, width, height }, { quality }));
+      }];
+    } catch {
+      return null;
+    }
+  })).then(encoders => Object.fromEntries(encoders.filter(Boolean)));
+
+  return modernEncoders;
+}
+
+export class ResponsiveImages {
+  /**
+   * @param {Object} [settings] - The "images" block of submitit.config.json
+   * @param {Object} [options]
+   * @param {string} [options.cacheDir] - Where encoded pictures are kept between builds
+   * @param {Object} [options.encoders] - AVIF/WebP encoders (default: loadModernEncoders)
+   */
+  constructor(settings = {}, options = {}) {
+    this.settings = this.validate(settings);
+    this.cacheDir = options.cacheDir || null;
+    this.encoders = options.encoders || null;
+    this.optimizer = new MediaOptimizer();
+  }
+
+  /**
+   * Check the "images" config block and fill in defaults
+   */
+  validate(settings = {}) {
+    const unknown = Object.keys(settings).filter(key => !(key in IMAGE_DEFAULTS));
+    if (unknown.length > 0) {
+      throw new SubmititError(`images: unknown setting(s) ${unknown.join(', ')}`, 'VALIDATION_ERROR', { unknown });
+    }
+
+    const result = { ...IMAGE_DEFAULTS, ...settings };
+    if (!Array.isArray(result.roles) || !result.roles.every(role => typeof role === 'string')) {
+      throw new SubmititError('images.roles takes a list of role names', 'VALIDATION_ERROR', { value: result.roles });
+    }
+    if (!Array.isArray(result.widths) || result.widths.length === 0 || !result.widths.every(width => Number.isInteger(width) && width > 0)) {
+      throw new SubmititError('images.widths takes a list of positive integer widths', 'VALIDATION_ERROR', { value: result.widths });
+    }
+    if (!Array.isArray(result.formats) || !result.formats.every(format => format === 'avif' || format === 'webp')) {
+      throw new SubmititError('images.formats takes a list of avif, webp', 'VALIDATION_ERROR', { value: result.formats });
+    }
+    if (!Number.isInteger(result.quality) || result.quality < 1 || result.quality > 100) {
+      throw new SubmititError(`images.quality must be 1-100, not ${result.quality}`, 'VALIDATION_ERROR', { value: result.quality });
+    }
+    if (typeof result.placeholder !== 'boolean') {
+      throw new SubmititError('images.placeholder must be true or false', 'VALIDATION_ERROR', { value: result.placeholder });
+    }
+    if (!CAPTION_SOURCES.includes(result.captions)) {
+      throw new SubmititError(`images.captions must be one of ${CAPTION_SOURCES.join(', ')}, not ${result.captions}`, 'VALIDATION_ERROR', { value: result.captions });
+    }
+
+    return result;
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Whether a file gets responsive copies
+   * @param {{role: string, extension: string}} file
+   */
+  handles(file) {
+    return this.settings.roles.includes(file.role) && Boolean(SOURCE_FORMATS[file.extension.toLowerCase()]);
+  }
+
+  /**
+   * Picture data for the page and the copies to write, or null when the
+   * picture cannot be decoded (it is then shown as it is)
+   * @param {{name: string, sourcePath: string, extension: string}} file
+   * @returns {Promise<{image: {src: string, srcset: string, sources: Array<{type: string, srcset: string}>, sizes: string|null, width: number, height: number, placeholder: string|null, caption: string|null}, assets: Array<{name: string, data: Buffer}>}|null>}
+   */
+  async process(file) {
+    const buffer = await readFile(file.sourcePath);
+    const encoders = this.encoders || await loadModernEncoders();
+    const formats = this.settings.formats.filter(format => encoders[format]);
+    const { roles, ...settings } = this.settings;
+    const key = createHash('sha256')
+      .update(buffer)
+      .update(JSON.stringify({ version: CACHE_VERSION, ...settings, formats }))
+      .digest('hex');
+
+    let result = await this.readCache(key);
+    if (!result) {
+      result = await this.encode(buffer, SOURCE_FORMATS[file.extension.toLowerCase()], formats, encoders);
+      if (!result) return null;
+      await this.writeCache(key, result);
+    }
+
+    return this.describe(file, key, result);
+  }
+
+  /**
+   * The `sizes` attribute for each of `count` items of a role page grid
+   * @param {number} count
+   * @returns {string[]}
+   */
+  gridSizes(count) {
+    const ranges = [...BREAKPOINTS, MAX_CONTENT_WIDTH + PAGE_CHROME];
+    const slots = Array.from({ length: count }, () => ranges.map(() => 0));
+
+    // The widest each item gets anywhere in a range, since columns wrap at different widths
+    let lower = SMALLEST_VIEWPORT;
+    ranges.forEach((upper, range) => {
+      const viewports = [];
+      for (let viewport = lower; viewport < upper; viewport += VIEWPORT_STEP) viewports.push(viewport);
+      for (const viewport of [...viewports, upper]) {
+        this.gridWidths(count, Math.min(MAX_CONTENT_WIDTH, viewport - PAGE_CHROME)).forEach((width, index) => {
+          slots[index][range] = Math.max(slots[index][range], width);
+        });
+      }
+      lower = upper + 1;
+    });
+
+    return slots.map(widths => widths
+      .map((width, range) => (range < BREAKPOINTS.length ? `(max-width: ${ranges[range]}px) ${width}px` : `${width}px`))
+      // A condition giving the same width as the next one adds nothing
+      .filter((entry, range) => range === widths.length - 1 || widths[range] !== widths[range + 1])
+      .join(', '));
+  }
+
+  /**
+   * Image widths of the items of a wrapping flex grid, as Yoga lays it out
+   */
+  gridWidths(count, contentWidth) {
+    const root = Yoga.Node.create();
+    try {
+      root.setWidth(contentWidth);
+      root.setFlexDirection(FlexDirection.Row);
+      root.setFlexWrap(Wrap.Wrap);
+      root.setGap(Gutter.All, COLUMN_GAP);
+      for (let index = 0; index < count; index++) {
+        const item = Yoga.Node.create();
+        item.setFlexGrow(1);
+        item.setFlexShrink(1);
+        item.setFlexBasis(COLUMN_BASIS);
+        root.insertChild(item, index);
+      }
+      root.calculateLayout(contentWidth, undefined, Direction.LTR);
+
+      return Array.from({ length: count }, (_, index) => Math.max(1, Math.ceil(root.getChild(index).getComputedWidth()) - ITEM_CHROME));
+    } finally {
+      root.freeRecursive();
+    }
+  }
+
+  /**
+   * CSS for the grid of the gallery roles and the pictures in it
+   */
+  getStyles() {
+    const grids = this.settings.roles.map(role => `.role-content[data-role="${role.replace(/["\\]/g, '\\$&')}"]`);
+
+    return `
+    ${grids.join(', ')} { display: flex; flex-wrap: wrap; gap: ${COLUMN_GAP}px; }
+    ${grids.map(grid => `${grid} > .file-content`).join(', ')} { flex: 1 1 ${COLUMN_BASIS}px; min-width: 0; margin: 0; overflow-wrap: anywhere; }
+    .blur-up { display: block; background-size: cover; background-repeat: no-repeat; }
+    .blur-up img { display: block; width: 100%; height: auto; }
+    .image-caption { font-size: 0.85em; opacity: 0.8; margin: 0.4rem 0 0; }
+`;
+  }
+
+  // === ENCODING ===
+
+  /**
+   * Copies at each width in the source format and the modern formats, a
+   * placeholder and a caption, or null when the picture cannot be decoded
+   */
+  async encode(buffer, format, formats, encoders) {
+    let decoded;
+    try {
+      decoded = format === 'jpeg' ? this.decodeJpeg(buffer) : this.decodePng(buffer);
+    } catch (error) {
+      return null;
+    }
+
+    const { width, height } = decoded;
+    const variants = [];
+    // Each width is scaled from the next larger one, which is much faster for camera pictures
+    let current = decoded;
+    for (const target of this.targetWidths(width)) {
+      const targetHeight = Math.max(1, Math.round(height * target / width));
+      if (target !== current.width) {
+        current = { rgba: this.optimizer.resize(current.rgba, current.width, current.height, target, targetHeight), width: target, height: targetHeight };
+      }
+      variants.push({ format, width: target, height: targetHeight, data: this.encodeBase(format, current) });
+      for (const modern of formats) {
+        variants.push({ format: modern, width: target, height: targetHeight, data: await encoders[modern](current.rgba, target, targetHeight, this.settings.quality) });
+      }
+    }
+
+    let placeholder = null;
+    if (this.settings.placeholder) {
+      const tinyWidth = Math.min(PLACEHOLDER_WIDTH, current.width);
+      const tinyHeight = Math.max(1, Math.round(current.height * tinyWidth / current.width));
+      const tiny = this.optimizer.resize(current.rgba, current.width, current.height, tinyWidth, tinyHeight);
+      placeholder = `data:image/png;base64,${this.optimizer.encodePng(tiny, tinyWidth, tinyHeight).toString('base64')}`;
+    }
+
+    return { width, height, caption: decoded.caption, placeholder, variants };
+  }
+
+  /**
+   * Widths to encode, largest first: the configured ones below the
+   * picture's width, and the picture's own width when it is not too large
+   */
+  targetWidths(width) {
+    const largest = Math.max(...this.settings.widths);
+    const widths = new Set([...this.settings.widths.filter(target => target < width), Math.min(width, largest)]);
+    return [...widths].sort((a, b) => b - a);
+  }
+
+  encodeBase(format, { rgba, width, height }) {
+    if (format === 'png') return this.optimizer.encodePng(rgba, width, height);
+    return Buffer.from(jpeg.encode({ data: rgba, width, height }, this.settings.quality).data);
+  }
+
+  decodeJpeg(buffer) {
+    const { segments, frame } = this.optimizer.jpegSegments(buffer);
+    if (!frame) throw new Error('JPEG has no frame header');
+    if (frame.width * frame.height > MAX_SOURCE_PIXELS) throw new Error('JPEG is too large to scale');
+
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+    const exif = segments.find(({ marker, data }) => marker === JPEG_APP1 && data.toString('latin1', 0, 6) === 'Exif\0\0');
+    const caption = this.settings.captions === 'exif' && exif ? this.exifCaption(exif.data.subarray(6)) : null;
+
+    return { ...this.orient(image.data, image.width, image.height, this.optimizer.jpegOrientation(segments)), caption };
+  }
+
+  decodePng(buffer) {
+    const image = PNG.sync.read(buffer);
+    if (image.width * image.height > MAX_SOURCE_PIXELS) throw new Error('PNG is too large to scale');
+
+    return { rgba: image.data, width: image.width, height: image.height, caption: this.settings.captions === 'exif' ? this.pngCaption(buffer) : null };
+  }
+
+  /**
+   * Pixels turned upright for an EXIF orientation (2-8 mirror and rotate)
+   */
+  orient(rgba, width, height, orientation) {
+    if (!(orientation >= 2 && orientation <= 8)) return { rgba, width, height };
+
+    const [newWidth, newHeight] = orientation >= 5 ? [height, width] : [width, height];
+    const source = {
+      2: (x, y) => [width - 1 - x, y],
+      3: (x, y) => [width - 1 - x, height - 1 - y],
+      4: (x, y) => [x, height - 1 - y],
+      5: (x, y) => [y, x],
+      6: (x, y) => [y, height - 1 - x],
+      7: (x, y) => [width - 1 - y, height - 1 - x],
+      8: (x, y) => [width - 1 - y, x]
+    }[orientation];
+
+    const output = Buffer.alloc(newWidth * newHeight * 4);
+    for (let y = 0; y < newHeight; y++) {
+      for (let x = 0; x < newWidth; x++) {
+        const [sourceX, sourceY] = source(x, y);
+        const from = (sourceY * width + sourceX) * 4;
+        const to = (y * newWidth + x) * 4;
+        output[to] = rgba[from];
+        output[to + 1] = rgba[from + 1];
+        output[to + 2] = rgba[from + 2];
+        output[to + 3] = rgba[from + 3];
+      }
+    }
+    return { rgba: output, width: newWidth, height: newHeight };
+  }
+
+  // === CAPTIONS ===
+
+  /**
+   * ImageDescription, or the Windows title or comment, from IFD0 of a TIFF
+   * (EXIF) block
+   */
+  exifCaption(tiff) {
+    if (tiff.length < 8) return null;
+    const little = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return null;
+    const values = new Map();
+    for (let entry = 0; entry < u16(ifd); entry++) {
+      const offset = ifd + 2 + entry * 12;
+      if (offset + 12 > tiff.length) break;
+      const tag = u16(offset);
+      if (![EXIF_DESCRIPTION, EXIF_XP_TITLE, EXIF_XP_COMMENT].includes(tag)) continue;
+
+      // ASCII and BYTE values up to four bytes are stored in the entry itself
+      const count = u32(offset + 4);
+      const start = count <= 4 ? offset + 8 : u32(offset + 8);
+      if (start + count > tiff.length) continue;
+      const bytes = tiff.subarray(start, start + count);
+      // The Windows tags are UTF-16LE whatever the byte order; ImageDescription is often UTF-8
+      values.set(tag, tag === EXIF_DESCRIPTION ? bytes.toString('utf8') : bytes.toString('utf16le'));
+    }
+
+    for (const tag of [EXIF_DESCRIPTION, EXIF_XP_TITLE, EXIF_XP_COMMENT]) {
+      const text = values.get(tag)?.replace(/\0/g, '').trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  /**
+   * Description or Title text chunk of a PNG, or the caption of its eXIf chunk
+   */
+  pngCaption(buffer) {
+    const texts = {};
+    let exif = null;
+
+    for (const { type, data } of this.optimizer.pngChunks(buffer)) {
+      const keywordEnd = data.indexOf(0);
+      if (type === 'eXIf') exif = data;
+      if (keywordEnd < 0) continue;
+      const keyword = data.toString('latin1', 0, keywordEnd);
+
+      if (type === 'tEXt') {
+        texts[keyword] = data.toString('latin1', keywordEnd + 1);
+      } else if (type === 'iTXt') {
+        // keyword, compression flag and method, language tag, translated keyword, text
+        const compressed = data[keywordEnd + 1] === 1;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+        if (translatedEnd < 0) continue;
+        const text = data.subarray(translatedEnd + 1);
+        try {
+          texts[keyword] = (compressed ? inflateSync(text) : text).toString('utf8');
+        } catch (error) {
+          continue;
+        }
+      }
+    }
+
+    const text = (texts.Description || texts.Title || '').trim();
+    return text || (exif ? this.exifCaption(exif) : null);
+  }
+
+  // === CACHE ===
+
+  async readCache(key) {
+    if (!this.cacheDir) return null;
+
+    const dir = join(this.cacheDir, key);
+    try {
+      const entry = JSON.parse(await readFile(join(dir, 'image.json'), 'utf8'));
+      const variants = [];
+      for (const variant of entry.variants) {
+        variants.push({ ...variant, data: await readFile(join(dir, `${variant.width}.${EXTENSIONS[variant.format]}`)) });
+      }
+      return { ...entry, variants };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The copies, then image.json, so an interrupted write is never read back
+   */
+  async writeCache(key, result) {
+    if (!this.cacheDir) return;
+
+    const dir = join(this.cacheDir, key);
+    await mkdir(dir, { recursive: true });
+    for (const variant of result.variants) {
+      await writeFile(join(dir, `${variant.width}.${EXTENSIONS[variant.format]}`), variant.data);
+    }
+    const variants = result.variants.map(({ format, width, height }) => ({ format, width, height }));
+    await writeFile(join(dir, 'image.json'), JSON.stringify({ ...result, variants }, null, 2));
+  }
+
+  // === PAGE DATA ===
+
+  /**
+   * Site paths for the copies; the hash in the directory name gives a
+   * changed picture new URLs, so browsers never show a stale copy
+   */
+  describe(file, key, result) {
+    const dir = `assets/images/${file.name.replace(/[^A-Za-z0-9_-]+/g, '-')}-${key.slice(0, 8)}`;
+    const assets = result.variants.map(variant => ({ name: `${dir}/${variant.width}.${EXTENSIONS[variant.format]}`, data: variant.data, variant }));
+    const base = result.variants[0].format;
+    const srcset = format => assets.filter(({ variant }) => variant.format === format).map(({ name, variant }) => `${name} ${variant.width}w`).join(', ');
+    const largest = assets.find(({ variant }) => variant.format === base).name;
+    const formats = [...new Set(result.variants.map(variant => variant.format))].filter(format => format !== base);
+
+    return {
+      image: {
+        src: largest,
+        srcset: srcset(base),
+        sources: formats.map(format => ({ type: MIME_TYPES[format], srcset: srcset(format) })),
+        sizes: null,
+        width: result.width,
+        height: result.height,
+        placeholder: result.placeholder,
+        caption: result.caption
+      },
+      assets: assets.map(({ name, data }) => ({ name, data }))
+    };
+  }
+}
+
+export default ResponsiveImages;
@@ -0,0 +1,314 @@
+/**
+ * Secret Scanner - Credentials caught before they leave in a submission
+ *
+ * Three kinds of evidence, each reported with file, line and a masked preview:
+ *   1. rules for known key formats (AWS, GitHub, Slack, Stripe, private keys, ...)
+ *   2. high-entropy strings, either assigned to a secret-sounding name or long
+ *      and random enough on their own
+ *   3. files that hold credentials by name (.env, id_rsa, *.pem, ...)
+ *
+ * A line containing `submitit-allow-secret` silences findings on itself; a
+ * line that is only a comment with the marker also silences the line after
+ * it. Project-wide exceptions live under "secrets" in
+ * submitit.config.json: allowlisted path globs, finding fingerprints, disabled
+ * rules and extra rules of the same shape as the built-in ones.
+ */
+
+import { open } from 'fs/promises';
+import { basename } from 'path';
+import { createHash } from 'crypto';
+import ignore from 'ignore';
+
+export const ALLOW_MARKER = 'submitit-allow-secret';
+
+/** Lines that start with a comment in the usual source and config syntaxes */
+const COMMENT_LINE = /^\s*(?:\/\/|\/\*|\*|#|<!--|--|;|%)/;
+
+/** Files larger than this are checked by name only */
+export const MAX_SCAN_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Built-in rules. `pattern` must be global; the first capture group (or the
+ * whole match) is the secret that gets masked and fingerprinted.
+ */
+export const SECRET_RULES = [
+  { id: 'private-key', title: 'Private key', severity: 'high', pattern: /-----BEGIN (?:RSA |DSA |EC |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----/g },
+  { id: 'aws-access-key-id', title: 'AWS access key ID', severity: 'high', pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16})\b/g },
+  { id: 'aws-secret-access-key', title: 'AWS secret access key', severity: 'high', pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi },
+  { id: 'github-token', title: 'GitHub token', severity: 'high', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g },
+  { id: 'gitlab-token', title: 'GitLab token', severity: 'high', pattern: /\b(glpat-[A-Za-z0-9_-]{20})\b/g },
+  { id: 'slack-token', title: 'Slack token', severity: 'high', pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/g },
+  { id: 'slack-webhook', title: 'Slack webhook URL', severity: 'high', pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,})/g },
+  { id: 'stripe-secret-key', title: 'Stripe secret key', severity: 'high', pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{24,})\b/g },
+  { id: 'google-api-key', title: 'Google API key', severity: 'high', pattern: /\b(AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/g },
+  { id: 'openai-api-key', title: 'OpenAI API key', severity: 'high', pattern: /\b(sk-(?:proj-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,})\b/g },
+  { id: 'anthropic-api-key', title: 'Anthropic API key', severity: 'high', pattern: /\b(sk-ant-(?:api|admin)\d{2}-[A-Za-z0-9_-]{80,})/g },
+  { id: 'npm-token', title: 'npm access token', severity: 'high', pattern: /\b(npm_[A-Za-z0-9]{36})\b/g },
+  { id: 'sendgrid-api-key', title: 'SendGrid API key', severity: 'high', pattern: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})(?![A-Za-z0-9_-])/g },
+  { id: 'jwt', title: 'JSON Web Token', severity: 'medium', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g },
+  { id: 'url-credentials', title: 'Password in URL', severity: 'medium', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"'`]+:([^\s:@/"'`]{3,})@[^\s"'`]+/g }
+];
+
+// Files that hold credentials by their nature
+export const SENSITIVE_FILES = [
+  { pattern: /^\.env(\..+)?$/, exclude: /\.(example|sample|template|dist|defaults)$/, title: 'Environment file' },
+  { pattern: /^id_(rsa|dsa|ecdsa|ed25519)$/, title: 'SSH private key' },
+  { pattern: /\.(pem|key|p12|pfx|ppk|jks|keystore)$/i, title: 'Key or certificate store' },
+  { pattern: /^(\.npmrc|\.pypirc|\.netrc|_netrc|\.htpasswd|\.git-credentials|\.dockercfg)$/, title: 'Credentials file' },
+  { pattern: /^credentials(\.json)?$/, title: 'Credentials file' },
+  { pattern: /\.tfstate(\.backup)?$/, title: 'Terraform state' }
+];
+
+// Lockfiles are full of integrity hashes; only the format rules apply to them
+const LOCKFILES = /^(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|composer\.lock|poetry\.lock|Gemfile\.lock|go\.sum)$/;
+
+const PLACEHOLDER = /example|sample|dummy|placeholder|your[_-]|xxxx|changeme|redacted|\$\{|\{\{|<[a-z_-]+>|\*{4}/i;
+const SECRET_NAME = /(api[_-]?key|secret|token|passw(?:or)?d|pwd|credential|private[_-]?key|access[_-]?key|auth[_-]?key|client[_-]?secret)/i;
+
+// Quoted strings, and unquoted values after = or :
+const CANDIDATE = /(["'`])([^"'`\s]{16,})\1|[=:]\s*([A-Za-z0-9+/=_\-.]{16,})(?=\s|$|[;,])/g;
+
+export class SecretScanner {
+  /**
+   * @param {Object} [options] - The "secrets" section of submitit.config.json
+   * @param {{paths?: string[], fingerprints?: string[]}} [options.allowlist]
+   * @param {string[]} [options.disabledRules] - Rule ids to skip, including "entropy" and "filename"
+   * @param {Array<{id: string, title?: string, pattern: string, severity?: string}>} [options.rules] - Extra rules
+   * @param {number} [options.entropyThreshold] - Bits per character for unnamed strings (default 4.5)
+   */
+  constructor(options = {}) {
+    this.rules = [];
+    this.allowedPaths = ignore().add(options.allowlist?.paths || []);
+    this.allowedFingerprints = new Set(options.allowlist?.fingerprints || []);
+    this.disabledRules = new Set(options.disabledRules || []);
+    this.entropyThreshold = options.entropyThreshold || 4.5;
+
+    SECRET_RULES.forEach(rule => this.addRule(rule));
+    (options.rules || []).forEach(rule => this.addRule(rule));
+  }
+
+  // === RULES ===
+
+  /**
+   * Register a rule; string patterns (from the project config) are compiled as global regexes
+   * @param {{id: string, title?: string, pattern: RegExp|string, severity?: string}} rule
+   */
+  addRule(rule) {
+    if (!rule.id || !rule.pattern) {
+      throw new Error('Secret rules need an "id" and a "pattern"');
+    }
+
+    const pattern = typeof rule.pattern === 'string'
+      ? new RegExp(rule.pattern, 'g')
+      : new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`);
+
+    this.rules = this.rules.filter(existing => existing.id !== rule.id);
+    this.rules.push({ title: rule.id, severity: 'high', ...rule, pattern });
+  }
+
+  // === SCANNING ===
+
+  /**
+   * Scan packaged files
+   * @param {Array<{name: string, sourcePath: string}>} files - Project-relative names and their paths
+   * @returns {Promise<{findings: Array<Object>, allowed: number, scanned: number}>}
+   */
+  async scanFiles(files) {
+    const findings = [];
+    let allowed = 0;
+
+    for (const file of files) {
+      for (const finding of await this.scanFile(file.sourcePath, file.name, { includeAllowed: true })) {
+        if (finding.allowed) allowed++;
+        else findings.push(finding);
+      }
+    }
+
+    return { findings, allowed, scanned: files.length };
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {string} [name] - Project-relative name used in findings and allowlist matching
+   */
+  async scanFile(filePath, name = basename(filePath), { includeAllowed = false } = {}) {
+    const findings = this.scanFilename(name);
+    const content = await this.readText(filePath);
+    if (content !== null) findings.push(...this.scanContent(content, name));
+
+    const checked = findings.map(finding => ({ ...finding, ...(this.isAllowed(finding) && { allowed: true }) }));
+    return includeAllowed ? checked : checked.filter(finding => !finding.allowed);
+  }
+
+  scanFilename(name) {
+    if (this.disabledRules.has('filename')) return [];
+
+    const fileName = basename(name);
+    const match = SENSITIVE_FILES.find(entry => entry.pattern.test(fileName) && !entry.exclude?.test(fileName));
+    if (!match) return [];
+
+    return [{
+      rule: 'filename',
+      title: match.title,
+      severity: 'high',
+      file: name,
+      line: null,
+      preview: fileName,
+      fingerprint: this.fingerprint(`file:${name}`)
+    }];
+  }
+
+  /**
+   * Findings in text content; lines carrying the allow marker, and the line
+   * after a comment-only marker line, are skipped
+   */
+  scanContent(content, name = '') {
+    const findings = [];
+    const lines = content.split(/\r?\n/);
+    const lockfile = LOCKFILES.test(basename(name));
+
+    lines.forEach((line, index) => {
+      if (line.includes(ALLOW_MARKER) || this.allowsNextLine(lines[index - 1])) return;
+
+      const found = [];
+      for (const rule of this.rules) {
+        if (this.disabledRules.has(rule.id)) continue;
+
+        for (const match of line.matchAll(rule.pattern)) {
+          const secret = match[1] ?? match[0];
+          if (rule.id !== 'private-key' && PLACEHOLDER.test(secret)) continue;
+          found.push({ rule, secret, column: match.index + match[0].indexOf(secret) + 1 });
+        }
+      }
+
+      if (!lockfile && !this.disabledRules.has('entropy')) {
+        found.push(...this.findHighEntropy(line, found));
+      }
+
+      for (const { rule, secret, column } of found) {
+        findings.push({
+          rule: rule.id,
+          title: rule.title,
+          severity: rule.severity,
+          file: name,
+          line: index + 1,
+          column,
+          preview: this.mask(secret, rule.id),
+          fingerprint: this.fingerprint(secret)
+        });
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * A trailing marker covers only its own line, so that it cannot hide a
+   * secret on the line below
+   */
+  allowsNextLine(line = '') {
+    return line.includes(ALLOW_MARKER) && COMMENT_LINE.test(line);
+  }
+
+  /**
+   * Random-looking strings that no format rule claimed. Strings assigned to a
+   * secret-sounding name need less randomness than anonymous ones.
+   */
+  findHighEntropy(line, claimed) {
+    const found = [];
+    const named = SECRET_NAME.test(line);
+
+    for (const match of line.matchAll(CANDIDATE)) {
+      const value = match[2] ?? match[3];
+      if (claimed.some(({ secret }) => secret.includes(value) || value.includes(secret))) continue;
+      if (PLACEHOLDER.test(value) || this.looksStructured(value, line, match.index)) continue;
+
+      const entropy = this.entropy(value);
+      const threshold = named ? 3.5 : this.entropyThreshold;
+      const longEnough = named
+        ? value.length >= 16 && /\d/.test(value) && /[A-Za-z]/.test(value)
+        : value.length >= 32 && /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value);
+
+      if (longEnough && entropy >= threshold) {
+        found.push({
+          rule: { id: 'entropy', title: named ? 'High-entropy value assigned to a secret name' : 'High-entropy string', severity: 'medium' },
+          secret: value,
+          column: match.index + match[0].indexOf(value) + 1
+        });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Paths, URLs, identifiers, constants, code, hashes with a label and inline
+   * data are random-looking but not secret
+   */
+  looksStructured(value, line, index) {
+    if (/^(https?:|data:|\/|\.\.?\/)/.test(value) || /\.(js|ts|css|html|json|png|jpe?g|svg|md)$/i.test(value)) return true;
+    if (/^(sha(1|256|384|512)|md5)[-:]/i.test(value) || /^[0-9a-f]+$/i.test(value) && /\b(sha|hash|digest|checksum|commit|integrity)\b/i.test(line)) return true;
+    if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+$/.test(value) || /^[a-z]+([A-Z][a-z]+)+$/.test(value)) return true;
+    if (/^[A-Z][A-Z0-9_]+$/.test(value) || /^[a-z]+([-_.][a-z]+)+$/.test(value) || /[(){}[\]*]/.test(value)) return true;
+    return /base64,\s*$/.test(line.slice(0, index + 1));
+  }
+
+  /**
+   * Shannon entropy in bits per character
+   */
+  entropy(value) {
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+
+    let bits = 0;
+    for (const count of counts.values()) {
+      const p = count / value.length;
+      bits -= p * Math.log2(p);
+    }
+    return bits;
+  }
+
+  // === ALLOWLIST ===
+
+  isAllowed(finding) {
+    if (this.allowedFingerprints.has(finding.fingerprint)) return true;
+    return Boolean(finding.file) && this.allowedPaths.ignores(finding.file.replace(/^\.?\//, ''));
+  }
+
+  fingerprint(secret) {
+    return createHash('sha256').update(secret).digest('hex').slice(0, 16);
+  }
+
+  // === HELPERS ===
+
+  /**
+   * File content as text, or null for binary and oversized files
+   */
+  async readText(filePath) {
+    const handle = await open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      if (size === 0 || size > MAX_SCAN_BYTES) return null;
+
+      const buffer = Buffer.alloc(size);
+      await handle.read(buffer, 0, size, 0);
+      if (buffer.subarray(0, 8000).includes(0)) return null;
+      return buffer.toString('utf8');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  mask(secret, ruleId) {
+    if (ruleId === 'private-key') return secret;
+    if (secret.length <= 12) return `${secret.slice(0, 2)}${'*'.repeat(secret.length - 2)}`;
+    return `${secret.slice(0, 4)}…${secret.slice(-4)} (${secret.length} chars)`;
+  }
+
+  describe(finding) {
+    const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+    return `${location} - ${finding.title}: ${finding.preview}`;
+  }
+}
+
+export default SecretScanner;
@@ -0,0 +1,429 @@
+/**
+ * 7z Archive Writer - In-process 7z archives without the 7z binary
+ *
+ * Each file is compressed into its own LZMA2 folder. Files are read in
+ * LZMA2-sized slices and every chunk is appended to the archive as soon as it
+ * is ready, so at most one slice is held in memory. The pure-JS `lzma`
+ * encoder only writes LZMA streams, so every slice is cut into pieces that
+ * are compressed separately and wrapped as LZMA2 chunks (pieces that do not
+ * shrink are stored). The header is written uncompressed at the
+ * end and linked from the signature header, which is patched in last.
+ */
+
+import { createReadStream, createWriteStream, readFileSync } from 'fs';
+import { open } from 'fs/promises';
+import { once } from 'events';
+import { createRequire } from 'module';
+import { Script } from 'vm';
+import CRC32 from 'crc-32';
+
+const SIGNATURE = Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]);
+const FORMAT_VERSION = Buffer.from([0x00, 0x04]);
+const SIGNATURE_HEADER_SIZE = 32;
+const LZMA2_METHOD_ID = Buffer.from([0x21]);
+const LZMA_ALONE_HEADER_SIZE = 13;
+
+// LZMA2 chunk limits and control bytes
+const LZMA2_MAX_UNPACKED = 1 << 21;
+const LZMA2_MAX_PACKED = 1 << 16;
+const LZMA2_LZMA_RESET_ALL = 0xe0;
+const LZMA2_STORED_RESET_DICT = 0x01;
+const LZMA2_END = 0x00;
+
+// The `lzma` package shares one encoder object whose flags are global, so
+// each compress() call evaluates its own copy of the encoder
+const require = createRequire(import.meta.url);
+const LZMA_ENCODER_SCRIPT = new Script(readFileSync(require.resolve('lzma/src/lzma_worker.js'), 'utf8'));
+
+function createLzmaEncoder() {
+  const context = { setImmediate, setTimeout };
+  LZMA_ENCODER_SCRIPT.runInNewContext(context);
+  return context.LZMA_WORKER;
+}
+
+// Property IDs from the 7z format specification
+const K = {
+  END: 0x00,
+  HEADER: 0x01,
+  MAIN_STREAMS_INFO: 0x04,
+  FILES_INFO: 0x05,
+  PACK_INFO: 0x06,
+  UNPACK_INFO: 0x07,
+  SUBSTREAMS_INFO: 0x08,
+  SIZE: 0x09,
+  CRC: 0x0a,
+  FOLDER: 0x0b,
+  CODERS_UNPACK_SIZE: 0x0c,
+  EMPTY_STREAM: 0x0e,
+  EMPTY_FILE: 0x0f,
+  NAME: 0x11,
+  MTIME: 0x14
+};
+
+// Windows FILETIME epoch offset (1601-01-01) in 100ns ticks
+const FILETIME_EPOCH_OFFSET = 116444736000000000n;
+
+export class SevenZipWriter {
+  constructor(options = {}) {
+    this.options = {
+      level: 6,
+      date: new Date(),
+      ...options
+    };
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Write a 7z archive for the given entries
+   * @param {Array<{name: string, sourcePath?: string, content?: Buffer|string, mtime?: Date}>} entries
+   * @param {string} outputPath
+   * @param {Function} [onProgress]
+   */
+  async write(entries, outputPath, onProgress) {
+    const output = createWriteStream(outputPath);
+    const files = [];
+    let position = 0;
+
+    const writeBuffer = async (buffer) => {
+      if (!output.write(buffer)) {
+        await once(output, 'drain');
+      }
+      position += buffer.length;
+    };
+
+    try {
+      // Placeholder signature header, patched once the header location is known
+      await writeBuffer(Buffer.alloc(SIGNATURE_HEADER_SIZE));
+
+      for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+
+        files.push({
+          name: entry.name.replace(/\\/g, '/').replace(/^\/+/, ''),
+          mtime: entry.mtime || this.options.date,
+          ...await this.compress(this.readSlices(entry), writeBuffer)
+        });
+        onProgress?.({
+          percent: Math.round(((index + 1) / entries.length) * 100),
+          processedBytes: index + 1,
+          totalBytes: entries.length
+        });
+      }
+
+      const header = this.encodeHeader(files);
+      const nextHeaderOffset = position - SIGNATURE_HEADER_SIZE;
+      await writeBuffer(header);
+
+      output.end();
+      await once(output, 'close');
+
+      await this.patchSignatureHeader(outputPath, nextHeaderOffset, header);
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    return {
+      path: outputPath,
+      size: position,
+      format: '7z',
+      files: files.length
+    };
+  }
+
+  // === COMPRESSION ===
+
+  /**
+   * Read an entry in slices of at most one LZMA2 chunk's unpacked size
+   * @returns {AsyncGenerator<Buffer>}
+   */
+  async *readSlices(entry) {
+    if (entry.content !== undefined) {
+      const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content);
+      for (let offset = 0; offset < data.length; offset += LZMA2_MAX_UNPACKED) {
+        yield data.subarray(offset, offset + LZMA2_MAX_UNPACKED);
+      }
+      return;
+    }
+
+    let pending = [];
+    let pendingSize = 0;
+    for await (const buffer of createReadStream(entry.sourcePath, { highWaterMark: LZMA2_MAX_UNPACKED })) {
+      pending.push(buffer);
+      pendingSize += buffer.length;
+      while (pendingSize >= LZMA2_MAX_UNPACKED) {
+        const joined = Buffer.concat(pending);
+        yield joined.subarray(0, LZMA2_MAX_UNPACKED);
+        pending = [joined.subarray(LZMA2_MAX_UNPACKED)];
+        pendingSize = pending[0].length;
+      }
+    }
+    if (pendingSize > 0) {
+      yield Buffer.concat(pending);
+    }
+  }
+
+  /**
+   * Compress slices to an LZMA2 stream, handing each chunk to writeChunk as
+   * soon as it is encoded. A piece whose LZMA output is too large for one
+   * chunk is retried smaller; one that does not shrink is stored. Nothing is
+   * written for an empty input.
+   * @param {Iterable<Buffer>|AsyncIterable<Buffer>} slices
+   * @param {(chunk: Buffer) => Promise<void>} writeChunk
+   * @returns {Promise<{size: number, crc: number, packedSize: number, properties: Buffer|null}>}
+   */
+  async compress(slices, writeChunk) {
+    const encoder = createLzmaEncoder();
+    // LZMA2 chunks must end without an end-of-stream marker
+    encoder.disableEndMark = true;
+
+    let size = 0;
+    let crc = 0;
+    let packedSize = 0;
+    let dictionarySize = 0;
+    let pieceSize = LZMA2_MAX_UNPACKED;
+
+    const emit = async (chunk) => {
+      packedSize += chunk.length;
+      await writeChunk(chunk);
+    };
+
+    for await (const slice of slices) {
+      size += slice.length;
+      crc = CRC32.buf(slice, crc);
+      let offset = 0;
+
+      while (offset < slice.length) {
+        const piece = slice.subarray(offset, offset + pieceSize);
+        const { properties, stream } = await this.compressLzma(encoder, piece);
+
+        if (stream.length <= LZMA2_MAX_PACKED && stream.length < piece.length) {
+          await emit(this.lzmaChunk(piece.length, properties[0], stream));
+          dictionarySize = Math.max(dictionarySize, properties.readUInt32LE(1));
+          pieceSize = Math.min(LZMA2_MAX_UNPACKED, pieceSize * 2);
+        } else if (piece.length > LZMA2_MAX_PACKED) {
+          // Aim just under the packed limit using this piece's ratio
+          pieceSize = Math.max(LZMA2_MAX_PACKED, Math.floor(piece.length * (LZMA2_MAX_PACKED / stream.length) * 0.9));
+          continue;
+        } else {
+          await emit(this.storedChunk(piece));
+        }
+        offset += piece.length;
+      }
+    }
+
+    if (size === 0) {
+      return { size, crc: 0, packedSize, properties: null };
+    }
+
+    await emit(this.byte(LZMA2_END));
+    return {
+      size,
+      crc: crc >>> 0,
+      packedSize,
+      properties: this.byte(this.dictionaryProperty(Math.min(dictionarySize, size)))
+    };
+  }
+
+  /**
+   * LZMA2 chunk that resets the dictionary, state and properties, so every
+   * piece decodes on its own
+   */
+  lzmaChunk(unpackedSize, lzmaProperties, stream) {
+    const header = Buffer.alloc(6);
+    header[0] = LZMA2_LZMA_RESET_ALL | ((unpackedSize - 1) >>> 16);
+    header.writeUInt16BE((unpackedSize - 1) & 0xffff, 1);
+    header.writeUInt16BE(stream.length - 1, 3);
+    header[5] = lzmaProperties;
+    return Buffer.concat([header, stream]);
+  }
+
+  storedChunk(piece) {
+    const header = Buffer.alloc(3);
+    header[0] = LZMA2_STORED_RESET_DICT;
+    header.writeUInt16BE(piece.length - 1, 1);
+    return Buffer.concat([header, piece]);
+  }
+
+  /**
+   * Smallest LZMA2 dictionary size property covering the given size: sizes
+   * go 4 KiB, 6 KiB, 8 KiB, 12 KiB, ... up to 3 GiB
+   */
+  dictionaryProperty(size) {
+    for (let property = 0; property < 40; property++) {
+      if ((2 + (property & 1)) * 2 ** (Math.floor(property / 2) + 11) >= size) {
+        return property;
+      }
+    }
+    return 40;
+  }
+
+  /**
+   * Compress with LZMA and split the .lzma "alone" header (properties byte,
+   * dictionary size, unpacked size) from the stream
+   */
+  compressLzma(encoder, data) {
+    return new Promise((resolve, reject) => {
+      encoder.compress(data, this.options.level, (result, error) => {
+        if (error) {
+          reject(error instanceof Error ? error : new Error(String(error)));
+          return;
+        }
+
+        const encoded = Buffer.from(result);
+        resolve({
+          properties: encoded.subarray(0, 5),
+          stream: encoded.subarray(LZMA_ALONE_HEADER_SIZE)
+        });
+      });
+    });
+  }
+
+  // === HEADER ENCODING ===
+
+  encodeHeader(files) {
+    const packed = files.filter(file => file.size > 0);
+    const parts = [this.byte(K.HEADER)];
+
+    if (packed.length > 0) {
+      parts.push(
+        this.byte(K.MAIN_STREAMS_INFO),
+        this.byte(K.PACK_INFO),
+        this.number(0),
+        this.number(packed.length),
+        this.byte(K.SIZE),
+        ...packed.map(file => this.number(file.packedSize)),
+        this.byte(K.END),
+
+        this.byte(K.UNPACK_INFO),
+        this.byte(K.FOLDER),
+        this.number(packed.length),
+        this.byte(0),
+        ...packed.map(file => this.encodeFolder(file)),
+        this.byte(K.CODERS_UNPACK_SIZE),
+        ...packed.map(file => this.number(file.size)),
+        this.byte(K.END),
+
+        this.byte(K.SUBSTREAMS_INFO),
+        this.byte(K.CRC),
+        this.byte(1),
+        ...packed.map(file => this.uint32(file.crc)),
+        this.byte(K.END),
+
+        this.byte(K.END)
+      );
+    }
+
+    parts.push(this.encodeFilesInfo(files), this.byte(K.END));
+    return Buffer.concat(parts);
+  }
+
+  encodeFolder(file) {
+    return Buffer.concat([
+      this.number(1),
+      // Simple coder with properties, method id length 1
+      this.byte(0x20 | LZMA2_METHOD_ID.length),
+      LZMA2_METHOD_ID,
+      this.number(file.properties.length),
+      file.properties
+    ]);
+  }
+
+  encodeFilesInfo(files) {
+    const parts = [this.byte(K.FILES_INFO), this.number(files.length)];
+    const empty = files.map(file => file.size === 0);
+
+    if (empty.some(Boolean)) {
+      const emptyStreams = this.bitField(empty);
+      parts.push(this.byte(K.EMPTY_STREAM), this.number(emptyStreams.length), emptyStreams);
+
+      // Every empty stream is an empty file rather than a directory
+      const emptyFiles = this.bitField(empty.filter(Boolean));
+      parts.push(this.byte(K.EMPTY_FILE), this.number(emptyFiles.length), emptyFiles);
+    }
+
+    const names = Buffer.concat(files.map(file => Buffer.from(`${file.name}\0`, 'utf16le')));
+    parts.push(this.byte(K.NAME), this.number(names.length + 1), this.byte(0), names);
+
+    const times = Buffer.concat(files.map(file => this.fileTime(file.mtime)));
+    parts.push(this.byte(K.MTIME), this.number(times.length + 2), this.byte(1), this.byte(0), times);
+
+    parts.push(this.byte(K.END));
+    return Buffer.concat(parts);
+  }
+
+  async patchSignatureHeader(outputPath, nextHeaderOffset, header) {
+    const startHeader = Buffer.alloc(20);
+    startHeader.writeBigUInt64LE(BigInt(nextHeaderOffset), 0);
+    startHeader.writeBigUInt64LE(BigInt(header.length), 8);
+    startHeader.writeUInt32LE(CRC32.buf(header) >>> 0, 16);
+
+    const signatureHeader = Buffer.alloc(SIGNATURE_HEADER_SIZE);
+    SIGNATURE.copy(signatureHeader, 0);
+    FORMAT_VERSION.copy(signatureHeader, 6);
+    signatureHeader.writeUInt32LE(CRC32.buf(startHeader) >>> 0, 8);
+    startHeader.copy(signatureHeader, 12);
+
+    const handle = await open(outputPath, 'r+');
+    try {
+      await handle.write(signatureHeader, 0, SIGNATURE_HEADER_SIZE, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // === PRIMITIVES ===
+
+  byte(value) {
+    return Buffer.from([value]);
+  }
+
+  uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0, 0);
+    return buffer;
+  }
+
+  /**
+   * 7z variable-length NUMBER: leading one bits in the first byte give the
+   * count of extra little-endian bytes
+   */
+  number(value) {
+    let remaining = BigInt(value);
+
+    for (let extraBytes = 0; extraBytes < 8; extraBytes++) {
+      if (remaining < (1n << BigInt(7 * (extraBytes + 1)))) {
+        const buffer = Buffer.alloc(extraBytes + 1);
+        const highBits = Number(remaining >> BigInt(8 * extraBytes));
+        buffer[0] = (0xff00 >> extraBytes) & 0xff | highBits;
+        for (let index = 0; index < extraBytes; index++) {
+          buffer[index + 1] = Number((remaining >> BigInt(8 * index)) & 0xffn);
+        }
+        return buffer;
+      }
+    }
+
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xff;
+    buffer.writeBigUInt64LE(remaining, 1);
+    return buffer;
+  }
+
+  bitField(bits) {
+    const buffer = Buffer.alloc(Math.ceil(bits.length / 8));
+    bits.forEach((bit, index) => {
+      if (bit) buffer[index >> 3] |= 0x80 >> (index & 7);
+    });
+    return buffer;
+  }
+
+  fileTime(date) {
+    const buffer = Buffer.alloc(8);
+    const ticks = BigInt(new Date(date).getTime()) * 10000n + FILETIME_EPOCH_OFFSET;
+    buffer.writeBigUInt64LE(ticks, 0);
+    return buffer;
+  }
+}
+
+export default SevenZipWriter;
@@ -0,0 +1,402 @@
+/**
+ * Split Archive - Size-capped multi-part ZIP exports
+ *
+ * Upload portals often cap files at 25-100 MB. Rather than cutting one ZIP
+ * into byte ranges, files are bin-packed into parts that are each a complete
+ * ZIP with their own manifest. Every part's manifest carries the part index,
+ * so `submitit join` can check the set is complete and recombine it.
+ */
+
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { stat } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import { createDeflateRaw } from 'zlib';
+import archiver from 'archiver';
+import { PackageManager } from './PackageManager.js';
+import { StreamingFileOperations } from './StreamingFileOperations.js';
+import { ArchiveReader } from './ArchiveReader.js';
+import { EncryptedZipWriter } from './EncryptedZipWriter.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// ZIP local header, data descriptor and central directory record, with ZIP64 extras
+const ENTRY_OVERHEAD = 160;
+const ARCHIVE_OVERHEAD = 256;
+const PART_ENTRIES = new Set(['manifest.json', 'README.md']);
+
+export class SplitArchive {
+  constructor(packageManager = new PackageManager()) {
+    this.packageManager = packageManager;
+    this.streamingOps = new StreamingFileOperations();
+  }
+
+  // === SIZE LIMITS ===
+
+  /**
+   * Largest size a file can reach inside a part: zlib's deflateBound for
+   * incompressible data, plus the ZIP records around it
+   */
+  estimateEntrySize(name, size) {
+    const deflateBound = size + (size >> 12) + (size >> 14) + (size >> 25) + 13;
+    return this.entrySize(name, deflateBound);
+  }
+
+  entrySize(name, compressedSize) {
+    return compressedSize + ENTRY_OVERHEAD + 2 * Buffer.byteLength(name);
+  }
+
+  /**
+   * Bytes a file deflates to at level 9, the level both ZIP writers use
+   */
+  async measureCompressedSize(sourcePath) {
+    let size = 0;
+    await pipeline(createReadStream(sourcePath), createDeflateRaw({ level: 9 }), async (compressed) => {
+      for await (const chunk of compressed) size += chunk.length;
+    });
+    return size;
+  }
+
+  // === PLANNING ===
+
+  /**
+   * Bin-pack the project into parts. Files sharing a role stay together when
+   * the whole role fits in one part; larger roles are spread first-fit.
+   * @returns {Promise<{set: string, parts: Array<{index: number, files: string[], size: number}>}>}
+   */
+  async plan(config, maxPartSize, options = {}) {
+    const files = (await this.packageManager.listPackageFiles(config, options))
+      .filter(file => !this.packageManager.isUnchangedInDelta(file.name, options));
+
+    const sized = [];
+    for (const file of files) {
+      try {
+        const stats = await stat(file.sourcePath);
+        sized.push({ ...file, role: this.resolveRole(config, file.name), estimate: this.estimateEntrySize(file.name, stats.size) });
+      } catch (error) {
+        // Optional project file (layout.json) that does not exist
+      }
+    }
+
+    const reserved = this.estimatePartOverhead(config, sized, options);
+    const capacity = maxPartSize - reserved;
+
+    // The worst case is cheap but assumes nothing compresses; a file it rules
+    // out is compressed once to see whether it really is too large
+    for (const file of sized.filter(candidate => candidate.estimate > capacity)) {
+      file.estimate = this.entrySize(file.name, await this.measureCompressedSize(file.sourcePath));
+    }
+
+    const oversized = sized.filter(file => file.estimate > capacity);
+    if (oversized.length > 0) {
+      throw new SubmititError(
+        `${oversized.map(file => file.name).join(', ')} cannot fit in a ${maxPartSize}-byte part, even compressed`,
+        'PART_TOO_LARGE',
+        { maxPartSize, files: oversized.map(file => file.name) }
+      );
+    }
+
+    const parts = [];
+    const place = (group) => {
+      const total = group.reduce((sum, file) => sum + file.estimate, 0);
+      let part = parts.find(candidate => candidate.size + total <= capacity);
+
+      if (!part) {
+        part = { files: [], size: 0 };
+        parts.push(part);
+      }
+
+      part.files.push(...group);
+      part.size += total;
+    };
+
+    for (const group of this.groupByRole(sized)) {
+      const total = group.reduce((sum, file) => sum + file.estimate, 0);
+
+      if (total <= capacity) {
+        place(group);
+      } else {
+        [...group].sort((a, b) => b.estimate - a.estimate || this.compareNames(a.name, b.name)).forEach(file => place([file]));
+      }
+    }
+
+    const planned = parts.map((part, i) => ({
+      index: i + 1,
+      files: part.files.map(file => file.name).sort(this.compareNames),
+      size: part.size + reserved
+    }));
+
+    return { set: this.createSetId(config, planned, options), parts: planned };
+  }
+
+  /**
+   * Role of an archive entry: config.files roles for content, fixed roles otherwise
+   */
+  resolveRole(config, name) {
+    if (name.startsWith('content/')) {
+      const file = (config.files || []).find(candidate => `content/${candidate.name}` === name);
+      return file?.role || 'other';
+    }
+
+    return name.startsWith('preview/') ? 'preview' : 'project';
+  }
+
+  /**
+   * Role groups, largest first so big roles claim empty parts before small ones fill them
+   */
+  groupByRole(files) {
+    const groups = new Map();
+
+    for (const file of files) {
+      if (!groups.has(file.role)) groups.set(file.role, []);
+      groups.get(file.role).push(file);
+    }
+
+    const size = group => group.reduce((sum, file) => sum + file.estimate, 0);
+    return [...groups.entries()]
+      .sort(([roleA, a], [roleB, b]) => size(b) - size(a) || this.compareNames(roleA, roleB))
+      .map(([, group]) => group);
+  }
+
+  /**
+   * Room every part keeps for its manifest and README. The manifest lists the
+   * whole part index and, at most, a hash for every file.
+   */
+  estimatePartOverhead(config, files, options) {
+    const manifest = JSON.stringify(this.packageManager.generateManifest(config, options), null, 2);
+    const readme = this.packageManager.generateReadme(config, options);
+    const index = files.reduce((sum, file) => sum + 2 * Buffer.byteLength(file.name) + 96, 0);
+
+    return ARCHIVE_OVERHEAD
+      + this.estimateEntrySize('manifest.json', Buffer.byteLength(manifest) + index + 512)
+      + this.estimateEntrySize('README.md', Buffer.byteLength(readme));
+  }
+
+  /**
+   * Stable id shared by every part of one export
+   */
+  createSetId(config, parts, options) {
+    return createHash('sha256')
+      .update(JSON.stringify({
+        project: config.name,
+        exported: this.packageManager.resolveBuildDate(options).toISOString(),
+        parts: parts.map(part => part.files)
+      }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  // === WRITING ===
+
+  /**
+   * Write every part as a standalone ZIP next to outputPath
+   * (report.zip becomes report.part01.zip, report.part02.zip, ...)
+   */
+  async write(config, outputPath, maxPartSize, options = {}, onProgress) {
+    // One date for the whole set, so every part's manifest and README agree
+    const setOptions = { ...options, buildDate: this.packageManager.resolveBuildDate(options) };
+    const { set, parts } = await this.plan(config, maxPartSize, { ...setOptions, format: 'zip' });
+    const index = Object.fromEntries(parts.flatMap(part => part.files.map(name => [name, part.index])));
+    const written = [];
+
+    for (const part of parts) {
+      const partPath = this.partPath(outputPath, part.index, parts.length);
+      const record = { set, index: part.index, total: parts.length, maxPartSize, files: index };
+
+      const result = await this.packageManager.createZipPackage(config, partPath, onProgress, {
+        ...setOptions,
+        part: { files: new Set(part.files), record }
+      });
+
+      if (result.size > maxPartSize) {
+        throw new SubmititError(
+          `${basename(partPath)} is ${result.size} bytes, over the ${maxPartSize}-byte limit`,
+          'PART_TOO_LARGE',
+          { part: part.index, size: result.size, maxPartSize }
+        );
+      }
+
+      written.push({ index: part.index, path: partPath, size: result.size, files: part.files, integrity: result.integrity });
+    }
+
+    return { set, maxPartSize, parts: written };
+  }
+
+  partPath(outputPath, index, total) {
+    const ext = extname(outputPath) || '.zip';
+    const stem = basename(outputPath, extname(outputPath));
+    const digits = Math.max(2, String(total).length);
+
+    return join(dirname(outputPath), `${stem}.part${String(index).padStart(digits, '0')}${ext}`);
+  }
+
+  // === JOINING ===
+
+  /**
+   * Read every part's manifest and check they form one complete set
+   * @returns {Promise<Array<{path: string, manifest: Object}>>} parts in index order
+   */
+  async loadParts(partPaths, keys = {}) {
+    const parts = [];
+
+    for (const partPath of partPaths) {
+      const embedded = await new ArchiveReader(partPath, keys).readEntry('manifest.json');
+      const manifest = embedded ? JSON.parse(embedded.toString('utf8')) : null;
+
+      if (!manifest?.parts) {
+        throw new SubmititError(`${basename(partPath)} is not part of a split export`, 'SPLIT_INCOMPLETE', { partPath });
+      }
+
+      parts.push({ path: partPath, manifest });
+    }
+
+    const { set, total } = parts[0].manifest.parts;
+    const foreign = parts.filter(part => part.manifest.parts.set !== set);
+    if (foreign.length > 0) {
+      throw new SubmititError(
+        `${foreign.map(part => basename(part.path)).join(', ')} belong to a different export than ${basename(parts[0].path)}`,
+        'SPLIT_INCOMPLETE',
+        { set }
+      );
+    }
+
+    const byIndex = new Map(parts.map(part => [part.manifest.parts.index, part]));
+    const missing = Array.from({ length: total }, (_, i) => i + 1).filter(index => !byIndex.has(index));
+    if (missing.length > 0 || byIndex.size !== parts.length) {
+      throw new SubmititError(
+        missing.length > 0
+          ? `Missing part(s) ${missing.join(', ')} of ${total}`
+          : 'The same part was given more than once',
+        'SPLIT_INCOMPLETE',
+        { set, total, missing }
+      );
+    }
+
+    return [...byIndex.keys()].sort((a, b) => a - b).map(index => byIndex.get(index));
+  }
+
+  /**
+   * Recombine a complete set of parts into one ZIP, checking every file
+   * against the hash recorded in its part's manifest. Password-protected
+   * parts are joined into a package protected by the same password.
+   */
+  async join(partPaths, outputPath, keys = {}) {
+    const parts = await this.loadParts(partPaths, keys);
+    const [first] = parts;
+    const encrypted = (await new ArchiveReader(first.path, keys).list()).some(entry => entry.encrypted);
+    const target = await this.openJoinTarget(outputPath, encrypted ? keys.password : null);
+
+    const files = {};
+    const altered = [];
+    let readme = null;
+
+    try {
+      for (const part of parts) {
+        const expected = part.manifest.integrity?.files || {};
+        const reader = new ArchiveReader(part.path, keys);
+
+        for await (const entry of reader.entries()) {
+          if (entry.type !== 'file') continue;
+
+          // Each part carries its own manifest and README; keep only the first README
+          if (PART_ENTRIES.has(entry.name)) {
+            if (entry.name === 'README.md' && part === first) {
+              readme = await reader.collect(entry.stream);
+            }
+            continue;
+          }
+
+          const hasher = this.streamingOps.createHashCalculator('sha256');
+          entry.stream.on('error', error => hasher.destroy(error));
+          await target.add({ name: entry.name, stream: entry.stream.pipe(hasher), mtime: entry.mtime, mode: entry.mode });
+
+          const actual = hasher.digest('hex');
+          if (expected[entry.name] && actual !== expected[entry.name]) {
+            altered.push(entry.name);
+          }
+          files[entry.name] = actual;
+        }
+      }
+
+      const missing = Object.keys(first.manifest.parts.files).filter(name => !(name in files));
+      if (missing.length > 0 || altered.length > 0) {
+        throw new SubmititError(
+          `Parts do not recombine cleanly: ${missing.length} missing, ${altered.length} altered`,
+          'SPLIT_INCOMPLETE',
+          { missing, altered }
+        );
+      }
+    } catch (error) {
+      await target.abort();
+      throw error;
+    }
+
+    const manifest = { ...first.manifest };
+    delete manifest.parts;
+
+    if (readme) {
+      files['README.md'] = this.packageManager.hashContent(readme);
+    }
+    if (manifest.integrity) {
+      manifest.integrity = { ...manifest.integrity, files: this.packageManager.sortKeys(files) };
+    }
+
+    const mtime = new Date(manifest.exported);
+    await target.add({ name: 'manifest.json', content: Buffer.from(JSON.stringify(manifest, null, 2)), mtime });
+    if (readme) {
+      await target.add({ name: 'README.md', content: readme, mtime });
+    }
+
+    const size = await target.finish();
+    return { path: outputPath, size, parts: parts.length, files: Object.keys(files).length, encrypted };
+  }
+
+  /**
+   * Sequential ZIP sink for join: archiver, or the AES writer for encrypted sets
+   */
+  async openJoinTarget(outputPath, password) {
+    if (password) {
+      const writer = new EncryptedZipWriter({ password });
+      await writer.open(outputPath);
+
+      return {
+        add: entry => writer.addEntry(entry),
+        finish: async () => (await writer.close()).size,
+        abort: () => writer.handle.close()
+      };
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const output = createWriteStream(outputPath);
+    const closed = once(output, 'close');
+    const failure = new Promise((resolve, reject) => archive.on('error', reject));
+    archive.pipe(output);
+
+    return {
+      add: async ({ stream, content, name, mtime, mode }) => {
+        archive.append(stream || content, { name, date: mtime, mode });
+        await Promise.race([once(archive, 'entry'), failure]);
+      },
+      finish: async () => {
+        await Promise.race([archive.finalize(), failure]);
+        await closed;
+        return archive.pointer();
+      },
+      abort: async () => archive.abort()
+    };
+  }
+
+  /**
+   * report.part01.zip → report.zip
+   */
+  defaultJoinPath(partPath) {
+    return partPath.replace(/\.part\d+(\.[^./\\]+)$/i, '$1');
+  }
+
+  compareNames(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+}
+
+export default SplitArchive;
@@ -0,0 +1,207 @@
+/**
+ * Static Site Builder - The preview pages as plain HTML, CSS and files
+ *
+ * Renders the overview and role pages that core/PreviewManager generates for
+ * the Astro preview, without Astro or a dev server. Every link is relative, so
+ * the site works from disk, as an email attachment or on an intranet share.
+ * `submitit build --static` writes it to a directory; `export --site` bundles
+ * it as site/ inside the package.
+ *
+ * Layout:
+ *   index.html          overview with a sample of each role
+ *   <role>.html         one page per role
+ *   assets/site.css     theme and page styles
+ *   files/...           content files, at their paths under content/
+ *
+ * CSS files with the "styles" role are linked from every page after
+ * site.css, so a project can restyle its own preview. Documents are shown
+ * with DocumentRenderer, which picks a renderer per role from
+ * config.renderers; PDF thumbnails and DOCX pictures go under assets/.
+ * Gallery pictures get responsive copies from ResponsiveImages, laid out in
+ * a grid.
+ */
+
+import { copyFile, mkdir, readFile, stat, writeFile } from 'fs/promises';
+import { dirname, extname, join } from 'path';
+import { PreviewManager } from '../core/PreviewManager.js';
+import { DocumentRenderer } from './DocumentRenderer.js';
+import { FileSignatures } from './FileSignatures.js';
+import { ResponsiveImages } from './ResponsiveImages.js';
+
+// Text files larger than this are linked rather than shown inline
+const MAX_INLINE_BYTES = 256 * 1024;
+
+// Responsive image copies, relative to the project directory
+export const IMAGE_CACHE_DIR = join('.submitit', 'cache', 'images');
+
+export class StaticSiteBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {PreviewManager} [options.previewManager] - Page renderer
+   * @param {string} [options.cacheDir] - Where responsive image copies are kept between builds
+   */
+  constructor(options = {}) {
+    this.previewManager = options.previewManager || new PreviewManager();
+    this.cacheDir = options.cacheDir || null;
+    this.signatures = new FileSignatures();
+    // Rendered documents, reused while a preview rebuilds
+    this.renderCache = new Map();
+  }
+
+  // === FILES ===
+
+  /**
+   * Page data for the content/ files an export would package, with the
+   * roles from config.files (files the config does not list are "content")
+   * and the rendered markup (html, sample) and its assets
+   * @param {Object} config - submitit.config.json
+   * @param {Array<{name: string, sourcePath: string}>} packageFiles
+   */
+  async collectFiles(config, packageFiles) {
+    const roles = new Map((config.files || []).map(file => [file.name, file.role]));
+    const renderer = new DocumentRenderer({ renderers: config.renderers, fileHref: name => this.fileHref(name), cache: this.renderCache });
+    const images = new ResponsiveImages(config.images, { cacheDir: this.cacheDir });
+    const files = [];
+
+    for (const file of packageFiles.filter(candidate => candidate.name.startsWith('content/'))) {
+      const name = file.name.slice('content/'.length);
+      const { size, mtime } = await stat(file.sourcePath);
+
+      const page = {
+        name,
+        sourcePath: file.sourcePath,
+        role: roles.get(name) || 'content',
+        extension: extname(name),
+        size,
+        mtime,
+        content: await this.readText(file.sourcePath, size),
+        href: this.fileHref(name)
+      };
+      const rendered = await renderer.render(page);
+      if (rendered) Object.assign(page, { renderer: rendered.renderer, html: rendered.html, sample: rendered.sample, assets: rendered.assets });
+      else if (images.handles(page)) Object.assign(page, await images.process(page));
+      files.push(page);
+    }
+
+    // Each picture is sized for its own place in the role page grid
+    for (const role of images.settings.roles) {
+      const roleFiles = files.filter(file => file.role === role);
+      const sizes = images.gridSizes(roleFiles.length);
+      roleFiles.forEach((file, index) => {
+        if (file.image) file.image.sizes = sizes[index];
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * File content for inline display, or null for binary and large files
+   */
+  async readText(filePath, size) {
+    if (size > MAX_INLINE_BYTES) return null;
+
+    const buffer = await readFile(filePath);
+    return this.signatures.looksLikeText(buffer) ? buffer.toString('utf8') : null;
+  }
+
+  /**
+   * Relative URL of a copied content file
+   */
+  fileHref(name) {
+    return `files/${name.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Page file name for a role; "index" is taken by the overview
+   */
+  pageName(role) {
+    const slug = role.toLowerCase().replace(/[^a-z0-9_-]+/g, '-') || 'role';
+    return `${slug === 'index' ? 'index-role' : slug}.html`;
+  }
+
+  // === BUILD ===
+
+  /**
+   * Write the site into outputDir. Files from an earlier build are overwritten
+   * but not removed.
+   * @param {Object} config - submitit.config.json
+   * @param {Array<{name: string, sourcePath: string}>} packageFiles - From PackageManager.listPackageFiles
+   * @param {string} outputDir
+   * @param {{theme?: string}} [options]
+   * @returns {Promise<{outputDir: string, pages: string[], files: Array<{name: string, sourcePath: string}>}>}
+   *   files lists everything written, relative to outputDir
+   */
+  async build(config, packageFiles, outputDir, options = {}) {
+    const preview = this.previewManager;
+    const theme = options.theme || config.theme || 'neon';
+    const title = config.name || 'Submitit Project';
+    const files = await this.collectFiles(config, packageFiles);
+    const filesByRole = preview.groupFilesByRole(files);
+    const stylesheets = files.filter(file => file.role === 'styles' && file.extension.toLowerCase() === '.css').map(file => file.href);
+    const written = [];
+
+    const output = async (name, write) => {
+      const outputPath = join(outputDir, ...name.split('/'));
+      await mkdir(dirname(outputPath), { recursive: true });
+      await write(outputPath);
+      written.push({ name, sourcePath: outputPath });
+    };
+
+    await output('assets/site.css', path => writeFile(path, [
+      preview.getBaseStyles(),
+      preview.getPageStyles('main'),
+      preview.getPageStyles('role'),
+      new DocumentRenderer().getStyles(),
+      new ResponsiveImages(config.images).getStyles()
+    ].join('\n')));
+
+    const overview = preview.renderMainContent(filesByRole, theme, 'static', role => this.pageName(role));
+    await output('index.html', path => writeFile(path, this.renderPage(title, theme, overview, stylesheets)));
+
+    for (const [role, roleFiles] of Object.entries(filesByRole)) {
+      const body = preview.renderRoleContent(role, roleFiles, 'index.html');
+      await output(this.pageName(role), path => writeFile(path, this.renderPage(`${preview.formatRoleName(role)} - ${title}`, theme, body, stylesheets)));
+    }
+
+    for (const file of files) {
+      await output(`files/${file.name}`, path => copyFile(file.sourcePath, path));
+      for (const asset of file.assets || []) {
+        await output(asset.name, path => writeFile(path, asset.data));
+      }
+    }
+
+    return {
+      outputDir,
+      pages: written.filter(file => file.name.endsWith('.html') && !file.name.startsWith('files/')).map(file => file.name),
+      files: written
+    };
+  }
+
+  /**
+   * A complete HTML document around page markup
+   * @param {string[]} [stylesheets] - Project stylesheets, linked after site.css
+   */
+  renderPage(title, theme, body, stylesheets = []) {
+    const escape = text => this.previewManager.escapeHtml(text);
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="${escape(theme)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(title)}</title>
+  <link rel="stylesheet" href="assets/site.css">${stylesheets.map(href => `
+  <link rel="stylesheet" href="${escape(href)}">`).join('')}
+</head>
+<body>
+  <div class="container">
+  ${body}
+  </div>
+</body>
+</html>
+`;
+  }
+}
+
+export default StaticSiteBuilder;
@@ -9,9 +9,68 @@ import { createReadStream, createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import { Transform } from 'stream';
 import { createHash } from 'crypto';
+import { once } from 'events';
+import zlib from 'zlib';
 import { stat, mkdir, copyFile } from 'fs/promises';
 import { join, dirname } from 'path';
+import archiver from 'archiver';
+import ZipStream from 'zip-stream';
 import pRetry from 'p-retry';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// === PER-ENTRY ZIP FORMAT ===
+
+/**
+ * archiver's ZIP module with one zlib level for the whole archive. This one
+ * takes `compressionLevel` per entry and reports each entry's compressed size.
+ * zip-stream reads its zlib options when an entry starts, and archiver hands
+ * over one entry at a time, so swapping them per entry is safe.
+ */
+class PerEntryZip {
+  constructor(options = {}) {
+    this.options = { comment: '', forceUTC: false, namePrependSlash: false, store: false, ...options };
+    this.supports = { directory: true, symlink: true };
+    this.engine = new ZipStream(this.options);
+    this.defaultZlib = { ...this.engine.options.zlib };
+  }
+
+  append(source, data, callback) {
+    this.engine.options.zlib = typeof data.compressionLevel === 'number'
+      ? { ...this.defaultZlib, level: data.compressionLevel }
+      : this.defaultZlib;
+
+    this.engine.entry(source, data, (error, entry) => {
+      if (!error && entry) {
+        this.options.onEntry?.(data.name, {
+          size: entry.getSize(),
+          compressedSize: entry.getCompressedSize(),
+          method: entry.getMethod() === 0 ? 'store' : 'deflate'
+        });
+      }
+      callback(error, data);
+    });
+  }
+
+  finalize() {
+    this.engine.finalize();
+  }
+
+  on(...args) {
+    return this.engine.on(...args);
+  }
+
+  pipe(...args) {
+    return this.engine.pipe(...args);
+  }
+
+  unpipe(...args) {
+    return this.engine.unpipe(...args);
+  }
+}
+
+if (!archiver.isRegisteredFormat('submitit-zip')) {
+  archiver.registerFormat('submitit-zip', PerEntryZip);
+}
 
 export class StreamingFileOperations {
   constructor(options = {}) {
@@ -381,6 +440,63 @@ export class StreamingFileOperations {
     };
   }
 
+  // === ARCHIVE STREAMING ===
+
+  /**
+   * Open an archiver stream piped to disk. Entries are added one at a time
+   * (statConcurrency 1) so archive order always matches insertion order.
+   * ZIP entries may set `store` or `compressionLevel`; TAR is compressed as a
+   * whole with gzip or, where Node supports it, zstd.
+   */
+  async createArchiveStream(outputPath, format = 'zip', options = {}) {
+    await mkdir(dirname(outputPath), { recursive: true });
+
+    const level = options.compressionLevel ?? this.options.compressionLevel ?? 6;
+    const tarCompression = options.tarCompression || 'gzip';
+    const entryStats = new Map();
+    let archive;
+
+    if (format === 'zip') {
+      archive = archiver('submitit-zip', {
+        zlib: { level },
+        statConcurrency: 1,
+        onEntry: (name, stats) => entryStats.set(name, stats)
+      });
+    } else if (tarCompression === 'zstd') {
+      if (typeof zlib.createZstdCompress !== 'function') {
+        throw new SubmititError(
+          `zstd compression needs Node.js 22.15 or newer (running ${process.version})`,
+          'FORMAT_UNAVAILABLE',
+          { format: 'tar.zst' }
+        );
+      }
+      archive = archiver('tar', { statConcurrency: 1 });
+    } else {
+      archive = archiver('tar', { gzip: true, gzipOptions: { level }, statConcurrency: 1 });
+    }
+
+    const output = createWriteStream(outputPath);
+    const closed = once(output, 'close');
+
+    if (format !== 'zip' && tarCompression === 'zstd') {
+      archive.pipe(zlib.createZstdCompress()).pipe(output);
+    } else {
+      archive.pipe(output);
+    }
+
+    return {
+      archive,
+      output,
+      format,
+      compression: format === 'zip' ? 'per-entry' : tarCompression,
+      entryStats,
+      finalize: async () => {
+        await archive.finalize();
+        await closed;
+      }
+    };
+  }
+
   // === UTILITY METHODS ===
 
   createHashCalculator(algorithm) {
@@ -10,8 +10,24 @@ import { StreamingFileOperations } from './StreamingFileOperations.js';
 import { PackageManager } from './PackageManager.js';
 import { createReadStream, createWriteStream, promises as fs } from 'fs';
 import { join, relative, dirname, basename } from 'path';
+import { Transform } from 'stream';
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { MimeTypeDetector } from './FileValidator.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+const DEDUPE_STRATEGIES = ['off', 'store-once', 'warn', 'fail'];
+const SNIFF_BYTES = 4096;
+
+// Formats that are already compressed; deflating them again wastes time
+const PRECOMPRESSED_MIME_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'image/avif',
+  'video/', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/flac',
+  'application/zip', 'application/gzip', 'application/x-7z-compressed', 'application/vnd.rar',
+  'application/x-bzip2', 'application/x-xz', 'application/zstd', 'application/epub+zip',
+  'application/java-archive', 'application/vnd.oasis.opendocument.',
+  'application/vnd.openxmlformats-officedocument.'
+];
 
 export class StreamingPackageManager extends EventEmitter {
   constructor(options = {}) {
@@ -23,6 +39,7 @@ export class StreamingPackageManager extends EventEmitter {
       compressionLevel: 6,
       enableProgress: true,
       enableDeduplication: false,
+      dedupeStrategy: 'off',
       enableIntegrityCheck: true,
       tempDir: options.tempDir || '/tmp/submitit-streaming',
       ...options
@@ -30,6 +47,8 @@ export class StreamingPackageManager extends EventEmitter {
     
     this.streamingOps = new StreamingFileOperations(this.options);
     this.basePackageManager = new PackageManager();
+    this.mimeDetector = new MimeTypeDetector();
+    this.compressionEntries = new Map();
     
     this.statistics = {
       totalFiles: 0,
@@ -37,6 +56,7 @@ export class StreamingPackageManager extends EventEmitter {
       processedFiles: 0,
       processedSize: 0,
       duplicatesRemoved: 0,
+      bytesDeduplicated: 0,
       compressionRatio: 0,
       startTime: Date.now()
     };
@@ -55,17 +75,23 @@ export class StreamingPackageManager extends EventEmitter {
     
     try {
       // Phase 1: Analyze project structure
-      const projectAnalysis = await this.analyzeProjectStructure(config);
+      const dedupeStrategy = this.resolveDedupeStrategy(options);
+      const projectAnalysis = await this.analyzeProjectStructure(config, { ...options, dedupeStrategy });
       this.statistics.totalFiles = projectAnalysis.totalFiles;
       this.statistics.totalSize = projectAnalysis.totalSize;
       
       this.emit('analysis-complete', projectAnalysis);
       
+      // Apply the dedupe strategy before anything is written
+      const dedupeReport = dedupeStrategy === 'off'
+        ? null
+        : this.planDeduplication(projectAnalysis.duplicates, dedupeStrategy, options);
+      
       // Phase 2: Prepare streaming pipeline
-      const pipeline = await this.createStreamingPipeline(config, options);
+      const pipeline = await this.createStreamingPipeline(config, { ...options, dedupeReport });
       
       // Phase 3: Execute streaming export
-      const result = await this.executeStreamingExport(pipeline, options);
+      const result = await this.executeStreamingExport(pipeline, { ...options, dedupeReport });
       
       // Phase 4: Generate final package
       const packageResult = await this.finalizePackage(result, options);
@@ -94,7 +120,7 @@ export class StreamingPackageManager extends EventEmitter {
   /**
    * Analyze project structure for memory-efficient processing
    */
-  async analyzeProjectStructure(config) {
+  async analyzeProjectStructure(config, options = {}) {
     console.log(chalk.cyan('📊 Analyzing project structure...'));
     
     const analysis = {
@@ -123,18 +149,19 @@ export class StreamingPackageManager extends EventEmitter {
           const fullPath = join(dirPath, entry.name);
           const relativePath = join(basePath, entry.name);
           
-          if (this.basePackageManager.shouldExclude(fullPath)) {
+          if (this.basePackageManager.shouldExclude(fullPath, options, entry.isDirectory())) {
             continue;
           }
           
           if (entry.isDirectory()) {
             analysis.directories.push(relativePath);
             await analyzeDirectory(fullPath, relativePath);
-          } else {
+          } else if (!this.basePackageManager.isOutsideRoles(join('content/', relativePath), options)) {
             const stats = await fs.stat(fullPath);
             const fileInfo = {
               path: fullPath,
               relativePath,
+              archivePath: join('content/', relativePath),
               size: stats.size,
               modified: stats.mtime,
               type: this.getFileType(entry.name)
@@ -163,9 +190,11 @@ export class StreamingPackageManager extends EventEmitter {
     };
 
     await analyzeDirectory(contentDir);
+    // The first file in archive order is the one kept when duplicates are found
+    analysis.files.sort((a, b) => (a.archivePath < b.archivePath ? -1 : a.archivePath > b.archivePath ? 1 : 0));
     
     // Detect duplicates if enabled
-    if (this.options.enableDeduplication) {
+    if (this.options.enableDeduplication || (options.dedupeStrategy && options.dedupeStrategy !== 'off')) {
       analysis.duplicates = await this.detectDuplicateFiles(analysis.files);
     }
     
@@ -207,7 +236,7 @@ export class StreamingPackageManager extends EventEmitter {
       pipeline.stages.push({
         name: 'deduplication',
         processor: async (fileInfo) => {
-          return this.processDuplicateFile(fileInfo);
+          return this.processDuplicateFile(fileInfo, options.dedupeReport);
         }
       });
     }
@@ -230,16 +259,22 @@ export class StreamingPackageManager extends EventEmitter {
    * Execute streaming export with memory efficiency
    */
   async executeStreamingExport(pipeline, options) {
-    const outputPath = this.generateOutputPath(options);
+    const outputPath = this.generateOutputPath(options, pipeline.metadata.config);
     const format = options.format || 'zip';
     
     console.log(chalk.blue(`📦 Creating ${format.toUpperCase()} archive: ${basename(outputPath)}`));
 
     // Create streaming archive
-    const archiveStream = await this.streamingOps.createArchiveStream(outputPath, format);
+    this.compressionEntries.clear();
+    const archiveStream = await this.streamingOps.createArchiveStream(outputPath, format, {
+      compressionLevel: this.options.compressionLevel,
+      tarCompression: options.tarCompression
+    });
     
     // Process project structure
-    const projectStructure = await this.createProjectStructure(pipeline.metadata.config);
+    const projectStructure = await this.createProjectStructure(pipeline.metadata.config, options);
+    const integrity = new Map();
+    const pendingHashes = [];
     
     // Add files using streaming operations
     let processedCount = 0;
@@ -254,6 +289,9 @@ export class StreamingPackageManager extends EventEmitter {
       'content/',
       archiveStream,
       {
+        ...options,
+        integrity,
+        pendingHashes,
         onProgress: (progress) => {
           processedCount++;
           this.statistics.processedFiles = processedCount;
@@ -277,7 +315,7 @@ export class StreamingPackageManager extends EventEmitter {
     );
 
     // Add project metadata
-    await this.addProjectMetadata(archiveStream, projectStructure);
+    await this.addProjectMetadata(archiveStream, projectStructure, { ...options, integrity, pendingHashes });
     
     // Finalize archive
     await this.finalizeArchiveStream(archiveStream);
@@ -288,7 +326,11 @@ export class StreamingPackageManager extends EventEmitter {
       processedFiles: this.statistics.processedFiles,
       originalSize: this.statistics.totalSize,
       compressedSize: await this.getFileSize(outputPath),
-      format
+      format,
+      compression: archiveStream.compression,
+      compressionReport: this.buildCompressionReport(archiveStream),
+      integrity: this.basePackageManager.sortKeys(Object.fromEntries(integrity)),
+      dedupe: options.dedupeReport || null
     };
   }
 
@@ -300,12 +342,14 @@ export class StreamingPackageManager extends EventEmitter {
   async processDirectoryStreaming(sourcePath, archivePath, archiveStream, options = {}) {
     try {
       const entries = await fs.readdir(sourcePath, { withFileTypes: true });
+      // Directory listing order is filesystem-dependent
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
       
       for (const entry of entries) {
         const fullPath = join(sourcePath, entry.name);
         const archiveFilePath = join(archivePath, entry.name);
         
-        if (this.basePackageManager.shouldExclude(fullPath)) {
+        if (this.basePackageManager.shouldExclude(fullPath, options, entry.isDirectory())) {
           continue;
         }
         
@@ -318,9 +362,9 @@ export class StreamingPackageManager extends EventEmitter {
             options
           );
         } else {
-          // Stream file to archive
+          // Stream file to archive, or its scrubbed copy
           await this.streamFileToArchive(
-            fullPath,
+            options.substitutes?.get(archiveFilePath) || fullPath,
             archiveFilePath,
             archiveStream,
             options
@@ -336,6 +380,17 @@ export class StreamingPackageManager extends EventEmitter {
    * Stream individual file to archive with memory efficiency
    */
   async streamFileToArchive(filePath, archivePath, archiveStream, options = {}) {
+    if (this.basePackageManager.isUnchangedInDelta(archivePath, options) ||
+        this.basePackageManager.isOutsideRoles(archivePath, options)) {
+      return;
+    }
+
+    const { aliasOf } = await this.processDuplicateFile({ path: filePath, archivePath }, options.dedupeReport);
+    if (aliasOf) {
+      this.appendAlias(archiveStream, archivePath, aliasOf, options);
+      return;
+    }
+
     try {
       const stats = await fs.stat(filePath);
       
@@ -346,7 +401,7 @@ export class StreamingPackageManager extends EventEmitter {
       
       // Add progress monitoring if enabled
       let processedBytes = 0;
-      const progressStream = new (require('stream').Transform)({
+      const progressStream = new Transform({
         transform(chunk, encoding, callback) {
           processedBytes += chunk.length;
           this.push(chunk);
@@ -354,11 +409,27 @@ export class StreamingPackageManager extends EventEmitter {
         }
       });
       
-      // Pipe to archive
-      readStream.pipe(progressStream);
-      archiveStream.archive.append(progressStream, { 
-        name: archivePath,
-        date: stats.mtime
+      // Pick store or a deflate level from the sniffed content type
+      const mimeType = await this.sniffMimeType(filePath);
+      const strategy = this.selectCompressionStrategy({ path: filePath, mimeType });
+      this.compressionEntries.set(archivePath, { category: this.getCompressionCategory(mimeType), strategy, size: stats.size });
+      
+      // Pipe to archive, hashing on the way when integrity is tracked
+      if (options.integrity) {
+        const hasher = this.streamingOps.createHashCalculator('sha256');
+        // archiver buffers sources as soon as they are appended, so the manifest waits on these
+        options.pendingHashes?.push(new Promise(resolve => {
+          hasher.on('end', () => options.integrity.set(archivePath, hasher.digest('hex')));
+          hasher.on('close', resolve);
+        }));
+        readStream.pipe(hasher).pipe(progressStream);
+      } else {
+        readStream.pipe(progressStream);
+      }
+      archiveStream.archive.append(progressStream, {
+        date: stats.mtime,
+        ...this.basePackageManager.createEntryData(archivePath, options),
+        ...this.getCompressionEntryOptions(strategy)
       });
       
       // Report progress
@@ -376,53 +447,78 @@ export class StreamingPackageManager extends EventEmitter {
     }
   }
 
+  /**
+   * Store a duplicate once: TAR gets a hardlink entry, ZIP has no link
+   * entries so the manifest alias map stands in for the copy
+   */
+  appendAlias(archiveStream, archivePath, aliasOf, options = {}) {
+    if (archiveStream.format !== 'zip') {
+      archiveStream.archive.append(Buffer.alloc(0), {
+        ...this.basePackageManager.createEntryData(archivePath, options),
+        type: 'link',
+        linkname: aliasOf
+      });
+    }
+    
+    if (options.onProgress) {
+      options.onProgress({ file: archivePath, size: 0, processed: 0 });
+    }
+  }
+
   // === PROJECT METADATA ===
 
   /**
    * Create project structure for archive
    */
-  async createProjectStructure(config) {
+  async createProjectStructure(config, options = {}) {
     return {
-      manifest: this.basePackageManager.generateManifest(config),
-      readme: this.basePackageManager.generateReadme(config),
+      manifest: this.basePackageManager.generateManifest(config, options),
+      readme: this.basePackageManager.generateReadme(config, options),
       config: config,
       layout: await this.loadLayoutConfig(),
-      timestamp: new Date().toISOString()
+      timestamp: this.basePackageManager.resolveBuildDate(options).toISOString()
     };
   }
 
   /**
    * Add project metadata to archive
    */
-  async addProjectMetadata(archiveStream, projectStructure) {
+  async addProjectMetadata(archiveStream, projectStructure, options = {}) {
+    const entryData = (name) => this.basePackageManager.createEntryData(name, options);
+
+    // Add configuration files first so the manifest can cover them
+    for (const name of ['submitit.config.json', 'layout.json']) {
+      try {
+        await this.basePackageManager.appendFile(archiveStream.archive, join(process.cwd(), name), name, options);
+      } catch (error) {
+        console.warn(`${name} not found, skipping...`);
+      }
+    }
+
+    for (const attachment of options.attachments || []) {
+      await this.basePackageManager.appendFile(archiveStream.archive, attachment.sourcePath, attachment.name, options);
+    }
+
     // Add manifest
-    archiveStream.archive.append(
-      JSON.stringify(projectStructure.manifest, null, 2),
-      { name: 'manifest.json' }
-    );
+    let { manifest } = projectStructure;
+    if (options.integrity) {
+      await Promise.all(options.pendingHashes || []);
+      options.integrity.set('README.md', this.basePackageManager.hashContent(projectStructure.readme));
+      manifest = this.basePackageManager.generateManifest(projectStructure.config, options);
+    }
+    
+    if (options.includeManifest !== false) {
+      archiveStream.archive.append(
+        JSON.stringify(manifest, null, 2),
+        entryData('manifest.json')
+      );
+    }
     
     // Add README
     archiveStream.archive.append(
       projectStructure.readme,
-      { name: 'README.md' }
+      entryData('README.md')
     );
-    
-    // Add configuration files
-    try {
-      const configPath = join(process.cwd(), 'submitit.config.json');
-      const configStream = createReadStream(configPath);
-      archiveStream.archive.append(configStream, { name: 'submitit.config.json' });
-    } catch (error) {
-      console.warn('Config file not found, skipping...');
-    }
-    
-    try {
-      const layoutPath = join(process.cwd(), 'layout.json');
-      const layoutStream = createReadStream(layoutPath);
-      archiveStream.archive.append(layoutStream, { name: 'layout.json' });
-    } catch (error) {
-      console.warn('Layout file not found, skipping...');
-    }
   }
 
   // === DUPLICATE DETECTION ===
@@ -441,23 +537,30 @@ export class StreamingPackageManager extends EventEmitter {
     for (let i = 0; i < files.length; i += batchSize) {
       const batch = files.slice(i, i + batchSize);
       
-      await Promise.all(batch.map(async (file) => {
+      const hashes = await Promise.all(batch.map(async (file) => {
         try {
-          const hash = await this.streamingOps.calculateFileHash(file.path);
-          
-          if (hashMap.has(hash)) {
-            duplicates.push({
-              original: hashMap.get(hash),
-              duplicate: file,
-              hash
-            });
-          } else {
-            hashMap.set(hash, file);
-          }
+          return await this.streamingOps.calculateFileHash(file.path);
         } catch (error) {
           console.warn(`Warning: Could not hash file ${file.path}:`, error.message);
+          return null;
         }
       }));
+      
+      // Walk results in input order so the same file is always the original
+      batch.forEach((file, index) => {
+        const hash = hashes[index];
+        if (!hash) return;
+        
+        if (hashMap.has(hash)) {
+          duplicates.push({
+            original: hashMap.get(hash),
+            duplicate: file,
+            hash
+          });
+        } else {
+          hashMap.set(hash, file);
+        }
+      });
     }
     
     console.log(chalk.yellow(`Found ${duplicates.length} duplicate files`));
@@ -465,20 +568,97 @@ export class StreamingPackageManager extends EventEmitter {
   }
 
   /**
-   * Process duplicate file (skip or include based on options)
+   * Resolve the dedupe strategy: off, store-once, warn or fail
    */
-  async processDuplicateFile(fileInfo) {
-    // Implementation depends on deduplication strategy
-    // For now, we'll just mark duplicates but still include them
-    return fileInfo;
+  resolveDedupeStrategy(options = {}) {
+    const strategy = options.dedupe || this.options.dedupeStrategy ||
+      (this.options.enableDeduplication ? 'warn' : 'off');
+    
+    if (!DEDUPE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown dedupe strategy: ${strategy}. Use one of: ${DEDUPE_STRATEGIES.join(', ')}`);
+    }
+    
+    return strategy;
+  }
+
+  /**
+   * Turn detected duplicates into the report recorded in the manifest.
+   * store-once aliases each duplicate to the first copy in archive order.
+   */
+  planDeduplication(duplicates, strategy, options = {}) {
+    const report = {
+      strategy,
+      duplicates: [],
+      aliases: {},
+      bytesSaved: 0
+    };
+    
+    for (const { original, duplicate } of duplicates) {
+      // A delta cannot alias a file it does not carry
+      if (this.basePackageManager.isUnchangedInDelta(duplicate.archivePath, options) ||
+          this.basePackageManager.isUnchangedInDelta(original.archivePath, options)) {
+        continue;
+      }
+      
+      report.duplicates.push({ path: duplicate.archivePath, original: original.archivePath, size: duplicate.size });
+    }
+    
+    if (strategy === 'fail' && report.duplicates.length > 0) {
+      throw new SubmititError(
+        `Found ${report.duplicates.length} duplicate file(s); export blocked by --dedupe fail`,
+        'DUPLICATE_FILES',
+        { duplicates: report.duplicates }
+      );
+    }
+    
+    if (strategy === 'warn') {
+      for (const { path, original } of report.duplicates) {
+        console.warn(chalk.yellow(`⚠️  Duplicate: ${path} is identical to ${original}`));
+      }
+    }
+    
+    if (strategy === 'store-once') {
+      for (const { path, original, size } of report.duplicates) {
+        report.aliases[path] = original;
+        report.bytesSaved += size;
+      }
+      
+      this.statistics.duplicatesRemoved = report.duplicates.length;
+      this.statistics.bytesDeduplicated = report.bytesSaved;
+    }
+    
+    return report;
+  }
+
+  /**
+   * Process duplicate file (mark it as an alias under store-once)
+   */
+  async processDuplicateFile(fileInfo, dedupeReport = null) {
+    const aliasOf = dedupeReport?.aliases[fileInfo.archivePath];
+    return aliasOf ? { ...fileInfo, aliasOf } : fileInfo;
   }
 
   // === COMPRESSION OPTIMIZATION ===
 
   /**
-   * Select optimal compression strategy based on file type
+   * Select optimal compression strategy based on file type. A sniffed MIME
+   * type wins over the extension, which can lie.
    */
   selectCompressionStrategy(fileInfo) {
+    const { mimeType } = fileInfo;
+    
+    if (mimeType && mimeType !== 'application/octet-stream') {
+      if (PRECOMPRESSED_MIME_TYPES.some(type => mimeType.startsWith(type))) {
+        return 'store';
+      }
+      
+      if (this.mimeDetector.isTextual(mimeType)) {
+        return 'maximum';
+      }
+      
+      return 'normal';
+    }
+    
     const ext = fileInfo.path.split('.').pop()?.toLowerCase();
     
     // Already compressed formats - use store mode
@@ -497,17 +677,83 @@ export class StreamingPackageManager extends EventEmitter {
     return 'normal';
   }
 
+  /**
+   * ZIP entry options for a strategy; TAR ignores them
+   */
+  getCompressionEntryOptions(strategy) {
+    switch (strategy) {
+      case 'store':
+        return { store: true };
+      case 'maximum':
+        return { compressionLevel: 9 };
+      default:
+        return { compressionLevel: this.options.compressionLevel };
+    }
+  }
+
+  async sniffMimeType(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return await this.mimeDetector.detectMimeType(buffer.subarray(0, bytesRead), filePath);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  getCompressionCategory(mimeType) {
+    if (this.mimeDetector.isTextual(mimeType)) return 'text';
+    
+    const [kind] = mimeType.split('/');
+    if (['image', 'video', 'audio'].includes(kind)) return kind;
+    if (mimeType === 'application/pdf' || mimeType.includes('officedocument') || mimeType === 'application/msword') {
+      return 'document';
+    }
+    if (PRECOMPRESSED_MIME_TYPES.some(type => mimeType.startsWith(type))) return 'archive';
+    
+    return 'other';
+  }
+
+  /**
+   * Achieved ratio per content category. ZIP reports per-entry sizes; TAR is
+   * compressed as one stream, so only the original sizes are known.
+   */
+  buildCompressionReport(archiveStream) {
+    const report = {};
+    
+    for (const [name, entry] of this.compressionEntries) {
+      const category = report[entry.category] ||= { files: 0, originalSize: 0, compressedSize: null, ratio: null, strategies: {} };
+      const stored = archiveStream.entryStats.get(name);
+      
+      category.files++;
+      category.originalSize += entry.size;
+      category.strategies[entry.strategy] = (category.strategies[entry.strategy] || 0) + 1;
+      
+      if (stored) {
+        category.compressedSize = (category.compressedSize || 0) + stored.compressedSize;
+      }
+    }
+    
+    for (const category of Object.values(report)) {
+      if (category.compressedSize !== null && category.originalSize > 0) {
+        category.ratio = category.compressedSize / category.originalSize;
+      }
+    }
+    
+    return report;
+  }
+
   // === FINALIZATION ===
 
   /**
    * Finalize archive stream
    */
   async finalizeArchiveStream(archiveStream) {
-    return new Promise((resolve, reject) => {
-      archiveStream.archive.on('end', resolve);
+    const failed = new Promise((resolve, reject) => {
       archiveStream.archive.on('error', reject);
-      archiveStream.finalize();
     });
+    await Promise.race([archiveStream.finalize(), failed]);
   }
 
   /**
@@ -534,6 +780,16 @@ export class StreamingPackageManager extends EventEmitter {
     console.log(chalk.gray(`   Compression ratio: ${(this.statistics.compressionRatio * 100).toFixed(1)}%`));
     console.log(chalk.gray(`   Space saved: ${this.formatBytes(finalResult.savings)}`));
     
+    for (const [category, entry] of Object.entries(result.compressionReport || {})) {
+      const ratio = entry.ratio === null ? 'n/a' : `${(entry.ratio * 100).toFixed(1)}%`;
+      console.log(chalk.gray(`   ${category}: ${entry.files} file(s), ${this.formatBytes(entry.originalSize)} → ${ratio}`));
+    }
+    
+    if (result.dedupe) {
+      const { strategy, duplicates, bytesSaved } = result.dedupe;
+      console.log(chalk.gray(`   Duplicates (${strategy}): ${duplicates.length} file(s), ${this.formatBytes(bytesSaved)} saved`));
+    }
+    
     return finalResult;
   }
 
@@ -542,13 +798,16 @@ export class StreamingPackageManager extends EventEmitter {
   /**
    * Generate output path based on options
    */
-  generateOutputPath(options) {
+  generateOutputPath(options, config = null) {
     const outputDir = options.outputPath || join(process.cwd(), 'output');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const format = options.format || 'zip';
-    
-    const filename = options.customName 
-      ? `${options.customName}.${format}`
+    const timestamp = this.basePackageManager.resolveBuildDate(options).toISOString().replace(/[:.]/g, '-');
+    const format = options.tarCompression === 'zstd' ? 'tar.zst' : options.format || 'zip';
+    const name = options.customName && config
+      ? this.basePackageManager.expandNamingPattern(options.customName, config, options)
+      : options.customName;
+    
+    const filename = name 
+      ? `${name}.${format}`
       : `submitit_streaming_${timestamp}.${format}`;
     
     return join(outputDir, filename);
@@ -0,0 +1,315 @@
+/**
+ * Submission Integrity - Content hashes, archive digests and Ed25519 signatures
+ *
+ * Export records a SHA-256 for every packaged file plus a digest of the
+ * finished archive. The integrity block can be signed with a local Ed25519
+ * key so a grader can later prove the package is exactly what was submitted.
+ */
+
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+import { mkdir, readFile, writeFile, access } from 'fs/promises';
+import { homedir } from 'os';
+import { basename, dirname, join } from 'path';
+import chalk from 'chalk';
+import { StreamingFileOperations } from './StreamingFileOperations.js';
+import { ArchiveReader } from './ArchiveReader.js';
+
+const HASH_ALGORITHM = 'sha256';
+const MANIFEST_ENTRY = 'manifest.json';
+
+export class SubmissionIntegrity {
+  constructor(options = {}) {
+    this.options = {
+      keyPath: process.env.SUBMITIT_SIGNING_KEY || join(homedir(), '.submitit', 'signing-key.pem'),
+      ...options
+    };
+    this.streamingOps = new StreamingFileOperations();
+  }
+
+  // === HASHING ===
+
+  /**
+   * Digest of the finished archive file
+   */
+  async hashArchive(archivePath) {
+    return await this.streamingOps.calculateFileHash(archivePath, HASH_ALGORITHM);
+  }
+
+  /**
+   * Hash every file inside an archive by streaming it through a hash calculator
+   * @param {string} archivePath
+   * @param {Object} [keys] - Password or age identities for encrypted packages
+   * @returns {Promise<Map<string, {sha256: string, size: number}>>}
+   */
+  async hashArchiveEntries(archivePath, keys = {}) {
+    const reader = new ArchiveReader(archivePath, keys);
+    const hashes = new Map();
+
+    for await (const entry of reader.entries()) {
+      if (entry.type !== 'file') continue;
+
+      const hasher = this.streamingOps.createHashCalculator(HASH_ALGORITHM);
+      // pipe() does not forward errors (wrong password, failed authentication)
+      entry.stream.on('error', error => hasher.destroy(error));
+      let size = 0;
+      for await (const chunk of entry.stream.pipe(hasher)) {
+        size += chunk.length;
+      }
+
+      hashes.set(entry.name, { sha256: hasher.digest('hex'), size });
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Build the integrity block stored in the export manifest
+   */
+  async createIntegrityBlock(fileHashes, archivePath) {
+    const files = fileHashes instanceof Map ? Object.fromEntries(fileHashes) : { ...fileHashes };
+
+    return {
+      algorithm: HASH_ALGORITHM,
+      files: this.sortObject(files),
+      archive: {
+        name: basename(archivePath),
+        [HASH_ALGORITHM]: await this.hashArchive(archivePath)
+      }
+    };
+  }
+
+  /**
+   * Integrity block for a split export: one digest per part, plus which files
+   * each part holds. Those come from the part's own hashes, so they include
+   * the README every part carries.
+   */
+  async createPartsIntegrityBlock(fileHashes, parts) {
+    const block = await this.createIntegrityBlock(fileHashes, parts[0].path);
+    delete block.archive;
+
+    block.parts = [];
+    for (const part of parts) {
+      block.parts.push({
+        name: basename(part.path),
+        [HASH_ALGORITHM]: await this.hashArchive(part.path),
+        files: Object.keys(part.integrity).sort()
+      });
+    }
+
+    return block;
+  }
+
+  // === SIGNING ===
+
+  /**
+   * Sign an integrity block with the local Ed25519 key, creating one on first use
+   */
+  async sign(integrity, keyPath = this.options.keyPath) {
+    const { privateKey, publicKey } = await this.loadOrCreateSigningKey(keyPath);
+    const payload = Buffer.from(this.canonicalize(this.signedFields(integrity)));
+
+    return {
+      algorithm: 'ed25519',
+      keyId: this.keyId(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+      value: sign(null, payload, privateKey).toString('base64')
+    };
+  }
+
+  /**
+   * Check a signature, optionally against an explicitly trusted public key
+   */
+  async verifySignature(integrity, signature, trustedKeyPath = null) {
+    if (!signature) {
+      return { present: false, valid: false, trusted: false };
+    }
+
+    const embeddedKey = createPublicKey({
+      key: Buffer.from(signature.publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    let key = embeddedKey;
+    let trusted = false;
+
+    if (trustedKeyPath) {
+      key = createPublicKey(await readFile(trustedKeyPath, 'utf8'));
+      trusted = true;
+    }
+
+    const payload = Buffer.from(this.canonicalize(this.signedFields(integrity)));
+    const valid = verify(null, payload, key, Buffer.from(signature.value, 'base64'));
+
+    return {
+      present: true,
+      valid,
+      trusted,
+      keyId: this.keyId(key),
+      matchesEmbeddedKey: this.keyId(key) === signature.keyId
+    };
+  }
+
+  async loadOrCreateSigningKey(keyPath) {
+    try {
+      const pem = await readFile(keyPath, 'utf8');
+      const privateKey = createPrivateKey(pem);
+      return { privateKey, publicKey: createPublicKey(privateKey) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+    await mkdir(dirname(keyPath), { recursive: true });
+    await writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    await writeFile(`${keyPath}.pub`, publicKey.export({ type: 'spki', format: 'pem' }));
+    console.log(chalk.yellow(`🔑 Created signing key ${keyPath} (public key: ${keyPath}.pub)`));
+
+    return { privateKey, publicKey };
+  }
+
+  keyId(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return createHash(HASH_ALGORITHM).update(der).digest('hex').substring(0, 16);
+  }
+
+  signedFields(integrity) {
+    return {
+      algorithm: integrity.algorithm,
+      files: integrity.files,
+      archive: integrity.archive,
+      ...(integrity.parts && { parts: integrity.parts })
+    };
+  }
+
+  // === VERIFICATION ===
+
+  /**
+   * Re-open an archive and compare it with its embedded and sidecar manifests
+   */
+  async verifyArchive(archivePath, options = {}) {
+    const report = {
+      archive: archivePath,
+      ok: true,
+      missing: [],
+      extra: [],
+      altered: [],
+      verified: 0,
+      archiveDigest: null,
+      signature: null,
+      warnings: []
+    };
+
+    const entries = await this.hashArchiveEntries(archivePath, options.keys);
+    const reader = new ArchiveReader(archivePath, options.keys);
+    const embedded = await reader.readEntry(MANIFEST_ENTRY);
+    const embeddedManifest = embedded ? JSON.parse(embedded.toString('utf8')) : null;
+    const sidecar = await this.loadSidecarManifest(archivePath, options.manifestPath);
+
+    // A split export's sidecar describes every part; check only this one's files.
+    // Encrypted exports keep file hashes out of the sidecar, inside the package.
+    const part = sidecar?.integrity?.parts?.find(candidate => candidate.name === basename(archivePath));
+    const sidecarFiles = sidecar?.integrity?.files;
+    const expected = sidecarFiles && part
+      ? Object.fromEntries(part.files.map(name => [name, sidecarFiles[name]]))
+      : sidecarFiles || embeddedManifest?.integrity?.files;
+    if (!expected) {
+      report.ok = false;
+      report.warnings.push('No integrity data found: export with a newer submitit to include content hashes');
+      return report;
+    }
+
+    for (const [name, hash] of Object.entries(expected)) {
+      const actual = entries.get(name);
+      if (!actual) {
+        report.missing.push(name);
+      } else if (actual.sha256 !== (hash.sha256 || hash)) {
+        report.altered.push({ name, expected: hash.sha256 || hash, actual: actual.sha256 });
+      } else {
+        report.verified++;
+      }
+    }
+
+    for (const name of entries.keys()) {
+      if (name !== MANIFEST_ENTRY && !(name in expected)) {
+        report.extra.push(name);
+      }
+    }
+
+    // Deduplicated copies must still resolve to a stored file
+    for (const [alias, original] of Object.entries(embeddedManifest?.dedupe?.aliases || {})) {
+      if (!entries.has(original)) {
+        report.missing.push(alias);
+      }
+    }
+
+    const described = sidecar?.integrity?.archive || part;
+    if (described) {
+      const actualDigest = await this.hashArchive(archivePath);
+      const expectedDigest = described[HASH_ALGORITHM];
+      report.archiveDigest = { expected: expectedDigest, actual: actualDigest, ok: actualDigest === expectedDigest };
+      if (!report.archiveDigest.ok) report.ok = false;
+
+      report.signature = await this.verifySignature(sidecar.integrity, sidecar.integrity.signature, options.publicKeyPath);
+      if (report.signature.present && !report.signature.valid) report.ok = false;
+      if (options.publicKeyPath && !report.signature.valid) report.ok = false;
+    } else {
+      report.warnings.push('No sidecar manifest found; archive digest and signature were not checked');
+      if (options.publicKeyPath) report.ok = false;
+    }
+
+    if (report.missing.length > 0 || report.extra.length > 0 || report.altered.length > 0) {
+      report.ok = false;
+    }
+
+    return report;
+  }
+
+  /**
+   * The export command writes manifest.json next to the package; only trust it
+   * when it describes this archive
+   */
+  async loadSidecarManifest(archivePath, manifestPath = null) {
+    const candidate = manifestPath || join(dirname(archivePath), MANIFEST_ENTRY);
+
+    try {
+      await access(candidate);
+    } catch (error) {
+      return null;
+    }
+
+    const manifest = JSON.parse(await readFile(candidate, 'utf8'));
+    const describes = [
+      manifest.integrity?.archive?.name || (manifest.packagePath && basename(manifest.packagePath)),
+      ...(manifest.integrity?.parts || []).map(part => part.name)
+    ];
+
+    if (!manifestPath && !describes.includes(basename(archivePath))) {
+      return null;
+    }
+
+    return manifest;
+  }
+
+  // === UTILITIES ===
+
+  canonicalize(value) {
+    return JSON.stringify(this.sortObject(value));
+  }
+
+  sortObject(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.sortObject(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value).sort().map(key => [key, this.sortObject(value[key])])
+      );
+    }
+
+    return value;
+  }
+}
+
+export default SubmissionIntegrity;
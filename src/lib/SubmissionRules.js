@@ -0,0 +1,563 @@
+/**
+ * Submission Rules - Assignment and portal requirements as a declarative ruleset
+ *
+ * A ruleset (submitit.rules.json, .yaml or .yml at the project root) states
+ * what a submission must look like:
+ *
+ *   name: CS 101 - Assignment 3
+ *   deadline: { due: "2026-11-01T23:59:00-05:00", grace: 15m, late: fail }
+ *   formats: [pdf, md, py]
+ *   pdf: { text: true, embeddedFonts: true, encryption: false, pageSize: [A4, Letter] }
+ *   maxTotalSize: 25MB
+ *   required: { files: [README.md], roles: [report] }
+ *   filenames:
+ *     - { pattern: "^[a-z0-9_-]+\\.[a-z0-9]+$", message: lowercase names without spaces }
+ *   roles:
+ *     report: { maxFiles: 1, formats: [pdf], maxPages: 10, maxSize: 5MB }
+ *     essay: { minWords: 500, maxWords: 2000 }
+ *   files:
+ *     - { match: "src/**", formats: [py], maxFileSize: 100KB }
+ *
+ * evaluate() measures what it has to (page and word counts only when a rule
+ * needs them) and returns one result per check, passed or not, so the same
+ * report feeds `submitit check`, its JUnit/JSON output and the stage UI.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname, join } from 'path';
+import ignore from 'ignore';
+import YAML from 'yaml';
+import { PdfReader, PAGE_SIZES } from './PdfReader.js';
+import { OfficeReader } from './OfficeReader.js';
+import { formatSize, parseSize } from './FileSizes.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+export const RULESET_FILES = ['submitit.rules.json', 'submitit.rules.yaml', 'submitit.rules.yml'];
+
+const LIMIT_KEYS = ['formats', 'blockedFormats', 'maxFileSize', 'minPages', 'maxPages', 'minWords', 'maxWords', 'pdf'];
+const PDF_KEYS = new Set(['text', 'embeddedFonts', 'encryption', 'pdfa', 'pageSize']);
+const RULESET_KEYS = new Set(['name', 'description', 'deadline', 'maxFiles', 'maxTotalSize', 'required', 'filenames', 'roles', 'files', ...LIMIT_KEYS]);
+const ROLE_KEYS = new Set(['required', 'minFiles', 'maxFiles', 'maxSize', ...LIMIT_KEYS]);
+const FILE_KEYS = new Set(['match', 'required', ...LIMIT_KEYS]);
+
+const TEXT_EXTENSIONS = new Set(['.md', '.markdown', '.txt', '.rst', '.tex', '.html', '.htm', '.adoc']);
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+export class SubmissionRules {
+  constructor() {
+    this.pdfReader = new PdfReader();
+    this.officeReader = new OfficeReader();
+  }
+
+  // === LOADING ===
+
+  /**
+   * The project's ruleset, or null when it has none
+   * @param {string} [root]
+   * @param {string} [rulesPath] - Explicit ruleset file
+   */
+  async load(root = process.cwd(), rulesPath = null) {
+    const candidates = rulesPath ? [rulesPath] : RULESET_FILES.map(name => join(root, name));
+
+    for (const path of candidates) {
+      let source;
+      try {
+        source = await readFile(path, 'utf8');
+      } catch (error) {
+        if (rulesPath) throw new SubmititError(`Ruleset not found: ${path}`, 'ENOENT', { path });
+        continue;
+      }
+
+      return this.parse(source, path);
+    }
+
+    return null;
+  }
+
+  parse(source, path = 'submitit.rules.json') {
+    let data;
+    try {
+      data = /\.ya?ml$/i.test(path) ? YAML.parse(source) : JSON.parse(source);
+    } catch (error) {
+      throw new SubmititError(`Cannot parse ${path}: ${error.message}`, 'YAML_PARSE_ERROR', { path });
+    }
+
+    return this.validate(data, path);
+  }
+
+  // === VALIDATION ===
+
+  /**
+   * Check a ruleset and normalise sizes, formats and the deadline, so
+   * mistakes surface before anything is evaluated
+   */
+  validate(data, source = 'ruleset') {
+    const fail = (message) => {
+      throw new SubmititError(`${source}: ${message}`, 'VALIDATION_ERROR', { source });
+    };
+    const checkKeys = (object, allowed, where) => {
+      if (typeof object !== 'object' || object === null || Array.isArray(object)) fail(`${where} must be an object`);
+      const unknown = Object.keys(object).filter(key => !allowed.has(key));
+      if (unknown.length > 0) fail(`unknown setting(s) ${unknown.join(', ')} in ${where}`);
+    };
+
+    checkKeys(data, RULESET_KEYS, 'the ruleset');
+
+    const limits = (object, where) => {
+      const result = {};
+      for (const key of ['formats', 'blockedFormats']) {
+        if (object[key] === undefined) continue;
+        if (!Array.isArray(object[key])) fail(`${where}.${key} must be a list of extensions`);
+        result[key] = object[key].map(format => `.${String(format).replace(/^\./, '').toLowerCase()}`);
+      }
+      if (object.maxFileSize !== undefined) result.maxFileSize = parseSize(object.maxFileSize, `${where}.maxFileSize`);
+      for (const key of ['minPages', 'maxPages', 'minWords', 'maxWords']) {
+        if (object[key] === undefined) continue;
+        if (!Number.isInteger(object[key]) || object[key] < 0) fail(`${where}.${key} must be a whole number`);
+        result[key] = object[key];
+      }
+      if (object.pdf !== undefined) result.pdf = this.validatePdfRules(object.pdf, `${where}.pdf`, checkKeys, fail);
+      return result;
+    };
+
+    const roles = Object.entries(data.roles || {}).map(([role, rule]) => {
+      checkKeys(rule, ROLE_KEYS, `roles.${role}`);
+      return {
+        role,
+        required: Boolean(rule.required),
+        minFiles: rule.minFiles,
+        maxFiles: rule.maxFiles,
+        maxSize: rule.maxSize !== undefined ? parseSize(rule.maxSize, `roles.${role}.maxSize`) : undefined,
+        ...limits(rule, `roles.${role}`)
+      };
+    });
+
+    const files = (data.files || []).map((rule, index) => {
+      checkKeys(rule, FILE_KEYS, `files[${index}]`);
+      if (!rule.match) fail(`files[${index}] needs a "match" glob`);
+      return { match: [].concat(rule.match), required: Boolean(rule.required), ...limits(rule, `files[${index}]`) };
+    });
+
+    const filenames = (data.filenames || []).map((rule, index) => {
+      const { pattern, message, match } = typeof rule === 'string' ? { pattern: rule } : rule;
+      try {
+        return { pattern: new RegExp(pattern), source: pattern, message, match: match ? [].concat(match) : null };
+      } catch (error) {
+        return fail(`filenames[${index}] is not a valid regular expression: ${error.message}`);
+      }
+    });
+
+    const required = data.required || {};
+    if (Array.isArray(required)) fail('required takes "files" and "roles" lists');
+
+    return {
+      name: data.name || 'Submission rules',
+      description: data.description,
+      source,
+      deadline: data.deadline ? this.parseDeadline(data.deadline, fail) : null,
+      maxFiles: data.maxFiles,
+      maxTotalSize: data.maxTotalSize !== undefined ? parseSize(data.maxTotalSize, 'maxTotalSize') : undefined,
+      required: { files: required.files || [], roles: required.roles || [] },
+      filenames,
+      roles,
+      files,
+      ...limits(data, 'the ruleset')
+    };
+  }
+
+  /**
+   * pdf: { text: true, embeddedFonts: true, encryption: false, pdfa: "2b", pageSize: [A4, Letter] }
+   */
+  validatePdfRules(rules, where, checkKeys, fail) {
+    checkKeys(rules, PDF_KEYS, where);
+    const result = {};
+
+    for (const key of ['text', 'embeddedFonts', 'encryption']) {
+      if (rules[key] === undefined) continue;
+      if (typeof rules[key] !== 'boolean') fail(`${where}.${key} must be true or false`);
+      result[key] = rules[key];
+    }
+
+    if (rules.pdfa !== undefined && rules.pdfa !== false) {
+      const match = rules.pdfa === true ? [] : String(rules.pdfa).match(/^(?:PDF\/A-?)?([1-4])([abuef])?$/i);
+      if (!match) fail(`${where}.pdfa must be true or a level such as 1b, 2b or 3a`);
+      result.pdfa = { part: match[1] ? Number(match[1]) : null, conformance: match[2]?.toUpperCase() || null };
+    }
+
+    if (rules.pageSize !== undefined) {
+      const sizes = [].concat(rules.pageSize);
+      const unknown = sizes.filter(size => !(size in PAGE_SIZES));
+      if (unknown.length > 0) fail(`${where}.pageSize ${unknown.join(', ')} is not one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+      result.pageSize = sizes;
+    }
+
+    return result;
+  }
+
+  parseDeadline(deadline, fail) {
+    const { due, grace = 0, late = 'fail' } = typeof deadline === 'object' ? deadline : { due: deadline };
+    const dueDate = new Date(due);
+    if (!due || Number.isNaN(dueDate.getTime())) fail(`deadline "${due}" is not a date (use ISO 8601, e.g. 2026-11-01T23:59:00-05:00)`);
+    if (!['fail', 'warn'].includes(late)) fail('deadline.late must be "fail" or "warn"');
+
+    const match = String(grace).match(/^(\d+)\s*([smhd]?)$/);
+    if (!match) fail(`deadline.grace "${grace}" is not a duration (e.g. 15m, 2h, 1d)`);
+
+    return { due: dueDate, grace: Number(match[1]) * DURATION_UNITS[match[2] || 'm'], late };
+  }
+
+  /**
+   * Express the per-role limits kept in submitit.config.json as a ruleset
+   */
+  fromRoles(roles = {}, name = 'Role constraints') {
+    return this.validate({
+      name,
+      roles: Object.fromEntries(Object.entries(roles).map(([role, rule]) => [role, {
+        ...(rule.maxFiles !== undefined && { maxFiles: rule.maxFiles }),
+        ...(rule.extensions && { formats: rule.extensions })
+      }]))
+    }, 'submitit.config.json');
+  }
+
+  // === EVALUATION ===
+
+  /**
+   * Measure what the ruleset needs, then check every rule
+   * @param {Array<{name: string, path: string, size: number, role?: string}>} files - name is relative to the submission root
+   * @param {Object} ruleset - Validated ruleset
+   * @param {{now?: Date}} [options]
+   */
+  async evaluate(files, ruleset, options = {}) {
+    const metrics = new Map();
+
+    for (const file of files) {
+      const limits = this.limitsFor(file, ruleset);
+      const needsPages = limits.some(limit => limit.minPages !== undefined || limit.maxPages !== undefined);
+      const needsWords = limits.some(limit => limit.minWords !== undefined || limit.maxWords !== undefined);
+      const needsPdf = extname(file.name).toLowerCase() === '.pdf' && limits.some(limit => limit.pdf);
+      if (needsPages || needsWords || needsPdf) metrics.set(file.name, await this.measure(file.path));
+    }
+
+    return this.check(files, ruleset, { ...options, metrics });
+  }
+
+  /**
+   * Check every rule against already measured files
+   * @returns {{ruleset: string, source: string, passed: boolean, counts: Object, results: Array<Object>}}
+   */
+  check(files, ruleset, { now = new Date(), metrics = new Map() } = {}) {
+    const results = [];
+    const add = (result) => results.push({ status: 'pass', ...result });
+
+    if (ruleset.deadline) add(this.checkDeadline(ruleset.deadline, now));
+
+    // Whole submission
+    if (ruleset.maxFiles !== undefined) {
+      add(this.limitResult('count', 'File count', files.length, { max: ruleset.maxFiles }, 'files'));
+    }
+    if (ruleset.maxTotalSize !== undefined) {
+      const total = files.reduce((sum, file) => sum + file.size, 0);
+      add(this.limitResult('size', 'Total size', total, { max: ruleset.maxTotalSize }, 'size'));
+    }
+
+    for (const pattern of ruleset.required.files) {
+      const found = files.some(file => this.matches(file.name, [pattern]));
+      add({ id: `required-file:${pattern}`, category: 'required', title: `Required file ${pattern}`, status: found ? 'pass' : 'fail', message: found ? 'present' : 'missing' });
+    }
+
+    for (const rule of ruleset.files.filter(rule => rule.required)) {
+      const found = files.some(file => this.matches(file.name, rule.match));
+      add({ id: `required-file:${rule.match.join(',')}`, category: 'required', title: `Required file ${rule.match.join(', ')}`, status: found ? 'pass' : 'fail', message: found ? 'present' : 'missing' });
+    }
+
+    // Roles
+    const requiredRoles = new Set([...ruleset.required.roles, ...ruleset.roles.filter(rule => rule.required).map(rule => rule.role)]);
+    for (const role of requiredRoles) {
+      const count = files.filter(file => file.role === role).length;
+      add({ id: `required-role:${role}`, category: 'required', title: `Required role ${role}`, role, status: count > 0 ? 'pass' : 'fail', message: count > 0 ? `${count} file(s)` : 'no files with this role' });
+    }
+
+    for (const rule of ruleset.roles) {
+      const roleFiles = files.filter(file => file.role === rule.role);
+      if (rule.minFiles !== undefined || rule.maxFiles !== undefined) {
+        add({ ...this.limitResult('count', `Files in role ${rule.role}`, roleFiles.length, { min: rule.minFiles, max: rule.maxFiles }, 'files'), role: rule.role });
+      }
+      if (rule.maxSize !== undefined) {
+        const total = roleFiles.reduce((sum, file) => sum + file.size, 0);
+        add({ ...this.limitResult('size', `Size of role ${rule.role}`, total, { max: rule.maxSize }, 'size'), role: rule.role });
+      }
+    }
+
+    // Individual files
+    for (const file of files) {
+      for (const rule of ruleset.filenames) {
+        if (rule.match && !this.matches(file.name, rule.match)) continue;
+        const baseName = file.name.split('/').pop();
+        const valid = rule.pattern.test(baseName);
+        add({
+          id: `filename:${file.name}`, category: 'filename', title: `File name ${file.name}`, file: file.name,
+          status: valid ? 'pass' : 'fail',
+          message: valid ? 'matches the naming rule' : rule.message || `does not match /${rule.source}/`
+        });
+      }
+
+      const limits = this.limitsFor(file, ruleset);
+      const extension = extname(file.name).toLowerCase();
+      const allowed = limits.filter(limit => limit.formats).at(-1)?.formats;
+      const blocked = limits.flatMap(limit => limit.blockedFormats || []);
+
+      if (allowed || blocked.length > 0) {
+        const isAllowed = (!allowed || allowed.includes(extension)) && !blocked.includes(extension);
+        add({
+          id: `format:${file.name}`, category: 'format', title: `Format of ${file.name}`, file: file.name, role: file.role,
+          status: isAllowed ? 'pass' : 'fail', extension, allowed,
+          message: isAllowed ? `${extension || 'no extension'} is allowed` : `${extension || 'no extension'} is not allowed${allowed ? ` (use ${allowed.join(', ')})` : ''}`
+        });
+      }
+
+      const maxFileSize = limits.filter(limit => limit.maxFileSize !== undefined).at(-1)?.maxFileSize;
+      if (maxFileSize !== undefined) {
+        add({ ...this.limitResult('size', `Size of ${file.name}`, file.size, { max: maxFileSize }, 'size'), id: `file-size:${file.name}`, file: file.name });
+      }
+
+      for (const [category, unit] of [['pages', 'Pages'], ['words', 'Words']]) {
+        const bounds = this.mergeBounds(limits, unit);
+        if (bounds.min === undefined && bounds.max === undefined) continue;
+
+        const value = metrics.get(file.name)?.[category];
+        if (value === null || value === undefined) {
+          add({ id: `${category}:${file.name}`, category, title: `${unit} in ${file.name}`, file: file.name, status: 'skip', message: `cannot count ${category} in ${extension || 'this'} files` });
+        } else {
+          add({ ...this.limitResult(category, `${unit} in ${file.name}`, value, bounds, category), id: `${category}:${file.name}`, file: file.name });
+        }
+      }
+
+      const pdfRules = Object.assign({}, ...limits.map(limit => limit.pdf || {}));
+      if (extension === '.pdf' && Object.keys(pdfRules).length > 0) {
+        results.push(...this.checkPdf(file, pdfRules, metrics.get(file.name)?.pdf));
+      }
+    }
+
+    const counts = { pass: 0, fail: 0, warn: 0, skip: 0 };
+    results.forEach(result => counts[result.status]++);
+
+    return { ruleset: ruleset.name, source: ruleset.source, passed: counts.fail === 0, counts, results };
+  }
+
+  /**
+   * Format and file size limits for the files inside submitted archives. Rules
+   * about the submission as a whole, roles, names and page or word counts do
+   * not apply to them.
+   * @param {Array<{name: string, size: number}>} entries - Names start with the archive's, e.g. code.zip/src/main.py
+   */
+  checkEntries(entries, ruleset) {
+    const perFile = limits => Object.fromEntries(['formats', 'blockedFormats', 'maxFileSize']
+      .filter(key => limits[key] !== undefined)
+      .map(key => [key, limits[key]]));
+
+    return this.check(entries, {
+      name: ruleset.name,
+      source: ruleset.source,
+      deadline: null,
+      required: { files: [], roles: [] },
+      filenames: [],
+      roles: [],
+      files: ruleset.files.map(rule => ({ match: rule.match, ...perFile(rule) })),
+      ...perFile(ruleset)
+    });
+  }
+
+  /**
+   * Text layer, font embedding, encryption, PDF/A and page size checks from a PdfReader report
+   */
+  checkPdf(file, rules, pdf) {
+    const result = (key, title, passed, message) => ({
+      id: `pdf-${key}:${file.name}`, category: 'pdf', title: `${title} of ${file.name}`, file: file.name, role: file.role,
+      status: passed ? 'pass' : 'fail', message
+    });
+
+    if (!pdf) {
+      return [{ id: `pdf:${file.name}`, category: 'pdf', title: `PDF structure of ${file.name}`, file: file.name, status: 'skip', message: 'cannot read the PDF structure' }];
+    }
+
+    const results = [];
+
+    if (rules.text !== undefined) {
+      if (pdf.text.present === null) {
+        results.push({ ...result('text', 'Text layer', true, 'page content is encrypted and cannot be checked'), status: 'skip' });
+      } else if (rules.text) {
+        const pages = pdf.text.imageOnlyPages;
+        results.push(result('text', 'Text layer', pdf.text.present && pages.length === 0,
+          !pdf.text.present ? 'no text layer (scanned or image-only); run OCR first' : pages.length > 0 ? `pages without text: ${pages.join(', ')}` : 'text on every page'));
+      } else {
+        results.push(result('text', 'Text layer', !pdf.text.present, pdf.text.present ? 'has a text layer' : 'no text layer'));
+      }
+    }
+
+    if (rules.embeddedFonts) {
+      const missing = pdf.unembeddedFonts;
+      results.push(result('fonts', 'Fonts', missing.length === 0,
+        missing.length === 0 ? `${pdf.fonts.length} font(s), all embedded` : `not embedded: ${missing.join(', ')}`));
+    }
+
+    if (rules.encryption === false) {
+      results.push(result('encryption', 'Encryption', !pdf.encryption.encrypted,
+        pdf.encryption.encrypted ? `encrypted (${pdf.encryption.algorithm}); remove the password and restrictions` : 'not encrypted'));
+    }
+
+    if (rules.pdfa) {
+      const { part, conformance } = rules.pdfa;
+      const level = `PDF/A${part ? `-${part}` : ''}${conformance ? conformance.toLowerCase() : ''}`;
+      const claimed = pdf.pdfa.claimed && (!part || pdf.pdfa.part === part) && (!conformance || pdf.pdfa.conformance === conformance);
+      const actual = pdf.pdfa.claimed ? `PDF/A-${pdf.pdfa.part}${(pdf.pdfa.conformance || '').toLowerCase()}` : 'not PDF/A';
+      results.push(result('pdfa', 'PDF/A', claimed && pdf.pdfa.issues.length === 0,
+        !claimed ? `${actual}, ${level} required` : pdf.pdfa.issues.length > 0 ? pdf.pdfa.issues.join('; ') : `${actual}`));
+    }
+
+    if (rules.pageSize) {
+      const wrong = pdf.pageSizes.filter(size => !rules.pageSize.includes(size.name));
+      const describe = size => `${size.name || `${size.width}×${size.height} pt`} (${size.count} page(s))`;
+      results.push(result('page-size', 'Page size', wrong.length === 0,
+        wrong.length === 0 ? pdf.pageSizes.map(describe).join(', ') : `${wrong.map(describe).join(', ')}; use ${rules.pageSize.join(' or ')}`));
+    }
+
+    return results;
+  }
+
+  /**
+   * Limits that apply to a file: the ruleset's own, its role's, then matching file rules (later wins)
+   */
+  limitsFor(file, ruleset) {
+    return [
+      ruleset,
+      ...ruleset.roles.filter(rule => rule.role === file.role),
+      ...ruleset.files.filter(rule => this.matches(file.name, rule.match))
+    ];
+  }
+
+  mergeBounds(limits, unit) {
+    return {
+      min: limits.filter(limit => limit[`min${unit}`] !== undefined).at(-1)?.[`min${unit}`],
+      max: limits.filter(limit => limit[`max${unit}`] !== undefined).at(-1)?.[`max${unit}`]
+    };
+  }
+
+  limitResult(category, title, actual, { min, max }, unit) {
+    const format = value => (unit === 'size' ? formatSize(value) : `${value} ${unit}`);
+    const id = `${category}:${title.toLowerCase().replace(/\s+/g, '-')}`;
+
+    if (max !== undefined && actual > max) {
+      return { id, category, title, status: 'fail', actual, limit: max, message: `${format(actual)}, over the limit of ${format(max)}` };
+    }
+    if (min !== undefined && actual < min) {
+      return { id, category, title, status: 'fail', actual, limit: min, message: `${format(actual)}, under the minimum of ${format(min)}` };
+    }
+
+    const range = [min !== undefined && `min ${format(min)}`, max !== undefined && `max ${format(max)}`].filter(Boolean).join(', ');
+    return { id, category, title, status: 'pass', actual, message: `${format(actual)} (${range})` };
+  }
+
+  checkDeadline({ due, grace, late }, now) {
+    const base = { id: 'deadline', category: 'deadline', title: 'Deadline', due: due.toISOString() };
+    const remaining = due.getTime() - now.getTime();
+
+    if (remaining >= 0) {
+      return { ...base, status: 'pass', message: `due ${due.toISOString()}, ${this.formatDuration(remaining)} left` };
+    }
+    if (-remaining <= grace) {
+      return { ...base, status: 'warn', message: `${this.formatDuration(-remaining)} past the deadline, within the grace period` };
+    }
+    return { ...base, status: late === 'warn' ? 'warn' : 'fail', message: `${this.formatDuration(-remaining)} past the deadline of ${due.toISOString()}` };
+  }
+
+  matches(name, patterns) {
+    return ignore().add(patterns).ignores(name);
+  }
+
+  // === MEASUREMENT ===
+
+  /**
+   * Page and word counts, where the format allows counting them; null otherwise.
+   * PDFs also carry their PdfReader report. Word documents count pages as last
+   * saved by Word; presentations count one page per slide.
+   * @returns {Promise<{pages: number|null, words: number|null, pdf?: Object}>}
+   */
+  async measure(filePath) {
+    const extension = extname(filePath).toLowerCase();
+
+    try {
+      if (TEXT_EXTENSIONS.has(extension)) {
+        return { pages: null, words: this.countWords(await readFile(filePath, 'utf8'), extension) };
+      }
+      if (extension === '.pdf') {
+        const pdf = await this.pdfReader.inspect(filePath);
+        return { pages: pdf?.pages ?? null, words: null, pdf };
+      }
+      if (this.officeReader.formatOf(filePath)) {
+        const office = await this.officeReader.inspect(filePath);
+        if (office) return { pages: office.pages, words: office.words };
+      }
+    } catch (error) {
+      // Unreadable files are reported as unmeasurable
+    }
+
+    return { pages: null, words: null };
+  }
+
+  countWords(text, extension = '.txt') {
+    let plain = text;
+    if (['.html', '.htm'].includes(extension)) plain = plain.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ');
+    if (['.md', '.markdown'].includes(extension)) {
+      plain = plain
+        .replace(/^---\n[\s\S]*?\n---\n/, '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[#>*_`|~-]+/g, ' ');
+    }
+    if (extension === '.tex') plain = plain.replace(/%.*$/gm, '').replace(/\\[a-zA-Z]+\*?(\[[^\]]*\])?/g, ' ').replace(/[{}]/g, ' ');
+
+    return (plain.match(/[\p{L}\p{N}][\p{L}\p{N}'’.-]*/gu) || []).length;
+  }
+
+  // === REPORTS ===
+
+  /**
+   * JUnit XML: one test case per check, so CI systems show each rule
+   */
+  toJUnit(report, { time = 0 } = {}) {
+    const escape = value => String(value).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+    const { counts } = report;
+
+    const cases = report.results.map(result => {
+      const open = `    <testcase classname="submitit.${escape(result.category)}" name="${escape(result.title)}" time="0">`;
+      if (result.status === 'fail') return `${open}\n      <failure message="${escape(result.message)}" type="${escape(result.category)}"/>\n    </testcase>`;
+      if (result.status === 'skip') return `${open}\n      <skipped message="${escape(result.message)}"/>\n    </testcase>`;
+      if (result.status === 'warn') return `${open}\n      <system-out>warning: ${escape(result.message)}</system-out>\n    </testcase>`;
+      return `${open.slice(0, -1)}/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="submitit check" tests="${report.results.length}" failures="${counts.fail}" skipped="${counts.skip}" time="${time}">`,
+      `  <testsuite name="${escape(report.ruleset)}" tests="${report.results.length}" failures="${counts.fail}" errors="0" skipped="${counts.skip}" time="${time}">`,
+      ...cases,
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / DURATION_UNITS.m);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+}
+
+export default SubmissionRules;
@@ -0,0 +1,46 @@
+/**
+ * Substitute Files - Packaged copies that stand in for project files
+ *
+ * Scrubbing, normalization and optimization never modify the project: each
+ * writes changed copies into a temporary directory, and the export packages
+ * a copy under the original file's archive name instead.
+ */
+
+import { basename, join } from 'path';
+
+/**
+ * Run `transform` over the files and collect the copies it writes
+ * @param {Array<{name: string, sourcePath: string}>} files
+ * @param {string} outputDir - Where the copies go (a temporary directory)
+ * @param {(file: {name: string, sourcePath: string}, outputPath: string) => Promise<Object|null>} transform -
+ *   Writes the copy to outputPath and resolves to the file's report entry, or
+ *   resolves to null when the original should be packaged
+ * @param {Object} [options]
+ * @param {boolean} [options.skipFailures] - Package a file that fails as it is and list it in `skipped`, instead of failing
+ * @returns {Promise<{substitutes: Map<string, string>, report: Array<Object>, skipped: Array<{name: string, reason: string}>}>}
+ */
+export async function writeSubstitutes(files, outputDir, transform, { skipFailures = false } = {}) {
+  const substitutes = new Map();
+  const report = [];
+  const skipped = [];
+
+  for (const [index, file] of files.entries()) {
+    // Numbered names keep files with the same base name apart; the archive name is unchanged
+    const outputPath = join(outputDir, `${index}-${basename(file.name)}`);
+
+    let entry;
+    try {
+      entry = await transform(file, outputPath);
+    } catch (error) {
+      if (!skipFailures) throw error;
+      skipped.push({ name: file.name, reason: error.message });
+      continue;
+    }
+    if (!entry) continue;
+
+    substitutes.set(file.name, outputPath);
+    report.push({ name: file.name, ...entry });
+  }
+
+  return { substitutes, report, skipped };
+}
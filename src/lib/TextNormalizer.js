@@ -0,0 +1,353 @@
+/**
+ * Text Normalizer - Encoding, line ending and file name checks for text files
+ *
+ * Files that open fine on the author's machine can break on a grader's:
+ * UTF-16 or Latin-1 text read as UTF-8, byte order marks in front of a
+ * shebang or CSV header, mixed CRLF/LF line endings, and file names in the
+ * decomposed (NFD) form macOS produces, which other systems do not match to
+ * the same name typed in composed (NFC) form.
+ *
+ * Detection reads the bytes: a BOM when there is one, otherwise the pattern of
+ * zero bytes (UTF-16), a strict UTF-8 decode, and Windows-1252/ISO-8859-1 as
+ * the fallback for text that is not valid UTF-8.
+ *
+ * `export --normalize` packages UTF-8 copies with consistent line endings;
+ * project files are never modified. A converted file's own encoding
+ * declaration (XML declaration, HTML <meta> charset, CSS @charset) is
+ * rewritten to UTF-8; files whose declaration cannot be are left as they are. File names are only checked, since
+ * renaming packaged files would break delta exports and integrity records.
+ */
+
+import { open, readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { FileSignatures } from './FileSignatures.js';
+import { writeSubstitutes } from './SubstituteFiles.js';
+import { SubmititError } from '../core/ErrorHandler.js';
+
+// Text formats whose packaged copies are normalized. Windows batch files keep their CRLF.
+export const TEXT_EXTENSIONS = [
+  '.txt', '.md', '.markdown', '.rst', '.adoc', '.tex', '.bib', '.csv', '.tsv',
+  '.json', '.yaml', '.yml', '.toml', '.ini', '.xml', '.svg', '.html', '.htm', '.css', '.scss',
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.java', '.kt', '.swift', '.go', '.rs',
+  '.c', '.h', '.cpp', '.hpp', '.cs', '.php', '.sh', '.sql', '.r', '.m', '.lua', '.pl'
+];
+
+export const NORMALIZE_DEFAULTS = {
+  bom: false,
+  lineEndings: 'lf',
+  extensions: TEXT_EXTENSIONS
+};
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe, 0x00, 0x00], encoding: 'utf-32le' },
+  { bytes: [0x00, 0x00, 0xfe, 0xff], encoding: 'utf-32be' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n' };
+
+// Windows-1252 characters for bytes 0x80-0x9F; some Node versions decode the range as Latin-1 control codes
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Declarations of a file's own encoding. `value` captures the name to rewrite;
+// `loose` spots a declaration written in a form `value` does not parse.
+const ENCODING_DECLARATIONS = [
+  { name: 'XML declaration', value: /^(\s*<\?xml\b[^>]*?\bencoding\s*=\s*["'])([^"']*)/, loose: /^\s*<\?xml\b[^>]*\bencoding\b/ },
+  { name: 'CSS @charset', value: /^(@charset\s+["'])([^"']*)/, loose: /^@charset\b/ },
+  // <meta charset="..."> and <meta http-equiv="Content-Type" content="text/html; charset=...">
+  { name: 'HTML <meta> charset', value: /(<meta\b[^>]*?\bcharset\s*=\s*["']?)([\w.:-]+)/gi, loose: /<meta\b[^>]*\bcharset\s*=/i }
+];
+
+// Browsers only look for a <meta> charset this far into the file
+const DECLARATION_SCAN_LENGTH = 1024;
+
+// Text larger than this is not normalized; it is rarely hand-written
+const MAX_NORMALIZE_BYTES = 50 * 1024 * 1024;
+
+export class TextNormalizer {
+  /**
+   * @param {Object} [options] - The "normalize" block of submitit.config.json
+   */
+  constructor(options = {}) {
+    this.options = this.validate(options);
+    this.signatures = new FileSignatures();
+  }
+
+  /**
+   * Check the "normalize" config block and fill in defaults
+   */
+  validate(options = {}) {
+    const unknown = Object.keys(options).filter(key => !(key in NORMALIZE_DEFAULTS));
+    if (unknown.length > 0) {
+      throw new SubmititError(`normalize: unknown setting(s) ${unknown.join(', ')}`, 'VALIDATION_ERROR', { unknown });
+    }
+
+    const result = { ...NORMALIZE_DEFAULTS, ...options };
+    if (typeof result.bom !== 'boolean') {
+      throw new SubmititError(`normalize.bom must be true or false, not ${result.bom}`, 'VALIDATION_ERROR', { value: result.bom });
+    }
+    if (result.lineEndings !== false && !(result.lineEndings in LINE_ENDINGS)) {
+      throw new SubmititError(`normalize.lineEndings must be "lf", "crlf" or false, not ${result.lineEndings}`, 'VALIDATION_ERROR', { value: result.lineEndings });
+    }
+    if (!Array.isArray(result.extensions)) {
+      throw new SubmititError('normalize.extensions must be a list of extensions', 'VALIDATION_ERROR', { value: result.extensions });
+    }
+    result.extensions = result.extensions.map(extension => `.${String(extension).replace(/^\./, '').toLowerCase()}`);
+
+    return result;
+  }
+
+  // === DETECTION ===
+
+  /**
+   * @param {Buffer} buffer - The file, or its start (a sequence cut off at the end is allowed then)
+   * @param {{partial?: boolean}} [options]
+   * @returns {{encoding: 'ascii'|'utf-8'|'utf-16le'|'utf-16be'|'utf-32le'|'utf-32be'|'windows-1252'|'iso-8859-1'|'binary', bom: boolean, confidence: number}}
+   */
+  detectEncoding(buffer, { partial = false } = {}) {
+    const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+    if (bom) return { encoding: bom.encoding, bom: true, confidence: 1 };
+
+    const sample = buffer.subarray(0, 64 * 1024);
+    const utf16 = this.guessUtf16(sample);
+    if (utf16) return { encoding: utf16, bom: false, confidence: 0.8 };
+    if (sample.length > 0 && !this.signatures.looksLikeText(sample)) return { encoding: 'binary', bom: false, confidence: 0.9 };
+
+    if (!sample.some(byte => byte >= 0x80)) return { encoding: 'ascii', bom: false, confidence: 1 };
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: partial || sample.length < buffer.length });
+      return { encoding: 'utf-8', bom: false, confidence: 0.95 };
+    } catch {
+      // 0x80-0x9F are control codes in ISO-8859-1 but curly quotes, dashes and € in Windows-1252
+      const windows = sample.some(byte => byte >= 0x80 && byte <= 0x9f);
+      return { encoding: windows ? 'windows-1252' : 'iso-8859-1', bom: false, confidence: 0.6 };
+    }
+  }
+
+  /**
+   * UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+   */
+  guessUtf16(sample) {
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs < 2) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let index = 0; index < pairs * 2; index += 2) {
+      if (sample[index] === 0) evenZeros++;
+      if (sample[index + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Decode text in a detected encoding, without its BOM
+   */
+  decode(buffer, encoding) {
+    if (encoding === 'utf-32le' || encoding === 'utf-32be') {
+      const read = encoding === 'utf-32le' ? offset => buffer.readUInt32LE(offset) : offset => buffer.readUInt32BE(offset);
+      const start = buffer.length >= 4 && read(0) === 0xfeff ? 4 : 0;
+      let text = '';
+      for (let offset = start; offset + 4 <= buffer.length; offset += 4) {
+        const codePoint = read(offset);
+        text += codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '�';
+      }
+      return text;
+    }
+
+    if (encoding === 'windows-1252') {
+      return Array.from(buffer, byte => byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252[byte - 0x80] : String.fromCharCode(byte)).join('');
+    }
+
+    // TextDecoder drops a leading BOM by default
+    return new TextDecoder(encoding === 'ascii' ? 'utf-8' : encoding).decode(buffer);
+  }
+
+  /**
+   * @returns {{lf: number, crlf: number, cr: number, style: 'lf'|'crlf'|'cr'|'mixed'|'none'}}
+   */
+  lineEndings(text) {
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    const cr = (text.match(/\r/g) || []).length - crlf;
+
+    const styles = [['lf', lf], ['crlf', crlf], ['cr', cr]].filter(([, count]) => count > 0);
+    const style = styles.length === 0 ? 'none' : styles.length > 1 ? 'mixed' : styles[0][0];
+    return { lf, crlf, cr, style };
+  }
+
+  /**
+   * Encoding and line endings of a text file, or null for binary files
+   * @returns {Promise<{encoding: string, bom: boolean, confidence: number, lineEndings: Object, issues: string[]}|null>}
+   */
+  async analyze(filePath) {
+    const handle = await open(filePath, 'r');
+    let buffer;
+    try {
+      const { size } = await handle.stat();
+      // Large files are judged by their start
+      buffer = Buffer.alloc(Math.min(size, MAX_NORMALIZE_BYTES));
+      await handle.read(buffer, 0, buffer.length, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const detected = this.detectEncoding(buffer, { partial: buffer.length === MAX_NORMALIZE_BYTES });
+    if (detected.encoding === 'binary') return null;
+
+    const lineEndings = this.lineEndings(this.decode(buffer, detected.encoding));
+    return { ...detected, lineEndings, issues: this.describeIssues(detected, lineEndings) };
+  }
+
+  /**
+   * What might trip up other machines, in the words the stage UI and validator show
+   */
+  describeIssues({ encoding, bom }, lineEndings) {
+    const issues = [];
+
+    if (!['ascii', 'utf-8'].includes(encoding)) {
+      issues.push(`is ${encoding.toUpperCase()}, not UTF-8`);
+    }
+    if (bom && encoding === 'utf-8') {
+      issues.push('starts with a byte order mark');
+    }
+    if (lineEndings.style === 'mixed') {
+      issues.push(`mixes line endings (${['lf', 'crlf', 'cr'].filter(style => lineEndings[style] > 0).map(style => `${lineEndings[style]} ${style.toUpperCase()}`).join(', ')})`);
+    } else if (lineEndings.style === 'cr') {
+      issues.push('uses classic Mac (CR) line endings');
+    }
+
+    return issues;
+  }
+
+  // === FILE NAMES ===
+
+  /**
+   * Names that are not in NFC, the form Windows, Linux and the web expect;
+   * macOS writes NFD, so "é" arrives as "e" plus a combining accent
+   * @returns {{form: 'NFD'|'other', normalized: string}|null}
+   */
+  checkFilename(name) {
+    const normalized = name.normalize('NFC');
+    if (normalized === name) return null;
+    return { form: name === name.normalize('NFD') ? 'NFD' : 'other', normalized };
+  }
+
+  /**
+   * Paths that become the same file on a case-insensitive or normalizing file system
+   * @param {string[]} names
+   * @returns {string[][]} Groups of two or more colliding names
+   */
+  findCollisions(names) {
+    const groups = new Map();
+    for (const name of names) {
+      const key = name.normalize('NFC').toLowerCase();
+      groups.set(key, [...(groups.get(key) || []), name]);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+  }
+
+  // === EXPORT ===
+
+  /**
+   * Whether a file is a text format normalized on export
+   */
+  isText(name) {
+    return this.options.extensions.includes(extname(name).toLowerCase());
+  }
+
+  /**
+   * Write normalized copies of the text files that need it into outputDir
+   * @param {Array<{name: string, sourcePath: string}>} files
+   * @returns {Promise<{substitutes: Map<string, string>, report: Array<{name: string, actions: string[]}>, skipped: Array<{name: string, reason: string}>}>}
+   */
+  async normalizeFiles(files, outputDir) {
+    const textFiles = files.filter(file => this.isText(file.name));
+
+    // Files that cannot be normalized are packaged as they are
+    return writeSubstitutes(textFiles, outputDir, async (file, outputPath) => {
+      const result = this.normalize(await readFile(file.sourcePath));
+      if (!result) return null;
+
+      await writeFile(outputPath, result.buffer);
+      return { actions: result.actions };
+    }, { skipFailures: true });
+  }
+
+  /**
+   * UTF-8 with the configured BOM and line endings, or null when the file already is
+   * @returns {{buffer: Buffer, actions: string[]}|null}
+   */
+  normalize(buffer) {
+    if (buffer.length > MAX_NORMALIZE_BYTES) {
+      throw new Error(`over ${MAX_NORMALIZE_BYTES / 1024 / 1024} MB`);
+    }
+
+    const detected = this.detectEncoding(buffer);
+    if (detected.encoding === 'binary') {
+      throw new Error('content is not recognizable as text');
+    }
+
+    const actions = [];
+    let text = this.decode(buffer, detected.encoding);
+
+    if (!['ascii', 'utf-8'].includes(detected.encoding)) {
+      actions.push(`converted from ${detected.encoding.toUpperCase()}`);
+      const declarations = this.declareUtf8(text);
+      text = declarations.text;
+      actions.push(...declarations.rewritten.map(name => `${name} → UTF-8`));
+    }
+    if (detected.bom && !this.options.bom && detected.encoding === 'utf-8') {
+      actions.push('byte order mark removed');
+    } else if (this.options.bom && !(detected.bom && detected.encoding === 'utf-8')) {
+      actions.push('byte order mark added');
+    }
+
+    if (this.options.lineEndings) {
+      const { style } = this.lineEndings(text);
+      if (style !== 'none' && style !== this.options.lineEndings) {
+        text = text.replace(/\r\n|\r/g, '\n').replace(/\n/g, LINE_ENDINGS[this.options.lineEndings]);
+        actions.push(`${style === 'mixed' ? 'mixed' : style.toUpperCase()} line endings → ${this.options.lineEndings.toUpperCase()}`);
+      }
+    }
+
+    if (actions.length === 0) return null;
+    const bom = this.options.bom ? Buffer.from([0xef, 0xbb, 0xbf]) : Buffer.alloc(0);
+    return { buffer: Buffer.concat([bom, Buffer.from(text, 'utf8')]), actions };
+  }
+
+  /**
+   * Point the text's own encoding declarations at UTF-8. Throws when a
+   * declaration is there but cannot be rewritten, since the converted copy
+   * would then announce the wrong encoding.
+   * @returns {{text: string, rewritten: string[]}} Names of the declarations changed
+   */
+  declareUtf8(text) {
+    const rewritten = [];
+
+    for (const { name, value, loose } of ENCODING_DECLARATIONS) {
+      let found = false;
+      text = text.replace(value, (match, prefix, declared, offset) => {
+        if (offset >= DECLARATION_SCAN_LENGTH) return match;
+        found = true;
+        if (/^utf-?8$/i.test(declared)) return match;
+        if (!rewritten.includes(name)) rewritten.push(name);
+        return `${prefix}UTF-8`;
+      });
+
+      if (!found && loose.test(text.slice(0, DECLARATION_SCAN_LENGTH))) {
+        throw new Error(`its ${name} could not be rewritten to UTF-8`);
+      }
+    }
+
+    return { text, rewritten };
+  }
+}
+
+export default TextNormalizer;
@@ -28,7 +28,7 @@ interface FileStagingState {
   selectedFiles: FileMetadata[];
   directoryStructure: DirectoryStructure | null;
   previewContent: string;
-  validationResults: ValidationState[];
+  validation: ValidationState | null;
   activePanel: 'fileExplorer' | 'preview' | 'validation';
   isLoading: boolean;
   error: string | null;
@@ -43,7 +43,7 @@ const FileStagingModule: React.FC<FileStagingModuleProps> = ({
   const [currentPath, setCurrentPath] = useState(initialPath || process.cwd());
   const [selectedFiles, setSelectedFiles] = useState<FileMetadata[]>([]);
   const [previewContent, setPreviewContent] = useState<string>('');
-  const [validationResults, setValidationResults] = useState<ValidationState[]>([]);
+  const [validation, setValidation] = useState<ValidationState | null>(null);
   const [directoryStructure, setDirectoryStructure] = useState<DirectoryStructure | null>(null);
   const [activePanel, setActivePanel] = useState<'fileExplorer' | 'preview' | 'validation'>('fileExplorer');
   const [isLoading, setIsLoading] = useState(false);
@@ -108,7 +108,7 @@ const FileStagingModule: React.FC<FileStagingModuleProps> = ({
     setIsLoading(true);
     try {
       const results = await validateFiles(selectedFiles);
-      setValidationResults(results);
+      setValidation({ ...results, infos: [], lastValidated: new Date(), fileValidations: new Map() });
       setActivePanel('validation');
       setError(null);
     } catch (err) {
@@ -126,13 +126,13 @@ const FileStagingModule: React.FC<FileStagingModuleProps> = ({
 
     setIsLoading(true);
     try {
+      // Errors and possible secrets both keep the files from being submitted
       const results = await validateFiles(selectedFiles);
-      const isValid = results.every(result => result.errors.length === 0);
       
-      if (isValid) {
+      if (results.isValid) {
         onComplete(selectedFiles);
       } else {
-        setValidationResults(results);
+        setValidation({ ...results, infos: [], lastValidated: new Date(), fileValidations: new Map() });
         setActivePanel('validation');
       }
     } catch (err) {
@@ -204,12 +204,8 @@ const FileStagingModule: React.FC<FileStagingModuleProps> = ({
             />
           )}
 
-          {activePanel === 'validation' && (
-            <ValidationPanel
-              results={validationResults}
-              onBack={() => setActivePanel('fileExplorer')}
-              theme={theme}
-            />
+          {activePanel === 'validation' && validation && (
+            <ValidationPanel validation={validation} />
           )}
         </Box>
       )}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Box, Text } from 'ink';
-import { FileMetadata } from '../types';
+import { DocumentSummary, FileMetadata } from '../types';
+import { useDocumentSummary } from '../hooks/usePreview';
 import { neonTheme } from '../../../themes/neonTheme';
 
 interface PreviewPanelProps {
@@ -8,6 +9,8 @@ interface PreviewPanelProps {
 }
 
 export const PreviewPanel: React.FC<PreviewPanelProps> = ({ file }) => {
+  const document = useDocumentSummary(file);
+
   if (!file) {
     return (
       <Box
@@ -89,11 +92,40 @@ export const PreviewPanel: React.FC<PreviewPanelProps> = ({ file }) => {
         <Text><Text bold>Size:</Text> {formatFileSize(file.size)}</Text>
         <Text><Text bold>Type:</Text> {file.type}</Text>
         <Text><Text bold>Modified:</Text> {new Date(file.lastModified).toLocaleString()}</Text>
+        {document && renderDocumentSummary(document)}
       </Box>
     </Box>
   );
 };
 
+// Word count and structure of Office documents
+function renderDocumentSummary(document: DocumentSummary) {
+  const changes = document.trackedChanges;
+  const pendingChanges = changes ? changes.insertions + changes.deletions + changes.moves + changes.formatting : 0;
+
+  return (
+    <>
+      <Text><Text bold>Words:</Text> {document.words.toLocaleString()}</Text>
+      {document.format === 'docx' && document.pages !== null && (
+        <Text><Text bold>Pages:</Text> {document.pages} (as last saved)</Text>
+      )}
+      {document.slides !== null && <Text><Text bold>Slides:</Text> {document.slides}</Text>}
+      {document.sheets && (
+        <Text><Text bold>Sheets:</Text> {document.sheets.map(sheet => sheet.hidden ? `${sheet.name} (hidden)` : sheet.name).join(', ')}</Text>
+      )}
+      {document.media.length > 0 && <Text><Text bold>Media:</Text> {document.media.length} file(s)</Text>}
+      {document.comments.length > 0 && (
+        <Text color={neonTheme.colors.warning}><Text bold>Comments:</Text> {document.comments.length}</Text>
+      )}
+      {pendingChanges > 0 && (
+        <Text color={neonTheme.colors.warning}>
+          <Text bold>Tracked changes:</Text> {pendingChanges} by {changes!.authors.join(', ') || 'unknown'}
+        </Text>
+      )}
+    </>
+  );
+}
+
 // Helper function to format file size
 function formatFileSize(bytes: number): string {
   if (bytes === 0) return '0 B';
@@ -8,7 +8,7 @@ interface ValidationPanelProps {
 }
 
 export const ValidationPanel: React.FC<ValidationPanelProps> = ({ validation }) => {
-  const { errors, warnings, isValid } = validation;
+  const { errors, warnings, secrets = [], isValid } = validation;
 
   const renderIssues = (issues: string[], type: 'error' | 'warning') => {
     if (!issues.length) return null;
@@ -31,6 +31,32 @@ export const ValidationPanel: React.FC<ValidationPanelProps> = ({ validation })
     );
   };
 
+  // Secrets block submission like errors, but each gets its location and fingerprint
+  const renderSecrets = () => {
+    if (!secrets.length) return null;
+
+    return (
+      <Box flexDirection="column" marginBottom={1}>
+        <Text bold color={neonTheme.colors.error}>
+          🔑 Possible secrets ({secrets.length})
+        </Text>
+        {secrets.map((finding, index) => (
+          <Text
+            key={index}
+            color={finding.severity === 'high' ? neonTheme.colors.error : neonTheme.colors.warning}
+            wrap="wrap"
+          >
+            • {finding.line ? `${finding.file}:${finding.line}` : finding.file} {finding.title}: {finding.preview}{' '}
+            <Text dimColor>[{finding.fingerprint}]</Text>
+          </Text>
+        ))}
+        <Text dimColor wrap="wrap">
+          Remove and rotate real credentials. Mark false positives with a submitit-allow-secret comment or add the fingerprint to secrets.allowlist.
+        </Text>
+      </Box>
+    );
+  };
+
   return (
     <Box flexDirection="column" height="100%">
       {/* Validation Header */}
@@ -60,6 +86,7 @@ export const ValidationPanel: React.FC<ValidationPanelProps> = ({ validation })
           </Text>
         ) : (
           <>
+            {renderSecrets()}
             {renderIssues(errors, 'error')}
             {renderIssues(warnings, 'warning')}
           </>
@@ -82,7 +109,7 @@ export const ValidationPanel: React.FC<ValidationPanelProps> = ({ validation })
           </Text>
         </Text>
         <Text>
-          <Text color={neonTheme.colors.error}>{errors.length}</Text> /{' '}
+          <Text color={neonTheme.colors.error}>{errors.length + secrets.length}</Text> /{' '}
           <Text color={neonTheme.colors.warning}>{warnings.length}</Text>
         </Text>
       </Box>
@@ -1,4 +1,4 @@
-import { FileMetadata } from '../types';
+import { DocumentSummary, FileMetadata } from '../types';
 
 export interface UsePreviewReturn {
   generatePreview: (file: FileMetadata) => Promise<string | object>;
@@ -10,4 +10,6 @@ export interface UsePreviewReturn {
 
 declare const usePreview: () => UsePreviewReturn;
 
+export declare const useDocumentSummary: (file: FileMetadata | null) => DocumentSummary | null;
+
 export default usePreview;
@@ -1,7 +1,10 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { FileMetadata } from '../types';
+import { DocumentSummary, FileMetadata } from '../types';
+import { OfficeReader } from '../../../lib/OfficeReader.js';
+
+const officeReader = new OfficeReader();
 
 // Maximum file size to attempt to load for preview (in bytes)
 const MAX_PREVIEW_SIZE = 1024 * 1024; // 1MB
@@ -32,6 +35,17 @@ export const usePreview = () => {
     if (!file.path) return null;
     
     const ext = path.extname(file.path).toLowerCase().slice(1);
+
+    // Office documents preview as their extracted text
+    if (officeReader.formatOf(file.path)) {
+      const document = await officeReader.inspect(file.path).catch(() => null);
+      if (document?.text.trim()) {
+        const lines = document.text.split('\n');
+        return lines.length > 1000
+          ? lines.slice(0, 1000).join('\n') + '\n\n[Preview truncated...]'
+          : document.text;
+      }
+    }
     
     // Don't attempt to preview binary files
     if (BINARY_FILE_TYPES.includes(ext)) {
@@ -111,3 +125,25 @@ export const usePreview = () => {
     error,
   };
 };
+
+/**
+ * Word count and structure of the selected Office document; null for other files
+ */
+export const useDocumentSummary = (file: FileMetadata | null): DocumentSummary | null => {
+  const [summary, setSummary] = useState<DocumentSummary | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSummary(null);
+
+    if (file?.path && officeReader.formatOf(file.path)) {
+      officeReader.inspect(file.path)
+        .then(document => { if (!cancelled) setSummary(document); })
+        .catch(() => {});
+    }
+
+    return () => { cancelled = true; };
+  }, [file?.path, file?.lastModified]);
+
+  return summary;
+};
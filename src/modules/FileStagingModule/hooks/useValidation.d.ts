@@ -2,7 +2,7 @@ import { FileMetadata, DirectoryStructure, ValidationState } from '../types';
 
 export interface UseValidationReturn {
   validationState: ValidationState;
-  validateFiles: (structure: DirectoryStructure) => Promise<void>;
+  validateFiles: (input: DirectoryStructure | FileMetadata[]) => Promise<Pick<ValidationState, 'errors' | 'warnings' | 'secrets' | 'isValid'>>;
   clearValidation: () => void;
   addValidationRule: (rule: (file: FileMetadata) => string | null) => void;
   removeValidationRule: (ruleId: string) => void;
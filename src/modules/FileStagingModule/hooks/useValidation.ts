@@ -1,157 +1,217 @@
 import { useState, useCallback } from 'react';
 import * as path from 'path';
-import { DirectoryStructure } from '../types';
-
-// Default validation rules
-const DEFAULT_RULES = {
-  // Maximum file size in bytes (10MB)
-  maxFileSize: 10 * 1024 * 1024,
-  // Maximum total size in bytes (100MB)
-  maxTotalSize: 100 * 1024 * 1024,
-  // Maximum depth of directories
-  maxDepth: 10,
-  // Maximum number of files
+import { readFile } from 'fs/promises';
+import { DirectoryStructure, FileMetadata, SecretFinding } from '../types';
+import { SecretScanner } from '../../../lib/SecretScanner.js';
+import { SubmissionRules } from '../../../lib/SubmissionRules.js';
+import { ArchiveInspector } from '../../../lib/ArchiveInspector.js';
+import { TextNormalizer } from '../../../lib/TextNormalizer.js';
+
+// Directory nesting is a property of the staged tree rather than the submission
+const MAX_DEPTH = 10;
+
+// Used when the project has no submitit.rules.json/.yaml
+const DEFAULT_RULESET = {
+  name: 'Default staging rules',
+  maxFileSize: '10MiB',
+  maxTotalSize: '100MiB',
   maxFiles: 1000,
-  // Allowed file extensions (empty means all are allowed)
-  allowedExtensions: [] as string[],
-  // Blocked file extensions
-  blockedExtensions: [
+  blockedFormats: [
     // Executables
     'exe', 'dll', 'bat', 'cmd', 'sh', 'bin',
     // System files
     'sys', 'dylib', 'so', 'a', 'lib', 'o', 'obj',
-    // Archives (might want to handle these specially)
-    'zip', 'tar', 'gz', 'bz2', 'xz', '7z', 'rar',
-  ],
-  // Required files (relative to root)
-  requiredFiles: [
-    'README.md',
-    'package.json',
+    // Archives that cannot be opened for inspection; ZIP and TAR(.gz) are checked inside instead
+    'bz2', 'xz', '7z', 'rar',
   ],
+  required: { files: ['README.md', 'package.json'] },
+};
+
+const readProjectConfig = async (): Promise<any> => {
+  try {
+    return JSON.parse(await readFile(path.join(process.cwd(), 'submitit.config.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Secret scanner with the project's allowlist and extra rules, when run inside a project
+ */
+const createSecretScanner = async (): Promise<SecretScanner> => {
+  const config = await readProjectConfig();
+  return new SecretScanner(config?.secrets);
+};
+
+const loadRuleset = async (rules: SubmissionRules): Promise<any> =>
+  (await rules.load(process.cwd())) || rules.validate(DEFAULT_RULESET, 'default rules');
+
+const describeResult = (result: any): string =>
+  (result.file ? `[${result.file}]: ${result.message}` : `${result.title}: ${result.message}`);
+
+// Project-relative, with forward slashes on every platform
+const projectName = (filePath: string): string => path.relative(process.cwd(), filePath).split(path.sep).join('/');
+
+// Selected files are validated as the children of one synthetic directory
+const toStructure = (files: FileMetadata[]): DirectoryStructure => ({
+  name: '',
+  type: 'directory',
+  children: files.map(file => ({ name: file.name, type: 'file', path: file.path, metadata: file })),
+});
+
+const collectFiles = (node: DirectoryStructure): DirectoryStructure[] => {
+  if (node.type === 'file') return node.path ? [node] : [];
+  return (node.children || []).flatMap(collectFiles);
 };
 
+const collectFilePaths = (node: DirectoryStructure): string[] => collectFiles(node).map(file => file.path as string);
+
 export const useValidation = () => {
   const [validationState, setValidationState] = useState({
     errors: [] as string[],
     warnings: [] as string[],
+    secrets: [] as SecretFinding[],
     fileValidations: new Map<string, { status: 'valid' | 'warning' | 'error'; messages: string[] }>(),
     isValid: true,
   });
 
-  const validateFile = useCallback((filePath: string, stats: { size: number }): { status: 'valid' | 'warning' | 'error'; messages: string[] } => {
-    const messages: string[] = [];
-    const ext = path.extname(filePath).toLowerCase().slice(1);
-    
-    // Check file extension
-    if (DEFAULT_RULES.blockedExtensions.includes(ext)) {
-      messages.push(`File type '${ext}' is not allowed.`);
-    }
-    
-    // Check file size
-    if (stats.size > DEFAULT_RULES.maxFileSize) {
-      messages.push(`File exceeds maximum size of ${DEFAULT_RULES.maxFileSize / (1024 * 1024)}MB.`);
-    }
-    
-    // Determine validation status
-    let status: 'valid' | 'warning' | 'error' = 'valid';
-    if (messages.some(m => m.includes('not allowed') || m.includes('exceeds'))) {
-      status = 'error';
-    } else if (messages.length > 0) {
-      status = 'warning';
-    }
-    
-    return { status, messages };
-  }, []);
-
-  const validateDirectoryStructure = useCallback((structure: DirectoryStructure): { errors: string[]; warnings: string[] } => {
+  const validateDepth = useCallback((structure: DirectoryStructure): string[] => {
     const errors: string[] = [];
-    const warnings: string[] = [];
-    const fileValidations = new Map<string, { status: 'valid' | 'warning' | 'error'; messages: string[] }>();
     
     const traverse = (node: DirectoryStructure, currentDepth: number, currentPath: string[]) => {
       const nodePath = path.join(...currentPath, node.name);
       
-      // Check directory depth
-      if (currentDepth > DEFAULT_RULES.maxDepth) {
-        errors.push(`Directory '${nodePath}' exceeds maximum depth of ${DEFAULT_RULES.maxDepth}.`);
+      if (currentDepth > MAX_DEPTH) {
+        errors.push(`Directory '${nodePath}' exceeds maximum depth of ${MAX_DEPTH}.`);
         return;
       }
       
-      // Process files
-      if (node.children) {
-        // Check total files count
-        if (node.children.length > DEFAULT_RULES.maxFiles) {
-          errors.push(`Directory '${nodePath}' contains too many files (max ${DEFAULT_RULES.maxFiles}).`);
-          return;
-        }
-        
-        for (const child of node.children) {
-          if (child.type === 'file' && child.metadata) {
-            const validation = validateFile(child.path || '', { size: child.metadata.size });
-            fileValidations.set(child.path || '', validation);
-            
-            if (validation.status === 'error') {
-              errors.push(...validation.messages.map(m => `[${child.path}]: ${m}`));
-            } else if (validation.status === 'warning') {
-              warnings.push(...validation.messages.map(m => `[${child.path}]: ${m}`));
-            }
-          } else if (child.type === 'directory' && child.children) {
-            traverse(child, currentDepth + 1, [...currentPath, node.name]);
-          }
+      for (const child of node.children || []) {
+        if (child.type === 'directory') {
+          traverse(child, currentDepth + 1, [...currentPath, node.name]);
         }
       }
     };
     
-    // Start traversal from root
     traverse(structure, 0, []);
+    return errors;
+  }, []);
+
+  /**
+   * Evaluate the project's submission ruleset, the same one `submitit check` uses
+   */
+  const checkRules = useCallback(async (structure: DirectoryStructure): Promise<{ errors: string[]; warnings: string[] }> => {
+    const rules = new SubmissionRules();
+    const config = await readProjectConfig();
+    const ruleset = await loadRuleset(rules);
     
-    // Check for required files
-    const checkRequiredFiles = (node: DirectoryStructure, currentPath: string[] = []) => {
-      const nodePath = path.join(...currentPath, node.name);
+    // Names are relative to content/, as in submitit.config.json, so staged files pick up their roles
+    const roles = new Map<string, string>((config?.files || []).map((file: any) => [file.name, file.role]));
+    const files = collectFiles(structure).map(node => {
+      const name = projectName(node.path as string).replace(/^content\//, '');
+      return { name, path: node.path as string, size: node.metadata?.size || 0, role: roles.get(name) };
+    });
+    
+    const report = await rules.evaluate(files, ruleset);
+    
+    return {
+      errors: report.results.filter((result: any) => result.status === 'fail').map(describeResult),
+      warnings: report.results.filter((result: any) => result.status === 'warn').map(describeResult),
+    };
+  }, []);
+
+  /**
+   * Open staged ZIP and TAR(.gz) archives, nested ones included, and hold the
+   * files inside to the same format, size and secret rules as staged files
+   */
+  const inspectArchives = useCallback(async (structure: DirectoryStructure): Promise<{ errors: string[]; warnings: string[]; secrets: SecretFinding[] }> => {
+    const config = await readProjectConfig();
+    const inspector = new ArchiveInspector({ limits: config?.archives, secretScanner: await createSecretScanner() });
+    const rules = new SubmissionRules();
+    const ruleset = await loadRuleset(rules);
+    const result = { errors: [] as string[], warnings: [] as string[], secrets: [] as SecretFinding[] };
+    
+    for (const node of collectFiles(structure).filter(file => inspector.isArchive(file.name))) {
+      const inspection = await inspector.inspect(node.path as string, projectName(node.path as string));
       
-      if (node.type === 'file') {
-        const relPath = path.relative(structure.name || '', nodePath);
-        const requiredIndex = DEFAULT_RULES.requiredFiles.indexOf(relPath);
-        if (requiredIndex !== -1) {
-          DEFAULT_RULES.requiredFiles.splice(requiredIndex, 1);
-        }
+      // Traversal, bombs and executables block the submission; unreadable or too-deep parts are worth a look
+      for (const issue of inspection.issues) {
+        (issue.severity === 'high' ? result.errors : result.warnings).push(issue.message);
       }
+      result.secrets.push(...inspection.secrets);
       
-      if (node.children) {
-        for (const child of node.children) {
-          checkRequiredFiles(child, [...currentPath, node.name]);
-        }
-      }
-    };
+      const entries = inspection.entries.map(entry => ({ ...entry, name: entry.name.replace(/^content\//, '') }));
+      const report = rules.checkEntries(entries, ruleset);
+      result.errors.push(...report.results.filter((check: any) => check.status === 'fail').map(describeResult));
+    }
+    
+    return result;
+  }, []);
+
+  /**
+   * Names that clash or are in decomposed Unicode, and text files that are not
+   * UTF-8 or mix line endings; only clashing names block the submission
+   */
+  const checkText = useCallback(async (structure: DirectoryStructure): Promise<{ errors: string[]; warnings: string[] }> => {
+    const config = await readProjectConfig();
+    const normalizer = new TextNormalizer(config?.normalize);
+    const files = collectFiles(structure).map(file => ({ name: projectName(file.path as string), sourcePath: file.path as string }));
+    const result = { errors: [] as string[], warnings: [] as string[] };
     
-    checkRequiredFiles(structure);
+    for (const group of normalizer.findCollisions(files.map(file => file.name))) {
+      result.errors.push(`${group.map(name => `'${name}'`).join(' and ')} become the same file on Windows and macOS.`);
+    }
     
-    // Add errors for missing required files
-    if (DEFAULT_RULES.requiredFiles.length > 0) {
-      errors.push(
-        `Missing required files: ${DEFAULT_RULES.requiredFiles.join(', ')}`
-      );
+    for (const file of files) {
+      const form = normalizer.checkFilename(file.name);
+      if (form) {
+        result.warnings.push(`[${file.name}]: name is in ${form.form === 'NFD' ? 'decomposed (NFD)' : 'non-composed'} Unicode; rename it to '${form.normalized}'`);
+      }
+      
+      if (!normalizer.isText(file.name)) continue;
+      const text = await normalizer.analyze(file.sourcePath);
+      result.warnings.push(...(text?.issues || []).map(issue => `[${file.name}]: ${issue}`));
     }
     
-    return { errors, warnings };
-  }, [validateFile]);
+    return result;
+  }, []);
+
+  const scanSecrets = useCallback(async (structure: DirectoryStructure): Promise<SecretFinding[]> => {
+    const scanner = await createSecretScanner();
+    const files = collectFilePaths(structure).map(filePath => ({
+      name: path.relative(process.cwd(), filePath),
+      sourcePath: filePath,
+    }));
+    
+    const { findings } = await scanner.scanFiles(files);
+    return findings;
+  }, []);
 
-  const validateFiles = useCallback((structure: DirectoryStructure) => {
-    const { errors, warnings } = validateDirectoryStructure(structure);
+  const validateFiles = useCallback(async (input: DirectoryStructure | FileMetadata[]) => {
+    const structure = Array.isArray(input) ? toStructure(input) : input;
+    const { errors: ruleErrors, warnings: ruleWarnings } = await checkRules(structure);
+    const archives = await inspectArchives(structure);
+    const text = await checkText(structure);
+    const errors = [...validateDepth(structure), ...ruleErrors, ...archives.errors, ...text.errors];
+    const warnings = [...ruleWarnings, ...archives.warnings, ...text.warnings];
+    const secrets = [...await scanSecrets(structure), ...archives.secrets];
+    const isValid = errors.length === 0 && secrets.length === 0;
     
     setValidationState({
       errors,
       warnings,
-      isValid: errors.length === 0,
+      secrets,
+      isValid,
       fileValidations: new Map(), // This would be populated in a real implementation
     });
     
     return {
       errors,
       warnings,
-      isValid: errors.length === 0,
+      secrets,
+      isValid,
     };
-  }, [validateDirectoryStructure]);
+  }, [validateDepth, checkRules, inspectArchives, checkText, scanSecrets]);
 
   return {
     validateFiles,
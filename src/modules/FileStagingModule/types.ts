@@ -25,6 +25,31 @@ export interface FileMetadata {
   stats?: Stats;
 }
 
+export interface DocumentSummary {
+  /** OOXML package type */
+  format: 'docx' | 'pptx' | 'xlsx';
+  /** Words in the body text, slides or cells */
+  words: number;
+  /** Pages as last saved (Word), or slides (PowerPoint) */
+  pages: number | null;
+  /** Slide count for presentations */
+  slides: number | null;
+  /** Sheet names for workbooks */
+  sheets: Array<{ name: string; hidden: boolean }> | null;
+  /** Pictures stored in the package */
+  media: Array<{ name: string; size: number }>;
+  /** Review comments */
+  comments: Array<{ author: string | null; date: string | null; text: string }>;
+  /** Unaccepted tracked changes (Word only) */
+  trackedChanges: {
+    insertions: number;
+    deletions: number;
+    moves: number;
+    formatting: number;
+    authors: string[];
+  } | null;
+}
+
 export interface DirectoryStructure {
   /** Name of the file or directory */
   name: string;
@@ -55,6 +80,23 @@ export interface ValidationRule {
   canOverride: boolean;
 }
 
+export interface SecretFinding {
+  /** Rule that matched, e.g. 'aws-access-key-id', 'entropy' or 'filename' */
+  rule: string;
+  /** Human-readable name of the rule */
+  title: string;
+  /** Known key formats and credential files are high; heuristics are medium */
+  severity: 'high' | 'medium';
+  /** Project-relative file name; inside archives, the archive's name followed by the entry path */
+  file: string;
+  /** Line of the match (null for filename findings) */
+  line: number | null;
+  /** Masked secret */
+  preview: string;
+  /** Stable id for the project allowlist */
+  fingerprint: string;
+}
+
 export interface ValidationState {
   /** List of error messages */
   errors: string[];
@@ -62,6 +104,8 @@ export interface ValidationState {
   warnings: string[];
   /** List of informational messages */
   infos: string[];
+  /** Possible credentials found in the files; these block submission */
+  secrets: SecretFinding[];
   /** Whether the current state is valid */
   isValid: boolean;
   /** Timestamp of the last validation */
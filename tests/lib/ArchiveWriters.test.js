@@ -0,0 +1,135 @@
+/**
+ * In-process Archive Writer Tests
+ */
+import { randomBytes } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import lzma from 'lzma';
+import { IsoImageWriter } from '../../src/lib/IsoImageWriter.js';
+import { SevenZipWriter } from '../../src/lib/SevenZipWriter.js';
+import { useTempDir } from './helpers.js';
+
+describe('In-process archive writers', () => {
+  const workDir = useTempDir('submitit-writers-');
+
+  const entries = [
+    { name: 'content/résumé.md', content: '# Résumé\n' },
+    { name: 'content/empty.txt', content: '' },
+    { name: 'manifest.json', content: '{}' }
+  ];
+
+  test('ISO image carries primary and Joliet descriptors', async () => {
+    const outputPath = join(workDir(), 'package.iso');
+    const result = await new IsoImageWriter({ volumeId: 'demo' }).write(entries, outputPath);
+    const image = await readFile(outputPath);
+
+    expect(result.size).toBe(image.length);
+    expect(image.length % 2048).toBe(0);
+    expect(image.subarray(16 * 2048 + 1, 16 * 2048 + 6).toString('ascii')).toBe('CD001');
+    expect(image[17 * 2048]).toBe(2);
+    expect(image.subarray(17 * 2048 + 88, 17 * 2048 + 91).toString('ascii')).toBe('%/E');
+    expect(image[18 * 2048]).toBe(255);
+  });
+
+  test('ISO names are reduced to unique d-characters', () => {
+    const writer = new IsoImageWriter();
+    const used = new Set();
+
+    expect(writer.toIsoName('my résumé.pdf', false)).toBe('MY_R_SUM_.PDF');
+    expect(writer.uniqueName('README.MD', used, false)).toBe('README.MD');
+    expect(writer.uniqueName('README.MD', used, false)).toBe('README~1.MD');
+  });
+
+  test('7z archive has a valid signature header', async () => {
+    const outputPath = join(workDir(), 'package.7z');
+    await new SevenZipWriter().write(entries, outputPath);
+    const archive = await readFile(outputPath);
+
+    expect(archive.subarray(0, 6).toString('hex')).toBe('377abcaf271c');
+    const nextHeaderOffset = Number(archive.readBigUInt64LE(12));
+    const nextHeaderSize = Number(archive.readBigUInt64LE(20));
+    expect(32 + nextHeaderOffset + nextHeaderSize).toBe(archive.length);
+    expect(archive[32 + nextHeaderOffset]).toBe(0x01);
+    // One LZMA2 coder (id 0x21) with a one-byte dictionary size property
+    expect(archive.subarray(32 + nextHeaderOffset).includes(Buffer.from([0x21, 0x21, 0x01]))).toBe(true);
+  });
+
+  test('7z streams are LZMA2 chunks that each decode on their own', async () => {
+    const decompress = alone => new Promise((resolve, reject) => {
+      lzma.decompress(alone, (result, error) => (error ? reject(error) : resolve(Buffer.from(result))));
+    });
+
+    // Returns each chunk's kind (control byte without the size bits) and the data the stream decodes to
+    const readChunks = async (stream) => {
+      const controls = [];
+      const pieces = [];
+      let offset = 0;
+      while (stream[offset] !== 0x00) {
+        const control = stream[offset];
+        controls.push(control >= 0x80 ? control & 0xe0 : control);
+        if (control >= 0x80) {
+          const unpackedSize = ((control & 0x1f) << 16 | stream.readUInt16BE(offset + 1)) + 1;
+          const packedSize = stream.readUInt16BE(offset + 3) + 1;
+          const header = Buffer.alloc(13);
+          header[0] = stream[offset + 5];
+          header.writeUInt32LE(1 << 22, 1);
+          header.writeUInt32LE(unpackedSize, 5);
+          pieces.push(await decompress(Buffer.concat([header, stream.subarray(offset + 6, offset + 6 + packedSize)])));
+          offset += 6 + packedSize;
+        } else {
+          const size = stream.readUInt16BE(offset + 1) + 1;
+          pieces.push(stream.subarray(offset + 3, offset + 3 + size));
+          offset += 3 + size;
+        }
+      }
+      expect(offset).toBe(stream.length - 1);
+      return { controls, data: Buffer.concat(pieces) };
+    };
+
+    const compress = async (data) => {
+      const chunks = [];
+      const result = await new SevenZipWriter().compress([data], async chunk => { chunks.push(chunk); });
+      return { ...result, stream: Buffer.concat(chunks) };
+    };
+
+    const text = Buffer.from('a line of repeated text\n'.repeat(4000));
+    const compressed = await compress(text);
+    const decoded = await readChunks(compressed.stream);
+    expect(decoded.controls).toEqual([0xe0]);
+    expect(decoded.data.equals(text)).toBe(true);
+    expect(compressed.stream.length).toBeLessThan(1000);
+    expect(compressed.packedSize).toBe(compressed.stream.length);
+    expect(compressed.properties.length).toBe(1);
+
+    // Random bytes do not shrink, so they are stored
+    const noise = randomBytes(2000);
+    const stored = await readChunks((await compress(noise)).stream);
+    expect(stored.controls).toEqual([0x01]);
+    expect(stored.data.equals(noise)).toBe(true);
+  });
+
+  test('7z files are read in LZMA2-sized slices', async () => {
+    const sourcePath = join(workDir(), 'large.bin');
+    await writeFile(sourcePath, Buffer.alloc((1 << 21) + 5, 0x61));
+
+    const slices = [];
+    for await (const slice of new SevenZipWriter().readSlices({ name: 'large.bin', sourcePath })) {
+      slices.push(slice.length);
+    }
+    expect(slices).toEqual([1 << 21, 5]);
+  });
+
+  test('7z encoder flags stay off the shared lzma module', async () => {
+    await new SevenZipWriter().compress([Buffer.from('text')], async () => {});
+    expect(lzma.LZMA().disableEndMark).toBeUndefined();
+  });
+
+  test('7z NUMBER encoding uses leading-bit length prefixes', () => {
+    const writer = new SevenZipWriter();
+
+    expect(writer.number(0x7f).toString('hex')).toBe('7f');
+    expect(writer.number(0x80).toString('hex')).toBe('8080');
+    expect(writer.number(0x3fff).toString('hex')).toBe('bfff');
+    expect(writer.number(0x4000).toString('hex')).toBe('c00040');
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Delta Export Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { DeltaExport } from '../../src/lib/DeltaExport.js';
+import { useTempDir } from './helpers.js';
+
+describe('DeltaExport', () => {
+  const workDir = useTempDir('submitit-delta-');
+
+  test('a parent delta contributes its full tree and extends the chain', async () => {
+    const manifestPath = join(workDir(), 'manifest.json');
+    await writeFile(manifestPath, JSON.stringify({
+      project: 'demo',
+      exported: '2024-03-01T10:00:00.000Z',
+      integrity: { files: { 'content/a.md': '01' }, archive: { name: 'd1.zip', sha256: 'ff' } },
+      delta: {
+        chain: [{ archive: 'v0.zip', sha256: 'ee' }],
+        tree: { 'content/a.md': '01', 'content/b.md': '02' }
+      }
+    }));
+
+    const parent = await new DeltaExport().loadParent(manifestPath);
+
+    expect(Object.keys(parent.files)).toEqual(['content/a.md', 'content/b.md']);
+    expect(parent.chain.map(link => link.archive)).toEqual(['v0.zip', 'd1.zip']);
+  });
+
+  test('rejects archive paths that escape the output directory', () => {
+    const deltaExport = new DeltaExport();
+
+    expect(deltaExport.resolveInside(workDir(), 'content/a.md')).toBe(join(workDir(), 'content/a.md'));
+    expect(() => deltaExport.resolveInside(workDir(), '../outside.txt')).toThrow();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Document Renderer Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { DocumentRenderer } from '../../src/lib/DocumentRenderer.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+describe('DocumentRenderer', () => {
+  const workDir = useTempDir('submitit-render-');
+
+  // Page data as StaticSiteBuilder collects it
+  const file = async (name, content, role = 'content') => {
+    const sourcePath = join(workDir(), name.replace(/\//g, '-'));
+    await writeFile(sourcePath, content);
+    const extension = name.slice(name.lastIndexOf('.'));
+    return {
+      name,
+      sourcePath,
+      role,
+      extension,
+      size: Buffer.byteLength(content),
+      mtime: new Date(0),
+      content: Buffer.isBuffer(content) ? null : content,
+      href: `files/${name}`
+    };
+  };
+
+  test('renders Markdown with front matter, GFM, scoped heading ids and safe links', async () => {
+    const renderer = new DocumentRenderer();
+    const markdown = await file('bio/about.md', [
+      '---',
+      'title: About me',
+      'tags: [design, code]',
+      '---',
+      '# About',
+      '',
+      'See [my CV](../docs/cv.pdf), [intro](#intro) and [this](javascript:alert(1))[^1].',
+      '',
+      '## Intro',
+      '',
+      '| Year | Role |',
+      '| ---- | ---- |',
+      '| 2026 | Lead |',
+      '',
+      '[^1]: A note.',
+      ''
+    ].join('\n'));
+
+    const { renderer: used, html } = await renderer.render(markdown);
+
+    expect(used).toBe('markdown');
+    expect(html).toContain('<dl class="front-matter"><dt>title</dt><dd>About me</dd><dt>tags</dt><dd>design, code</dd></dl>');
+    expect(html).toContain('<h1 id="bio-about-md-about">About<a href="#bio-about-md-about" class="heading-anchor" aria-hidden="true">#</a></h1>');
+    expect(html).toContain('<a href="files/docs/cv.pdf">my CV</a>');
+    expect(html).toContain('<a href="#bio-about-md-intro">intro</a>');
+    expect(html).toContain('<a>this</a>');
+    expect(html).toContain('<td>2026</td>');
+    expect(html).toContain('aria-describedby="bio-about-md-footnote-label"');
+    expect(html).toContain('<h2 class="sr-only" id="bio-about-md-footnote-label">Footnotes</h2>');
+    expect(html.includes('title: About me')).toBe(false);
+  });
+
+  test('highlights code with one numbered line per source line', async () => {
+    const renderer = new DocumentRenderer();
+    const source = ['def greet(name):', '    """Say hi', '    politely"""', '    return name < 1', ''].join('\n');
+
+    const { html } = await renderer.render(await file('greet.py', source));
+
+    expect(html).toBe('<pre class="code-block" data-language="python"><code>'
+      + '<span class="code-line"><span class="token keyword">def</span> <span class="token function">greet</span><span class="token punctuation">(</span>name<span class="token punctuation">)</span><span class="token punctuation">:</span></span>\n'
+      + '<span class="code-line">    <span class="token triple-quoted-string string">&quot;&quot;&quot;Say hi</span></span>\n'
+      + '<span class="code-line"><span class="token triple-quoted-string string">    politely&quot;&quot;&quot;</span></span>\n'
+      + '<span class="code-line">    <span class="token keyword">return</span> name <span class="token operator">&lt;</span> <span class="token number">1</span></span>'
+      + '</code></pre>');
+
+    const long = await renderer.render(await file('long.js', Array.from({ length: 20 }, (_, index) => `let a${index};`).join('\n')));
+    expect(long.sample.match(/class="code-line"/g).length).toBe(13);
+  });
+
+  test('uses the renderer chosen for a role and falls back to a download link', async () => {
+    const renderer = new DocumentRenderer({ renderers: { snippets: 'code', resume: 'pdf', notes: 'markdown' } });
+
+    expect(renderer.rendererFor(await file('notes.txt', 'x', 'snippets'))).toBe('code');
+    expect(renderer.rendererFor(await file('notes.txt', 'x'))).toBe('text');
+    expect(renderer.rendererFor(await file('photo.png', Buffer.from([0x89])))).toBe('image');
+    expect(await renderer.render(await file('photo.png', Buffer.from([0x89])))).toBeNull();
+
+    const resume = await renderer.render(await file('cv.pdf', 'not really a PDF', 'resume'));
+    expect(resume.renderer).toBe('download');
+    expect(resume.html).toBe('<p><a href="files/cv.pdf" download>Download cv.pdf</a></p>');
+
+    const notes = await renderer.render(await file('notes.txt', '*Hi* <b>there</b>', 'notes'));
+    expect(notes.html).toBe('<div class="rendered markdown-body"><p><em>Hi</em> there</p></div>');
+
+    const message = await attemptMessage(() => new DocumentRenderer({ renderers: { resume: 'slides' } }));
+    expect(message).toBe('renderers.resume must be one of auto, markdown, code, pdf, docx, text, image, download, not slides');
+    expect(await attemptMessage(() => new DocumentRenderer({ renderers: ['pdf'] }))).toBe('renderers maps roles to a renderer, e.g. { "resume": "pdf" }');
+  });
+
+  test('shows PDFs as page thumbnails beside the browser viewer', async () => {
+    const pdfPreview = {
+      calls: 0,
+      async thumbnails() {
+        this.calls++;
+        return {
+          pages: 3,
+          thumbnails: [
+            { page: 1, width: 612, height: 792, image: { data: Buffer.from('jpeg'), extension: 'jpg' } },
+            { page: 2, width: 612, height: 792, image: null }
+          ]
+        };
+      }
+    };
+    const renderer = new DocumentRenderer({ pdfPreview });
+    const cv = await file('docs/my cv.pdf', '%PDF-1.7');
+
+    const { html, sample, assets } = await renderer.render(cv);
+
+    expect(assets).toEqual([{ name: 'assets/pdf/docs-my-cv-pdf/page-1.jpg', data: Buffer.from('jpeg') }]);
+    expect(html).toContain('<a class="pdf-page" href="files/docs/my cv.pdf#page=1" target="pdf-docs-my-cv-pdf"><img src="assets/pdf/docs-my-cv-pdf/page-1.jpg" alt="Page 1" loading="lazy"><span>1</span></a>');
+    expect(html).toContain('<span class="pdf-page-blank" style="aspect-ratio: 612 / 792"></span><span>2</span>');
+    expect(html).toContain('<span class="pdf-more">+1 more page</span>');
+    expect(html).toContain('<iframe class="pdf-frame" name="pdf-docs-my-cv-pdf" src="files/docs/my cv.pdf#page=1" title="docs/my cv.pdf"></iframe>');
+    expect(sample).toContain('3 pages • <a href="files/docs/my cv.pdf" download>');
+
+    // Unchanged files are not read again on the next build
+    await renderer.render(cv);
+    expect(pdfPreview.calls).toBe(1);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * DOCX Converter Tests
+ */
+import { writeFile } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { join } from 'path';
+import archiver from 'archiver';
+import { DocxConverter } from '../../src/lib/DocxConverter.js';
+import { useTempDir } from './helpers.js';
+
+async function zip(path, entries) {
+  const archive = archiver('zip');
+  const output = createWriteStream(path);
+  const done = new Promise(resolve => output.on('close', resolve));
+  archive.pipe(output);
+  Object.entries(entries).forEach(([name, content]) => archive.append(content, { name }));
+  await archive.finalize();
+  await done;
+}
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const run = (text, properties = '') => `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+const paragraph = (content, properties = '') => `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+const styled = (style, text) => paragraph(run(text), `<w:pStyle w:val="${style}"/>`);
+const item = (numId, level, text) => paragraph(run(text), `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`);
+
+const STYLES = `<w:styles ${W}>`
+  + '<w:style w:type="paragraph" w:styleId="Titel"><w:name w:val="Title"/></w:style>'
+  + '<w:style w:type="paragraph" w:styleId="berschrift2"><w:name w:val="heading 2"/></w:style>'
+  + '<w:style w:type="paragraph" w:styleId="Zitat"><w:name w:val="Quote"/></w:style>'
+  + '</w:styles>';
+
+const NUMBERING = `<w:numbering ${W}>`
+  + '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>'
+  + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>'
+  + '</w:numbering>';
+
+const RELATIONSHIPS = '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="hyperlink" Target="https://example.com/?a=1&amp;b=2" TargetMode="External"/>'
+  + '<Relationship Id="rId2" Type="hyperlink" Target="javascript:alert(1)" TargetMode="External"/>'
+  + '<Relationship Id="rId3" Type="image" Target="media/image1.png"/>'
+  + '</Relationships>';
+
+describe('DocxConverter', () => {
+  const converter = new DocxConverter();
+  const workDir = useTempDir('submitit-docx-');
+
+  const docx = async (body, parts = {}) => {
+    const path = join(workDir(), 'essay.docx');
+    await zip(path, {
+      'word/document.xml': `<?xml version="1.0"?><w:document ${W}><w:body>${body}<w:sectPr/></w:body></w:document>`,
+      'word/styles.xml': STYLES,
+      'word/numbering.xml': NUMBERING,
+      'word/_rels/document.xml.rels': RELATIONSHIPS,
+      ...parts
+    });
+    return path;
+  };
+
+  test('maps styles, formatting, links and tracked changes to semantic HTML', async () => {
+    const path = await docx(
+      styled('Titel', 'Portfolio')
+      + styled('berschrift2', 'Work &amp; play')
+      + paragraph(run('Bold', '<w:b/>') + run(' and', '<w:b/>') + run(' plain ') + run('not bold', '<w:b w:val="0"/>')
+        + run('2', '<w:vertAlign w:val="superscript"/>'))
+      + paragraph('<w:hyperlink r:id="rId1">' + run('site') + '</w:hyperlink> <w:hyperlink r:id="rId2">' + run('script') + '</w:hyperlink>')
+      + paragraph('<w:del w:id="1"><w:r><w:delText>gone</w:delText></w:r></w:del><w:ins w:id="2">' + run('kept') + '</w:ins>'
+        + '<w:r><w:instrText> PAGE </w:instrText></w:r>')
+      + styled('Zitat', 'Less is more')
+      + paragraph('')
+    );
+
+    const { html, media } = await converter.convert(path);
+
+    expect(html).toBe('<h1>Portfolio</h1>'
+      + '<h2>Work &amp; play</h2>'
+      + '<p><strong>Bold and</strong> plain not bold<sup>2</sup></p>'
+      + '<p><a href="https://example.com/?a=1&amp;b=2">site</a>script</p>'
+      + '<p>kept</p>'
+      + '<blockquote><p>Less is more</p></blockquote>');
+    expect(media).toEqual([]);
+  });
+
+  test('nests lists, keeps table headers and merged cells and copies pictures', async () => {
+    const picture = '<w:r><w:drawing><wp:inline><wp:docPr id="1" name="Picture 1" descr="Team &quot;photo&quot;"/>'
+      + '<a:graphic><a:graphicData><pic:pic><pic:blipFill><a:blip r:embed="rId3"/></pic:blipFill></pic:pic></a:graphicData></a:graphic>'
+      + '</wp:inline></w:drawing></w:r>';
+    const cell = (text, properties = '') => `<w:tc>${properties ? `<w:tcPr>${properties}</w:tcPr>` : ''}${paragraph(run(text))}</w:tc>`;
+    const path = await docx(
+      item(1, 0, 'Design') + item(1, 1, 'Sketch') + item(1, 1, 'Test') + item(1, 0, 'Build')
+      + '<w:tbl><w:tr><w:trPr><w:tblHeader/></w:trPr>' + cell('Year') + cell('Role') + '</w:tr>'
+      + '<w:tr>' + cell('2026', '<w:gridSpan w:val="2"/>') + '</w:tr></w:tbl>'
+      + paragraph(picture),
+      { 'word/media/image1.png': Buffer.from('png bytes') }
+    );
+
+    const { html, media } = await converter.convert(path, { mediaHref: name => `assets/docx/essay/${name}` });
+
+    expect(html).toBe('<ul><li>Design<ol><li>Sketch</li><li>Test</li></ol></li><li>Build</li></ul>'
+      + '<table><tr><th><p>Year</p></th><th><p>Role</p></th></tr><tr><td colspan="2"><p>2026</p></td></tr></table>'
+      + '<p><img src="assets/docx/essay/image1.png" alt="Team &quot;photo&quot;" loading="lazy"></p>');
+    expect(media).toEqual([{ name: 'image1.png', data: Buffer.from('png bytes') }]);
+  });
+
+  test('returns null for files that are not Word documents', async () => {
+    const notes = join(workDir(), 'notes.docx');
+    await writeFile(notes, 'plain text');
+    const sheet = join(workDir(), 'sheet.docx');
+    await zip(sheet, { 'xl/workbook.xml': '<workbook/>' });
+
+    expect(await converter.convert(notes)).toBeNull();
+    expect(await converter.convert(sheet)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * ExportProfiles Tests
+ */
+import { join } from 'path';
+import { ExportProfiles } from '../../src/lib/ExportProfiles.js';
+import { PackageManager } from '../../src/lib/PackageManager.js';
+
+describe('ExportProfiles', () => {
+  const config = {
+    name: 'portfolio',
+    files: [
+      { name: 'essay.md', role: 'essay' },
+      { name: 'draft.md', role: 'draft' }
+    ],
+    exportProfiles: {
+      canvas: {
+        format: 'zip',
+        naming: '{name}_{profile}_{date}',
+        roles: { exclude: ['draft'] },
+        maxSize: '25MB',
+        bundle: { postcard: true }
+      }
+    }
+  };
+
+  test('fills in bundle defaults and parses the size budget', () => {
+    const profile = new ExportProfiles().resolve(config, 'canvas');
+
+    expect(profile.bundle).toEqual({ preview: true, postcard: true, site: false, manifest: true });
+    expect(profile.maxSize).toBe(25000000);
+    expect(profile.options).toEqual({ format: 'zip' });
+  });
+
+  test('rejects unknown profiles, settings and naming placeholders', () => {
+    const profiles = new ExportProfiles();
+
+    expect(() => profiles.resolve(config, 'press')).toThrow('No export profile');
+    expect(() => profiles.validate('x', { fromat: 'zip' })).toThrow('unknown setting');
+    expect(() => profiles.validate('x', { naming: '{nme}_{date}' })).toThrow('unknown naming placeholder');
+  });
+
+  test('command-line flags override the profile and output defaults per profile', () => {
+    const profiles = new ExportProfiles();
+    const options = profiles.applyProfile(profiles.resolve(config, 'canvas'), { format: 'tar', name: undefined, profile: 'canvas' });
+
+    expect(options.format).toBe('tar');
+    expect(options.name).toBe('{name}_{profile}_{date}');
+    expect(options.output).toBe(join(process.cwd(), 'output', 'canvas'));
+  });
+
+  test('role filters leave out content files of excluded roles', () => {
+    const packageManager = new PackageManager();
+    const options = { roleFilter: packageManager.createRoleFilter(config, { exclude: ['draft'] }) };
+
+    expect(packageManager.isOutsideRoles('content/draft.md', options)).toBe(true);
+    expect(packageManager.isOutsideRoles('content/essay.md', options)).toBe(false);
+    expect(packageManager.isOutsideRoles('submitit.config.json', options)).toBe(false);
+    expect(packageManager.selectFiles(config, options).map(file => file.name)).toEqual(['essay.md']);
+  });
+
+  test('fails a package over its budget', () => {
+    const profiles = new ExportProfiles();
+    const profile = profiles.resolve(config, 'canvas');
+
+    expect(() => profiles.checkBudget(profile, { size: 30000000, path: 'out.zip' })).toThrow('budget');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * FileSignatures Tests
+ */
+import { FileSignatures, CONFIDENCE } from '../../src/lib/FileSignatures.js';
+
+// Stored ZIP entry with just enough of a local header to walk
+function zipEntry(name, data = '') {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt32LE(Buffer.byteLength(data), 18);
+  header.writeUInt32LE(Buffer.byteLength(data), 22);
+  header.writeUInt16LE(Buffer.byteLength(name), 26);
+  return Buffer.concat([header, Buffer.from(name), Buffer.from(data)]);
+}
+
+// Complete ZIP: local entries, central directory and end record
+function zipArchive(...names) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const name of names) {
+    const local = zipEntry(name);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(Buffer.byteLength(name), 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local);
+    directory.push(header, Buffer.from(name));
+    offset += local.length;
+  }
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(names.length, 8);
+  end.writeUInt16LE(names.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+function ftyp(major, ...compatible) {
+  const box = Buffer.alloc(16 + compatible.length * 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(major, 8, 'latin1');
+  compatible.forEach((brand, index) => box.write(brand, 16 + index * 4, 'latin1'));
+  return box;
+}
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]),
+  Buffer.from('IHDR')
+]);
+
+describe('FileSignatures', () => {
+  const signatures = new FileSignatures();
+
+  test('identifies images, audio and documents with graded confidence', () => {
+    expect(signatures.identify(PNG)).toEqual({ mimeType: 'image/png', confidence: CONFIDENCE.STRUCTURE });
+    expect(signatures.identify(Buffer.from([0xff, 0xd8, 0xff, 0xe0])).mimeType).toBe('image/jpeg');
+    expect(signatures.identify(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')).mimeType).toBe('image/webp');
+    expect(signatures.identify(Buffer.from('fLaC\0\0\0\x22', 'latin1')).mimeType).toBe('audio/flac');
+    expect(signatures.identify(Buffer.from('%PDF-1.7\n')).confidence).toBe(CONFIDENCE.MAGIC);
+    expect(signatures.identify(Buffer.from('junk\r\n%PDF-1.4\n')).confidence).toBe(CONFIDENCE.HEURISTIC);
+    expect(signatures.identify(Buffer.from([0xff, 0xfb, 0x90, 0x64])).mimeType).toBe('audio/mpeg');
+  });
+
+  test('reads ISO-BMFF brands and EBML doc types', () => {
+    expect(signatures.identify(ftyp('heic', 'mif1', 'heic')).mimeType).toBe('image/heic');
+    expect(signatures.identify(ftyp('mif1', 'avif')).mimeType).toBe('image/avif');
+    expect(signatures.identify(ftyp('qt  ')).mimeType).toBe('video/quicktime');
+    expect(signatures.identify(ftyp('M4A ', 'isom')).mimeType).toBe('audio/mp4');
+    expect(signatures.identify(ftyp('isom', 'mp41')).mimeType).toBe('video/mp4');
+
+    const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from('webm')]);
+    expect(signatures.identify(webm).mimeType).toBe('video/webm');
+  });
+
+  test('tells ZIP-based formats apart by their entries', () => {
+    const epub = zipEntry('mimetype', 'application/epub+zip');
+    const docx = Buffer.concat([zipEntry('[Content_Types].xml', '<Types/>'), zipEntry('word/document.xml', '<w/>')]);
+    const xlsx = Buffer.concat([zipEntry('[Content_Types].xml'), zipEntry('xl/workbook.xml')]);
+
+    expect(signatures.identify(epub).mimeType).toBe('application/epub+zip');
+    expect(signatures.identify(docx)).toEqual({
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      confidence: CONFIDENCE.STRUCTURE,
+      container: 'zip'
+    });
+    expect(signatures.identify(xlsx).mimeType).toContain('spreadsheetml');
+    expect(signatures.identify(zipEntry('notes.txt', 'hi')).generic).toBe(true);
+  });
+
+  test('a ZIP read to its end record is not generic', () => {
+    const plain = zipArchive('notes.txt', 'images/cover.png');
+    expect(signatures.identify(plain)).toEqual({
+      mimeType: 'application/zip',
+      confidence: CONFIDENCE.MAGIC,
+      container: 'zip',
+      generic: false
+    });
+    expect(signatures.verify(plain, 'essay.docx').match).toBe('mismatch');
+    expect(signatures.identify(zipArchive('[Content_Types].xml', 'word/document.xml')).mimeType).toContain('wordprocessingml');
+  });
+
+  test('verify accepts matching and compatible content', () => {
+    const png = signatures.verify(PNG, 'cover.png');
+    expect([png.isValid, png.match, png.severity]).toEqual([true, 'exact', null]);
+    expect(signatures.verify(ftyp('isom'), 'clip.mov').match).toBe('compatible');
+    expect(signatures.verify(zipEntry('customXml/item.xml'), 'essay.docx').match).toBe('compatible');
+    expect(signatures.verify(Buffer.from('# Title\n'), 'notes.md').match).toBe('compatible');
+  });
+
+  test('verify flags media swaps as warnings and document mismatches as errors', () => {
+    const renamedImage = signatures.verify(PNG, 'photo.jpg');
+    expect(renamedImage.severity).toBe('warning');
+    expect(renamedImage.isValid).toBe(true);
+    expect(renamedImage.code).toBe('MALFORMED_FILE');
+    expect(renamedImage.detected).toBe('image/png');
+
+    const docxAsPdf = signatures.verify(zipEntry('word/document.xml'), 'report.pdf');
+    expect(docxAsPdf.severity).toBe('error');
+    expect(docxAsPdf.isValid).toBe(false);
+    expect(docxAsPdf.message).toBe('.pdf declares a PDF file but the content is a DOCX file');
+
+    const htmlAsPdf = signatures.verify(Buffer.from('<!DOCTYPE html><html>Not found</html>'), 'report.pdf');
+    expect(htmlAsPdf.detected).toBe('text/html');
+    expect(htmlAsPdf.severity).toBe('error');
+  });
+
+  test('verify rejects unrecognisable binaries and disguised executables', () => {
+    const garbage = signatures.verify(Buffer.from([0x00, 0x01, 0x02, 0x03, 0x00, 0x9c]), 'scan.pdf');
+    expect(garbage.match).toBe('unknown');
+    expect(garbage.severity).toBe('error');
+    expect(garbage.confidence).toBe(CONFIDENCE.EXTENSION);
+
+    const executable = signatures.verify(Buffer.from('MZ\x90\0', 'latin1'), 'slides.pptx');
+    expect(executable.severity).toBe('error');
+    expect(executable.detected).toBe('application/x-msdownload');
+
+    expect(signatures.verify(Buffer.from([0x00, 0x01, 0x02]), 'data.bin').match).toBe('unverified');
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * File Sizes Tests
+ */
+import { formatSize, parseSize } from '../../src/lib/FileSizes.js';
+
+describe('FileSizes', () => {
+  test('parses decimal and binary sizes', () => {
+    expect(parseSize('25MB')).toBe(25000000);
+    expect(parseSize('1.5 MiB')).toBe(1572864);
+    expect(parseSize('4096')).toBe(4096);
+    expect(parseSize(2048)).toBe(2048);
+    expect(() => parseSize('lots', 'part size')).toThrow('Invalid part size "lots" (use e.g. 25MB or 100MiB)');
+  });
+
+  test('formats sizes in the units they parse back from', () => {
+    expect(formatSize(512)).toBe('512 B');
+    expect(formatSize(2500000)).toBe('2.5 MB');
+    expect(formatSize(1024 ** 3, { binary: true })).toBe('1 GiB');
+    expect(parseSize(formatSize(64 * 1024 ** 2, { binary: true }).replace(' ', ''))).toBe(64 * 1024 ** 2);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Hot-Reload Preview System Tests
+ */
+import { rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { HotReloadPreviewSystem } from '../../src/lib/HotReloadPreviewSystem.js';
+import { useTempDir } from './helpers.js';
+
+describe('HotReloadPreviewSystem', () => {
+  const workDir = useTempDir('submitit-hot-reload-');
+  let hotReload;
+
+  beforeEach(async () => {
+    for (const name of ['theme.css', 'photo.png', 'about.md']) {
+      await writeFile(join(workDir(), name), name);
+    }
+    hotReload = new HotReloadPreviewSystem();
+    hotReload.projectPath = workDir();
+    for (const name of ['theme.css', 'photo.png', 'about.md']) {
+      hotReload.watchedFiles.add(join(workDir(), name));
+    }
+  });
+
+  afterEach(async () => {
+    await hotReload.dispose();
+  });
+
+  // Runs one batch of watcher events and returns what it reported
+  const processBatch = async (events) => {
+    let result = null;
+    hotReload.once('hot-reload-complete', ({ previewUpdates }) => { result = previewUpdates; });
+    hotReload.reloadQueue = events.map(([eventType, name]) => ({ filePath: join(workDir(), name), eventType, timestamp: Date.now() }));
+    await hotReload.processBatchedChanges();
+    return result;
+  };
+
+  test('names style, asset and content updates relative to the watched directory', async () => {
+    const updates = await processBatch([
+      ['change', 'theme.css'],
+      ['change', 'photo.png'],
+      // Saved through a temporary file that is already gone
+      ['rename', 'about.md'],
+      ['rename', '.about.md.swp']
+    ]);
+
+    expect(updates.type).toBe('hot-reload');
+    expect(updates.previewData.changes.map(({ type, name }) => ({ type, name }))).toEqual([
+      { type: 'style-update', name: 'theme.css' },
+      { type: 'asset-update', name: 'photo.png' },
+      { type: 'content-update', name: 'about.md' }
+    ]);
+  });
+
+  test('asks for a full reload when files are added, removed or cannot be hot reloaded', async () => {
+    await writeFile(join(workDir(), 'new.md'), 'new');
+    const added = await processBatch([['rename', 'new.md']]);
+
+    expect(added.type).toBe('full-reload');
+    expect(added.affectedFiles).toEqual([join(workDir(), 'new.md')]);
+    expect(hotReload.watchedFiles.has(join(workDir(), 'new.md'))).toBe(true);
+
+    await rm(join(workDir(), 'photo.png'));
+    const removed = await processBatch([['rename', 'photo.png']]);
+
+    expect(removed.type).toBe('full-reload');
+    expect(hotReload.watchedFiles.has(join(workDir(), 'photo.png'))).toBe(false);
+
+    await writeFile(join(workDir(), 'cv.pdf'), '%PDF-1.4');
+    hotReload.watchedFiles.add(join(workDir(), 'cv.pdf'));
+    expect((await processBatch([['change', 'cv.pdf']])).type).toBe('full-reload');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Media Dimensions Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { MediaDimensions } from '../../src/lib/MediaDimensions.js';
+import { useTempDir } from './helpers.js';
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fields(...values) {
+  return Buffer.concat(values.map(([bytes, value]) => {
+    const buffer = Buffer.alloc(bytes);
+    if (typeof value === 'string') buffer.write(value, 'latin1');
+    else if (bytes === 2) buffer.writeUInt16BE(value);
+    else if (bytes === 4) buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+  }));
+}
+
+// EBML element with a one-byte size
+function element(id, ...children) {
+  const body = Buffer.concat(children);
+  return Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+}
+
+describe('MediaDimensions', () => {
+  const media = new MediaDimensions();
+  const workDir = useTempDir('submitit-media-');
+
+  const write = async (name, content) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return path;
+  };
+
+  test('reads image sizes from PNG, GIF, JPEG and SVG headers', async () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      fields([4, 13], [4, 'IHDR'], [4, 9000], [4, 600])
+    ]);
+    const gif = Buffer.from('GIF89a\x40\x01\xf0\x00\x00', 'latin1');
+
+    // APP0 segment ahead of the SOF0 frame header
+    const jpeg = Buffer.concat([
+      Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]), Buffer.alloc(14),
+      Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08]), fields([2, 1080], [2, 1920]), Buffer.alloc(12)
+    ]);
+
+    expect(await media.readImage(await write('a.png', png))).toEqual({ width: 9000, height: 600, format: 'png', type: 'image' });
+    expect(await media.readImage(await write('b.gif', gif))).toEqual({ width: 320, height: 240, format: 'gif', type: 'image' });
+    expect(await media.readImage(await write('c.jpg', jpeg))).toEqual({ width: 1920, height: 1080, format: 'jpg', type: 'image' });
+    expect(await media.readImage(await write('d.svg', '<svg xmlns="http://www.w3.org/2000/svg" width="2in" viewBox="0 0 50 25"/>')))
+      .toEqual({ width: 192, height: 25, format: 'svg', type: 'image' });
+  });
+
+  test('reads WebP lossy, lossless and extended headers', async () => {
+    const riff = (chunk, payload) => Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBP', 'latin1'), Buffer.from(chunk, 'latin1'), Buffer.alloc(4), payload]);
+    const lossy = riff('VP8 ', Buffer.from([0, 0, 0, 0x9d, 0x01, 0x2a, 0x80, 0x02, 0xe0, 0x01]));
+    const extended = riff('VP8X', Buffer.from([0, 0, 0, 0, 0xff, 0x0f, 0, 0x6f, 0x08, 0]));
+
+    expect(await media.readImage(await write('a.webp', lossy))).toEqual({ width: 640, height: 480, format: 'webp', type: 'image' });
+    expect(await media.readImage(await write('b.webp', extended))).toEqual({ width: 4096, height: 2160, format: 'webp', type: 'image' });
+  });
+
+  test('reads MP4 duration and resolution from a trailing moov box', async () => {
+    const tkhd = box('tkhd', Buffer.alloc(76), fields([4, 3840 << 16], [4, 2160 << 16]));
+    const mp4 = Buffer.concat([
+      box('ftyp', fields([4, 'isom'], [4, 0x200], [4, 'mp41'])),
+      box('mdat', Buffer.alloc(1000)),
+      box('moov',
+        box('mvhd', Buffer.alloc(12), fields([4, 1000], [4, 7200000])),
+        box('trak', tkhd, box('mdia',
+          box('hdlr', Buffer.alloc(8), fields([4, 'vide'])),
+          box('minf', box('stbl', box('stsd', Buffer.alloc(8), box('avc1', Buffer.alloc(70)))))
+        ))
+      )
+    ]);
+
+    const video = await media.readVideo(await write('clip.mp4', mp4));
+    expect([video.width, video.height, video.duration, video.codec]).toEqual([3840, 2160, 7200, 'avc1']);
+  });
+
+  test('reads WebM duration and resolution from the segment info and tracks', async () => {
+    const duration = Buffer.alloc(8);
+    duration.writeDoubleBE(90500);
+    const webm = Buffer.concat([
+      element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from('webm'))),
+      Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+      element([0x15, 0x49, 0xa9, 0x66], element([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40])), element([0x44, 0x89], duration)),
+      element([0x16, 0x54, 0xae, 0x6b], element([0xae],
+        element([0x83], Buffer.from([1])),
+        element([0x86], Buffer.from('V_VP9')),
+        element([0xe0], element([0xb0], Buffer.from([0x05, 0x00])), element([0xba], Buffer.from([0x02, 0xd0])))
+      ))
+    ]);
+
+    const video = await media.readVideo(await write('talk.webm', webm));
+    expect([video.width, video.height, video.duration, video.codec]).toEqual([1280, 720, 90.5, 'V_VP9']);
+  });
+
+  test('reads WAV, FLAC and MP3 duration, bitrate and sample rate', async () => {
+    const wav = Buffer.concat([
+      Buffer.from('RIFF\0\0\0\0WAVE', 'latin1'),
+      Buffer.from('fmt \x10\0\0\0\x01\0\x02\0\x44\xac\0\0\x10\xb1\x02\0\x04\0\x10\0', 'latin1'),
+      Buffer.from('data\x10\xb1\x02\0', 'latin1'), Buffer.alloc(176400)
+    ]);
+    expect(await media.readAudio(await write('a.wav', wav))).toEqual({
+      duration: 1, bitrate: 1411200, sampleRate: 44100, channels: 2, codec: undefined, format: 'wav', type: 'audio'
+    });
+
+    // STREAMINFO: 48 kHz, stereo, 16-bit, 480000 samples
+    const flac = Buffer.concat([
+      Buffer.from('fLaC\x00\x00\x00\x22', 'latin1'), Buffer.alloc(10),
+      Buffer.from([0x0b, 0xb8, 0x02, 0xf0, 0x00, 0x07, 0x53, 0x00]), Buffer.alloc(16)
+    ]);
+    const flacInfo = await media.readAudio(await write('b.flac', flac));
+    expect([flacInfo.duration, flacInfo.sampleRate, flacInfo.channels]).toEqual([10, 48000, 2]);
+
+    // MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, joint stereo; constant bitrate
+    const frame = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x44]), Buffer.alloc(413)]);
+    const mp3 = Buffer.concat([Buffer.from('ID3\x04\0\0\0\0\0\x0a', 'latin1'), Buffer.alloc(10), ...Array(40).fill(frame)]);
+    const mp3Info = await media.readAudio(await write('c.mp3', mp3));
+    expect([mp3Info.bitrate, mp3Info.sampleRate, mp3Info.channels]).toEqual([128000, 44100, 2]);
+    expect(mp3Info.duration).toBeCloseTo((40 * 417 * 8) / 128000, 5);
+
+    // A Xing header with a frame count makes the duration exact for VBR files
+    const xing = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x44]), Buffer.alloc(32), Buffer.from('Xing'), fields([4, 1], [4, 1000]), Buffer.alloc(400)]);
+    const vbr = await media.readAudio(await write('d.mp3', xing));
+    expect(vbr.duration).toBeCloseTo((1000 * 1152) / 44100, 5);
+  });
+
+  test('returns null for formats it cannot read', async () => {
+    expect(await media.readImage(await write('a.png', 'not an image'))).toBe(null);
+    expect(await media.readAudio(await write('b.ogg', Buffer.from('OggS\0\x02', 'latin1')))).toBe(null);
+  });
+});
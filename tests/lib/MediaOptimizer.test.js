@@ -0,0 +1,125 @@
+/**
+ * Media Optimizer Tests
+ */
+import { mkdtemp, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { MediaOptimizer } from '../../src/lib/MediaOptimizer.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+function gradientPng(width, height, options = {}) {
+  const png = new PNG({ width, height });
+  for (let index = 0; index < width * height; index++) {
+    png.data[index * 4] = (index % width) * 4;
+    png.data[index * 4 + 1] = Math.floor(index / width) * 4;
+    png.data[index * 4 + 2] = 90;
+    png.data[index * 4 + 3] = 255;
+  }
+  return PNG.sync.write(png, { deflateLevel: 0, ...options });
+}
+
+describe('MediaOptimizer', () => {
+  const workDir = useTempDir('submitit-optimize-');
+
+  const write = async (name, content) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return path;
+  };
+
+  test('recompresses PNGs losslessly and drops text chunks but not colour chunks', async () => {
+    const optimizer = new MediaOptimizer();
+    const chunks = optimizer.pngChunks(gradientPng(40, 30));
+    const source = optimizer.writePng([
+      chunks[0],
+      { type: 'gAMA', data: Buffer.from([0, 0, 0xb1, 0x8f]) },
+      { type: 'tEXt', data: Buffer.from('Author\0Jane Doe', 'latin1') },
+      ...chunks.slice(1)
+    ]);
+
+    const result = await optimizer.optimize(await write('chart.png', source));
+
+    expect(result.actions).toContain('metadata stripped');
+    expect(result.buffer.length).toBeLessThan(source.length);
+    expect(optimizer.pngChunks(result.buffer).map(chunk => chunk.type)).toEqual(['IHDR', 'gAMA', 'IDAT', 'IEND']);
+    expect(PNG.sync.read(result.buffer).data.equals(PNG.sync.read(source).data)).toBe(true);
+  });
+
+  test('downscales images larger than maxImageDimensions', async () => {
+    const optimizer = new MediaOptimizer({ maxImageDimensions: { width: 20, height: 20 } });
+    const path = await write('wide.png', gradientPng(40, 10, { deflateLevel: 9 }));
+
+    const result = await optimizer.optimize(path);
+    const image = PNG.sync.read(result.buffer);
+
+    expect(result.actions).toEqual(['resized 40x10 → 20x5']);
+    expect([image.width, image.height]).toEqual([20, 5]);
+    // Each output pixel averages two source columns: (0 + 4) / 2 and (8 + 12) / 2
+    expect([image.data[0], image.data[4]]).toEqual([2, 10]);
+  });
+
+  test('averages with premultiplied alpha, so transparent pixels do not darken edges', () => {
+    const optimizer = new MediaOptimizer();
+    const pixels = Buffer.from([255, 0, 0, 255, 0, 0, 0, 0]);
+
+    expect([...optimizer.resize(pixels, 2, 1, 1, 1)]).toEqual([255, 0, 0, 128]);
+  });
+
+  test('strips JPEG metadata but keeps orientation, re-encoding only above recompressAbove', async () => {
+    const optimizer = new MediaOptimizer();
+    const pixels = Buffer.alloc(64 * 48 * 4, 120);
+    const encoded = jpeg.encode({ data: pixels, width: 64, height: 48 }, 95).data;
+    const app0End = 4 + encoded.readUInt16BE(4);
+    const exif = optimizer.exifOrientation(6);
+    const comment = Buffer.from('shot by Jane', 'latin1');
+    const source = Buffer.concat([
+      encoded.subarray(0, app0End),
+      optimizer.writeSegments([{ marker: 0xe1, data: exif }, { marker: 0xfe, data: comment }]),
+      encoded.subarray(app0End)
+    ]);
+    const path = await write('photo.jpg', source);
+
+    const stripped = await optimizer.optimize(path);
+    const { segments, scan } = optimizer.jpegSegments(stripped.buffer);
+
+    expect(stripped.actions).toEqual(['metadata stripped']);
+    expect(segments.some(segment => segment.marker === 0xfe)).toBe(false);
+    expect(optimizer.jpegOrientation(segments)).toBe(6);
+    expect(scan.equals(optimizer.jpegSegments(source).scan)).toBe(true);
+
+    const reencoded = await new MediaOptimizer({ recompressAbove: 0, jpegQuality: 50 }).optimize(path);
+    expect(reencoded.actions).toEqual(['re-encoded at quality 50', 'metadata stripped']);
+    expect(optimizer.jpegOrientation(optimizer.jpegSegments(reencoded.buffer).segments)).toBe(6);
+  });
+
+  test('minifies web assets and reports files it cannot parse', async () => {
+    const optimizer = new MediaOptimizer({ minify: ['css', 'js', 'svg'] });
+    const files = [
+      { name: 'content/site.css', sourcePath: await write('site.css', 'a {\n  color: #ff0000;\n}\n') },
+      { name: 'content/logo.svg', sourcePath: await write('logo.svg', '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><!-- logo --><g><rect width="10" height="10"/></g></svg>') },
+      { name: 'content/broken.js', sourcePath: await write('broken.js', 'function (') },
+      { name: 'content/vendor.min.js', sourcePath: await write('vendor.min.js', 'var  a = 1 ;') },
+      { name: 'content/index.html', sourcePath: await write('index.html', '<p>  hello  </p>') }
+    ];
+    const outputDir = await mkdtemp(join(workDir(), 'out-'));
+
+    const { substitutes, report, skipped } = await optimizer.optimizeFiles(files, outputDir);
+
+    expect(report.map(file => [file.name, file.actions])).toEqual([
+      ['content/site.css', ['minified']],
+      ['content/logo.svg', ['minified']]
+    ]);
+    expect(await readFile(substitutes.get('content/site.css'), 'utf8')).toBe('a{color:red}');
+    expect(await readFile(substitutes.get('content/logo.svg'), 'utf8')).toContain('viewBox="0 0 10 10"');
+    expect(skipped.map(file => file.name)).toEqual(['content/broken.js']);
+    expect(optimizer.summarize(report).saved).toBe(report.reduce((sum, file) => sum + file.before - file.after, 0));
+  });
+
+  test('rejects unknown and invalid settings', async () => {
+    expect(await attemptMessage(() => new MediaOptimizer({ quality: 80 }))).toBe('optimize: unknown setting(s) quality');
+    expect(await attemptMessage(() => new MediaOptimizer({ jpegQuality: 0 }))).toBe('optimize.jpegQuality must be 1-100, not 0');
+    expect(await attemptMessage(() => new MediaOptimizer({ minify: ['json'] }))).toContain('optimize.minify takes a list of html, css, js, svg');
+    expect(new MediaOptimizer({ recompressAbove: '2MB' }).options.recompressAbove).toBe(2000000);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Office Reader Tests
+ */
+import { writeFile } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { join } from 'path';
+import archiver from 'archiver';
+import { OfficeReader } from '../../src/lib/OfficeReader.js';
+import { useTempDir } from './helpers.js';
+
+async function zip(path, entries) {
+  const archive = archiver('zip');
+  const output = createWriteStream(path);
+  const done = new Promise(resolve => output.on('close', resolve));
+  archive.pipe(output);
+  Object.entries(entries).forEach(([name, content]) => archive.append(content, { name }));
+  await archive.finalize();
+  await done;
+}
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const paragraph = runs => `<w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr>${runs}</w:p>`;
+const run = text => `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+const slide = (texts, attributes = '') => `<p:sld xmlns:p="p" xmlns:a="a"${attributes}><p:cSld><p:spTree><p:sp><p:txBody>`
+  + texts.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')
+  + '</p:txBody></p:sp></p:spTree></p:cSld></p:sld>';
+
+describe('OfficeReader', () => {
+  const reader = new OfficeReader();
+  const workDir = useTempDir('submitit-office-');
+
+  test('extracts Word body text and counts words, leaving out deleted text and fallbacks', async () => {
+    const path = join(workDir(), 'essay.docx');
+    await zip(path, {
+      'word/document.xml': `<w:document ${W}><w:body>`
+        + paragraph(run('About me:') + '<w:r><w:tab/></w:r>' + run('I&apos;m a designer &amp; developer.'))
+        + paragraph(`<w:del w:id="1" w:author="Editor" w:date="2026-01-02T10:00:00Z"><w:r><w:delText>removed words</w:delText></w:r></w:del>`
+          + `<w:ins w:id="2" w:author="Editor"><w:r><w:t>Added</w:t></w:r></w:ins>`
+          + '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText> PAGE </w:instrText></w:r>'
+          + `<w:r><mc:AlternateContent><mc:Choice Requires="wps">${run(' boxed')}</mc:Choice><mc:Fallback>${run('boxed again')}</mc:Fallback></mc:AlternateContent></w:r>`)
+        + paragraph('<w:r><w:t>—</w:t></w:r><w:r><w:rPr><w:rPrChange w:id="3" w:author="Reviewer"><w:rPr/></w:rPrChange></w:rPr><w:t>2026</w:t></w:r>')
+        + '</w:body></w:document>',
+      'docProps/app.xml': '<Properties><Application>Microsoft Office Word</Application><Pages>2</Pages></Properties>',
+      'docProps/core.xml': '<cp:coreProperties><dc:title>Portfolio essay</dc:title><dc:creator>J. Doe</dc:creator>'
+        + '<dcterms:created xsi:type="dcterms:W3CDTF">2026-01-01T09:00:00Z</dcterms:created></cp:coreProperties>',
+      'word/media/image1.png': Buffer.alloc(128)
+    });
+
+    const office = await reader.inspect(path);
+
+    expect(office.format).toBe('docx');
+    expect(office.text).toBe('About me:\tI\'m a designer & developer.\nAdded boxed\n—2026\n');
+    // "&" has no letters or digits, so Word does not count it
+    expect(office.words).toBe(9);
+    expect(office.pages).toBe(2);
+    expect(office.trackedChanges).toEqual({ insertions: 1, deletions: 1, moves: 0, formatting: 1, authors: ['Editor', 'Reviewer'] });
+    expect(office.media).toEqual([{ name: 'word/media/image1.png', size: 128 }]);
+    expect(office.properties.title).toBe('Portfolio essay');
+    expect(office.properties.creator).toBe('J. Doe');
+    expect(office.properties.created).toBe('2026-01-01T09:00:00Z');
+    expect(office.properties.application).toBe('Microsoft Office Word');
+  });
+
+  test('reads Word comments with their author and date', async () => {
+    const path = join(workDir(), 'reviewed.docx');
+    await zip(path, {
+      'word/document.xml': `<w:document ${W}><w:body>${paragraph(run('Body'))}</w:body></w:document>`,
+      'word/comments.xml': `<w:comments ${W}><w:comment w:id="0" w:author="Prof. &quot;Smith&quot;" w:date="2026-02-01T12:00:00Z" w:initials="PS">`
+        + `${paragraph(run('Cite this.'))}</w:comment></w:comments>`
+    });
+
+    const office = await reader.inspect(path);
+
+    expect(office.comments).toEqual([{ author: 'Prof. "Smith"', date: '2026-02-01T12:00:00Z', text: 'Cite this.' }]);
+    expect(office.words).toBe(1);
+    expect(office.pages).toBe(null);
+  });
+
+  test('counts slides in order, hidden slides and legacy and modern comments', async () => {
+    const path = join(workDir(), 'talk.pptx');
+    await zip(path, {
+      'ppt/presentation.xml': '<p:presentation/>',
+      'ppt/slides/slide10.xml': slide(['Thanks']),
+      'ppt/slides/slide2.xml': slide(['Results', 'Up 40%'], ' show="0"'),
+      'ppt/slides/slide1.xml': slide(['Project title']),
+      'ppt/commentAuthors.xml': '<p:cmAuthorLst><p:cmAuthor id="0" name="Ana" initials="A" lastIdx="1" clrIdx="0"/></p:cmAuthorLst>',
+      'ppt/comments/comment1.xml': '<p:cmLst><p:cm authorId="0" dt="2026-03-01T08:00:00.000" idx="1"><p:pos x="10" y="10"/><p:text>Fix typo</p:text></p:cm></p:cmLst>',
+      'ppt/authors.xml': '<p188:authorLst><p188:author id="{A1}" name="Ben" initials="B" userId="ben" providerId="None"/></p188:authorLst>',
+      'ppt/comments/modernComment_101_1.xml': '<p188:cmLst><p188:cm id="{C1}" authorId="{A1}" created="2026-03-02T09:00:00.000">'
+        + '<p188:txBody><a:bodyPr/><a:p><a:r><a:t>Add a source</a:t></a:r></a:p></p188:txBody></p188:cm></p188:cmLst>'
+    });
+
+    const office = await reader.inspect(path);
+
+    expect(office.format).toBe('pptx');
+    expect(office.slides).toBe(3);
+    expect(office.pages).toBe(3);
+    expect(office.hiddenSlides).toBe(1);
+    // A blank line separates slides
+    expect(office.text).toBe('Project title\n\nResults\nUp 40%\n\nThanks\n');
+    expect(office.words).toBe(6);
+    expect(office.comments).toEqual([
+      { author: 'Ana', date: '2026-03-01T08:00:00.000', text: 'Fix typo' },
+      { author: 'Ben', date: '2026-03-02T09:00:00.000', text: 'Add a source' }
+    ]);
+  });
+
+  test('lists sheets and reads shared and inline strings and threaded comments once', async () => {
+    const path = join(workDir(), 'budget.xlsx');
+    await zip(path, {
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Budget" sheetId="1" r:id="rId1"/><sheet name="Raw &amp; notes" sheetId="2" state="hidden" r:id="rId2"/></sheets></workbook>',
+      'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><r><t>Total </t></r><r><rPr><b/></rPr><t>cost</t></r></si></sst>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>Inline note</t></is></c><c r="C1"><v>42</v></c></row></sheetData></worksheet>',
+      'xl/persons/person.xml': '<personList><person displayName="Chris" id="{P1}" userId="chris" providerId="None"/></personList>',
+      'xl/threadedComments/threadedComment1.xml': '<ThreadedComments><threadedComment ref="A1" dT="2026-04-01T10:00:00.00" personId="{P1}" id="{T1}"><text>Check total</text></threadedComment></ThreadedComments>',
+      'xl/comments1.xml': '<comments><authors><author>tc={T1}</author><author>Dana</author></authors><commentList>'
+        + '<comment ref="A1" authorId="0"><text><t>[Threaded comment]\n\nCheck total</t></text></comment>'
+        + '<comment ref="B1" authorId="1"><text><r><t>Dana:</t></r><r><t xml:space="preserve"> old note</t></r></text></comment></commentList></comments>'
+    });
+
+    const office = await reader.inspect(path);
+
+    expect(office.format).toBe('xlsx');
+    expect(office.sheets).toEqual([{ name: 'Budget', hidden: false }, { name: 'Raw & notes', hidden: true }]);
+    expect(office.text).toBe('Item\nTotal cost\nInline note');
+    expect(office.words).toBe(5);
+    expect(office.pages).toBe(null);
+    expect(office.trackedChanges).toBe(null);
+    expect(office.comments).toEqual([
+      { author: 'Chris', date: '2026-04-01T10:00:00.00', text: 'Check total' },
+      { author: 'Dana', date: null, text: 'Dana: old note' }
+    ]);
+  });
+
+  test('returns null for files that are not OOXML packages', async () => {
+    const archive = join(workDir(), 'photos.zip');
+    await zip(archive, { 'a.txt': 'text' });
+    const legacy = join(workDir(), 'old.doc');
+    await writeFile(legacy, Buffer.from('d0cf11e0a1b11ae1', 'hex'));
+
+    expect(await reader.inspect(archive)).toBe(null);
+    expect(await reader.inspect(legacy)).toBe(null);
+    expect(reader.formatOf('Deck.PPTM')).toBe('pptx');
+    expect(reader.formatOf('notes.md')).toBe(null);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * PackageEncryption Tests
+ */
+import { Readable } from 'stream';
+import { PackageEncryption } from '../../src/lib/PackageEncryption.js';
+
+async function pipeThrough(data, transform) {
+  const chunks = [];
+  for await (const chunk of Readable.from([data]).pipe(transform)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('PackageEncryption ZIP AES', () => {
+  const encryption = new PackageEncryption();
+  const data = Buffer.from('quarterly figures '.repeat(1000));
+
+  test('round-trips with the right password', async () => {
+    const sealed = await pipeThrough(data, encryption.createZipAesEncryptStream('s3cret'));
+
+    // 16-byte salt + 2-byte verifier + data + 10-byte auth code
+    expect(sealed.length).toBe(data.length + 28);
+    expect(await pipeThrough(sealed, encryption.createZipAesDecryptStream('s3cret', 'a.txt'))).toEqual(data);
+  });
+
+  test('rejects a wrong password', async () => {
+    const sealed = await pipeThrough(data, encryption.createZipAesEncryptStream('s3cret'));
+
+    await expect(pipeThrough(sealed, encryption.createZipAesDecryptStream('guess', 'a.txt'))).rejects.toThrow();
+  });
+
+  test('describes the actual compression method in the extra field', () => {
+    const extra = encryption.readZipAesExtraField(encryption.createZipAesExtraField(8));
+
+    expect(extra).toEqual({ version: 2, strength: 3, method: 8 });
+  });
+});
+
+describe('PackageEncryption age', () => {
+  const encryption = new PackageEncryption();
+
+  test('parses a recipient produced by age-keygen', () => {
+    const raw = encryption.parseRecipient('age1ql3z7hjy54pw3hyww5ayyfg7zqgvc7w3j2elw8zmrj2kg5sfn9aqmcac8p');
+
+    expect(raw).toHaveLength(32);
+    expect(() => encryption.parseRecipient('age1notakey')).toThrow();
+  });
+
+  test('round-trips across chunk boundaries for the matching identity', async () => {
+    const { identity, recipient } = encryption.generateIdentity();
+    const data = Buffer.alloc(65536 + 100, 7);
+
+    const sealed = await pipeThrough(data, encryption.createAgeEncryptStream([recipient]));
+    expect(sealed.subarray(0, 21).toString()).toBe('age-encryption.org/v1');
+
+    const opened = await pipeThrough(sealed, encryption.createAgeDecryptStream([encryption.parseIdentity(identity)]));
+    expect(opened).toEqual(data);
+  });
+
+  test('rejects an identity the file was not encrypted to', async () => {
+    const { recipient } = encryption.generateIdentity();
+    const other = encryption.parseIdentity(encryption.generateIdentity().identity);
+    const sealed = await pipeThrough(Buffer.from('secret'), encryption.createAgeEncryptStream([recipient]));
+
+    await expect(pipeThrough(sealed, encryption.createAgeDecryptStream([other]))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * PackageFilter Tests
+ */
+import { PackageFilter } from '../../src/lib/PackageFilter.js';
+
+describe('PackageFilter', () => {
+  test('built-in rules exclude tooling clutter', () => {
+    const filter = new PackageFilter({ root: '/project' });
+
+    expect(filter.explain('/project/content/.DS_Store')).toEqual({ excluded: true, rule: 'built-in: .DS_Store' });
+    expect(filter.excludes('/project/content/node_modules', true)).toBe(true);
+    expect(filter.excludes('/project/content/essay.md')).toBe(false);
+  });
+
+  test('nested .submitignore rules apply relative to their directory and can re-include', () => {
+    const filter = new PackageFilter({ root: '/project' });
+    filter.rules.push(filter.createRule('*.psd', '', '.submitignore:1'));
+    filter.rules.push(filter.createRule('!cover.psd', 'content/art', 'content/art/.submitignore:1'));
+
+    expect(filter.explain('content/layers.psd').rule).toBe('.submitignore:1: *.psd');
+    expect(filter.excludes('content/art/cover.psd')).toBe(false);
+    expect(filter.excludes('content/cover.psd')).toBe(true);
+  });
+
+  test('directory-only patterns match directories', () => {
+    const filter = new PackageFilter({ root: '/project' });
+    filter.rules.push(filter.createRule('drafts/', '', '.submitignore:2'));
+
+    expect(filter.excludes('content/drafts', true)).toBe(true);
+    expect(filter.excludes('content/drafts')).toBe(false);
+  });
+
+  test('--exclude wins over .submitignore and --include narrows content only', () => {
+    const filter = new PackageFilter({ root: '/project', include: ['*.md'], exclude: ['secret.md'] });
+    filter.rules.push(filter.createRule('!secret.md', '', '.submitignore:1'));
+
+    expect(filter.explain('content/secret.md').rule).toBe('--exclude: secret.md');
+    expect(filter.explain('content/photo.jpg').rule).toBe('--include: matches none of *.md');
+    expect(filter.excludes('content/essay.md')).toBe(false);
+    expect(filter.excludes('astro/index.html')).toBe(false);
+  });
+});
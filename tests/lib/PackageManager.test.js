@@ -0,0 +1,62 @@
+/**
+ * PackageManager Reproducible Export Tests
+ */
+import { PackageManager } from '../../src/lib/PackageManager.js';
+
+describe('PackageManager reproducible mode', () => {
+  const config = {
+    name: 'demo',
+    theme: 'neon',
+    created: '2024-03-01T10:00:00.000Z',
+    metadata: { title: 'Demo', author: 'A. Student' },
+    files: [
+      { name: 'zeta.md', type: 'text', role: 'bio', size: '1 KB' },
+      { name: 'alpha.pdf', type: 'document', role: 'resume', size: '2 KB' }
+    ]
+  };
+  let previousEpoch;
+
+  beforeEach(() => {
+    previousEpoch = process.env.SOURCE_DATE_EPOCH;
+  });
+
+  afterEach(() => {
+    if (previousEpoch === undefined) {
+      delete process.env.SOURCE_DATE_EPOCH;
+    } else {
+      process.env.SOURCE_DATE_EPOCH = previousEpoch;
+    }
+  });
+
+  test('honours SOURCE_DATE_EPOCH', () => {
+    process.env.SOURCE_DATE_EPOCH = '1700000000';
+    const date = new PackageManager().resolveBuildDate({ reproducible: true });
+
+    expect(date.toISOString()).toBe('2023-11-14T22:13:20.000Z');
+  });
+
+  test('falls back to the ZIP epoch without SOURCE_DATE_EPOCH', () => {
+    delete process.env.SOURCE_DATE_EPOCH;
+    const date = new PackageManager().resolveBuildDate({ reproducible: true });
+
+    expect(date.toISOString()).toBe('1980-01-01T00:00:00.000Z');
+  });
+
+  test('manifest and README are byte-stable', () => {
+    const manager = new PackageManager();
+    const first = JSON.stringify(manager.generateManifest(config, { reproducible: true }));
+    const second = JSON.stringify(manager.generateManifest({ ...config, files: [...config.files].reverse() }, { reproducible: true }));
+
+    expect(first).toBe(second);
+    expect(JSON.parse(first).files[0].name).toBe('alpha.pdf');
+    expect(manager.generateReadme(config, { reproducible: true })).toBe(manager.generateReadme(config, { reproducible: true }));
+  });
+
+  test('entry data pins permissions and owners', () => {
+    const data = new PackageManager().createEntryData('content/a.md', { reproducible: true });
+
+    expect(data.mode).toBe(0o644);
+    expect(data.uid).toBe(0);
+    expect(data.uname).toBe('');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * PDF Preview Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { PdfPreview } from '../../src/lib/PdfPreview.js';
+import { useTempDir } from './helpers.js';
+
+// Objects are numbered from 1 in the order given; xref offsets are computed
+function buildPdf(objects) {
+  let body = '%PDF-1.7\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+function stream(content, dict = '') {
+  const data = Buffer.isBuffer(content) ? content.toString('latin1') : content;
+  return `<< /Length ${Buffer.byteLength(data, 'latin1')} ${dict} >>\nstream\n${data}\nendstream`;
+}
+
+describe('PdfPreview', () => {
+  const preview = new PdfPreview({ renderer: null });
+  const workDir = useTempDir('submitit-pdf-preview-');
+
+  const write = async (name, content) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return path;
+  };
+
+  test('uses embedded page thumbnails and the images of scanned pages', async () => {
+    // A 2x1 RGB thumbnail (red, blue) and a 400x560 grey scan
+    const thumb = deflateSync(Buffer.from([255, 0, 0, 0, 0, 255]));
+    const scan = jpeg.encode({ data: Buffer.alloc(400 * 560 * 4, 128), width: 400, height: 560 }, 90).data;
+
+    const path = await write('cv.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 612 792] >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R /Thumb 7 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 8 0 R /Resources << /XObject << /Im1 9 0 R /Im2 10 0 R >> >> >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R /MediaBox [0 0 842 595] >>',
+      stream('BT /F1 12 Tf 72 720 Td (Hello) Tj ET'),
+      stream(thumb, '/Width 2 /Height 1 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode'),
+      stream('q 612 0 0 792 0 0 cm /Im1 Do Q q 10 0 0 10 0 0 cm /Im2 Do Q'),
+      stream(scan, '/Type /XObject /Subtype /Image /Width 400 /Height 560 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode'),
+      stream(deflateSync(Buffer.alloc(4, 0)), '/Type /XObject /Subtype /Image /Width 2 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode')
+    ]));
+
+    const result = await preview.thumbnails(path);
+
+    expect(result.pages).toBe(3);
+    expect(result.thumbnails.map(({ page, width, height }) => ({ page, width, height }))).toEqual([
+      { page: 1, width: 612, height: 792 },
+      { page: 2, width: 612, height: 792 },
+      { page: 3, width: 842, height: 595 }
+    ]);
+
+    const [first, second, third] = result.thumbnails;
+    expect(first.image.extension).toBe('png');
+    const png = PNG.sync.read(first.image.data);
+    expect([png.width, png.height]).toEqual([2, 1]);
+    expect([...png.data.subarray(0, 8)]).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+
+    expect(second.image.extension).toBe('jpg');
+    const scaled = jpeg.decode(second.image.data);
+    expect([scaled.width, scaled.height]).toEqual([200, 280]);
+
+    expect(third.image).toBeNull();
+  });
+
+  test('limits thumbnails to the first pages and ignores files that are not PDFs', async () => {
+    const kids = [3, 4, 5].map(num => `${num} 0 R`).join(' ');
+    const path = await write('long.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${kids}] /Count 3 /MediaBox [0 0 595 842] >>`,
+      '<< /Type /Page /Parent 2 0 R >>',
+      '<< /Type /Page /Parent 2 0 R >>',
+      '<< /Type /Page /Parent 2 0 R >>'
+    ]));
+
+    const result = await new PdfPreview({ maxPages: 2, renderer: null }).thumbnails(path);
+
+    expect(result.pages).toBe(3);
+    expect(result.thumbnails.map(thumbnail => thumbnail.page)).toEqual([1, 2]);
+    expect(await preview.thumbnails(await write('notes.pdf', 'plain text'))).toBeNull();
+  });
+
+  test('renders the pages that carry no picture of their own', async () => {
+    const thumb = deflateSync(Buffer.from([255, 0, 0]));
+    const path = await write('essay.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 612 792] >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R /Thumb 7 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+      stream('BT /F1 12 Tf 72 720 Td (Hello) Tj ET'),
+      stream(thumb, '/Width 1 /Height 1 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode')
+    ]));
+    const requests = [];
+    const renderer = async (buffer, pageNumbers) => {
+      requests.push({ pdf: buffer.subarray(0, 5).toString('latin1'), pageNumbers });
+      return new Map(pageNumbers.slice(0, 1).map(page => [page, { data: Buffer.from(`page ${page}`), extension: 'png' }]));
+    };
+
+    const result = await new PdfPreview({ renderer }).thumbnails(path);
+
+    expect(requests).toEqual([{ pdf: '%PDF-', pageNumbers: [1, 3] }]);
+    expect(result.thumbnails.map(thumbnail => thumbnail.image?.data.toString('latin1').slice(0, 6) ?? null)).toEqual(['page 1', '\x89PNG\r\n', null]);
+
+    const failing = await new PdfPreview({ renderer: async () => { throw new Error('bad xref'); } }).thumbnails(path);
+    expect(failing.thumbnails.map(thumbnail => thumbnail.image?.extension ?? null)).toEqual([null, 'png', null]);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * PDF Reader Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import { PdfReader } from '../../src/lib/PdfReader.js';
+import { useTempDir } from './helpers.js';
+
+// Objects are numbered from 1 in the order given; xref offsets are computed
+function buildPdf(objects, trailer = '/Root 1 0 R', version = '1.7') {
+  let body = `%PDF-${version}\n%\xe2\xe3\xcf\xd3\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} ${trailer} >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+function stream(content, dict = '') {
+  return `<< /Length ${Buffer.byteLength(content, 'latin1')} ${dict} >>\nstream\n${content}\nendstream`;
+}
+
+const TEXT = 'BT /F1 12 Tf 72 720 Td (Hello) Tj ET';
+
+describe('PdfReader', () => {
+  const reader = new PdfReader();
+  const workDir = useTempDir('submitit-pdf-');
+
+  const write = async (name, content) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return path;
+  };
+
+  test('reads pages, inherited and rotated page sizes and document info', async () => {
+    const title = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('Résumé', 'utf16le').swap16()]).toString('hex');
+    const path = await write('cv.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 595.28 841.89] >>',
+      '<< /Type /Page /Parent 2 0 R >>',
+      '<< /Type /Page /Parent 2 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Rotate 90 >>',
+      `<< /Title <${title}> /Author (Jane \\(J.\\) Doe) /CreationDate (D:20240115093000+01'00') >>`
+    ], '/Root 1 0 R /Info 6 0 R'));
+
+    const pdf = await reader.inspect(path);
+
+    expect(pdf.version).toBe('1.7');
+    expect(pdf.pages).toBe(3);
+    expect(pdf.pageSizes).toEqual([
+      { width: 595.28, height: 841.89, name: 'A4', orientation: 'portrait', count: 2 },
+      { width: 792, height: 612, name: 'Letter', orientation: 'landscape', count: 1 }
+    ]);
+    expect(pdf.info.title).toBe('Résumé');
+    expect(pdf.info.author).toBe('Jane (J.) Doe');
+    expect(pdf.info.created).toBe('2024-01-15T08:30:00.000Z');
+    expect(pdf.repaired).toBe(false);
+  });
+
+  test('finds the text layer, including text drawn by form XObjects, and image-only pages', async () => {
+    const path = await write('scan.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 612 792] >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R /Resources << /XObject << /Im1 7 0 R >> >> >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 8 0 R /Resources << /XObject << /Fm1 9 0 R >> >> >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 10 0 R >>',
+      stream('q 612 0 0 792 0 0 cm /Im1 Do Q'),
+      stream('xxxx', '/Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /DCTDecode'),
+      stream('/Fm1 Do'),
+      stream(TEXT, '/Type /XObject /Subtype /Form /BBox [0 0 612 792]'),
+      stream('0 0 m 612 792 l S')
+    ]));
+
+    const pdf = await reader.inspect(path);
+
+    expect(pdf.text).toEqual({ present: true, pagesWithText: 1, imageOnlyPages: [1] });
+  });
+
+  test('reports embedded, subset and missing fonts', async () => {
+    const path = await write('fonts.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R /F3 7 0 R >> >> >>',
+      stream(TEXT),
+      '<< /Type /Font /Subtype /TrueType /BaseFont /ABCDEF+Georgia /FontDescriptor 9 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /GHIJKL+NotoSans /DescendantFonts [8 0 R] >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+      '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /GHIJKL+NotoSans /FontDescriptor 10 0 R >>',
+      '<< /Type /FontDescriptor /FontName /ABCDEF+Georgia /FontFile2 11 0 R >>',
+      '<< /Type /FontDescriptor /FontName /GHIJKL+NotoSans /FontFile2 11 0 R >>',
+      stream('font program')
+    ]));
+
+    const pdf = await reader.inspect(path);
+
+    expect(pdf.fonts).toEqual([
+      { name: 'Georgia', type: 'TrueType', embedded: true, subset: true },
+      { name: 'NotoSans', type: 'Type0', embedded: true, subset: true },
+      { name: 'Helvetica', type: 'Type1', embedded: false, subset: false }
+    ]);
+    expect(pdf.unembeddedFonts).toEqual(['Helvetica']);
+  });
+
+  test('follows xref streams, object streams and PNG predictors', async () => {
+    const inner = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 420 595] /Contents 5 0 R >>'
+    ];
+    let offset = 0;
+    const header = inner.map((object, index) => {
+      const pair = `${index + 1} ${offset}`;
+      offset += object.length + 1;
+      return pair;
+    }).join(' ');
+    const objectStream = deflateSync(Buffer.from(`${header}\n${inner.join('\n')}\n`, 'latin1'));
+
+    let body = '%PDF-1.5\n';
+    const streamOffset = body.length;
+    body += `4 0 obj\n<< /Type /ObjStm /N 3 /First ${header.length + 1} /Filter /FlateDecode /Length ${objectStream.length} >>\nstream\n${objectStream.toString('latin1')}\nendstream\nendobj\n`;
+    const contentOffset = body.length;
+    body += `5 0 obj\n${stream(TEXT)}\nendobj\n`;
+    const xrefOffset = body.length;
+
+    // Rows of [type, offset (2 bytes), index], each behind a PNG "None" filter byte
+    const rows = [[0, 0, 255], [2, 4, 0], [2, 4, 1], [2, 4, 2], [1, streamOffset, 0], [1, contentOffset, 0], [1, xrefOffset, 0]];
+    const table = deflateSync(Buffer.from(rows.flatMap(([type, value, index]) => [0, type, value >> 8, value & 0xff, index])));
+    body += `6 0 obj\n<< /Type /XRef /Size 7 /W [1 2 1] /Root 1 0 R /Filter /FlateDecode /DecodeParms << /Predictor 12 /Columns 4 >> /Length ${table.length} >>\nstream\n${table.toString('latin1')}\nendstream\nendobj\n`;
+    body += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    const pdf = await reader.inspect(await write('compressed.pdf', Buffer.from(body, 'latin1')));
+
+    expect(pdf.repaired).toBe(false);
+    expect(pdf.pages).toBe(1);
+    expect(pdf.pageSizes[0].name).toBe('A5');
+    expect(pdf.text.present).toBe(true);
+  });
+
+  test('rebuilds a damaged cross-reference table', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+      stream(TEXT)
+    ]).toString('latin1').replace(/startxref\n\d+/, 'startxref\n9');
+
+    const report = await reader.inspect(await write('damaged.pdf', Buffer.from(pdf, 'latin1')));
+
+    expect(report.repaired).toBe(true);
+    expect(report.pages).toBe(1);
+    expect(report.text.present).toBe(true);
+  });
+
+  test('reports encryption and permissions of a password-protected file', async () => {
+    const bytes = value => value.repeat(32).slice(0, 64);
+    const path = await write('locked.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+      stream('encrypted content'),
+      `<< /Filter /Standard /V 2 /R 3 /Length 128 /P -3884 /O <${bytes('ab')}> /U <${bytes('cd')}> >>`,
+      '<< /Author (encrypted bytes) >>'
+    ], `/Root 1 0 R /Encrypt 5 0 R /Info 6 0 R /ID [<${bytes('01').slice(0, 32)}> <${bytes('01').slice(0, 32)}>]`));
+
+    const pdf = await reader.inspect(path);
+
+    expect(pdf.encryption.encrypted).toBe(true);
+    expect(pdf.encryption.algorithm).toBe('RC4 128-bit');
+    expect(pdf.encryption.opensWithoutPassword).toBe(false);
+    // -3884 allows printing and copying only
+    expect(Object.entries(pdf.encryption.permissions).filter(([, allowed]) => allowed).map(([name]) => name)).toEqual(['print', 'copy']);
+    expect(pdf.text.present).toBe(null);
+    expect(pdf.info.author).toBe(null);
+    expect(pdf.pages).toBe(1);
+  });
+
+  test('reads PDF/A identification and lists basic conformance issues', async () => {
+    const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+      + '<rdf:Description xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/" pdfaid:part="2" pdfaid:conformance="B"/></rdf:RDF></x:xmpmeta>';
+    const path = await write('archive.pdf', buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R /Metadata 5 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 6 0 R >> >> >>',
+      stream(TEXT),
+      stream(xmp, '/Type /Metadata /Subtype /XML'),
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Times-Roman >>'
+    ]));
+
+    const pdf = await reader.inspect(path);
+
+    expect(pdf.pdfa).toEqual({
+      claimed: true,
+      part: 2,
+      conformance: 'B',
+      outputIntent: false,
+      issues: ['Fonts not embedded: Times-Roman', 'No PDF/A output intent (ICC colour profile)']
+    });
+    expect(await reader.inspect(await write('notes.pdf', 'plain text'))).toBe(null);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Preview Server Tests
+ */
+import { EventEmitter } from 'events';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { request } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EVENTS_PATH, LIVE_RELOAD_PATH, PreviewServer } from '../../src/lib/PreviewServer.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+const fetchText = (url, options = {}) => new Promise((resolve, reject) => {
+  const req = request(url, options, response => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+// Resolves with the event stream once `count` events (not comments) arrived
+const readEvents = (url, count, onOpen) => new Promise((resolve, reject) => {
+  const req = request(url, response => {
+    let buffer = '';
+    const events = [];
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (message.startsWith(':')) continue;
+        const [, event] = message.match(/^event: (.*)$/m);
+        const [, data] = message.match(/^data: (.*)$/m);
+        events.push({ event, data: JSON.parse(data) });
+      }
+      if (events.length === count) {
+        req.destroy();
+        resolve(events);
+      }
+    });
+    onOpen();
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+describe('PreviewServer', () => {
+  const workDir = useTempDir('submitit-preview-');
+  let servers;
+
+  beforeEach(async () => {
+    await mkdir(join(workDir(), 'files'));
+    await writeFile(join(workDir(), 'index.html'), '<html><body><h1>Overview</h1></body></html>');
+    await writeFile(join(workDir(), 'files', 'notes one.txt'), 'plain notes\n');
+    await writeFile(join(tmpdir(), 'submitit-preview-outside.txt'), 'secret');
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) await server.stop();
+    await rm(join(tmpdir(), 'submitit-preview-outside.txt'), { force: true });
+  });
+
+  const startServer = async (options = {}) => {
+    const server = new PreviewServer({ root: workDir(), port: 0, ...options });
+    servers.push(server);
+    await server.start();
+    return server;
+  };
+
+  test('serves the site with the live-reload client in HTML pages', async () => {
+    const server = await startServer();
+    const { url } = server.address();
+
+    const index = await fetchText(url);
+    expect(index.status).toBe(200);
+    expect(index.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(index.headers['cache-control']).toBe('no-store');
+    expect(index.body).toBe(`<html><body><h1>Overview</h1><script src="${LIVE_RELOAD_PATH}"></script>\n</body></html>`);
+
+    const notes = await fetchText(`${url}files/notes%20one.txt`);
+    expect(notes.body).toBe('plain notes\n');
+    expect(notes.headers['content-type']).toBe('text/plain; charset=utf-8');
+
+    const client = await fetchText(`${url}${LIVE_RELOAD_PATH.slice(1)}`);
+    expect(client.body).toContain(`new EventSource('${EVENTS_PATH}')`);
+
+    const head = await fetchText(url, { method: 'HEAD' });
+    expect(head.status).toBe(200);
+    expect(head.body).toBe('');
+  });
+
+  test('refuses paths outside the site and reports missing files', async () => {
+    const server = await startServer();
+    const { url } = server.address();
+
+    expect((await fetchText(`${url}..%2Fsubmitit-preview-outside.txt`)).status).toBe(403);
+    expect((await fetchText(`${url}%E0%A4%A`)).status).toBe(403);
+    expect((await fetchText(`${url}missing.html`)).status).toBe(404);
+    expect((await fetchText(url, { method: 'POST' })).status).toBe(405);
+    expect(server.resolvePath('/../etc/passwd')).toBeNull();
+    expect(server.resolvePath('/files/a.txt')).toBe(join(workDir(), 'files', 'a.txt'));
+  });
+
+  test('moves to the next port while one is busy and fails when none are free', async () => {
+    const busy = await startServer();
+    const { port } = busy.address();
+
+    const next = await startServer({ port, portAttempts: 5 });
+    expect(next.address().port).toBeGreaterThan(port);
+
+    const message = await attemptMessage(() => startServer({ port, portAttempts: 1 }));
+    expect(message).toBe(`No free port for the preview between ${port} and ${port}`);
+  });
+
+  test('pushes a reload after each rebuild for batched changes', async () => {
+    const server = await startServer();
+    const hotReload = new EventEmitter();
+    const rebuilds = [];
+    const errors = [];
+    server.watch(hotReload, async updates => {
+      rebuilds.push(updates.affectedFiles);
+      if (updates.affectedFiles.includes('broken.md')) throw new Error('render failed');
+    }, { onError: error => errors.push(error.message) });
+
+    const events = await readEvents(`${server.address().url}${EVENTS_PATH.slice(1)}`, 2, () => {
+      hotReload.emit('hot-reload-complete', { previewUpdates: { affectedFiles: ['content/a.md'] } });
+      hotReload.emit('hot-reload-complete', { previewUpdates: { affectedFiles: ['broken.md'] } });
+      setTimeout(() => server.broadcast('ping', { ok: true }), 50);
+    });
+
+    expect(rebuilds).toEqual([['content/a.md'], ['broken.md']]);
+    expect(errors).toEqual(['render failed']);
+    expect(events).toEqual([
+      { event: 'reload', data: { files: ['content/a.md'] } },
+      { event: 'ping', data: { ok: true } }
+    ]);
+  });
+
+  test('sends style, asset and content changes as an in-place update', async () => {
+    const server = await startServer();
+    const hotReload = new EventEmitter();
+    let rebuilds = 0;
+    server.watch(hotReload, async () => { rebuilds++; });
+
+    const events = await readEvents(`${server.address().url}${EVENTS_PATH.slice(1)}`, 2, () => {
+      hotReload.emit('hot-reload-complete', { previewUpdates: { type: 'hot-reload', affectedFiles: [], previewData: { changes: [] } } });
+      hotReload.emit('hot-reload-complete', {
+        previewUpdates: {
+          type: 'hot-reload',
+          timestamp: 42,
+          affectedFiles: ['/p/content/site.css', '/p/content/shots/a.png', '/p/content/about.md'],
+          previewData: {
+            changes: [
+              { type: 'style-update', name: 'site.css' },
+              { type: 'asset-update', name: 'shots/a.png' },
+              { type: 'content-update', name: 'about.md' }
+            ]
+          }
+        }
+      });
+      hotReload.emit('hot-reload-complete', {
+        previewUpdates: { type: 'full-reload', affectedFiles: ['/p/content/new.md'], previewData: {} }
+      });
+    });
+
+    expect(rebuilds).toBe(2);
+    expect(events).toEqual([
+      { event: 'update', data: { version: 42, styles: ['site.css'], assets: ['shots/a.png'], content: ['about.md'] } },
+      { event: 'reload', data: { files: ['/p/content/new.md'] } }
+    ]);
+  });
+
+  test('stops listening, ends event streams and stops watching', async () => {
+    const server = await startServer();
+    const hotReload = new EventEmitter();
+    server.watch(hotReload, async () => {});
+    const { url } = server.address();
+
+    await readEvents(`${url}${EVENTS_PATH.slice(1)}`, 1, () => server.broadcast('hello'));
+    await server.stop();
+
+    expect(hotReload.listenerCount('hot-reload-complete')).toBe(0);
+    expect(server.clients.size).toBe(0);
+    expect(await attemptMessage(() => fetchText(url))).toContain('ECONNREFUSED');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Privacy Scrubber Tests
+ */
+import { readFile, writeFile } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import archiver from 'archiver';
+import { PrivacyScrubber } from '../../src/lib/PrivacyScrubber.js';
+import { useTempDir } from './helpers.js';
+
+// Big-endian TIFF: IFD0 with Artist and a GPS pointer, GPS IFD with N 51°30'0" W 0°7'30"
+function exif() {
+  const tiff = Buffer.alloc(200);
+  tiff.write('MM\x00\x2a', 0, 'latin1');
+  tiff.writeUInt32BE(8, 4);
+
+  const entry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16BE(tag, offset);
+    tiff.writeUInt16BE(type, offset + 2);
+    tiff.writeUInt32BE(count, offset + 4);
+    tiff.writeUInt32BE(value, offset + 8);
+  };
+
+  tiff.writeUInt16BE(2, 8);
+  entry(10, 0x013b, 2, 10, 100);
+  entry(22, 0x8825, 4, 1, 50);
+  tiff.write('Ada Smith\x00', 100, 'latin1');
+
+  tiff.writeUInt16BE(4, 50);
+  entry(52, 1, 2, 2, 0x4e000000);
+  entry(64, 2, 5, 3, 120);
+  entry(76, 3, 2, 2, 0x57000000);
+  entry(88, 4, 5, 3, 144);
+  [[51, 1], [30, 1], [0, 1]].forEach(([n, d], i) => { tiff.writeUInt32BE(n, 120 + i * 8); tiff.writeUInt32BE(d, 124 + i * 8); });
+  [[0, 1], [7, 1], [30, 1]].forEach(([n, d], i) => { tiff.writeUInt32BE(n, 144 + i * 8); tiff.writeUInt32BE(d, 148 + i * 8); });
+
+  return tiff;
+}
+
+function segment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:Description aux:SerialNumber="0123456789"><dc:creator><rdf:Seq><rdf:li>Ada Smith</rdf:li></rdf:Seq></dc:creator></rdf:Description></x:xmpmeta>';
+
+function jpeg() {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, Buffer.from('JFIF\x00\x01\x01\x00\x00\x01\x00\x01\x00\x00', 'latin1')),
+    segment(0xe1, Buffer.concat([Buffer.from('Exif\x00\x00', 'latin1'), exif()])),
+    segment(0xe1, Buffer.from(`http://ns.adobe.com/xap/1.0/\x00${XMP}`, 'latin1')),
+    segment(0xed, Buffer.from('Photoshop 3.0\x008BIM\x04\x04\x00\x00\x00\x00\x00\x0d\x1c\x02\x50\x00\x09Ada Smith', 'latin1')),
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9])
+  ]);
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  return chunk;
+}
+
+async function zip(path, entries) {
+  const archive = archiver('zip');
+  const output = createWriteStream(path);
+  const done = new Promise(resolve => output.on('close', resolve));
+  archive.pipe(output);
+  Object.entries(entries).forEach(([name, content]) => archive.append(content, { name }));
+  await archive.finalize();
+  await done;
+}
+
+describe('PrivacyScrubber', () => {
+  const scrubber = new PrivacyScrubber();
+  const workDir = useTempDir('submitit-privacy-');
+
+  const write = async (name, content) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return path;
+  };
+
+  test('finds GPS, names and serials in JPEG EXIF, XMP and IPTC', async () => {
+    const { format, findings } = await scrubber.scan(await write('photo.jpg', jpeg()));
+
+    expect(format).toBe('jpeg');
+    expect(findings.map(finding => [finding.category, finding.field, finding.value])).toEqual([
+      ['identity', 'EXIF Artist', 'Ada Smith'],
+      ['location', 'EXIF GPS', '51.50000, -0.12500'],
+      ['device', 'XMP aux:SerialNumber', '0123456789'],
+      ['identity', 'XMP dc:creator', 'Ada Smith'],
+      ['identity', 'IPTC By-line', 'Ada Smith']
+    ]);
+  });
+
+  test('scrubs a JPEG copy in place without touching the original', async () => {
+    const original = jpeg();
+    const source = await write('photo.jpg', original);
+    const output = join(workDir(), 'clean.jpg');
+
+    const { removed } = await scrubber.scrub(source, output);
+    const cleaned = await readFile(output);
+
+    expect(removed.length).toBe(5);
+    expect(cleaned.length).toBe(original.length);
+    expect(cleaned.includes('Ada Smith')).toBe(false);
+    expect(cleaned.includes('JFIF')).toBe(true);
+    expect(await readFile(source)).toEqual(original);
+    expect((await scrubber.scan(output)).findings).toEqual([]);
+  });
+
+  test('rebuilds PNG chunks without author text and with a redacted eXIf', async () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0])),
+      pngChunk('tEXt', Buffer.from('Author\x00Ada Smith', 'latin1')),
+      pngChunk('tEXt', Buffer.from('Software\x00Paint', 'latin1')),
+      pngChunk('eXIf', exif()),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+    const source = await write('chart.png', png);
+
+    expect((await scrubber.scan(source)).findings.map(finding => finding.field)).toEqual(['PNG Author', 'EXIF Artist', 'EXIF GPS']);
+
+    await scrubber.scrub(source, join(workDir(), 'clean.png'));
+    const cleaned = await readFile(join(workDir(), 'clean.png'));
+    expect(cleaned.includes('Ada Smith')).toBe(false);
+    expect(cleaned.includes('Software')).toBe(true);
+    expect((await scrubber.scan(join(workDir(), 'clean.png'))).findings).toEqual([]);
+  });
+
+  test('blanks PDF authors in the Info dictionary and compressed XMP', async () => {
+    const metadata = deflateSync(Buffer.from(`<?xpacket begin=""?>${XMP.replace('Ada Smith', 'Ada Smith Writer')}<?xpacket end="w"?>`));
+    const pdf = Buffer.concat([
+      Buffer.from('%PDF-1.7\n1 0 obj\n<< /Title (Essay) /Author (Ada \\(A.\\) Smith) >>\nendobj\n'),
+      Buffer.from(`2 0 obj\n<< /Type /Metadata /Subtype /XML /Filter /FlateDecode /Length ${metadata.length} >>\nstream\n`),
+      metadata,
+      Buffer.from('\nendstream\nendobj\n3 0 obj\n<< /Author <FEFF004100640061> >>\nendobj\n%%EOF\n')
+    ]);
+    const source = await write('essay.pdf', pdf);
+
+    const { findings } = await scrubber.scan(source);
+    expect(findings.map(finding => finding.value)).toEqual(['Ada (A.) Smith', 'Ada', '0123456789', 'Ada Smith Writer']);
+
+    await scrubber.scrub(source, join(workDir(), 'clean.pdf'));
+    const cleaned = await readFile(join(workDir(), 'clean.pdf'));
+    expect(cleaned.length).toBe(pdf.length);
+    expect(cleaned.includes('/Title (Essay)')).toBe(true);
+    expect((await scrubber.scan(join(workDir(), 'clean.pdf'))).findings).toEqual([]);
+  });
+
+  test('scrubs Office document creators, revisions and tracked-change authors', async () => {
+    const source = join(workDir(), 'report.docx');
+    await zip(source, {
+      '[Content_Types].xml': '<Types/>',
+      'docProps/core.xml': '<cp:coreProperties><dc:creator>Ada Smith</dc:creator><cp:lastModifiedBy>Bob</cp:lastModifiedBy><cp:revision>14</cp:revision></cp:coreProperties>',
+      'word/document.xml': '<w:document><w:ins w:id="1" w:author="Bob Jones" w:date="2024-01-01"><w:r/></w:ins><w:del w:author="Bob Jones"/></w:document>'
+    });
+
+    const { format, findings } = await scrubber.scan(source);
+    expect(format).toBe('office');
+    expect(findings.map(finding => [finding.category, finding.value])).toEqual([
+      ['identity', 'Ada Smith'],
+      ['identity', 'Bob'],
+      ['history', '14'],
+      ['history', 'Bob Jones ×2']
+    ]);
+
+    await scrubber.scrub(source, join(workDir(), 'clean.docx'));
+    expect((await scrubber.scan(join(workDir(), 'clean.docx'))).findings).toEqual([]);
+  });
+
+  test('substitutes only the files that carry metadata', async () => {
+    const photo = await write('photo.jpg', jpeg());
+    const notes = await write('notes.md', '# Notes\n');
+
+    const { substitutes, report } = await scrubber.scrubFiles([
+      { name: 'content/photo.jpg', sourcePath: photo },
+      { name: 'content/notes.md', sourcePath: notes }
+    ], workDir());
+
+    expect([...substitutes.keys()]).toEqual(['content/photo.jpg']);
+    expect(report[0].removed.length).toBe(5);
+  });
+});
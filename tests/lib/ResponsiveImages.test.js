@@ -0,0 +1,155 @@
+/**
+ * Responsive Images Tests
+ */
+import { readdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { ResponsiveImages, loadModernEncoders } from '../../src/lib/ResponsiveImages.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+// RGBA pixels with the left half one colour and the right half another
+const halves = (width, height, left, right) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    data.set([...(pixel % width < width / 2 ? left : right), 255], pixel * 4);
+  }
+  return data;
+};
+
+// APP1 segment with IFD0 Orientation (SHORT) and ImageDescription (ASCII)
+const exifSegment = (orientation, description) => {
+  const text = Buffer.from(`${description}\0`, 'latin1');
+  const tiff = Buffer.alloc(8 + 2 + 2 * 12 + 4 + text.length);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(2, 8);
+  tiff.writeUInt16LE(0x010e, 10);
+  tiff.writeUInt16LE(2, 12);
+  tiff.writeUInt32LE(text.length, 14);
+  tiff.writeUInt32LE(38, 18);
+  tiff.writeUInt16LE(0x0112, 22);
+  tiff.writeUInt16LE(3, 24);
+  tiff.writeUInt32LE(1, 26);
+  tiff.writeUInt16LE(orientation, 30);
+  text.copy(tiff, 38);
+
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+describe('ResponsiveImages', () => {
+  const workDir = useTempDir('submitit-images-');
+
+  const picture = async (name, data) => {
+    const sourcePath = join(workDir(), name);
+    await writeFile(sourcePath, data);
+    return { name: `shots/${name}`, sourcePath, role: 'gallery', extension: name.slice(name.lastIndexOf('.')) };
+  };
+
+  // Stand-ins for the WebAssembly encoders that record what they were asked to encode
+  const fakeEncoders = calls => ({
+    webp: async (rgba, width, height, quality) => {
+      calls.push(`webp ${width}x${height} q${quality}`);
+      return Buffer.from(`webp ${width}`);
+    }
+  });
+
+  test('encodes each width in the source and modern formats, with a placeholder, and caches the result', async () => {
+    const calls = [];
+    const cacheDir = join(workDir(), 'cache');
+    const images = new ResponsiveImages({ widths: [320, 640] }, { cacheDir, encoders: fakeEncoders(calls) });
+    const file = await picture('beach.jpg', jpeg.encode({ data: halves(800, 400, [200, 40, 40], [40, 40, 200]), width: 800, height: 400 }, 90).data);
+
+    const { image, assets } = await images.process(file);
+
+    expect(calls).toEqual(['webp 640x320 q80', 'webp 320x160 q80']);
+    const dir = assets[0].name.slice(0, assets[0].name.lastIndexOf('/'));
+    expect(dir).toMatch(/^assets\/images\/shots-beach-jpg-[0-9a-f]{8}$/);
+    expect(assets.map(asset => asset.name.slice(dir.length + 1))).toEqual(['640.jpg', '640.webp', '320.jpg', '320.webp']);
+    expect(image.src).toBe(`${dir}/640.jpg`);
+    expect(image.srcset).toBe(`${dir}/640.jpg 640w, ${dir}/320.jpg 320w`);
+    expect(image.sources).toEqual([{ type: 'image/webp', srcset: `${dir}/640.webp 640w, ${dir}/320.webp 320w` }]);
+    expect([image.width, image.height]).toEqual([800, 400]);
+    expect(image.caption).toBeNull();
+
+    const copy = jpeg.decode(assets[0].data);
+    expect([copy.width, copy.height]).toEqual([640, 320]);
+    const placeholder = PNG.sync.read(Buffer.from(image.placeholder.replace('data:image/png;base64,', ''), 'base64'));
+    expect([placeholder.width, placeholder.height]).toEqual([16, 8]);
+
+    // The second build reads the copies back instead of encoding again
+    const again = await images.process(file);
+    expect(calls.length).toBe(2);
+    expect(again.assets).toEqual(assets);
+    expect((await readdir(cacheDir)).length).toBe(1);
+  });
+
+  test('turns pictures upright and reads captions from EXIF and PNG text', async () => {
+    const images = new ResponsiveImages({ captions: 'exif', formats: [] }, { encoders: {} });
+    // 8x4, red on the left; orientation 6 means it is shown turned a quarter clockwise
+    const encoded = Buffer.from(jpeg.encode({ data: halves(16, 8, [255, 0, 0], [0, 0, 255]), width: 16, height: 8 }, 95).data);
+    const jpg = Buffer.concat([encoded.subarray(0, 2), exifSegment(6, 'Sunset at the pier'), encoded.subarray(2)]);
+
+    const { image, assets } = await images.process(await picture('sunset.jpg', jpg));
+
+    expect([image.width, image.height]).toEqual([8, 16]);
+    expect(image.caption).toBe('Sunset at the pier');
+    const upright = jpeg.decode(assets[0].data);
+    const colour = (x, y) => [...upright.data.subarray((y * upright.width + x) * 4, (y * upright.width + x) * 4 + 3)];
+    expect(colour(4, 2)[0]).toBeGreaterThan(200);
+    expect(colour(4, 13)[2]).toBeGreaterThan(200);
+
+    const png = new PNG({ width: 4, height: 4 });
+    png.data.fill(128);
+    const text = Buffer.concat([Buffer.from('Description\0', 'latin1'), Buffer.from('Studio shot', 'latin1')]);
+    const chunks = new ResponsiveImages().optimizer.pngChunks(PNG.sync.write(png));
+    const withText = new ResponsiveImages().optimizer.writePng([chunks[0], { type: 'tEXt', data: text }, ...chunks.slice(1)]);
+    const described = await images.process(await picture('studio.png', withText));
+
+    expect(described.image.caption).toBe('Studio shot');
+    expect(described.assets.map(asset => asset.name.split('/').pop())).toEqual(['4.png']);
+
+    expect(await images.process(await picture('broken.jpg', Buffer.from('not a picture')))).toBeNull();
+  });
+
+  test('encodes AVIF and WebP with the WebAssembly codecs', async () => {
+    const encoders = await loadModernEncoders();
+    const rgba = halves(32, 16, [200, 40, 40], [40, 40, 200]);
+
+    const webp = await encoders.webp(rgba, 32, 16, 80);
+    expect(webp.toString('latin1', 0, 4) + webp.toString('latin1', 8, 12)).toBe('RIFFWEBP');
+    const avif = await encoders.avif(rgba, 32, 16, 80);
+    expect(avif.toString('latin1', 4, 12)).toBe('ftypavif');
+  });
+
+  test('derives sizes from the grid columns at each viewport width', () => {
+    const images = new ResponsiveImages();
+
+    expect(images.gridSizes(1)).toEqual(['(max-width: 360px) 252px, (max-width: 480px) 372px, (max-width: 600px) 492px, (max-width: 720px) 612px, 744px']);
+
+    // Each range takes the widest slot in it; the third picture wraps onto its own row below 752px
+    expect(images.gridSizes(3)).toEqual([
+      '(max-width: 360px) 252px, (max-width: 480px) 372px, (max-width: 600px) 429px, (max-width: 720px) 286px, 311px',
+      '(max-width: 360px) 252px, (max-width: 480px) 372px, (max-width: 600px) 429px, (max-width: 720px) 286px, 310px',
+      '(max-width: 360px) 252px, (max-width: 480px) 372px, (max-width: 600px) 492px, (max-width: 720px) 612px, 661px'
+    ]);
+    expect(images.gridWidths(3, 768)).toEqual([221, 222, 221]);
+    expect(images.gridWidths(3, 400)).toEqual([376, 376, 376]);
+  });
+
+  test('checks the images settings', async () => {
+    expect(new ResponsiveImages().handles({ role: 'gallery', extension: '.JPG' })).toBe(true);
+    expect(new ResponsiveImages().handles({ role: 'gallery', extension: '.gif' })).toBe(false);
+    expect(new ResponsiveImages({ roles: ['work'] }).handles({ role: 'gallery', extension: '.png' })).toBe(false);
+
+    expect(await attemptMessage(() => new ResponsiveImages({ sizes: 3 }))).toBe('images: unknown setting(s) sizes');
+    expect(await attemptMessage(() => new ResponsiveImages({ widths: [0] }))).toBe('images.widths takes a list of positive integer widths');
+    expect(await attemptMessage(() => new ResponsiveImages({ formats: ['jxl'] }))).toBe('images.formats takes a list of avif, webp');
+    expect(await attemptMessage(() => new ResponsiveImages({ quality: 101 }))).toBe('images.quality must be 1-100, not 101');
+    expect(await attemptMessage(() => new ResponsiveImages({ captions: 'iptc' }))).toBe('images.captions must be one of none, exif, not iptc');
+  });
+});
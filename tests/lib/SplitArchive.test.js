@@ -0,0 +1,98 @@
+/**
+ * Split Archive Tests
+ */
+import { randomBytes } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { PackageManager } from '../../src/lib/PackageManager.js';
+import { SplitArchive } from '../../src/lib/SplitArchive.js';
+import { SubmissionIntegrity } from '../../src/lib/SubmissionIntegrity.js';
+import { useTempDir } from './helpers.js';
+
+describe('SplitArchive', () => {
+  test('names parts after the package and strips the index when joining', () => {
+    const splitArchive = new SplitArchive();
+    const partPath = splitArchive.partPath('/out/report.zip', 3, 12);
+
+    expect(partPath).toBe('/out/report.part03.zip');
+    expect(splitArchive.defaultJoinPath(partPath)).toBe('/out/report.zip');
+  });
+
+  test('groups files by role, largest role first', () => {
+    const splitArchive = new SplitArchive();
+    const groups = splitArchive.groupByRole([
+      { name: 'content/essay.md', role: 'essay', estimate: 10 },
+      { name: 'content/reel.mp4', role: 'portfolio', estimate: 500 },
+      { name: 'content/notes.md', role: 'essay', estimate: 20 }
+    ]);
+
+    expect(groups.map(group => group[0].role)).toEqual(['portfolio', 'essay']);
+    expect(groups[1]).toHaveLength(2);
+  });
+
+  test('resolves roles from the project config', () => {
+    const splitArchive = new SplitArchive();
+    const config = { files: [{ name: 'cv.pdf', role: 'resume' }] };
+
+    expect(splitArchive.resolveRole(config, 'content/cv.pdf')).toBe('resume');
+    expect(splitArchive.resolveRole(config, 'content/stray.txt')).toBe('other');
+    expect(splitArchive.resolveRole(config, 'submitit.config.json')).toBe('project');
+  });
+
+  describe('a written set', () => {
+    const workDir = useTempDir('submitit-split-');
+    let previousDir;
+
+    // Packages are built from the current directory
+    beforeEach(() => {
+      previousDir = process.cwd();
+      process.chdir(workDir());
+    });
+
+    afterEach(() => {
+      process.chdir(previousDir);
+    });
+
+    test('verifies part by part against the sidecar manifest', async () => {
+      const config = {
+        name: 'Split Demo',
+        theme: 'neon',
+        files: [{ name: 'essay.txt', role: 'essay' }, { name: 'reel.txt', role: 'reel' }]
+      };
+      await mkdir('content');
+      await mkdir('out');
+      await writeFile('content/essay.txt', randomBytes(3000).toString('hex'));
+      await writeFile('content/reel.txt', randomBytes(3000).toString('hex'));
+      await writeFile('submitit.config.json', JSON.stringify(config));
+
+      const split = await new SplitArchive(new PackageManager()).write(config, join(workDir(), 'out', 'demo.zip'), 12000);
+      const fileHashes = Object.assign({}, ...split.parts.map(part => part.integrity));
+      const integrity = new SubmissionIntegrity();
+      const manifestPath = join(workDir(), 'out', 'manifest.json');
+      await writeFile(manifestPath, JSON.stringify({ integrity: await integrity.createPartsIntegrityBlock(fileHashes, split.parts) }));
+
+      expect(split.parts.length).toBe(2);
+      for (const part of split.parts) {
+        const report = await integrity.verifyArchive(part.path, { manifestPath });
+
+        expect({ missing: report.missing, extra: report.extra, altered: report.altered }).toEqual({ missing: [], extra: [], altered: [] });
+        expect(report.verified).toBe(part.files.length + 1);
+        expect(report.ok).toBe(true);
+      }
+    });
+
+    test('places a file over the worst-case limit when it compresses to fit', async () => {
+      const config = { name: 'Split Demo', theme: 'neon', files: [{ name: 'log.txt', role: 'logs' }, { name: 'noise.txt', role: 'logs' }] };
+      await mkdir('content');
+      await writeFile('content/log.txt', 'the same line again\n'.repeat(1000));
+      await writeFile('submitit.config.json', JSON.stringify(config));
+      const splitArchive = new SplitArchive(new PackageManager());
+
+      const { parts } = await splitArchive.plan(config, 12000);
+      expect(parts.flatMap(part => part.files)).toContain('content/log.txt');
+
+      await writeFile('content/noise.txt', randomBytes(20000));
+      await expect(splitArchive.plan(config, 12000)).rejects.toThrow('content/noise.txt cannot fit in a 12000-byte part, even compressed');
+    });
+  });
+});
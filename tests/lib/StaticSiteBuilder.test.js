@@ -0,0 +1,143 @@
+/**
+ * Static Site Builder Tests
+ */
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { PNG as PNGImage } from 'pngjs';
+import { StaticSiteBuilder } from '../../src/lib/StaticSiteBuilder.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+
+describe('StaticSiteBuilder', () => {
+  const workDir = useTempDir('submitit-site-');
+  let packageFiles;
+
+  beforeEach(async () => {
+    await mkdir(join(workDir(), 'content', 'shots'), { recursive: true });
+
+    const files = {
+      'about.md': '# About\n\nHello <there>\n',
+      'shots/screen 1.png': PNG,
+      'notes.txt': 'plain notes\n'
+    };
+    packageFiles = [];
+    for (const [name, content] of Object.entries(files)) {
+      await writeFile(join(workDir(), 'content', name), content);
+      packageFiles.push({ name: `content/${name}`, sourcePath: join(workDir(), 'content', name) });
+    }
+    packageFiles.push({ name: 'submitit.config.json', sourcePath: join(workDir(), 'submitit.config.json') });
+  });
+
+  const config = {
+    name: 'Portfolio',
+    theme: 'crt',
+    files: [
+      { name: 'about.md', role: 'bio' },
+      { name: 'shots/screen 1.png', role: 'gallery' }
+    ]
+  };
+
+  test('writes an overview, a page per role, styles and the content files', async () => {
+    const outputDir = join(workDir(), 'site');
+
+    const site = await new StaticSiteBuilder().build(config, packageFiles, outputDir);
+
+    expect(site.pages).toEqual(['index.html', 'bio.html', 'gallery.html', 'content.html']);
+    expect(site.files.map(file => file.name)).toEqual([
+      'assets/site.css',
+      'index.html',
+      'bio.html',
+      'gallery.html',
+      'content.html',
+      'files/about.md',
+      'files/shots/screen 1.png',
+      'files/notes.txt'
+    ]);
+    expect(await readFile(join(outputDir, 'files', 'shots', 'screen 1.png'))).toEqual(PNG);
+    expect(await readFile(join(outputDir, 'assets', 'site.css'), 'utf8')).toContain('[data-theme="crt"]');
+  });
+
+  test('links pages and files relatively, with no dev server scripts', async () => {
+    const outputDir = join(workDir(), 'site');
+    await new StaticSiteBuilder().build(config, packageFiles, outputDir, { theme: 'neon' });
+
+    const index = await readFile(join(outputDir, 'index.html'), 'utf8');
+    const gallery = await readFile(join(outputDir, 'gallery.html'), 'utf8');
+    const bio = await readFile(join(outputDir, 'bio.html'), 'utf8');
+
+    expect(index).toContain('<html lang="en" data-theme="neon">');
+    expect(index).toContain('<a href="gallery.html" class="role-link">');
+    expect(gallery).toContain('<img src="files/shots/screen%201.png" alt="shots/screen 1.png" loading="lazy">');
+    expect(gallery).toContain('<a href="index.html">← Back to Overview</a>');
+    expect(bio).toContain('<h1 id="about-md-about">About<a href="#about-md-about" class="heading-anchor" aria-hidden="true">#</a></h1>');
+
+    for (const page of [index, gallery, bio]) {
+      expect(/(href|src)="\//.test(page)).toBe(false);
+      expect(page.includes('<script')).toBe(false);
+    }
+  });
+
+  test('marks role sections for live updates and links project stylesheets', async () => {
+    await writeFile(join(workDir(), 'content', 'theme.css'), 'h1 { color: red; }\n');
+    packageFiles.push({ name: 'content/theme.css', sourcePath: join(workDir(), 'content', 'theme.css') });
+    const outputDir = join(workDir(), 'site');
+    await new StaticSiteBuilder().build({ ...config, files: [...config.files, { name: 'theme.css', role: 'styles' }] }, packageFiles, outputDir);
+
+    const index = await readFile(join(outputDir, 'index.html'), 'utf8');
+    const gallery = await readFile(join(outputDir, 'gallery.html'), 'utf8');
+
+    expect(index).toContain('<div class="role-preview retro-frame" data-role="bio">');
+    expect(index).toContain('<div class="content-sample" data-file="about.md">');
+    expect(index).toContain('<link rel="stylesheet" href="assets/site.css">\n  <link rel="stylesheet" href="files/theme.css">');
+    expect(gallery).toContain('<main class="role-content" data-role="gallery">');
+    expect(gallery).toContain('<article class="file-content retro-frame" data-file="shots/screen 1.png">');
+    expect(gallery).toContain('<a href="#view-shots-screen-1-png" class="lightbox-open">');
+    expect(gallery).toContain('<a href="#_" id="view-shots-screen-1-png" class="lightbox">');
+  });
+
+  test('renders documents with the renderer chosen for their role', async () => {
+    const outputDir = join(workDir(), 'site');
+    await new StaticSiteBuilder().build({ ...config, renderers: { bio: 'text' } }, packageFiles, outputDir);
+
+    const bio = await readFile(join(outputDir, 'bio.html'), 'utf8');
+    const styles = await readFile(join(outputDir, 'assets', 'site.css'), 'utf8');
+
+    expect(bio).toContain('<pre class="text-block"># About\n\nHello &lt;there&gt;\n</pre>');
+    expect(styles).toContain('.code-line::before');
+
+    const message = await attemptMessage(() => new StaticSiteBuilder().build({ ...config, renderers: { bio: 'slides' } }, packageFiles, outputDir));
+    expect(message).toBe('renderers.bio must be one of auto, markdown, code, pdf, docx, text, image, download, not slides');
+  });
+
+  test('gives gallery pictures responsive copies sized to the grid', async () => {
+    const outputDir = join(workDir(), 'site');
+    const cacheDir = join(workDir(), 'cache');
+    const photo = new PNGImage({ width: 700, height: 350 });
+    photo.data.fill(200);
+    await writeFile(packageFiles[1].sourcePath, PNGImage.sync.write(photo));
+
+    // AVIF and WebP are left out: their encoders are covered by the ResponsiveImages tests and slow here
+    const site = await new StaticSiteBuilder({ cacheDir }).build({ ...config, images: { widths: [320, 640], formats: [] } }, packageFiles, outputDir);
+
+    const gallery = await readFile(join(outputDir, 'gallery.html'), 'utf8');
+    const styles = await readFile(join(outputDir, 'assets', 'site.css'), 'utf8');
+    const asset = site.files.find(file => file.name.endsWith('/640.png')).name;
+    const dir = asset.slice(0, asset.lastIndexOf('/'));
+
+    expect(dir).toMatch(/^assets\/images\/shots-screen-1-png-[0-9a-f]{8}$/);
+    expect(gallery).toContain('<span class="blur-up" style="background-image: url(data:image/png;base64,');
+    expect(gallery).toContain(`<img src="${dir}/640.png" srcset="${dir}/640.png 640w, ${dir}/320.png 320w" sizes="(max-width: 360px) 252px, (max-width: 480px) 372px, (max-width: 600px) 492px, (max-width: 720px) 612px, 744px" width="700" height="350" alt="shots/screen 1.png" loading="lazy" decoding="async">`);
+    expect(PNGImage.sync.read(await readFile(join(outputDir, dir, '320.png'))).width).toBe(320);
+    expect(styles).toContain('.role-content[data-role="gallery"]');
+  });
+
+  test('names role pages without clashing with the overview', () => {
+    const builder = new StaticSiteBuilder();
+
+    expect(builder.pageName('gallery')).toBe('gallery.html');
+    expect(builder.pageName('Case Studies')).toBe('case-studies.html');
+    expect(builder.pageName('index')).toBe('index-role.html');
+    expect(builder.fileHref('docs/a#1.pdf')).toBe('files/docs/a%231.pdf');
+  });
+});
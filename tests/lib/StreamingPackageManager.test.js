@@ -0,0 +1,74 @@
+/**
+ * StreamingPackageManager Deduplication and Compression Tests
+ */
+import { StreamingPackageManager } from '../../src/lib/StreamingPackageManager.js';
+import { MimeTypeDetector } from '../../src/lib/FileValidator.js';
+
+describe('StreamingPackageManager deduplication', () => {
+  const duplicates = [
+    {
+      original: { archivePath: 'content/a.png', size: 2048 },
+      duplicate: { archivePath: 'content/copy/a.png', size: 2048 },
+      hash: 'ab'
+    }
+  ];
+
+  test('store-once aliases duplicates to the first copy and counts the bytes saved', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+    const report = manager.planDeduplication(duplicates, 'store-once');
+
+    expect(report.aliases).toEqual({ 'content/copy/a.png': 'content/a.png' });
+    expect(report.bytesSaved).toBe(2048);
+  });
+
+  test('warn records duplicates without aliasing them', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+    const report = manager.planDeduplication(duplicates, 'warn');
+
+    expect(report.duplicates).toHaveLength(1);
+    expect(report.aliases).toEqual({});
+    expect(report.bytesSaved).toBe(0);
+  });
+
+  test('fail blocks the export', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+
+    expect(() => manager.planDeduplication(duplicates, 'fail')).toThrow('duplicate');
+  });
+
+  test('rejects unknown strategies', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+
+    expect(() => manager.resolveDedupeStrategy({ dedupe: 'zip-it' })).toThrow();
+  });
+});
+
+describe('StreamingPackageManager compression strategy', () => {
+  test('sniffed content type wins over a misleading extension', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+
+    expect(manager.selectCompressionStrategy({ path: 'photo.txt', mimeType: 'image/png' })).toBe('store');
+    expect(manager.selectCompressionStrategy({ path: 'notes.jpg', mimeType: 'text/plain' })).toBe('maximum');
+  });
+
+  test('falls back to the extension when content is unknown', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false });
+
+    expect(manager.selectCompressionStrategy({ path: 'clip.mp4', mimeType: 'application/octet-stream' })).toBe('store');
+    expect(manager.selectCompressionStrategy({ path: 'data.bin' })).toBe('normal');
+  });
+
+  test('maps strategies to ZIP entry options', () => {
+    const manager = new StreamingPackageManager({ enableProgress: false, compressionLevel: 6 });
+
+    expect(manager.getCompressionEntryOptions('store')).toEqual({ store: true });
+    expect(manager.getCompressionEntryOptions('maximum')).toEqual({ compressionLevel: 9 });
+    expect(manager.getCompressionEntryOptions('normal')).toEqual({ compressionLevel: 6 });
+  });
+
+  test('MimeTypeDetector sniffs PNG bytes regardless of the file name', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+    expect(await new MimeTypeDetector().detectMimeType(png, 'report.txt')).toBe('image/png');
+  });
+});
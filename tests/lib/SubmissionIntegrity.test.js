@@ -0,0 +1,63 @@
+/**
+ * Submission Integrity Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createWriteStream } from 'fs';
+import archiver from 'archiver';
+import { SubmissionIntegrity } from '../../src/lib/SubmissionIntegrity.js';
+import { useTempDir } from './helpers.js';
+
+async function writeZip(outputPath, files) {
+  const output = createWriteStream(outputPath);
+  const archive = archiver('zip');
+  const closed = new Promise(resolve => output.on('close', resolve));
+  archive.pipe(output);
+  for (const [name, content] of Object.entries(files)) {
+    archive.append(content, { name });
+  }
+  await archive.finalize();
+  await closed;
+}
+
+describe('SubmissionIntegrity', () => {
+  const workDir = useTempDir('submitit-integrity-');
+  let integrity;
+
+  beforeEach(() => {
+    integrity = new SubmissionIntegrity({ keyPath: join(workDir(), 'keys', 'signing-key.pem') });
+  });
+
+  test('signatures survive key reordering and fail on tampering', async () => {
+    const block = { algorithm: 'sha256', files: { 'b.md': '02', 'a.md': '01' }, archive: { name: 'p.zip', sha256: 'ff' } };
+    const signature = await integrity.sign(block);
+
+    const reordered = { archive: block.archive, files: { 'a.md': '01', 'b.md': '02' }, algorithm: 'sha256' };
+    expect((await integrity.verifySignature(reordered, signature)).valid).toBe(true);
+
+    const tampered = { ...block, files: { ...block.files, 'a.md': '03' } };
+    expect((await integrity.verifySignature(tampered, signature)).valid).toBe(false);
+  });
+
+  test('reports missing, extra and altered entries', async () => {
+    const original = join(workDir(), 'original.zip');
+    await writeZip(original, { 'content/a.md': 'alpha', 'content/b.md': 'beta' });
+    const hashes = await integrity.hashArchiveEntries(original);
+    const files = Object.fromEntries([...hashes].map(([name, { sha256 }]) => [name, sha256]));
+
+    const tamperedPath = join(workDir(), 'tampered.zip');
+    await writeZip(tamperedPath, { 'content/a.md': 'ALPHA', 'content/c.md': 'gamma' });
+
+    const manifestPath = join(workDir(), 'manifest.json');
+    const block = await integrity.createIntegrityBlock(files, original);
+    await writeFile(manifestPath, JSON.stringify({ integrity: block }));
+
+    const report = await integrity.verifyArchive(tamperedPath, { manifestPath });
+
+    expect(report.ok).toBe(false);
+    expect(report.missing).toEqual(['content/b.md']);
+    expect(report.extra).toEqual(['content/c.md']);
+    expect(report.altered.map(entry => entry.name)).toEqual(['content/a.md']);
+    expect(report.archiveDigest.ok).toBe(false);
+  });
+});
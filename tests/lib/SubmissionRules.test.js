@@ -0,0 +1,193 @@
+/**
+ * Submission Rules Tests
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { SubmissionRules } from '../../src/lib/SubmissionRules.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+// No cross-reference table: the reader rebuilds it by scanning for objects
+const TWO_PAGE_PDF = [
+  '%PDF-1.4',
+  '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+  '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /MediaBox [0 0 612 792] >> endobj',
+  '3 0 obj << /Type /Page /Parent 2 0 R /Contents 5 0 R /Resources << /Font << /F1 6 0 R >> >> >> endobj',
+  '4 0 obj << /Type /Page /Parent 2 0 R /Contents 5 0 R >> endobj',
+  '5 0 obj << /Length 35 >> stream\nBT /F1 12 Tf 72 720 Td (Hi) Tj ET\nendstream endobj',
+  '6 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj',
+  '%%EOF'
+].join('\n');
+
+describe('SubmissionRules', () => {
+  const workDir = useTempDir('submitit-rules-');
+  let rules;
+
+  beforeEach(() => {
+    rules = new SubmissionRules();
+  });
+
+  const write = async (name, content, role) => {
+    const path = join(workDir(), name);
+    await writeFile(path, content);
+    return { name, path, size: Buffer.byteLength(content), role };
+  };
+
+  const statuses = report => report.results.map(result => [result.id, result.status]);
+
+  test('loads a YAML ruleset and normalises sizes and formats', async () => {
+    await writeFile(join(workDir(), 'submitit.rules.yaml'), [
+      'name: Assignment 3',
+      'formats: [PDF, .md]',
+      'maxTotalSize: 2MB',
+      'roles:',
+      '  report: { maxSize: 1KiB, maxPages: 10 }'
+    ].join('\n'));
+
+    const ruleset = await rules.load(workDir());
+
+    expect(ruleset.name).toBe('Assignment 3');
+    expect(ruleset.formats).toEqual(['.pdf', '.md']);
+    expect(ruleset.maxTotalSize).toBe(2000000);
+    expect(ruleset.roles[0].maxSize).toBe(1024);
+    expect(ruleset.roles[0].maxPages).toBe(10);
+    expect(await rules.load(join(workDir(), 'missing'))).toBe(null);
+  });
+
+  test('rejects unknown settings and bad values', async () => {
+    const attempt = data => attemptMessage(() => rules.validate(data, 'rules.json'));
+
+    expect(await attempt({ maxSizes: 1 })).toBe('rules.json: unknown setting(s) maxSizes in the ruleset');
+    expect(await attempt({ roles: { report: { maxPage: 3 } } })).toBe('rules.json: unknown setting(s) maxPage in roles.report');
+    expect(await attempt({ deadline: 'next friday' })).toContain('is not a date');
+    expect(await attempt({ filenames: ['[a-z'] })).toContain('filenames[0] is not a valid regular expression');
+  });
+
+  test('checks required files and roles, file names, formats and budgets', async () => {
+    const ruleset = rules.validate({
+      formats: ['pdf', 'md'],
+      maxTotalSize: 100,
+      required: { files: ['README.md'], roles: ['report'] },
+      filenames: [{ pattern: '^[a-z.]+$', message: 'lowercase names only' }],
+      roles: { code: { maxFiles: 1 } }
+    });
+    const files = [
+      { name: 'README.md', size: 40 },
+      { name: 'src/main.py', size: 30, role: 'code' },
+      { name: 'src/util.py', size: 40, role: 'code' }
+    ];
+
+    const report = rules.check(files, ruleset);
+
+    expect(statuses(report)).toEqual([
+      ['size:total-size', 'fail'],
+      ['required-file:README.md', 'pass'],
+      ['required-role:report', 'fail'],
+      ['count:files-in-role-code', 'fail'],
+      ['filename:README.md', 'fail'],
+      ['format:README.md', 'pass'],
+      ['filename:src/main.py', 'pass'],
+      ['format:src/main.py', 'fail'],
+      ['filename:src/util.py', 'pass'],
+      ['format:src/util.py', 'fail']
+    ]);
+    expect(report.passed).toBe(false);
+    expect(report.counts).toEqual({ pass: 4, fail: 6, warn: 0, skip: 0 });
+  });
+
+  test('counts words and pages and skips formats it cannot measure', async () => {
+    const ruleset = rules.validate({
+      roles: { essay: { minWords: 5, maxWords: 8 }, report: { maxPages: 1 } },
+      files: [{ match: '*.txt', maxWords: 3 }]
+    });
+    const files = [
+      await write('essay.md', '# Title\n\nOne two three [four](http://x) five.\n\n```\ncode not counted\n```\n', 'essay'),
+      await write('notes.txt', 'one two three four', 'essay'),
+      await write('report.pdf', TWO_PAGE_PDF, 'report'),
+      await write('scan.png', 'not measurable', 'report')
+    ];
+
+    const report = await rules.evaluate(files, ruleset);
+
+    expect(report.results.map(result => [result.id, result.status, result.actual])).toEqual([
+      ['words:essay.md', 'pass', 6],
+      ['words:notes.txt', 'fail', 4],
+      ['pages:report.pdf', 'fail', 2],
+      ['pages:scan.png', 'skip', undefined]
+    ]);
+  });
+
+  test('checks PDF text layers, fonts, encryption, PDF/A and page sizes', async () => {
+    const ruleset = rules.validate({
+      pdf: { text: true, embeddedFonts: true, encryption: false, pageSize: 'A4' },
+      roles: { report: { pdf: { pdfa: '2b', pageSize: ['Letter'] } } }
+    });
+    const files = [await write('report.pdf', TWO_PAGE_PDF, 'report'), await write('notes.md', 'not a PDF')];
+
+    const report = await rules.evaluate(files, ruleset);
+
+    expect(report.results.map(result => [result.id, result.status, result.message])).toEqual([
+      ['pdf-text:report.pdf', 'pass', 'text on every page'],
+      ['pdf-fonts:report.pdf', 'fail', 'not embedded: Helvetica'],
+      ['pdf-encryption:report.pdf', 'pass', 'not encrypted'],
+      ['pdf-pdfa:report.pdf', 'fail', 'not PDF/A, PDF/A-2b required'],
+      ['pdf-page-size:report.pdf', 'pass', 'Letter (2 page(s))']
+    ]);
+    expect(await attemptMessage(() => rules.validate({ pdf: { pdfa: '5z' } }))).toContain('must be true or a level such as 1b');
+    expect(await attemptMessage(() => rules.validate({ pdf: { pageSize: 'B5' } }))).toContain('pdf.pageSize B5 is not one of A3, A4');
+  });
+
+  test('warns inside the grace period and fails after it', () => {
+    const ruleset = rules.validate({ deadline: { due: '2026-11-01T23:59:00Z', grace: '30m' } });
+    const at = time => rules.check([], ruleset, { now: new Date(time) }).results[0].status;
+
+    expect(at('2026-11-01T12:00:00Z')).toBe('pass');
+    expect(at('2026-11-02T00:10:00Z')).toBe('warn');
+    expect(at('2026-11-02T01:00:00Z')).toBe('fail');
+
+    const lenient = rules.validate({ deadline: { due: '2026-11-01T23:59:00Z', late: 'warn' } });
+    expect(rules.check([], lenient, { now: new Date('2026-11-03T00:00:00Z') }).results[0].status).toBe('warn');
+  });
+
+  test('writes JUnit XML with failures, skips and escaped names', () => {
+    const ruleset = rules.validate({ name: 'R&D <draft>', formats: ['pdf'], maxPages: 2 });
+    const report = rules.check([{ name: 'a.txt', size: 1 }, { name: 'b.pdf', size: 1 }], ruleset);
+    const xml = rules.toJUnit(report);
+
+    expect(xml).toContain('<testsuite name="R&amp;D &lt;draft&gt;" tests="4" failures="1" errors="0" skipped="2"');
+    expect(xml).toContain('<failure message=".txt is not allowed (use .pdf)" type="format"/>');
+    expect(xml).toContain('<testcase classname="submitit.format" name="Format of b.pdf" time="0"/>');
+    expect(xml).toContain('<skipped message="cannot count pages in .txt files"/>');
+  });
+
+  test('expresses config role limits as a ruleset', () => {
+    const ruleset = rules.fromRoles({ code: { maxFiles: 1, extensions: ['.js'] } });
+    const report = rules.check([
+      { name: 'a.js', size: 1, role: 'code' },
+      { name: 'b.py', size: 1, role: 'code' }
+    ], ruleset);
+
+    expect(statuses(report).filter(([, status]) => status === 'fail')).toEqual([
+      ['count:files-in-role-code', 'fail'],
+      ['format:b.py', 'fail']
+    ]);
+  });
+
+  test('holds files inside archives to per-file limits only', () => {
+    const ruleset = rules.validate({
+      maxFiles: 1, maxWords: 10, blockedFormats: ['exe'], maxFileSize: '1KB',
+      required: { files: ['README.md'] },
+      files: [{ match: '*.md', required: true, maxFileSize: '2KB' }]
+    });
+    const report = rules.checkEntries([
+      { name: 'code.zip/notes.md', size: 1500 },
+      { name: 'code.zip/tools/run.exe', size: 10 }
+    ], ruleset);
+
+    expect(statuses(report)).toEqual([
+      ['format:code.zip/notes.md', 'pass'],
+      ['file-size:code.zip/notes.md', 'pass'],
+      ['format:code.zip/tools/run.exe', 'fail'],
+      ['file-size:code.zip/tools/run.exe', 'pass']
+    ]);
+  });
+});
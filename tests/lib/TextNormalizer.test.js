@@ -0,0 +1,126 @@
+/**
+ * Text Normalizer Tests
+ */
+import { mkdtemp, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { TextNormalizer } from '../../src/lib/TextNormalizer.js';
+import { useTempDir, attemptMessage } from './helpers.js';
+
+describe('TextNormalizer', () => {
+  const workDir = useTempDir('submitit-normalize-');
+  let normalizer;
+
+  beforeEach(() => {
+    normalizer = new TextNormalizer();
+  });
+
+  test('detects encodings from BOMs, zero bytes and invalid UTF-8', () => {
+    const detect = buffer => normalizer.detectEncoding(buffer).encoding;
+
+    expect(detect(Buffer.from('plain\n'))).toBe('ascii');
+    expect(detect(Buffer.from('café\n'))).toBe('utf-8');
+    expect(normalizer.detectEncoding(Buffer.from('\uFEFFid,name\n'))).toEqual({ encoding: 'utf-8', bom: true, confidence: 1 });
+    expect(detect(Buffer.from('Hello, world\n', 'utf16le'))).toBe('utf-16le');
+    expect(detect(Buffer.from('Hello, world\n', 'utf16le').swap16())).toBe('utf-16be');
+    expect(detect(Buffer.from('caf\xe9\n', 'latin1'))).toBe('iso-8859-1');
+    expect(detect(Buffer.from([0x93, 0x68, 0x69, 0x94, 0x0a]))).toBe('windows-1252');
+    expect(detect(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]))).toBe('binary');
+
+    // A multi-byte character cut off at the end of a sample is still UTF-8
+    expect(normalizer.detectEncoding(Buffer.from('abc é').subarray(0, 5), { partial: true }).encoding).toBe('utf-8');
+  });
+
+  test('decodes Windows-1252 punctuation in 0x80-0x9F', () => {
+    expect(normalizer.decode(Buffer.from([0x93, 0x68, 0x69, 0x94, 0x20, 0x80, 0x35]), 'windows-1252')).toBe('“hi” €5');
+  });
+
+  test('describes encodings, BOMs and line endings that need attention', async () => {
+    const path = join(workDir(), 'data.csv');
+    await writeFile(path, Buffer.from('\uFEFFid,name\r\n1,a\n2,b\r\n'));
+
+    const report = await normalizer.analyze(path);
+
+    expect(report.lineEndings).toEqual({ lf: 1, crlf: 2, cr: 0, style: 'mixed' });
+    expect(report.issues).toEqual(['starts with a byte order mark', 'mixes line endings (1 LF, 2 CRLF)']);
+    expect(normalizer.describeIssues({ encoding: 'utf-16le', bom: true }, normalizer.lineEndings('a\rb'))).toEqual([
+      'is UTF-16LE, not UTF-8',
+      'uses classic Mac (CR) line endings'
+    ]);
+  });
+
+  test('writes UTF-8 copies of text files that need it and leaves the rest', async () => {
+    const files = [
+      { name: 'content/notes.txt', text: Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('one\r\ntwo\r\n', 'utf16le')]) },
+      { name: 'content/clean.md', text: Buffer.from('# Title\n') },
+      { name: 'content/run.bat', text: Buffer.from('echo hi\r\n') },
+      { name: 'content/latin.txt', text: Buffer.from('cr\xe8me\n', 'latin1') }
+    ];
+    for (const [index, file] of files.entries()) {
+      file.sourcePath = join(workDir(), `${index}.src`);
+      await writeFile(file.sourcePath, file.text);
+    }
+    const outputDir = await mkdtemp(join(workDir(), 'out-'));
+
+    const { substitutes, report, skipped } = await normalizer.normalizeFiles(files, outputDir);
+
+    expect(report).toEqual([
+      { name: 'content/notes.txt', actions: ['converted from UTF-16LE', 'CRLF line endings → LF'] },
+      { name: 'content/latin.txt', actions: ['converted from ISO-8859-1'] }
+    ]);
+    expect(skipped).toEqual([]);
+    expect([...substitutes.keys()]).toEqual(['content/notes.txt', 'content/latin.txt']);
+    expect(await readFile(substitutes.get('content/notes.txt'), 'utf8')).toBe('one\ntwo\n');
+    expect(await readFile(substitutes.get('content/latin.txt'), 'utf8')).toBe('crème\n');
+
+    const windows = new TextNormalizer({ bom: true, lineEndings: 'crlf' });
+    expect(windows.normalize(Buffer.from('a\nb\n')).actions).toEqual(['byte order mark added', 'LF line endings → CRLF']);
+    expect(windows.normalize(Buffer.from('a\nb\n')).buffer.toString('hex')).toBe('efbbbf610d0a620d0a');
+  });
+
+  test('rewrites the encoding a converted file declares', async () => {
+    const files = [
+      { name: 'content/data.xml', text: Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<?xml version="1.0" encoding="UTF-16"?>\n<a>é</a>\n', 'utf16le')]) },
+      { name: 'content/logo.svg', text: Buffer.from("<?xml version='1.0' encoding='utf-16'?>\n<svg/>\n", 'utf16le') },
+      { name: 'content/page.html', text: Buffer.from('<html><head><meta charset="windows-1252">\n<meta http-equiv="Content-Type" content="text/html; charset=windows-1252">\n</head><body>\x93hi\x94</body></html>\n', 'latin1') },
+      { name: 'content/odd.html', text: Buffer.from('<meta charset=\'\'>\n<p>\x93hi\x94</p>\n', 'latin1') }
+    ];
+    for (const [index, file] of files.entries()) {
+      file.sourcePath = join(workDir(), `${index}.src`);
+      await writeFile(file.sourcePath, file.text);
+    }
+    const outputDir = await mkdtemp(join(workDir(), 'out-'));
+
+    const { substitutes, report, skipped } = await normalizer.normalizeFiles(files, outputDir);
+
+    expect(report).toEqual([
+      { name: 'content/data.xml', actions: ['converted from UTF-16LE', 'XML declaration → UTF-8'] },
+      { name: 'content/logo.svg', actions: ['converted from UTF-16LE', 'XML declaration → UTF-8'] },
+      { name: 'content/page.html', actions: ['converted from WINDOWS-1252', 'HTML <meta> charset → UTF-8'] }
+    ]);
+    expect(await readFile(substitutes.get('content/data.xml'), 'utf8')).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<a>é</a>\n');
+    expect(await readFile(substitutes.get('content/logo.svg'), 'utf8')).toBe("<?xml version='1.0' encoding='UTF-8'?>\n<svg/>\n");
+    expect(await readFile(substitutes.get('content/page.html'), 'utf8')).toBe(
+      '<html><head><meta charset="UTF-8">\n<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">\n</head><body>“hi”</body></html>\n'
+    );
+    expect(skipped).toEqual([{ name: 'content/odd.html', reason: 'its HTML <meta> charset could not be rewritten to UTF-8' }]);
+    expect(substitutes.has('content/odd.html')).toBe(false);
+  });
+
+  test('flags decomposed file names and names that collide', () => {
+    const decomposed = 'Re\u0301sume\u0301.pdf';
+
+    expect(normalizer.checkFilename(decomposed)).toEqual({ form: 'NFD', normalized: 'Résumé.pdf' });
+    expect(normalizer.checkFilename('Résumé.pdf')).toBeNull();
+    expect(normalizer.findCollisions(['content/Résumé.pdf', `content/${decomposed}`, 'content/Notes.md', 'content/notes.md', 'content/a.txt'])).toEqual([
+      ['content/Résumé.pdf', `content/${decomposed}`],
+      ['content/Notes.md', 'content/notes.md']
+    ]);
+  });
+
+  test('rejects unknown and invalid settings', async () => {
+    expect(await attemptMessage(() => new TextNormalizer({ eol: 'lf' }))).toBe('normalize: unknown setting(s) eol');
+    expect(await attemptMessage(() => new TextNormalizer({ lineEndings: 'cr' }))).toBe('normalize.lineEndings must be "lf", "crlf" or false, not cr');
+    expect(await attemptMessage(() => new TextNormalizer({ bom: 'yes' }))).toBe('normalize.bom must be true or false, not yes');
+    expect(new TextNormalizer({ extensions: ['TXT', '.Md'] }).options.extensions).toEqual(['.txt', '.md']);
+  });
+});
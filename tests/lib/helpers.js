@@ -0,0 +1,41 @@
+/**
+ * Shared setup for the library tests
+ */
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Give each test in the enclosing describe() a fresh temporary directory,
+ * removed again after the test
+ * @param {string} prefix - Directory name prefix, e.g. 'submitit-pdf-'
+ * @returns {() => string} The current test's directory
+ */
+export function useTempDir(prefix) {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), prefix));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  return () => dir;
+}
+
+/**
+ * The message a call throws or rejects with, or null when it succeeds.
+ * Lets tests compare whole error messages rather than substrings.
+ * @param {() => any} fn
+ * @returns {Promise<string|null>}
+ */
+export async function attemptMessage(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
@@ -15,8 +15,10 @@ import { simpleInit } from './simple-init.js';
 import { simpleAdd } from './simple-add.js';
 import { simpleTheme } from './simple-theme.js';
 import { simpleBuild } from './simple-build.js';
-import { simplePreview } from './simple-preview.js';
 import { simpleExport } from './simple-export.js';
+import { createBuildCommand } from './src/commands/build.js';
+import { createPreviewCommand } from './src/commands/preview.js';
+import { registerPackagingCommands } from './src/commands/packaging.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,6 +28,9 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, 'package.json'), 'utf8')
 );
 
+// These commands don't use the DI container, so they run with an empty one
+const direct = createCommand => (...args) => createCommand({})(...args);
+
 // Configure CLI
 program
   .name('submitit')
@@ -65,28 +70,31 @@ program
 // Build command
 program
   .command('build')
-  .description('Build your project')
-  .action(async () => {
-    await simpleBuild();
+  .description('Build your project, or write the preview as a static HTML site')
+  .option('--static', 'Write the preview pages as a self-contained HTML site')
+  .option('-o, --output <dir>', 'Directory for the static site (default: dist/site)')
+  .option('--theme <theme>', 'Theme for the static site (default: the project theme)')
+  .action(async (options) => {
+    if (options.static) {
+      await direct(createBuildCommand)(options);
+    } else {
+      await simpleBuild();
+    }
   });
 
 // Preview command
 program
   .command('preview')
-  .description('Preview your project')
-  .option('-p, --port <port>', 'Port number', '3000')
-  .action(async (options) => {
-    await simplePreview({ port: parseInt(options.port) });
-  });
+  .description('Preview your project with live reload')
+  .option('--ascii', 'Use ASCII preview mode (browsh)')
+  .option('-p, --port <port>', 'First port to try; the next free one is used if busy (0 for any)', '4321')
+  .option('--host <host>', 'Host to bind the preview server to', 'localhost')
+  .option('--theme <theme>', 'Preview with specific theme')
+  .option('--no-open', 'Don\'t open the preview in a browser')
+  .action(direct(createPreviewCommand));
 
-// Export command
-program
-  .command('export')
-  .description('Export your project as a packaged deliverable')
-  .option('-n, --name <name>', 'Custom export name')
-  .action(async (options) => {
-    await simpleExport(options);
-  });
+// Export, verify, open and the other package commands
+registerPackagingCommands(program, direct);
 
 // List themes command
 program
@@ -136,9 +144,9 @@ program.configureOutput({
 program.exitOverride();
 
 try {
-  program.parse();
+  await program.parseAsync();
 } catch (err) {
-  if (err.code === 'commander.help') {
+  if (['commander.help', 'commander.helpDisplayed', 'commander.version'].includes(err.code)) {
     process.exit(0);
   }
   console.error(chalk.red('Error:'), err.message);